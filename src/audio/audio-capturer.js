@@ -11,58 +11,295 @@
  * 3. ストリームをソースとして、高速フーリエ変換(FFT)を実行する`AnalyserNode`に接続します。
  * 4. AnalyserNodeの`smoothingTimeConstant`を低い値に設定し、モールス信号の素早い
  *    音量変化を捉えられるように、応答性を高めています。
+ * 5. 分析方式に 'worklet' が選ばれた場合は、`audio-worker.js`のAudioWorkletProcessorも読み込み、
+ *    同じストリームを接続します。プロセッサが数ミリ秒間隔で送ってくる測定結果（トーンフレーム）を
+ *    キューに溜め、メインループが毎フレームまとめて取り出します。AnalyserNodeは波形やスペクトルの
+ *    表示用として引き続き使います。
+ * 6. 自己診断のためのループバックでは、マイクの代わりにGainNodeを入力とし、`MorsePlayer`が合成した
+ *    音声をそこへ接続します。以降の分析の接続はマイクの場合と同じです。
+ * 7. 【マイクの設定】使うマイクと、ブラウザの音声処理（エコー除去・ノイズ抑制・自動ゲイン調整）を
+ *    制約として明示して`getUserMedia`に渡します。これらの処理は持続する口笛の音を途切れさせたり
+ *    小さくしたりするため、既定ではすべて無効にします。キャプチャ中に変更した場合、音声処理はトラックに
+ *    そのまま適用し、マイクの切り替えはAudioContextを保ったまま入力のノードだけを差し替えます。
+ *    選んでいたマイクが外されていた場合は、既定のマイクで開き直し、設定のマイクも既定に戻します。
+ *    マイクを開いている間にキャプチャが停止された場合は、開いたマイクをすぐに閉じます。開始の途中
+ *    （マイクの使用許可やAudioWorkletの読み込みを待つ間）に停止された場合も同じく閉じ、`start`は
+ *    'AbortError' でrejectします。停止のたびに増える番号（`captureGeneration`）で、待つ間の停止を見分けます。
+ * 8. 【録音用のストリーム】セッションや動画の録音には、マイクのストリームそのものではなく、入力のノードを
+ *    つないだ`MediaStreamAudioDestinationNode`のストリームを渡します。マイクを切り替えても
+ *    このストリームは変わらないため、録音中に切り替えても音声が途切れません。
  */
 
+/** マイクの設定の既定値。`deviceId` がnullの場合は既定のマイクを使います。 */
+export const DEFAULT_AUDIO_OPTIONS = {
+    deviceId: null,
+    echoCancellation: false,
+    noiseSuppression: false,
+    autoGainControl: false,
+};
+
+/**
+ * マイクの設定を、`getUserMedia`に渡す音声の制約に変換します。
+ * @param {{deviceId: string|null, echoCancellation: boolean, noiseSuppression: boolean, autoGainControl: boolean}} options
+ * @returns {MediaTrackConstraints}
+ */
+export function buildAudioConstraints(options) {
+    const constraints = {
+        echoCancellation: options.echoCancellation,
+        noiseSuppression: options.noiseSuppression,
+        autoGainControl: options.autoGainControl,
+    };
+    if (options.deviceId) constraints.deviceId = { exact: options.deviceId };
+    return constraints;
+}
+
+/**
+ * 音声の入力デバイスの一覧を返します。マイクの使用を許可されるまでは、名前が空になることがあります。
+ * @returns {Promise<{deviceId: string, label: string}[]>}
+ */
+export async function listAudioInputDevices() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    // 使用を許可される前は、デバイスを区別できない（`deviceId` が空の）項目だけが返ることがある
+    return devices
+        .filter(device => device.kind === 'audioinput' && device.deviceId)
+        .map(device => ({ deviceId: device.deviceId, label: device.label }));
+}
+
 /**
  * マイクからの音声キャプチャとAudioContextの管理を行います。
  */
 export class AudioCapturer {
-    constructor() {
+    /**
+     * @param {object} [audioOptions] - `DEFAULT_AUDIO_OPTIONS`のうち変更するマイクの設定。
+     */
+    constructor(audioOptions = {}) {
         /** @private {AudioContext|null} */
         this.audioContext = null;
         /** @private {AnalyserNode|null} */
         this.analyser = null;
         /** @private {MediaStream|null} */
         this.mediaStream = null;
+        /** @private {MediaStreamAudioSourceNode|null} マイクの入力ノード */
+        this.source = null;
+        /** @private {MediaStreamAudioDestinationNode|null} 録音に渡す、マイクを切り替えても変わらないストリームの出力先 */
+        this.recordingDestination = null;
+        /** @private {{deviceId: string|null, echoCancellation: boolean, noiseSuppression: boolean, autoGainControl: boolean}} */
+        this.audioOptions = { ...DEFAULT_AUDIO_OPTIONS, ...audioOptions };
+        /** @private {AudioWorkletNode|null} */
+        this.workletNode = null;
+        /** @private {string} */
+        this.engine = 'analyser';
+        /** @private {{timestamp: number, frequency: number, level: number, floor: number}[]} */
+        this.toneFrameQueue = [];
+        /** @private {GainNode|null} ループバックで分析する音声の入力 */
+        this.loopbackInput = null;
+        /** @private {number} 停止のたびに増える番号。開始を待つ間に停止されたかどうかを見分ける */
+        this.captureGeneration = 0;
     }
 
     /**
      * マイクへのアクセスを要求し、音声のキャプチャを開始します。
-     * @returns {Promise<void>}
+     * @param {string} [engine='analyser'] - 分析方式。'analyser' はAnalyserNodeのみ、
+     *   'worklet' はAudioWorkletによる高時間分解能の検出を併用します。
+     * @returns {Promise<void>} 開始を待つ間に`stop`された場合は、'AbortError' でrejectされます。
      */
-    async start() {
+    async start(engine = 'analyser') {
         if (this.audioContext) return;
 
+        const generation = this.captureGeneration;
         try {
-            this.mediaStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            const mediaStream = await this._openMicrophone();
+            if (generation !== this.captureGeneration) {
+                mediaStream.getTracks().forEach(track => track.stop());
+                throw new DOMException('Audio capture was stopped while opening the microphone.', 'AbortError');
+            }
+            this.mediaStream = mediaStream;
             this.audioContext = new AudioContext();
 
-            const source = this.audioContext.createMediaStreamSource(this.mediaStream);
-            this.analyser = this.audioContext.createAnalyser();
-            
-            this.analyser.fftSize = 2048;
-            // 音量変化の応答性を高めるため、時間平滑化の定数を下げる（デフォルトは0.8）
-            this.analyser.smoothingTimeConstant = 0.1;
+            this.source = this.audioContext.createMediaStreamSource(this.mediaStream);
+            this.recordingDestination = this.audioContext.createMediaStreamDestination();
+            this.source.connect(this.recordingDestination);
+            await this._connectAnalysis(this.source, engine);
 
-            source.connect(this.analyser);
-            
-            console.log("Audio capture started.");
+            console.log(`Audio capture started (${this.engine}).`);
 
         } catch (err) {
+            // 待つ間に停止された場合、マイクとAudioContextは停止時（または上）で閉じている
+            if (generation !== this.captureGeneration) {
+                throw err.name === 'AbortError' ? err : new DOMException('Audio capture was stopped while starting.', 'AbortError');
+            }
             console.error("Error capturing audio.", err);
             this.stop();
             throw err;
         }
     }
 
+    /**
+     * マイクの設定を変更します。キャプチャ中であれば、すぐに反映します。
+     * @param {object} audioOptions - `DEFAULT_AUDIO_OPTIONS`のうち変更するマイクの設定。
+     * @returns {Promise<void>}
+     */
+    async setAudioOptions(audioOptions) {
+        const previousDeviceId = this.audioOptions.deviceId;
+        this.audioOptions = { ...this.audioOptions, ...audioOptions };
+        if (!this.mediaStream) return;
+
+        const track = this.mediaStream.getAudioTracks()[0];
+        if (this.audioOptions.deviceId === previousDeviceId && track && track.readyState === 'live') {
+            await track.applyConstraints(buildAudioConstraints(this.audioOptions));
+            return;
+        }
+
+        // マイクを切り替える（または外されたマイクを開き直す）場合は、AudioContextはそのままに入力だけを差し替える
+        const previousStream = this.mediaStream;
+        const mediaStream = await this._openMicrophone();
+        // 開いている間にキャプチャが停止された（または別の切り替えが先に終わった）場合は、開いたマイクを使わない
+        if (this.mediaStream !== previousStream || !this.audioContext) {
+            mediaStream.getTracks().forEach(newTrack => newTrack.stop());
+            return;
+        }
+        const source = this.audioContext.createMediaStreamSource(mediaStream);
+        source.connect(this.analyser);
+        if (this.workletNode) source.connect(this.workletNode);
+        source.connect(this.recordingDestination);
+        this.source.disconnect();
+        this.mediaStream.getTracks().forEach(oldTrack => oldTrack.stop());
+        this.mediaStream = mediaStream;
+        this.source = source;
+    }
+
+    /**
+     * 現在のマイクの設定を返します。
+     * @returns {{deviceId: string|null, echoCancellation: boolean, noiseSuppression: boolean, autoGainControl: boolean}}
+     */
+    getAudioOptions() {
+        return { ...this.audioOptions };
+    }
+
+    /**
+     * @private
+     * 現在のマイクの設定でマイクを開きます。選んでいたマイクが見つからない場合は、既定のマイクで開き、
+     * 実際に使うマイクと食い違わないよう、設定の`deviceId` もnull（既定のマイク）に戻します。
+     * @returns {Promise<MediaStream>}
+     */
+    async _openMicrophone() {
+        try {
+            return await navigator.mediaDevices.getUserMedia({ audio: buildAudioConstraints(this.audioOptions) });
+        } catch (err) {
+            if (!this.audioOptions.deviceId || (err.name !== 'OverconstrainedError' && err.name !== 'NotFoundError')) throw err;
+            console.warn('Selected microphone is unavailable. Falling back to the default device.', err);
+            const fallbackOptions = { ...this.audioOptions, deviceId: null };
+            const mediaStream = await navigator.mediaDevices.getUserMedia({ audio: buildAudioConstraints(fallbackOptions) });
+            this.audioOptions = fallbackOptions;
+            return mediaStream;
+        }
+    }
+
+    /**
+     * マイクのトラックに実際に適用されている設定を返します。
+     * @returns {{label: string, deviceId: string|null, sampleRate: number|null, channelCount: number|null, echoCancellation: boolean|null, noiseSuppression: boolean|null, autoGainControl: boolean|null, contextSampleRate: number|null}|null}
+     *   ブラウザが報告しない項目はnull、`contextSampleRate` は分析に使うAudioContextのサンプルレートです。
+     *   マイクを使っていない場合はnull。
+     */
+    getTrackSettings() {
+        const track = this.mediaStream ? this.mediaStream.getAudioTracks()[0] : null;
+        if (!track) return null;
+        const settings = track.getSettings();
+        return {
+            label: track.label,
+            deviceId: settings.deviceId ?? null,
+            sampleRate: settings.sampleRate ?? null,
+            channelCount: settings.channelCount ?? null,
+            echoCancellation: settings.echoCancellation ?? null,
+            noiseSuppression: settings.noiseSuppression ?? null,
+            autoGainControl: settings.autoGainControl ?? null,
+            contextSampleRate: this.audioContext ? this.audioContext.sampleRate : null,
+        };
+    }
+
+    /**
+     * マイクのトラックが、デバイスが外されるなどして終了しているかどうかを返します。
+     * @returns {boolean}
+     */
+    isMicrophoneEnded() {
+        const track = this.mediaStream ? this.mediaStream.getAudioTracks()[0] : null;
+        return Boolean(track && track.readyState === 'ended');
+    }
+
+    /**
+     * マイクを使わずに、合成した音声を分析するループバックを開始します。
+     * `getLoopbackInput`が返すノードに接続した音声が、マイクの代わりに分析されます。
+     * @param {string} [engine='analyser'] - 分析方式。`start`と同じです。
+     * @returns {Promise<void>}
+     */
+    async startLoopback(engine = 'analyser') {
+        if (this.audioContext) return;
+
+        try {
+            this.audioContext = new AudioContext();
+            this.loopbackInput = this.audioContext.createGain();
+            await this._connectAnalysis(this.loopbackInput, engine);
+
+            console.log(`Loopback capture started (${this.engine}).`);
+
+        } catch (err) {
+            console.error("Error starting loopback.", err);
+            this.stop();
+            throw err;
+        }
+    }
+
+    /**
+     * @private
+     * 入力ノードをAnalyserNodeと（'worklet' の場合は）AudioWorkletNodeに接続します。
+     * @param {AudioNode} source - 分析する音声の入力ノード。
+     * @param {string} engine - 分析方式。
+     * @returns {Promise<void>}
+     */
+    async _connectAnalysis(source, engine) {
+        this.analyser = this.audioContext.createAnalyser();
+
+        this.analyser.fftSize = 2048;
+        // 音量変化の応答性を高めるため、時間平滑化の定数を下げる（デフォルトは0.8）
+        this.analyser.smoothingTimeConstant = 0.1;
+
+        source.connect(this.analyser);
+
+        this.engine = engine;
+        if (engine === 'worklet') {
+            await this.audioContext.audioWorklet.addModule(new URL('./audio-worker.js', import.meta.url));
+            this.workletNode = new AudioWorkletNode(this.audioContext, 'morse-tone-processor', {
+                processorOptions: { hopSeconds: 0.004 }
+            });
+            this.workletNode.port.onmessage = (event) => {
+                if (event.data.type === 'toneFrames') {
+                    this.toneFrameQueue.push(...event.data.frames);
+                }
+            };
+            source.connect(this.workletNode);
+            // プロセッサが確実に駆動されるよう出力先へ接続する（出力は常に無音）
+            this.workletNode.connect(this.audioContext.destination);
+        }
+    }
+
     /**
      * 音声のキャプチャを停止し、関連するリソースを解放します。
      */
     stop() {
+        this.captureGeneration++;
         if (this.mediaStream) {
             this.mediaStream.getTracks().forEach(track => track.stop());
             this.mediaStream = null;
         }
+        this.source = null;
+        this.recordingDestination = null;
+        if (this.workletNode) {
+            this.workletNode.port.onmessage = null;
+            this.workletNode = null;
+        }
+        this.toneFrameQueue = [];
+        this.loopbackInput = null;
         if (this.audioContext) {
             this.audioContext.close();
             this.audioContext = null;
@@ -79,6 +316,33 @@ export class AudioCapturer {
         return this.analyser;
     }
 
+    /**
+     * 現在の分析方式を返します。
+     * @returns {string} 'analyser' または 'worklet'
+     */
+    getEngine() {
+        return this.engine;
+    }
+
+    /**
+     * AudioWorkletから届いたトーンフレームをすべて取り出し、キューを空にします。
+     * @returns {{timestamp: number, frequency: number, level: number, floor: number}[]}
+     */
+    drainToneFrames() {
+        const frames = this.toneFrameQueue;
+        this.toneFrameQueue = [];
+        return frames;
+    }
+
+    /**
+     * 録音用の音声ストリームを返します。セッションの記録や動画の録画で、マイクの生の音声を録音するために使います。
+     * マイクを切り替えても同じストリームのまま、新しいマイクの音声が流れます。
+     * @returns {MediaStream|null} マイクを使っていない場合はnull。
+     */
+    getMediaStream() {
+        return this.recordingDestination ? this.recordingDestination.stream : null;
+    }
+
     /**
      * AudioContextを返します。
      * @returns {AudioContext|null}
@@ -86,4 +350,12 @@ export class AudioCapturer {
     getAudioContext() {
         return this.audioContext;
     }
-}
\ No newline at end of file
+
+    /**
+     * ループバックの入力ノードを返します。ループバック中でなければnullです。
+     * @returns {GainNode|null}
+     */
+    getLoopbackInput() {
+        return this.loopbackInput;
+    }
+}
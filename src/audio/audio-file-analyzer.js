@@ -0,0 +1,79 @@
+/**
+ * @fileoverview 録音済み音声ファイルのオフライン分析
+ * @description
+ * このファイルは、マイクの代わりに録音済みの音声ファイル（WAV, OGG, WebMなど）を読み込み、
+ * ライブ入力と同じ形式の周波数データを、実時間より速く順番に取り出す役割を担います。
+ * 同じファイルからは常に同じデータ列が得られるため、デコーダーの変更を同じ入力で比較できます。
+ *
+ * 現在の戦略:
+ * 1. `OfflineAudioContext`の`decodeAudioData`で、ファイルを音声バッファへ復号します。
+ * 2. ファイルと同じ長さ・サンプルレートの`OfflineAudioContext`を作り、音声バッファを
+ *    ライブ入力と同じ設定の`AnalyserNode`へ接続します。
+ * 3. 一定の時間間隔ごとに`suspend`を予約しておき、レンダリングが止まるたびに
+ *    AnalyserNodeから周波数データを読み取ってコールバックへ渡し、`resume`で再開します。
+ *    オフラインのレンダリングは実時間を待たないため、ファイルの長さより短い時間で処理が終わります。
+ */
+
+/**
+ * 音声ファイルを復号し、一定間隔の周波数データを順に取り出します。
+ */
+export class AudioFileAnalyzer {
+    /**
+     * @param {{fftSize?: number, frameInterval?: number}} [options]
+     *   `frameInterval` は周波数データを取り出す間隔 (秒) です。
+     */
+    constructor(options = {}) {
+        this.fftSize = options.fftSize || 2048;
+        this.frameInterval = options.frameInterval || 0.01;
+    }
+
+    /**
+     * 音声ファイルを復号して、チャンネルを1つにまとめた音声バッファを返します。
+     * @param {ArrayBuffer} arrayBuffer - 音声ファイルの内容。
+     * @returns {Promise<AudioBuffer>}
+     */
+    async decode(arrayBuffer) {
+        const decodeContext = new OfflineAudioContext(1, 1, 44100);
+        return decodeContext.decodeAudioData(arrayBuffer);
+    }
+
+    /**
+     * 音声バッファをオフラインでレンダリングしながら、一定間隔で周波数データを取り出します。
+     * @param {AudioBuffer} audioBuffer - 分析する音声。
+     * @param {function(Uint8Array, number): void} onFrame - 周波数データと、その時刻 (秒) を受け取るコールバック。
+     *   渡される配列は再利用されるため、保持する場合は複製する必要があります。
+     * @returns {Promise<{sampleRate: number, fftSize: number, duration: number}>}
+     */
+    async analyze(audioBuffer, onFrame) {
+        const context = new OfflineAudioContext(1, audioBuffer.length, audioBuffer.sampleRate);
+        const source = context.createBufferSource();
+        source.buffer = audioBuffer;
+
+        const analyser = context.createAnalyser();
+        analyser.fftSize = this.fftSize;
+        // ライブ入力（AudioCapturer）と同じ応答性にそろえる
+        analyser.smoothingTimeConstant = 0.1;
+
+        source.connect(analyser);
+        // オフラインのレンダリングでAnalyserNodeが確実に処理されるよう、出力先へ接続する
+        analyser.connect(context.destination);
+
+        const frequencyData = new Uint8Array(analyser.frequencyBinCount);
+        for (let time = this.frameInterval; time < audioBuffer.duration; time += this.frameInterval) {
+            context.suspend(time).then(() => {
+                analyser.getByteFrequencyData(frequencyData);
+                onFrame(frequencyData, context.currentTime);
+                context.resume();
+            });
+        }
+
+        source.start(0);
+        await context.startRendering();
+
+        return {
+            sampleRate: audioBuffer.sampleRate,
+            fftSize: this.fftSize,
+            duration: audioBuffer.duration
+        };
+    }
+}
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview AudioWorklet上で動作する口笛の音の検出器
+ * @description
+ * このファイルは、オーディオスレッド上で生の音声サンプルを直接受け取り、口笛の音の
+ * 周波数と音量を一定の短い間隔で測定して、メインスレッドへ送る役割を担います。
+ * `requestAnimationFrame`で`AnalyserNode`を読み取る方式（約16ms間隔）よりも細かい時間分解能で
+ * 音の立ち上がり・立ち下がりを捉え、速い短点でも長さを正確に測れるようにすることが目的です。
+ *
+ * 現在の戦略:
+ * 1. 【リングバッファ】入力サンプルを分析窓の長さのリングバッファに蓄え、
+ *    ホップ幅（約4ms）ごとに直近の窓を切り出して分析します。
+ * 2. 【Goertzelフィルタバンク】口笛の音域に、窓の周波数分解能の半分の間隔でGoertzelフィルタを並べ、
+ *    各周波数の強さを求めます。FFT全体を計算するより、必要な帯域だけを安く計算できます。
+ * 3. 【ピークの補間】最も強いフィルタと両隣の強さ（dB）に放物線を当てはめ、
+ *    フィルタの間隔より細かい周波数とピークの強さを推定します。
+ * 4. 【ノイズフロア】全フィルタの強さの中央値をノイズフロアとして一緒に送り、
+ *    メインスレッド側で鋭いピークかどうかを判定できるようにします。
+ * 5. 【まとめて送信】メッセージの往復を減らすため、数ホップ分の測定結果をまとめて
+ *    `(timestamp, frequency, level, floor)` の配列としてポストします。
+ */
+
+/**
+ * 口笛の音を一定間隔で検出し、その周波数と音量をメインスレッドへ送るAudioWorkletProcessorです。
+ */
+class MorseToneProcessor extends AudioWorkletProcessor {
+    /**
+     * @param {{processorOptions?: {hopSeconds?: number, windowSize?: number, minFrequency?: number, maxFrequency?: number, framesPerMessage?: number}}} options
+     */
+    constructor(options) {
+        super();
+        const processorOptions = (options && options.processorOptions) || {};
+
+        this.hopSize = Math.max(1, Math.round(sampleRate * (processorOptions.hopSeconds || 0.004)));
+        this.windowSize = processorOptions.windowSize || 512;
+        this.minFrequency = processorOptions.minFrequency || 400;
+        this.maxFrequency = Math.min(processorOptions.maxFrequency || 5000, sampleRate / 2);
+        this.framesPerMessage = processorOptions.framesPerMessage || 8;
+
+        // 分析窓（Hann窓）と、窓をかけた振幅を元の振幅に戻すための係数
+        this.window = new Float32Array(this.windowSize);
+        let windowSum = 0;
+        for (let i = 0; i < this.windowSize; i++) {
+            this.window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (this.windowSize - 1));
+            windowSum += this.window[i];
+        }
+        this.amplitudeScale = 2 / windowSum;
+
+        // 窓の周波数分解能の半分の間隔でフィルタを並べる
+        const filterSpacing = sampleRate / this.windowSize / 2;
+        this.filterFrequencies = [];
+        for (let f = this.minFrequency; f <= this.maxFrequency; f += filterSpacing) {
+            this.filterFrequencies.push(f);
+        }
+        this.filterSpacing = filterSpacing;
+        this.filterCoefficients = this.filterFrequencies.map(f => 2 * Math.cos((2 * Math.PI * f) / sampleRate));
+        this.filterLevels = new Float32Array(this.filterFrequencies.length);
+
+        this.ringBuffer = new Float32Array(this.windowSize);
+        this.windowedSamples = new Float32Array(this.windowSize);
+        this.writeIndex = 0;
+        this.samplesUntilHop = this.hopSize;
+        this.pendingFrames = [];
+    }
+
+    /**
+     * 入力サンプルをリングバッファへ蓄え、ホップ幅ごとに分析を行います。
+     * 出力には何も書き込まないため、接続先には無音が流れます。
+     * @param {Float32Array[][]} inputs
+     * @returns {boolean}
+     */
+    process(inputs) {
+        const channel = inputs[0] && inputs[0][0];
+        if (!channel) return true;
+
+        for (let i = 0; i < channel.length; i++) {
+            this.ringBuffer[this.writeIndex] = channel[i];
+            this.writeIndex = (this.writeIndex + 1) % this.windowSize;
+
+            if (--this.samplesUntilHop === 0) {
+                this.samplesUntilHop = this.hopSize;
+                // 窓の中心の時刻を、この測定結果の時刻とする
+                const timestamp = currentTime + (i + 1 - this.windowSize / 2) / sampleRate;
+                this.pendingFrames.push(this._measure(timestamp));
+            }
+        }
+
+        if (this.pendingFrames.length >= this.framesPerMessage) {
+            this.port.postMessage({ type: 'toneFrames', frames: this.pendingFrames });
+            this.pendingFrames = [];
+        }
+        return true;
+    }
+
+    /**
+     * @private
+     * 直近の窓に対してフィルタバンクを適用し、最も強い周波数とその強さを求めます。
+     * @param {number} timestamp - 測定結果に付ける時刻 (秒)。
+     * @returns {{timestamp: number, frequency: number, level: number, floor: number}}
+     *   `level` と `floor` はフルスケールを0dBとしたデシベル値です。
+     */
+    _measure(timestamp) {
+        for (let i = 0; i < this.windowSize; i++) {
+            const sample = this.ringBuffer[(this.writeIndex + i) % this.windowSize];
+            this.windowedSamples[i] = sample * this.window[i];
+        }
+
+        let peakFilter = 0;
+        for (let k = 0; k < this.filterCoefficients.length; k++) {
+            const coefficient = this.filterCoefficients[k];
+            let s1 = 0;
+            let s2 = 0;
+            for (let i = 0; i < this.windowSize; i++) {
+                const s0 = this.windowedSamples[i] + coefficient * s1 - s2;
+                s2 = s1;
+                s1 = s0;
+            }
+            const power = s1 * s1 + s2 * s2 - coefficient * s1 * s2;
+            const amplitude = Math.sqrt(Math.max(power, 0)) * this.amplitudeScale;
+            this.filterLevels[k] = 20 * Math.log10(amplitude + 1e-10);
+            if (this.filterLevels[k] > this.filterLevels[peakFilter]) peakFilter = k;
+        }
+
+        let frequency = this.filterFrequencies[peakFilter];
+        let level = this.filterLevels[peakFilter];
+        if (peakFilter > 0 && peakFilter < this.filterLevels.length - 1) {
+            const left = this.filterLevels[peakFilter - 1];
+            const right = this.filterLevels[peakFilter + 1];
+            const curvature = left - 2 * level + right;
+            if (curvature < 0) {
+                const offset = 0.5 * (left - right) / curvature;
+                frequency += offset * this.filterSpacing;
+                level -= 0.25 * (left - right) * offset;
+            }
+        }
+
+        const sortedLevels = Array.from(this.filterLevels).sort((a, b) => a - b);
+        const floor = sortedLevels[Math.floor(sortedLevels.length / 2)];
+
+        return { timestamp, frequency, level, floor };
+    }
+}
+
+registerProcessor('morse-tone-processor', MorseToneProcessor);
@@ -0,0 +1,168 @@
+/**
+ * @fileoverview モールス信号の音声の再生
+ * @description
+ * このファイルは、`morse-encoder.js`で変換した音あり区間の列を、Web Audio APIのオシレーターで
+ * 音声として鳴らす役割を担います。練習する人の手本として聞くほか、ループバックの自己診断では
+ * マイクの代わりに分析の入力へ直接つなぎます。
+ *
+ * 現在の戦略:
+ * 1. 【スケジューリング】すべての音あり区間を、開始時にAudioContextのクロック上へ一度に予約します。
+ *    音量の包絡線は`GainNode`の`gain`の自動変化で表し、区間の始まりと終わりに短いランプを入れてクリック音を防ぎます。
+ * 2. 【音色】'sine' は純粋な正弦波です。'whistle' は口笛らしく、立ち上がりを柔らかくし、
+ *    吹き始めに音高をわずかにしゃくり上げ、ゆるいビブラートと、音高の周りに帯域を絞った息の音を加えます。
+ * 3. 【出力先】出力するノードを呼び出し側が選べるようにし、スピーカーと分析の入力の両方に同時につなげます。
+ */
+
+import { encodeText } from '../morse/morse-encoder.js';
+
+/** 音色ごとの包絡線とゆらぎの設定 */
+const TIMBRES = {
+    sine: { attack: 0.005, release: 0.005, scoop: 0, vibratoDepth: 0, breathLevel: 0 },
+    whistle: { attack: 0.02, release: 0.03, scoop: 0.03, vibratoDepth: 0.006, breathLevel: 0.08 },
+};
+
+/**
+ * テキストをモールス信号の音声として再生します。
+ */
+export class MorsePlayer {
+    /**
+     * @param {AudioContext} audioContext - 再生に使うAudioContext。
+     */
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        /** @private {AudioScheduledSourceNode[]} 再生中の音源 */
+        this.sources = [];
+        /** @private {GainNode|null} */
+        this.envelope = null;
+        /** @private {function(): void|null} 再生の終了を待つPromiseを解決する関数 */
+        this.resolveFinished = null;
+    }
+
+    /**
+     * テキストの再生を開始します。再生中だった場合は、それを止めてから始めます。
+     * @param {string} text - 再生するテキスト。
+     * @param {{pitch?: number, wpm?: number, farnsworthWpm?: number|null, timbre?: string, volume?: number}} [options]
+     *   音高 (Hz)、速度と実効速度 (WPM)、音色（'sine' または 'whistle'）、音量（0〜1）。
+     * @param {AudioNode[]} [destinations] - 出力先のノード。省略するとスピーカーに出力します。
+     * @returns {Promise<void>} 再生が終わるか、`stop`で止められたときに解決されるPromise。
+     */
+    play(text, options = {}, destinations = [this.audioContext.destination]) {
+        this.stop();
+
+        const { pitch = 1800, wpm = 20, farnsworthWpm = null, timbre = 'whistle', volume = 0.3 } = options;
+        const timbreOptions = TIMBRES[timbre] ?? TIMBRES.whistle;
+        const { marks, duration } = encodeText(text, { wpm, farnsworthWpm });
+        const context = this.audioContext;
+        const startTime = context.currentTime + 0.1;
+        const endTime = startTime + duration + timbreOptions.release;
+
+        this.envelope = context.createGain();
+        this.envelope.gain.setValueAtTime(0, context.currentTime);
+        for (const destination of destinations) this.envelope.connect(destination);
+
+        const oscillator = context.createOscillator();
+        oscillator.type = 'sine';
+        oscillator.frequency.setValueAtTime(pitch, context.currentTime);
+        oscillator.connect(this.envelope);
+        this.sources.push(oscillator);
+
+        if (timbreOptions.vibratoDepth > 0) {
+            const vibrato = context.createOscillator();
+            const vibratoGain = context.createGain();
+            vibrato.frequency.value = 5.5;
+            vibratoGain.gain.value = pitch * timbreOptions.vibratoDepth;
+            vibrato.connect(vibratoGain).connect(oscillator.frequency);
+            this.sources.push(vibrato);
+        }
+        if (timbreOptions.breathLevel > 0) {
+            const breath = context.createBufferSource();
+            breath.buffer = this._createNoiseBuffer();
+            breath.loop = true;
+            const filter = context.createBiquadFilter();
+            filter.type = 'bandpass';
+            filter.frequency.value = pitch;
+            filter.Q.value = 8;
+            const breathGain = context.createGain();
+            breathGain.gain.value = timbreOptions.breathLevel;
+            breath.connect(filter).connect(breathGain).connect(this.envelope);
+            this.sources.push(breath);
+        }
+
+        for (const mark of marks) {
+            const markStart = startTime + mark.start;
+            const markEnd = startTime + mark.end;
+            const attackEnd = Math.min(markEnd, markStart + timbreOptions.attack);
+            this.envelope.gain.setValueAtTime(0, markStart);
+            this.envelope.gain.linearRampToValueAtTime(volume, attackEnd);
+            this.envelope.gain.setValueAtTime(volume, markEnd);
+            this.envelope.gain.linearRampToValueAtTime(0, markEnd + timbreOptions.release);
+
+            if (timbreOptions.scoop > 0) {
+                // 吹き始めは少し低い音から目的の音高へしゃくり上げる
+                oscillator.frequency.setValueAtTime(pitch * (1 - timbreOptions.scoop), markStart);
+                oscillator.frequency.linearRampToValueAtTime(pitch, Math.min(markEnd, markStart + 0.03));
+            }
+        }
+
+        const finished = new Promise((resolve) => {
+            this.resolveFinished = resolve;
+        });
+        oscillator.onended = () => this._finish();
+        for (const source of this.sources) {
+            source.start(startTime);
+            source.stop(endTime);
+        }
+        return finished;
+    }
+
+    /**
+     * 再生を止めます。再生していない場合は何もしません。
+     */
+    stop() {
+        for (const source of this.sources) {
+            source.onended = null;
+            try {
+                source.stop();
+            } catch (error) {
+                // 既に止まっている音源は無視する
+            }
+        }
+        this._finish();
+    }
+
+    /**
+     * 再生中かどうかを返します。
+     * @returns {boolean}
+     */
+    isPlaying() {
+        return this.sources.length > 0;
+    }
+
+    /**
+     * @private
+     * 再生に使ったノードを切り離し、終了を待っている呼び出し側に知らせます。
+     */
+    _finish() {
+        this.sources = [];
+        if (this.envelope) {
+            this.envelope.disconnect();
+            this.envelope = null;
+        }
+        if (this.resolveFinished) {
+            this.resolveFinished();
+            this.resolveFinished = null;
+        }
+    }
+
+    /**
+     * @private
+     * 息の音の素材にする、1秒分のホワイトノイズを作ります。
+     * @returns {AudioBuffer}
+     */
+    _createNoiseBuffer() {
+        const buffer = this.audioContext.createBuffer(1, this.audioContext.sampleRate, this.audioContext.sampleRate);
+        const samples = buffer.getChannelData(0);
+        for (let i = 0; i < samples.length; i++) samples[i] = Math.random() * 2 - 1;
+        return buffer;
+    }
+}
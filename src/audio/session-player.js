@@ -0,0 +1,119 @@
+/**
+ * @fileoverview 記録したセッションの再生
+ * @description
+ * このファイルは、`SessionRecorder`が保存したセッションファイルを読み込み、記録されたフレームを
+ * 記録時と同じ順序・同じ時刻で取り出す役割を担います。取り出したフレームをライブ入力と同じ流れで
+ * 分析器・デコーダー・描画器へ渡すことで、記録時の状況を何度でも再現できます。
+ *
+ * 現在の戦略:
+ * 1. 【形式の確認】読み込んだファイルの形式とバージョンを確かめ、対応していないファイルは
+ *    エラーとして扱います。周波数データはBase64から`Uint8Array`へ戻しておきます。
+ * 2. 【再生の時刻】再生中は、再生を開始した実時間からの経過時間を記録上の時刻に換算し、
+ *    その時刻までのフレームをまとめて返します。画面の更新頻度が記録時と違っても、
+ *    フレームの内容と順序は変わらないため、分析・デコードの結果は同じになります。
+ * 3. 【一時停止とコマ送り】一時停止中は時刻が進まず、コマ送りでは次の1フレームだけを返します。
+ */
+
+import { SESSION_FORMAT, SESSION_VERSION, base64ToBytes } from './session-recorder.js';
+
+/**
+ * セッションファイルのフレームを、再生・一時停止・コマ送りの操作に応じて取り出します。
+ */
+export class SessionPlayer {
+    /**
+     * @param {object} session - セッションファイルを解析したオブジェクト。
+     */
+    constructor(session) {
+        if (session.format !== SESSION_FORMAT || session.version > SESSION_VERSION) {
+            throw new Error('Unsupported session file.');
+        }
+        this.session = session;
+        this.frames = session.frames.map(frame => ({
+            ...frame,
+            frequencyData: base64ToBytes(frame.frequencyData)
+        }));
+
+        this.nextIndex = 0;
+        this.isPlaying = false;
+        this.playbackStartTime = null; // 再生を開始した実時間 (秒)
+        this.sessionStartTime = null; // 再生を開始した位置の、記録上の時刻 (秒)
+    }
+
+    /**
+     * セッションファイルを読み込みます。
+     * @param {File} file - セッションファイル。
+     * @returns {Promise<SessionPlayer>}
+     */
+    static async fromFile(file) {
+        return new SessionPlayer(JSON.parse(await file.text()));
+    }
+
+    /**
+     * 記録時のオーディオ関連のパラメータを返します。
+     * @returns {{sampleRate: number, fftSize: number}}
+     */
+    getAudioParams() {
+        return { sampleRate: this.session.sampleRate, fftSize: this.session.fftSize };
+    }
+
+    /**
+     * 記録時の対応表・調整用パラメータ・校正結果などの条件を返します。
+     * @returns {{engine: string, codeTable: string, settings: Object<string, number>, calibration: object|null, createdAt: string}}
+     *   校正結果を含まない古いセッションファイルでは、`calibration` はnull。
+     */
+    getMetadata() {
+        const { engine, codeTable, settings, createdAt } = this.session;
+        return { engine, codeTable, settings, calibration: this.session.calibration ?? null, createdAt };
+    }
+
+    /**
+     * 再生を開始（再開）します。
+     * @param {number} now - 現在の実時間 (秒)。
+     */
+    play(now) {
+        if (this.isFinished()) return;
+        this.isPlaying = true;
+        this.playbackStartTime = now;
+        this.sessionStartTime = this.frames[this.nextIndex].timestamp;
+    }
+
+    /**
+     * 再生を一時停止します。
+     */
+    pause() {
+        this.isPlaying = false;
+    }
+
+    /**
+     * 再生中であれば、現在の実時間までに再生されるべきフレームをすべて返します。
+     * @param {number} now - 現在の実時間 (秒)。
+     * @returns {object[]} 記録順のフレーム。一時停止中は空の配列。
+     */
+    advance(now) {
+        if (!this.isPlaying) return [];
+        const sessionTime = this.sessionStartTime + (now - this.playbackStartTime);
+        const frames = [];
+        while (!this.isFinished() && this.frames[this.nextIndex].timestamp <= sessionTime) {
+            frames.push(this.frames[this.nextIndex++]);
+        }
+        if (this.isFinished()) this.isPlaying = false;
+        return frames;
+    }
+
+    /**
+     * 一時停止した状態で、次の1フレームを返します。
+     * @returns {object|null} 最後まで再生し終えている場合はnull。
+     */
+    step() {
+        this.isPlaying = false;
+        return this.isFinished() ? null : this.frames[this.nextIndex++];
+    }
+
+    /**
+     * すべてのフレームを再生し終えたかどうかを返します。
+     * @returns {boolean}
+     */
+    isFinished() {
+        return this.nextIndex >= this.frames.length;
+    }
+}
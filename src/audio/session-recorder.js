@@ -0,0 +1,152 @@
+/**
+ * @fileoverview セッションの記録
+ * @description
+ * このファイルは、ライブ入力の各フレームで分析器へ渡したデータと、その分析結果を記録し、
+ * ダウンロードできる1つのファイルにまとめる役割を担います。
+ * デコードがうまくいかなかった場面を、後から`SessionPlayer`で同じ入力のまま再現するために使います。
+ *
+ * 現在の戦略:
+ * 1. 【フレーム単位の記録】各フレームの時刻、AnalyserNodeの周波数データ、AudioWorkletの
+ *    トーンフレーム（使っている場合）、そしてその時の分析結果を、そのままの順序で記録します。
+ *    分析器へ渡したデータを漏れなく持つため、再生時に同じ分析・デコードを繰り返せます。
+ * 2. 【付随情報】サンプルレート・FFTサイズ・分析方式・対応表・調整用パラメータも一緒に保存し、
+ *    バグ報告を受けた側が記録時の条件を確認できるようにします。
+ * 3. 【生の音声】指定された場合は、`MediaRecorder`でマイクの音声も録音し、同じファイルに埋め込みます。
+ * 4. 【ファイル形式】周波数データはBase64文字列に変換し、全体を1つのJSONにします。
+ */
+
+/** セッションファイルの形式を表す識別子 */
+export const SESSION_FORMAT = 'micmorseinput-session';
+/** セッションファイルの形式のバージョン */
+export const SESSION_VERSION = 1;
+
+/**
+ * ライブ入力のフレームと分析結果を記録します。
+ */
+export class SessionRecorder {
+    constructor() {
+        /** @private {object|null} */
+        this.metadata = null;
+        /** @private {object[]} */
+        this.frames = [];
+        /** @private {MediaRecorder|null} */
+        this.mediaRecorder = null;
+        /** @private {Blob[]} */
+        this.audioChunks = [];
+    }
+
+    /**
+     * 記録を開始します。それまでの記録は破棄されます。
+     * @param {{sampleRate: number, fftSize: number, engine: string, codeTable: string, settings: Object<string, number>, calibration: object|null}} metadata
+     *   記録時の条件。ファイルにそのまま保存されます。
+     * @param {MediaStream|null} [audioStream=null] - 生の音声も録音する場合のマイクのストリーム。
+     */
+    start(metadata, audioStream = null) {
+        this.metadata = { ...metadata };
+        this.frames = [];
+        this.audioChunks = [];
+        this.mediaRecorder = null;
+
+        if (audioStream && typeof MediaRecorder !== 'undefined') {
+            this.mediaRecorder = new MediaRecorder(audioStream);
+            this.mediaRecorder.addEventListener('dataavailable', (event) => {
+                if (event.data.size > 0) this.audioChunks.push(event.data);
+            });
+            this.mediaRecorder.start();
+        }
+    }
+
+    /**
+     * 記録中かどうかを返します。
+     * @returns {boolean}
+     */
+    isRecording() {
+        return this.metadata !== null;
+    }
+
+    /**
+     * 1フレーム分の入力と、その分析結果を記録します。
+     * @param {{timestamp: number, frequencyData: Uint8Array, toneFrames: object[]|null}} frame - 分析器へ渡したデータ。
+     *   周波数データは複製して保持します。
+     * @param {{dominantFreqIndex: number, targetVolume: number, timestamp: number}[]} analysisResults - そのフレームの分析結果。
+     */
+    addFrame(frame, analysisResults) {
+        if (!this.isRecording()) return;
+        this.frames.push({
+            timestamp: frame.timestamp,
+            frequencyData: frame.frequencyData.slice(),
+            toneFrames: frame.toneFrames,
+            analysisResults
+        });
+    }
+
+    /**
+     * 記録を終了し、セッションファイルの内容を返します。
+     * @returns {Promise<Blob>} JSON形式のセッションファイル。
+     */
+    async stop() {
+        const audio = await this._stopAudioRecording();
+        const session = {
+            format: SESSION_FORMAT,
+            version: SESSION_VERSION,
+            createdAt: new Date().toISOString(),
+            ...this.metadata,
+            frames: this.frames.map(frame => ({
+                ...frame,
+                frequencyData: bytesToBase64(frame.frequencyData)
+            })),
+            audio
+        };
+
+        this.metadata = null;
+        this.frames = [];
+        this.audioChunks = [];
+        return new Blob([JSON.stringify(session)], { type: 'application/json' });
+    }
+
+    /**
+     * @private
+     * 生の音声の録音を終了し、ファイルに埋め込める形にします。
+     * @returns {Promise<{mimeType: string, data: string}|null>} 録音していなかった場合はnull。
+     */
+    async _stopAudioRecording() {
+        const recorder = this.mediaRecorder;
+        this.mediaRecorder = null;
+        if (!recorder) return null;
+
+        if (recorder.state !== 'inactive') {
+            await new Promise((resolve) => {
+                recorder.addEventListener('stop', resolve, { once: true });
+                recorder.stop();
+            });
+        }
+        const blob = new Blob(this.audioChunks, { type: recorder.mimeType });
+        return { mimeType: recorder.mimeType, data: bytesToBase64(new Uint8Array(await blob.arrayBuffer())) };
+    }
+}
+
+/**
+ * バイト列をBase64文字列に変換します。
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function bytesToBase64(bytes) {
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Base64文字列をバイト列に戻します。
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+export function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
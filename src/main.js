@@ -1,39 +1,518 @@
 /**
  * @fileoverview アプリケーションのエントリーポイント（開始点）
  * @description
- * このファイルは、アプリケーション全体の動作を統括します。
- * 各モジュール（AudioCapturer, MorseAnalyzer, MorseDecoder, UIRenderer, DomController）を初期化し、
- * それらを連携させる役割を担います。
+ * このファイルは、`index.html`の画面全体の動作を統括します。
+ * 音声の取得から描画までの流れを受け持つ`MorseInput`と、画面の各パネルの機能（DomController,
+ * SettingsStore, 練習・送信・記録など）を初期化し、それらを連携させる役割を担います。
  *
  * 現在の戦略:
- * 1. `requestAnimationFrame` を使ったメインループを生成します。
- * 2. ループの各フレームで、`AudioCapturer`から最新の音声データを取得します。
- * 3. 取得したデータを`MorseAnalyzer`に渡し、口笛の周波数や音量を分析させます。
- * 4. 分析された音量データを`MorseDecoder`に渡し、モールス信号として解釈させます。
- * 5. 生の音声データと分析結果を`UIRenderer`に渡し、Canvasへの描画を指示します。
+ * 1. `MorseInput`に`visualizer`のCanvasを渡し、マイクの音声の取得、`requestAnimationFrame`による
+ *    メインループ、`MorseAnalyzer`による分析、`MorseDecoder`によるデコード、`UIRenderer`による描画を任せます。
+ *    時間の判定はすべて`AudioContext`のクロックによる時刻に基づくため、画面のリフレッシュレートには依存しません。
+ * 2. この画面は、`<morse-input>`要素を使う他のページと同じく、`MorseInput`のイベントを受け取る側の1つです。
+ *    `textchange`で表示を更新し、`element`で練習の採点に使う区間を集め、`frame`で記録と校正にデータを渡します。
+ * 3. AudioWorkletの経路を選んだ場合は、前フレーム以降に届いた数ミリ秒間隔の測定結果がすべて分析され、
+ *    順にデコーダーへ渡されます。
+ * 4. デコーダーは直近数秒を再デコードし続けるモードで動作し、確定部分と暫定部分を返します。
+ *    複数の口笛を追跡する設定では、分析器のトラックごとに別のデコーダーが用意され、
+ *    それぞれの結果を別の行に表示します。
+ * 5. Canvasへの描画は`MorseInput`が作る`UIRenderer`が行い、タイミングの統計もそこから受け取ります。
  * 6. デコード結果を`DomController`に渡し、HTML上でのテキスト表示を更新します。
+ *    欧文/和文の対応表は選択欄から手動で切り替えられ、信号中の略符号DO/SNで切り替わった場合は
+ *    その結果を選択欄に反映します。
  * 7. `DomController`からのUIイベント（開始/停止ボタンのクリックなど）を待ち受け、
  *    アプリケーションの状態（録音中/停止中）を管理します。
+ * 8. 分析・デコードの調整用パラメータは`SettingsStore`が保持し（保存値とURLパラメータから復元）、
+ *    設定パネルで変更された値は、キャプチャ中でも`MorseInput.updateParams`で分析器・デコーダーへ即座に反映します。
+ * 9. 記録を有効にすると、各フレームで分析器へ渡したデータと分析結果を`SessionRecorder`に記録し、
+ *    停止時にセッションファイルとしてダウンロードさせます。セッションファイルが選ばれた場合は、
+ *    `SessionPlayer`から取り出したフレームをライブ入力と同じ`MorseInput.processFrame`に通して再生します。
+ * 10. 音声ファイルが選ばれた場合は、`AudioFileAnalyzer`でファイル全体をオフラインで分析し、
+ *    ライブ入力と同じ`MorseAnalyzer` → `MorseDecoder`の流れで処理します。ファイルごとに新しい
+ *    分析器・デコーダーを作るため、同じファイルからは常に同じ結果が得られます。
+ *    結果はタイムラインとして`UIRenderer`に渡し、スクロールして全体を確認できるようにします。
+ * 11. 校正を始めると、キャプチャ中の生の周波数データを`NoiseCalibrator`にも渡し、無音と口笛を順に測ります。
+ *    校正結果は`CalibrationStore`に保存して次回も使い、ライブ入力の分析器に適用します。口笛を測れた場合は、
+ *    その音高から探索する音域を、強さから音量閾値の下限を決めて設定にも反映します。
+ *    セッションの記録には校正結果も含め、再生時は記録時と同じ校正結果で分析します。
+ * 12. 練習モードでは、課題を出すたびに1本目のトラックのデコーダーのテキストを消去し、採点時に
+ *    デコード結果と、`element`イベントで集めた区間を`morse-trainer.js`で課題と比べます。セッションを終えると、その成績を
+ *    `TrainingHistoryStore`に保存します。
+ * 13. 送信パネルでは、入力したテキストを`MorsePlayer`で再生します。ループバックを選んだ場合は、
+ *    マイクの代わりに`MorseInput.startLoopback`の入力へ再生音をつなぎ、ライブ入力と同じ
+ *    分析・デコードの流れを通します。送ったテキストとデコード結果が同じ符号になるかを表示します。
+ * 14. タイミングのパネルが開いている間は、`UIRenderer`が音量履歴から求めた区間の統計を毎フレーム表示します。
+ *    速度や長さの比は、練習モードの採点と同じく分析の窓による音ありの伸びを補正して求めます。
+ * 15. デコード結果は文字ごとの確からしさと別の候補を付けて表示し、利用者が候補を選ぶと、
+ *    そのトラックのデコーダーの確定済みの文字を置き換えます。一覧を開いた後に確定部分が変わっていれば置き換えません。
+ * 16. デコーダーが編集コマンドの略符号を解釈するため、訂正・改行・全消去は信号だけで行えます。
+ *    各コマンドの略符号と訂正で削除する単位は設定パネルで選べ、口述入力の訂正も同じ単位に従います。
+ *    終わりの略符号を設定した場合、それで終わったメッセージは、`message`イベントで受け取って一覧に表示します。
+ * 17. 口述入力を有効にすると、1本目のトラックの`character`・`word`イベントを`Dictation`に渡し、
+ *    選ばれた入力欄へ確定した文字を書き込みます。終わったメッセージをクリップボードにコピーすることもできます
+ *    （終わりの略符号を設定している間だけ選べます）。
+ * 18. ライブ入力の描画を固定しても、キャプチャとデコードは続けます。固定中は、音声ファイルのタイムラインと
+ *    同じスライダーで保持している履歴をさかのぼれます。音声ファイルや記録したセッションに切り替えると固定を解除します。
+ * 19. デコード結果はJSON・CSV・字幕として書き出せます。描画をマイクの音声と一緒に動画として録画した場合、
+ *    字幕の時刻は録画の開始を基準にし、動画にそのまま重ねられるようにします。
+ * 20. マイクの選択と音声処理の有無は`AudioInputStore`に保存し、次に開いたときも同じマイクの設定で始めます。
+ *    マイクの一覧は、使用を許可された後と`devicechange`イベントのたびに更新します。使っていたマイクが
+ *    外された場合は、既定のマイクに切り替えてキャプチャを続けます。
  */
 
-import { AudioCapturer } from './audio/audio-capturer.js';
+import { AudioFileAnalyzer } from './audio/audio-file-analyzer.js';
+import { listAudioInputDevices } from './audio/audio-capturer.js';
+import { SessionRecorder } from './audio/session-recorder.js';
+import { SessionPlayer } from './audio/session-player.js';
+import { MorsePlayer } from './audio/morse-player.js';
 import * as DomController from './ui/dom-controller.js';
-import { UIRenderer } from './ui/ui-renderer.js';
-import { MorseAnalyzer } from './morse/morse-analyzer.js';
-import { MorseDecoder } from './morse/morse-decoder.js';
+import { TimingHistogram } from './ui/timing-histogram.js';
+import { SettingsStore } from './ui/settings-store.js';
+import { CalibrationStore } from './ui/calibration-store.js';
+import { TrainingHistoryStore } from './ui/training-history-store.js';
+import { AudioInputStore } from './ui/audio-input-store.js';
+import { NoiseCalibrator } from './morse/noise-calibrator.js';
+import { createTarget, scoreAttempt, summarizeSession } from './morse/morse-trainer.js';
+import { textToElements } from './morse/morse-encoder.js';
+import { Dictation } from './ui/dictation.js';
+import { VideoRecorder } from './ui/video-recorder.js';
+import { EXPORT_FORMATS } from './ui/transcript-export.js';
+import { MorseInput } from './morse-input.js';
 
 class App {
     constructor() {
-        this.audioCapturer = new AudioCapturer();
-        this.renderer = null;
-        this.analyzer = null;
-        this.decoder = null;
-        this.animationFrameId = null;
+        const histogramCanvas = document.getElementById('timingHistogram');
+        this.timingHistogram = histogramCanvas ? new TimingHistogram(histogramCanvas) : null;
+        this.isShowingFile = false;
 
-        this.timeDomainData = null;
-        this.frequencyData = null;
+        this.settings = new SettingsStore();
+        this.settings.load();
+
+        this.calibrationStore = new CalibrationStore();
+        this.calibration = this.calibrationStore.load();
+        this.calibrator = null; // 校正している間のみ設定される
+
+        this.audioInputStore = new AudioInputStore();
+        const audioOptions = this.audioInputStore.load();
+
+        // 音声の取得・分析・デコード・描画の流れ
+        this.input = new MorseInput({
+            canvas: document.getElementById('visualizer'),
+            settings: this.settings.getValues(),
+            codeTable: DomController.getSelectedCodeTable(),
+            calibration: this.calibration,
+            audio: audioOptions
+        });
+        this.input.addEventListener('textchange', () => this._showDecodedText());
+        this.input.addEventListener('message', (event) => {
+            DomController.appendCompletedMessages([event.detail.text]);
+            if (event.detail.track === 0 && DomController.isMessageCopyRequested()) {
+                DomController.copyTextToClipboard(event.detail.text);
+            }
+        });
+        this.input.addEventListener('character', (event) => {
+            if (event.detail.track === 0 && DomController.isDictationEnabled()) this.dictation.handleCharacter(event.detail);
+        });
+        this.input.addEventListener('word', (event) => {
+            if (event.detail.track === 0 && DomController.isDictationEnabled()) this.dictation.handleWord();
+        });
+        this.input.addEventListener('element', (event) => {
+            if (this.trainingTarget && event.detail.track === 0) this.trainingRuns.push(event.detail);
+        });
+        this.input.addEventListener('frame', (event) => this._handleFrame(event.detail));
+
+        // 口述入力の書き込み先への書き込み。訂正で削除する単位はデコーダーと同じ設定に従う
+        this.dictation = new Dictation({ errorDeletes: this.settings.getValues().errorDeletes });
+
+        this.trainingHistory = new TrainingHistoryStore();
+        this.trainingTarget = null; // 採点待ちの課題。出題していない間はnull
+        this.trainingRuns = []; // 課題を出してからの、1本目のトラックの音あり/音なしの区間
+        this.trainingSource = null; // 現在の練習セッションの出題方法
+        this.trainingAttempts = []; // 現在の練習セッションで採点した試技
+
+        this.playbackContext = null; // 送信パネルの再生用。初回の再生時に作る
+        this.morsePlayer = null; // 再生中の送信パネルの音声
+
+        this.sessionRecorder = new SessionRecorder();
+        this.sessionPlayer = null; // 記録したセッションを再生している間のみ設定される
+        this.replayAnimationFrameId = null;
+        this.replayTimeDomainData = null;
+        this.replayMismatchCount = 0;
+
+        this.videoRecorder = new VideoRecorder();
+        this.videoStartTime = null; // 動画の録画を始めた時刻。録画していない入力ではnull
 
         DomController.initialize(this.handleStateChange.bind(this), 'visualizer');
+        DomController.initializeFileInput(this.handleFileSelected.bind(this));
+        DomController.initializeAudioInputPanel(audioOptions, this.handleAudioInputChange.bind(this));
+        this._refreshAudioDevices();
+        if (navigator.mediaDevices) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this._handleDeviceChange());
+        }
+        DomController.initializeTimelineScroll((viewEndTime) => {
+            if (this.input.renderer) this.input.renderer.scrollTo(viewEndTime);
+        });
+        DomController.initializeVisualizerControls(
+            this.handleFreezeToggle.bind(this),
+            this.handleViewDurationChange.bind(this),
+            (point) => {
+                if (this.input.renderer) this.input.renderer.setCursor(point);
+            }
+        );
+        DomController.initializeCodeTableSelect((table) => this.input.setCodeTable(table));
+        DomController.initializeAlternativePicker((trackIndex, characterIndex, revision, text) => {
+            const decoder = this.input.decoders[trackIndex];
+            if (!decoder) return;
+            // 一覧を開いている間に文字が増えたり編集されたりした場合は、別の文字を置き換えないよう何もしない
+            if (!decoder.replaceCharacter(characterIndex, text, revision)) return;
+            this._showDecodedText();
+        });
+        DomController.initializeDictationPanel((element) => this.dictation.setTarget(element));
+        DomController.initializeExportControls(
+            this.handleExport.bind(this),
+            VideoRecorder.isSupported() ? this.handleVideoToggle.bind(this) : null
+        );
+        DomController.initializeSessionControls(
+            this.handleRecordToggle.bind(this),
+            this.handleSessionSelected.bind(this),
+            this.handleReplayPlayPause.bind(this),
+            this.handleReplayStep.bind(this)
+        );
+        DomController.initializeSettingsPanel(
+            this.settings.definitions,
+            this.settings.getValues(),
+            this.handleSettingChange.bind(this),
+            this.handleSettingsReset.bind(this),
+            () => this.settings.toShareUrl()
+        );
+        this._updateMessageCopyAvailability();
+        DomController.initializeCalibrationControls(
+            this.handleCalibrate.bind(this),
+            this.handleClearCalibration.bind(this)
+        );
+        DomController.updateCalibrationStatus(this._describeCalibration());
+        DomController.initializeTrainingPanel(
+            this.handleTrainingNext.bind(this),
+            this.handleTrainingCheck.bind(this),
+            this.handleTrainingEnd.bind(this)
+        );
+        DomController.showTrainingHistory(this.trainingHistory.load());
+        DomController.initializeTimingPanel(this._showTimingStatistics.bind(this));
+        DomController.initializeEncoderPanel(
+            this.handleEncoderPlay.bind(this),
+            this.handleEncoderStop.bind(this)
+        );
+    }
+
+    /**
+     * 送信パネルのテキストをモールス信号として再生します。ループバックが選ばれていれば自己診断を行います。
+     */
+    async handleEncoderPlay() {
+        const options = DomController.getEncoderOptions();
+        if (textToElements(options.text).length === 0) {
+            alert('送信するテキストを入力してください。');
+            return;
+        }
+        if (options.loopback) {
+            await this._runLoopbackTest(options);
+            return;
+        }
+
+        if (!this.playbackContext) this.playbackContext = new AudioContext();
+        this.morsePlayer = new MorsePlayer(this.playbackContext);
+        DomController.updateEncoderState(true, false);
+        try {
+            await this.morsePlayer.play(options.text, options);
+        } catch (error) {
+            console.error('Error playing Morse code:', error);
+            alert('モールス信号の再生に失敗しました。');
+        } finally {
+            DomController.updateEncoderState(false, false);
+        }
+    }
+
+    /**
+     * 送信パネルの再生（ループバックを含む）を止めます。
+     */
+    handleEncoderStop() {
+        if (this.morsePlayer) this.morsePlayer.stop();
+    }
+
+    /**
+     * @private
+     * 再生音をマイクの代わりに分析へ入力し、デコード結果が送ったテキストと一致するかを確かめます。
+     * 環境ノイズは無いため、校正結果は適用しません。
+     * @param {{text: string, pitch: number, wpm: number, farnsworthWpm: number|null, timbre: string}} options
+     */
+    async _runLoopbackTest(options) {
+        if (this.input.isCapturing) {
+            alert('マイク入力を停止してからループバックを実行してください。');
+            return;
+        }
+
+        DomController.updateEncoderState(true, true);
+        DomController.showLoopbackResult(null);
+        try {
+            await this.input.startLoopback(DomController.getSelectedEngine());
+            this._leaveRecordedInput();
+
+            const audioCapturer = this.input.audioCapturer;
+            const audioContext = audioCapturer.getAudioContext();
+            this.morsePlayer = new MorsePlayer(audioContext);
+            await this.morsePlayer.play(options.text, options, [audioCapturer.getLoopbackInput(), audioContext.destination]);
+            // 最後の文字が確定するまで、無音のまま分析を続ける
+            await new Promise(resolve => setTimeout(resolve, 1000));
+
+            this.input.flush();
+            const decoded = this.input.getText().trim();
+            DomController.showLoopbackResult({
+                expected: options.text,
+                decoded,
+                // 表記の違い（大文字/小文字や濁点の合成など）を除くため、符号の列どうしで比べる
+                isMatch: JSON.stringify(textToElements(decoded)) === JSON.stringify(textToElements(options.text))
+            });
+        } catch (error) {
+            console.error('Error running loopback test:', error);
+            alert('ループバックの実行に失敗しました。');
+        } finally {
+            this.input.stop();
+            DomController.updateEncoderState(false, false);
+        }
+    }
+
+    /**
+     * 新しい練習の課題を出し、デコード結果を消去して吹き始めるのを待ちます。
+     */
+    handleTrainingNext() {
+        if (!this.input.isCapturing) {
+            alert('マイク入力を開始してから課題を出してください。');
+            return;
+        }
+        const options = DomController.getTrainingOptions();
+        const target = createTarget(options);
+        if (!target) {
+            alert('練習するテキストを入力してください。');
+            return;
+        }
+
+        this.trainingSource = options.source;
+        this.input.clearText(0);
+        this.trainingTarget = target;
+        this.trainingRuns = [];
+        DomController.showTrainingTarget(target);
+        DomController.updateTrainingState(true, this.trainingAttempts.length > 0);
+    }
+
+    /**
+     * 課題を出してからのデコード結果と区間の記録を採点し、結果を表示します。
+     */
+    handleTrainingCheck() {
+        if (!this.trainingTarget || !this.input.decoders[0]) return;
+
+        this.input.flush();
+        const result = scoreAttempt(
+            this.trainingTarget, this.input.getText(), this.trainingRuns, this.input.decoders[0].ditTime,
+            this._getMarkLengthening()
+        );
+        this.trainingAttempts.push(result);
+        this.trainingTarget = null;
+        this.trainingRuns = [];
+
+        DomController.showTrainingResult(result);
+        DomController.showTrainingSession(summarizeSession(this.trainingAttempts));
+        DomController.updateTrainingState(false, true);
+    }
+
+    /**
+     * 現在の練習セッションを終え、その成績を履歴に保存します。
+     */
+    handleTrainingEnd() {
+        const summary = summarizeSession(this.trainingAttempts);
+        if (summary.attemptCount === 0) return;
+
+        const entries = this.trainingHistory.add({
+            date: new Date().toISOString(),
+            source: this.trainingSource,
+            ...summary
+        });
+        this.trainingAttempts = [];
+        this.trainingTarget = null;
+        DomController.showTrainingTarget('');
+        DomController.showTrainingSession(summary);
+        DomController.showTrainingHistory(entries);
+        DomController.updateTrainingState(false, false);
+    }
+
+    /**
+     * @private
+     * 分析の窓によって音ありが実際より伸びて測られる長さを返します。
+     * AnalyserNodeの経路（と音声ファイルの分析）では、窓（の実効的な長さ）の分だけ伸びる。
+     * @returns {number} 伸びる長さ (秒)。
+     */
+    _getMarkLengthening() {
+        const analyzer = this.input.analyzer;
+        if (!analyzer) return 0;
+        const engine = this.sessionPlayer ? this.sessionPlayer.getMetadata().engine
+            : this.isShowingFile ? 'analyser' : this.input.audioCapturer.getEngine();
+        if (engine === 'worklet') return 0;
+        return 0.75 * analyzer.fftSize / analyzer.sampleRate;
+    }
+
+    /**
+     * @private
+     * タイミングの統計とヒストグラムを更新します。パネルが閉じている間は何もしません。
+     */
+    _showTimingStatistics() {
+        if (!this.input.renderer || !DomController.isTimingPanelOpen()) return;
+        const statistics = this.input.renderer.getTimingStatistics(this._getMarkLengthening());
+        if (!statistics) return;
+        DomController.updateTimingStatistics(statistics);
+        if (this.timingHistogram) this.timingHistogram.render(statistics);
+    }
+
+    /**
+     * 設定パネルで変更されたパラメータを保存し、動作中の分析器・デコーダーへ反映します。
+     * @param {string} key - パラメータ名。
+     * @param {number|string} value - 新しい値。
+     */
+    handleSettingChange(key, value) {
+        const normalized = this.settings.set(key, value);
+        if (normalized === undefined) return;
+        this.input.updateParams({ [key]: normalized });
+        if (key === 'errorDeletes') this.dictation.errorDeletes = normalized;
+        if (key === 'endOfMessageProsign') this._updateMessageCopyAvailability();
+    }
+
+    /**
+     * すべてのパラメータを既定値に戻し、設定パネルと分析器・デコーダーへ反映します。
+     */
+    handleSettingsReset() {
+        const values = this.settings.reset();
+        DomController.updateSettingsPanel(values);
+        this.input.updateParams(values);
+        this.dictation.errorDeletes = values.errorDeletes;
+        this._updateMessageCopyAvailability();
+    }
+
+    /**
+     * @private
+     * 終わりの略符号が設定されている間だけ、終わったメッセージのコピーを選べるようにします。
+     */
+    _updateMessageCopyAvailability() {
+        DomController.updateMessageCopyAvailability(this.settings.getValues().endOfMessageProsign !== 'off');
+    }
+
+    /**
+     * 校正を開始します。キャプチャ中のみ開始できます。
+     */
+    handleCalibrate() {
+        if (!this.input.isCapturing) return;
+
+        const audioCapturer = this.input.audioCapturer;
+        this.calibrator = new NoiseCalibrator(
+            { sampleRate: audioCapturer.getAudioContext().sampleRate, fftSize: audioCapturer.getAnalyser().fftSize },
+            { measureWhistle: DomController.isWhistleCalibrationRequested() }
+        );
+        DomController.updateCalibrationStatus('静かにしてください...');
+    }
+
+    /**
+     * 保存された校正結果を消去し、分析器を校正していない状態に戻します。
+     */
+    handleClearCalibration() {
+        this.calibrator = null;
+        this.calibration = null;
+        this.calibrationStore.clear();
+        this.input.setCalibration(null);
+        DomController.updateCalibrationStatus(this._describeCalibration());
+    }
+
+    /**
+     * @private
+     * 校正中に毎フレーム呼び出され、生の周波数データを校正器へ渡して進み具合を表示します。
+     * @param {{timestamp: number, frequencyData: Uint8Array}} frame - ライブ入力のフレーム。
+     */
+    _updateCalibration(frame) {
+        const phase = this.calibrator.addFrame(frame.frequencyData, frame.timestamp);
+        if (phase === 'done') {
+            this._finishCalibration();
+            return;
+        }
+        const remaining = this.calibrator.getRemainingTime().toFixed(1);
+        DomController.updateCalibrationStatus(phase === 'noise'
+            ? `静かにしてください... 残り${remaining}秒`
+            : `一定の高さで口笛を吹いてください... 残り${remaining}秒`);
+    }
+
+    /**
+     * @private
+     * 校正結果を保存して分析器に適用し、口笛を測れた場合は探索する音域と音量閾値の下限も設定します。
+     */
+    _finishCalibration() {
+        const calibration = this.calibrator.getResult();
+        this.calibrator = null;
+        this.calibration = calibration;
+        this.calibrationStore.save(calibration);
+        this.input.setCalibration(calibration);
+
+        if (calibration.whistle) {
+            // 一定の高さで吹いた音域を、前後に半オクターブほど広げて探索する音域とする
+            const values = {
+                minFrequency: Math.floor(calibration.whistle.minFrequency * 0.7 / 50) * 50,
+                maxFrequency: Math.ceil(calibration.whistle.maxFrequency * 1.4 / 50) * 50,
+                // 音量は帯域の平均で測るためピークより小さくなることを見込み、口笛の強さの1/4を下限とする
+                minVolumeThreshold: Math.round(calibration.whistle.level / 4)
+            };
+            for (const [key, value] of Object.entries(values)) {
+                this.settings.set(key, value);
+            }
+            const normalized = this.settings.getValues();
+            DomController.updateSettingsPanel(normalized);
+            this.input.updateParams(normalized);
+        }
+        DomController.updateCalibrationStatus(this._describeCalibration());
+    }
+
+    /**
+     * @private
+     * 現在の校正結果を説明する文言を返します。
+     * @returns {string}
+     */
+    _describeCalibration() {
+        if (!this.calibration) return '未校正';
+        const floor = this.calibration.noiseFloor;
+        const averageFloor = floor.reduce((sum, value) => sum + value, 0) / floor.length;
+        let text = `校正済み（ノイズフロア平均 ${averageFloor.toFixed(1)}`;
+        if (this.calibration.whistle) {
+            const { minFrequency, maxFrequency } = this.calibration.whistle;
+            text += `、口笛 ${Math.round(minFrequency)}〜${Math.round(maxFrequency)} Hz`;
+        }
+        return `${text}）`;
+    }
+
+    /**
+     * @private
+     * すべてのトラックのデコード結果を画面に表示します。
+     */
+    _showDecodedText() {
+        DomController.updateOutput(this.input.decoders.map(decoder => ({
+            ...decoder.getDecodedText(),
+            characters: decoder.getDecodedCharacters()
+        })));
+        DomController.updateCodeTable(this.input.getCodeTable());
+    }
+
+    /**
+     * @private
+     * 1フレーム分の分析とデコードが終わるたびに呼び出され、ライブ入力であれば記録と校正にも渡します。
+     * @param {{frame: {timestamp: number, frequencyData: Uint8Array, toneFrames: object[]|null}, analysisResults: object[]}} detail
+     */
+    _handleFrame({ frame, analysisResults }) {
+        DomController.updateCodeTable(this.input.getCodeTable());
+        this._showTimingStatistics();
+        if (!this.input.isCapturing) return;
+        this.sessionRecorder.addFrame(frame, analysisResults);
+        if (this.calibrator) this._updateCalibration(frame);
     }
 
     /**
@@ -43,70 +522,375 @@ class App {
     async handleStateChange(isStarting) {
         if (isStarting) {
             try {
-                await this.audioCapturer.start();
-                
-                const analyserNode = this.audioCapturer.getAnalyser();
-                if (analyserNode) {
-                    const audioContext = this.audioCapturer.getAudioContext();
-                    const audioParams = {
-                        sampleRate: audioContext.sampleRate,
-                        fftSize: analyserNode.fftSize
-                    };
-
-                    if (!this.analyzer) {
-                        this.analyzer = new MorseAnalyzer(audioParams);
-                    }
-                    if (!this.decoder) {
-                        this.decoder = new MorseDecoder({
-                            framesPerSecond: 60, // おおよその値
-                            volumeThreshold: 40,
-                            ditTime: 0.12
-                        });
-                    }
-                    if (!this.renderer) {
-                        const canvas = document.getElementById('visualizer');
-                        this.renderer = new UIRenderer(canvas, audioParams, this.decoder);
-                    }
-
-                    this.timeDomainData = new Uint8Array(analyserNode.fftSize);
-                    this.frequencyData = new Uint8Array(analyserNode.frequencyBinCount);
-                }
-                
-                this.update();
+                await this.input.start(DomController.getSelectedEngine());
+                this._leaveRecordedInput();
+                // 使用を許可された後は、マイクの名前を含む一覧が得られる
+                this._syncAudioInput();
             } catch (error) {
+                // 使用許可を待つ間に停止された場合は、マイクは閉じられており失敗ではない
+                if (error.name === 'AbortError') return;
                 console.error('Error accessing microphone:', error);
                 alert('マイクの取得に失敗しました。アクセスを許可してください。');
             }
         } else {
-            this.audioCapturer.stop();
-            if (this.animationFrameId) {
-                cancelAnimationFrame(this.animationFrameId);
-                this.animationFrameId = null;
+            if (this.sessionRecorder.isRecording()) {
+                await this._finishRecording();
+            }
+            if (this.videoRecorder.isRecording()) {
+                await this._finishVideoRecording();
             }
+            if (this.calibrator) {
+                this.calibrator = null;
+                DomController.updateCalibrationStatus(this._describeCalibration());
+            }
+            this.input.stop();
+            DomController.updateAudioTrackSettings(null);
         }
     }
 
     /**
-     * 毎フレーム呼び出される更新処理。
+     * マイクの設定の変更を保存し、キャプチャ中であればすぐに反映します。
+     * @param {{deviceId: string|null, echoCancellation: boolean, noiseSuppression: boolean, autoGainControl: boolean}} values
      */
-    update() {
-        const analyser = this.audioCapturer.getAnalyser();
-        if (analyser && this.analyzer) {
-            analyser.getByteTimeDomainData(this.timeDomainData);
-            analyser.getByteFrequencyData(this.frequencyData);
+    async handleAudioInputChange(values) {
+        try {
+            await this.input.setAudioOptions(values);
+        } catch (error) {
+            console.warn('Failed to apply audio input settings:', error);
+        }
+        this._syncAudioInput();
+    }
 
-            const analysisResult = this.analyzer.analyze(this.frequencyData);
+    /**
+     * @private
+     * `AudioCapturer`が実際に使っているマイクの設定を保存し、選択欄とトラックの設定の表示に反映します。
+     * 選んでいたマイクが見つからず既定のマイクで開いた場合も、表示と保存した設定が実際と食い違わないようにします。
+     */
+    _syncAudioInput() {
+        this.audioInputStore.save(this.input.audioCapturer.getAudioOptions());
+        this._refreshAudioDevices();
+        DomController.updateAudioTrackSettings(this.input.audioCapturer.getTrackSettings());
+    }
 
-            if (this.decoder) {
-                this.decoder.process(analysisResult.targetVolume);
-                const decodedText = this.decoder.getDecodedText();
-                DomController.updateOutput(decodedText);
-            }
+    /**
+     * @private
+     * 入力デバイスの一覧を取得し、マイクの選択欄に反映します。
+     */
+    async _refreshAudioDevices() {
+        try {
+            const devices = await listAudioInputDevices();
+            DomController.updateAudioDevices(devices, this.input.audioCapturer.getAudioOptions().deviceId);
+        } catch (error) {
+            console.warn('Failed to list audio input devices:', error);
+        }
+    }
+
+    /**
+     * @private
+     * マイクが接続・切断されたときに、一覧を更新します。使っていたマイクが外された場合は、開き直します
+     * （`AudioCapturer`が既定のマイクに切り替えます）。
+     */
+    async _handleDeviceChange() {
+        await this._refreshAudioDevices();
+        if (!this.input.isCapturing || !this.input.audioCapturer.isMicrophoneEnded()) return;
+        try {
+            await this.input.setAudioOptions({});
+        } catch (error) {
+            console.warn('Failed to reopen the microphone:', error);
+        }
+        this._syncAudioInput();
+    }
+
+    /**
+     * @private
+     * 音声ファイルの結果やセッションの再生を表示していた場合に、その表示を終えます。
+     * 分析器・デコーダーは、ライブ入力を始めたときに`MorseInput`が作り直します。
+     */
+    _leaveRecordedInput() {
+        this._stopReplay();
+        this.isShowingFile = false;
+        this.videoStartTime = null;
+        this._setVisualizerFrozen(false);
+    }
+
+    /**
+     * ライブ入力の描画の固定/解除の要求を処理します。音声ファイルの表示中は何もしません。
+     */
+    handleFreezeToggle() {
+        const renderer = this.input.renderer;
+        if (this.isShowingFile || !renderer) return;
+        this._setVisualizerFrozen(!renderer.isFrozen);
+    }
+
+    /**
+     * 表示範囲の長さの変更を反映します。
+     * @param {number} seconds - 表示範囲の長さ (秒)。
+     */
+    handleViewDurationChange(seconds) {
+        this.input.setViewDuration(seconds);
+        this._updateTimelineScroll();
+    }
+
+    /**
+     * @private
+     * 描画を固定または解除し、固定ボタンとスクロール用スライダーの表示を合わせます。
+     * @param {boolean} isFrozen
+     */
+    _setVisualizerFrozen(isFrozen) {
+        const renderer = this.input.renderer;
+        if (renderer) renderer.setFrozen(isFrozen);
+        DomController.updateFreezeState(Boolean(renderer && renderer.isFrozen));
+        this._updateTimelineScroll();
+    }
+
+    /**
+     * @private
+     * スクロール用スライダーを、音声ファイルの表示中と描画の固定中だけ、履歴の範囲に合わせて表示します。
+     */
+    _updateTimelineScroll() {
+        const renderer = this.input.renderer;
+        if (!renderer || !(this.isShowingFile || renderer.isFrozen)) {
+            DomController.hideTimelineScroll();
+            return;
+        }
+        const { startTime, endTime } = renderer.getHistoryRange();
+        DomController.showTimelineScroll(endTime, renderer.historyDuration, startTime, renderer.getViewEndTime());
+    }
 
-            this.renderer.render(this.timeDomainData, this.frequencyData, analysisResult);
+    /**
+     * 選択された音声ファイルをオフラインで分析・デコードし、結果をタイムラインとして表示します。
+     * @param {File} file - 選択された音声ファイル。
+     */
+    async handleFileSelected(file) {
+        if (this.input.isCapturing) {
+            alert('マイク入力を停止してから音声ファイルを選択してください。');
+            return;
         }
 
-        this.animationFrameId = requestAnimationFrame(this.update.bind(this));
+        try {
+            DomController.updateOutput([{ committed: '', provisional: '解析中...' }]);
+            const fileAnalyzer = new AudioFileAnalyzer();
+            const audioBuffer = await fileAnalyzer.decode(await file.arrayBuffer());
+
+            this._stopReplay();
+            this.videoStartTime = null;
+            this._setVisualizerFrozen(false);
+            this.input.reset({ sampleRate: audioBuffer.sampleRate, fftSize: fileAnalyzer.fftSize });
+            this.isShowingFile = true;
+            const renderer = this.input.renderer;
+            renderer.startTimeline(audioBuffer);
+
+            await fileAnalyzer.analyze(audioBuffer, (frequencyData, timestamp) => {
+                const analysisResult = this.input.analyzer.analyze(frequencyData, timestamp);
+                this.input.decodeAnalysisResult(analysisResult);
+                renderer.appendTimelineFrame(frequencyData, analysisResult);
+            });
+            this.input.flush();
+
+            renderer.showTimelineAt(Math.min(audioBuffer.duration, renderer.historyDuration));
+            this._updateTimelineScroll();
+            this._showTimingStatistics();
+        } catch (error) {
+            console.error('Error decoding audio file:', error);
+            alert('音声ファイルの読み込みに失敗しました。');
+        }
+    }
+
+    /**
+     * 記録の開始/停止の要求を処理します。キャプチャ中のみ記録を開始できます。
+     * 記録を開始すると、再生時と同じ初期状態から分析が始まるよう、分析器・デコーダーを作り直します。
+     */
+    async handleRecordToggle() {
+        if (this.sessionRecorder.isRecording()) {
+            await this._finishRecording();
+            return;
+        }
+        if (!this.input.isCapturing) return;
+
+        const audioCapturer = this.input.audioCapturer;
+        const audioParams = { sampleRate: audioCapturer.getAudioContext().sampleRate, fftSize: audioCapturer.getAnalyser().fftSize };
+        this._setVisualizerFrozen(false);
+        this.input.reset(audioParams, this.calibration);
+        this.sessionRecorder.start({
+            ...audioParams,
+            engine: audioCapturer.getEngine(),
+            codeTable: this.input.getCodeTable(),
+            settings: this.settings.getValues(),
+            calibration: this.calibration
+        }, DomController.isAudioRecordingRequested() ? audioCapturer.getMediaStream() : null);
+        DomController.updateRecordingState(true);
+    }
+
+    /**
+     * @private
+     * 記録を終了し、セッションファイルをダウンロードさせます。
+     */
+    async _finishRecording() {
+        DomController.updateRecordingState(false);
+        const blob = await this.sessionRecorder.stop();
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        DomController.downloadBlob(blob, `morse-session-${stamp}.json`);
+    }
+
+    /**
+     * デコード結果を選ばれた形式で書き出し、ファイルとしてダウンロードさせます。
+     * @param {string} format - 'json'・'csv'・'srt'・'vtt' のいずれか。
+     */
+    handleExport(format) {
+        const { mimeType, extension } = EXPORT_FORMATS[format];
+        const isCaption = format === 'srt' || format === 'vtt';
+        const text = this.input.exportTranscript(format, { origin: isCaption ? this.videoStartTime ?? 0 : 0 });
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        DomController.downloadBlob(new Blob([text], { type: mimeType }), `morse-transcript-${stamp}.${extension}`);
+    }
+
+    /**
+     * 動画の録画の開始/停止の要求を処理します。マイクの音声も録音するため、キャプチャ中のみ開始できます。
+     */
+    async handleVideoToggle() {
+        if (this.videoRecorder.isRecording()) {
+            await this._finishVideoRecording();
+            return;
+        }
+        if (!this.input.isCapturing || !this.input.canvas) return;
+
+        const latestAnalysisResult = this.input.latestAnalysisResult;
+        this.videoStartTime = latestAnalysisResult ? latestAnalysisResult.timestamp : 0;
+        this.videoRecorder.start(this.input.canvas, this.input.audioCapturer.getMediaStream());
+        DomController.updateVideoRecordingState(true);
+    }
+
+    /**
+     * @private
+     * 動画の録画を終了し、動画ファイルをダウンロードさせます。
+     */
+    async _finishVideoRecording() {
+        DomController.updateVideoRecordingState(false);
+        const blob = await this.videoRecorder.stop();
+        if (!blob) return;
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        DomController.downloadBlob(blob, `morse-video-${stamp}.${blob.type.includes('mp4') ? 'mp4' : 'webm'}`);
+    }
+
+    /**
+     * 選択されたセッションファイルを読み込み、記録時と同じ流れで再生する準備をします。
+     * @param {File} file - セッションファイル。
+     */
+    async handleSessionSelected(file) {
+        if (this.input.isCapturing) {
+            alert('マイク入力を停止してからセッションファイルを選択してください。');
+            return;
+        }
+
+        try {
+            const player = await SessionPlayer.fromFile(file);
+            this._stopReplay();
+            this.sessionPlayer = player;
+
+            const metadata = player.getMetadata();
+            const audioParams = player.getAudioParams();
+            DomController.updateCodeTable(metadata.codeTable);
+            this.input.setCodeTable(metadata.codeTable);
+            this.videoStartTime = null;
+            this._setVisualizerFrozen(false);
+            this.input.reset(audioParams, metadata.calibration ?? null);
+            this.isShowingFile = false;
+            DomController.hideTimelineScroll();
+            DomController.updateOutput([{ committed: '', provisional: '' }]);
+            this.replayTimeDomainData = new Uint8Array(audioParams.fftSize).fill(128);
+            this.replayMismatchCount = 0;
+
+            DomController.showReplayControls();
+            this.handleReplayPlayPause();
+        } catch (error) {
+            console.error('Error loading session file:', error);
+            alert('セッションファイルの読み込みに失敗しました。');
+        }
+    }
+
+    /**
+     * 再生中なら一時停止し、一時停止中なら再生を再開します。
+     */
+    handleReplayPlayPause() {
+        const player = this.sessionPlayer;
+        if (!player) return;
+
+        if (player.isPlaying) {
+            player.pause();
+        } else {
+            player.play(performance.now() / 1000);
+            if (!this.replayAnimationFrameId) this._updateReplay();
+        }
+        DomController.updateReplayState(player.isPlaying);
+    }
+
+    /**
+     * 再生を一時停止し、次の1フレームだけを処理します。
+     */
+    handleReplayStep() {
+        const player = this.sessionPlayer;
+        if (!player) return;
+
+        const frame = player.step();
+        if (frame) this._replayFrame(frame);
+        DomController.updateReplayState(false);
+        if (player.isFinished()) this._finishReplay();
+    }
+
+    /**
+     * @private
+     * 再生中に毎フレーム呼び出され、実時間までに再生されるべきフレームを処理します。
+     */
+    _updateReplay() {
+        const player = this.sessionPlayer;
+        this.replayAnimationFrameId = null;
+        if (!player || !player.isPlaying) return;
+
+        for (const frame of player.advance(performance.now() / 1000)) {
+            this._replayFrame(frame);
+        }
+        if (player.isFinished()) {
+            DomController.updateReplayState(false);
+            this._finishReplay();
+            return;
+        }
+        this.replayAnimationFrameId = requestAnimationFrame(this._updateReplay.bind(this));
+    }
+
+    /**
+     * @private
+     * 記録されたフレームを処理し、分析結果が記録時と一致したかを数えます。
+     * @param {{timestamp: number, frequencyData: Uint8Array, toneFrames: object[]|null, analysisResults: object[]}} frame
+     */
+    _replayFrame(frame) {
+        const analysisResults = this.input.processFrame(frame, this.replayTimeDomainData);
+        if (JSON.stringify(analysisResults) !== JSON.stringify(frame.analysisResults)) {
+            this.replayMismatchCount++;
+        }
+    }
+
+    /**
+     * @private
+     * 最後まで再生したときに、入力途中の符号も確定させます。
+     */
+    _finishReplay() {
+        this.input.flush();
+        if (this.replayMismatchCount > 0) {
+            console.info(`Replay: ${this.replayMismatchCount} frame(s) were analyzed differently from the recording.`);
+        }
+    }
+
+    /**
+     * @private
+     * セッションの再生を中止し、再生用の状態を破棄します。
+     */
+    _stopReplay() {
+        if (this.replayAnimationFrameId) {
+            cancelAnimationFrame(this.replayAnimationFrameId);
+            this.replayAnimationFrameId = null;
+        }
+        this.sessionPlayer = null;
+        DomController.hideReplayControls();
     }
 }
 
@@ -0,0 +1,477 @@
+/**
+ * @fileoverview 口笛モールス入力のJavaScript API
+ * @description
+ * このファイルは、マイクの音声の取得 → 口笛の分析 → モールス信号のデコードという一連の流れを、
+ * ページのHTMLに依存しない1つのクラスにまとめる役割を担います。`index.html`の画面（`main.js`）も、
+ * `<morse-input>`要素（`ui/morse-input-element.js`）も、このクラスを使って入力を受け取ります。
+ *
+ * 現在の戦略:
+ * 1. 【イベント】`MorseInput`は`EventTarget`で、デコードの進み具合を次の`CustomEvent`で伝えます。
+ *    どのイベントも`detail.track`に口笛のトラックの番号を持ちます。
+ *    - `element`: 音あり/音なしの区間が終わった（`detail.element` は短点・長点・各スペースの種類）
+ *    - `character`: 文字が確定した（編集コマンドの略符号では`detail.command`にコマンド名）
+ *    - `word`: 単語が確定した
+ *    - `message`: 終わりの略符号でメッセージが終わった
+ *    - `textchange`: 確定部分・暫定部分・カーソルのいずれかが変わった
+ *    - `frame`: 1フレーム分の分析とデコードを終えた（記録や校正など、生のデータを使う処理向け）
+ * 2. 【描画は任意】Canvasを渡した場合だけ`UIRenderer`を作り、スペクトログラムなどを描画します。
+ * 3. 【設定】分析器・デコーダーの調整用パラメータは`SETTING_DEFINITIONS`のキーと値の組で受け取り、
+ *    定義の`target`に従って振り分けます。編集コマンドの略符号と訂正で削除する単位もここで受け取ります。保存や共有は使う側（`SettingsStore`など）に任せます。
+ * 4. 【フレームの処理】ライブ入力のメインループも、記録したセッションの再生も、`processFrame`に
+ *    同じ形のフレームを渡します。音声ファイルのように使う側が分析結果を作る場合は
+ *    `decodeAnalysisResult`でデコーダーだけに渡します。
+ * 5. 【書き出し】1本目のトラックのフレームごとの分析結果を`TimelineLog`に蓄え、`exportTranscript`で
+ *    デコード結果（JSON）・分析の経過（CSV）・字幕（SRT/WebVTT）として書き出せるようにします。
+ */
+
+import { AudioCapturer } from './audio/audio-capturer.js';
+import { MorseAnalyzer } from './morse/morse-analyzer.js';
+import { MorseDecoder } from './morse/morse-decoder.js';
+import { CodeTable } from './morse/morse-code-table.js';
+import { UIRenderer } from './ui/ui-renderer.js';
+import { SETTING_DEFINITIONS } from './ui/settings-store.js';
+import {
+    TimelineLog, formatTranscriptJson, formatTimelineCsv, createCaptionCues, formatSrt, formatWebVtt
+} from './ui/transcript-export.js';
+
+export class MorseInput extends EventTarget {
+    /**
+     * @param {{canvas?: HTMLCanvasElement|null, settings?: Object<string, number|string>, codeTable?: string, calibration?: object|null, audio?: object}} [options]
+     *   `canvas` は描画先（省略時は描画しない）、`settings` は既定値から変更するパラメータ、
+     *   `codeTable` は最初に使う対応表 (CodeTable)、`calibration` はライブ入力の分析器に適用する校正結果、
+     *   `audio` は`DEFAULT_AUDIO_OPTIONS`のうち変更するマイクの設定（使うマイクと音声処理の有無）です。
+     */
+    constructor(options = {}) {
+        super();
+        this.audioCapturer = new AudioCapturer(options.audio);
+        this.canvas = options.canvas ?? null;
+        this.settings = Object.fromEntries(SETTING_DEFINITIONS.map(d => [d.key, d.defaultValue]));
+        Object.assign(this.settings, options.settings);
+        this.codeTable = options.codeTable || CodeTable.LATIN;
+        this.calibration = options.calibration ?? null;
+
+        this.analyzer = null;
+        this.decoders = []; // 口笛のトラックごとのデコーダー
+        this.renderer = null; // Canvasを渡された場合のみ作られる
+        this.viewDuration = 5; // 描画の表示範囲の長さ (秒)
+        this.timelineLog = new TimelineLog(); // 1本目のトラックのフレームごとの分析結果（書き出し用）
+        this.isCapturing = false;
+        this.needsNewPipeline = true; // 次の開始時に分析器・デコーダーを作り直すかどうか
+        this.animationFrameId = null;
+
+        this.timeDomainData = null;
+        this.frequencyData = null;
+        this.latestAnalysisResult = null;
+        this.lastTextKeys = []; // トラックごとの、前回`textchange`を伝えたときのテキスト
+
+        // 再開時にAudioContextの時刻が0へ戻っても、時刻が単調に増え続けるようにするための補正
+        this.sessionTimeOffset = 0;
+    }
+
+    /**
+     * マイクの音声のキャプチャを開始し、毎フレームの分析とデコードを始めます。
+     * 初回と、`reset`で別の入力の結果を表示していた後は、分析器・デコーダーを作り直します。
+     * @param {string} [engine='analyser'] - 分析方式 ('analyser' or 'worklet')。
+     * @returns {Promise<void>} マイクを取得できなかった場合はrejectされます。開始を待つ間に`stop`された場合は
+     *   'AbortError' でrejectされます。
+     */
+    async start(engine = 'analyser') {
+        if (this.isCapturing) return;
+        await this.audioCapturer.start(engine);
+        this._beginCapture(this.needsNewPipeline || !this.analyzer, this.calibration);
+    }
+
+    /**
+     * マイクの代わりに`AudioCapturer.startLoopback`の入力を分析します。環境ノイズは無いため、
+     * 校正結果は適用せず、常に分析器・デコーダーを作り直します。
+     * @param {string} [engine='analyser'] - 分析方式 ('analyser' or 'worklet')。
+     * @returns {Promise<void>}
+     */
+    async startLoopback(engine = 'analyser') {
+        if (this.isCapturing) return;
+        await this.audioCapturer.startLoopback(engine);
+        this._beginCapture(true, null);
+        // ループバックの結果を表示した後のマイク入力は、作り直した分析器で始める
+        this.needsNewPipeline = true;
+    }
+
+    /**
+     * キャプチャを停止します。デコード結果はそのまま残り、再び`start`すると続きから入力できます。
+     */
+    stop() {
+        if (this.latestAnalysisResult) {
+            this.sessionTimeOffset = this.latestAnalysisResult.timestamp;
+        }
+        this.isCapturing = false;
+        this.audioCapturer.stop();
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+    }
+
+    /**
+     * 分析器・デコーダー・描画器を新しく作り直します。音声ファイルや記録したセッションのように、
+     * マイク以外の入力を処理する前に呼び出します。その場合、次の`start`ではライブ入力用に再び作り直します。
+     * キャプチャ中に呼び出した場合は、その時点からの入力を新しい分析器で処理します。
+     * @param {{sampleRate: number, fftSize: number}} audioParams - オーディオ関連のパラメータ。
+     * @param {object|null} [calibration=null] - 分析器に適用する校正結果。
+     */
+    reset(audioParams, calibration = null) {
+        this._createPipeline(audioParams, calibration);
+        this.needsNewPipeline = !this.isCapturing;
+    }
+
+    /**
+     * マイクの設定（使うマイクと音声処理の有無）を変更します。キャプチャ中であれば、すぐに反映します。
+     * @param {object} audioOptions - `DEFAULT_AUDIO_OPTIONS`のうち変更する設定。
+     * @returns {Promise<void>}
+     */
+    async setAudioOptions(audioOptions) {
+        await this.audioCapturer.setAudioOptions(audioOptions);
+    }
+
+    /**
+     * 描画先のCanvasを変更します。nullを渡すと描画をやめます。
+     * @param {HTMLCanvasElement|null} canvas
+     */
+    setCanvas(canvas) {
+        this.canvas = canvas;
+        if (this.renderer) this.renderer.dispose();
+        this.renderer = canvas && this.analyzer
+            ? new UIRenderer(canvas, { sampleRate: this.analyzer.sampleRate, fftSize: this.analyzer.fftSize }, this._getDecoder(0))
+            : null;
+        if (this.renderer) this.renderer.setViewDuration(this.viewDuration);
+    }
+
+    /**
+     * 描画の表示範囲の長さを変更します。描画先を作り直しても引き継がれます。
+     * @param {number} seconds
+     */
+    setViewDuration(seconds) {
+        this.viewDuration = seconds;
+        if (this.renderer) this.renderer.setViewDuration(seconds);
+    }
+
+    /**
+     * 調整用パラメータを変更し、動作中の分析器・デコーダーへ反映します。
+     * @param {Object<string, number|string>} values - `SETTING_DEFINITIONS`のキーと値の組。
+     */
+    updateParams(values) {
+        Object.assign(this.settings, values);
+        if (this.analyzer) {
+            const params = this._pickParams('analyzer', values);
+            if (Object.keys(params).length > 0) this.analyzer.updateParams(params);
+        }
+        const decoderParams = this._pickParams('decoder', values);
+        if (Object.keys(decoderParams).length > 0) {
+            for (const decoder of this.decoders) decoder.updateParams(decoderParams);
+        }
+        // 追跡する口笛の数を減らした場合は、使われなくなったトラックのデコーダーを捨てる
+        if (values.maxTracks !== undefined && this.decoders.length > values.maxTracks) {
+            this.decoders.length = Math.max(1, values.maxTracks);
+            this.lastTextKeys.length = this.decoders.length;
+        }
+    }
+
+    /**
+     * ライブ入力の分析器に適用する校正結果を設定します。キャプチャ中であればすぐに適用します。
+     * @param {object|null} calibration
+     */
+    setCalibration(calibration) {
+        this.calibration = calibration;
+        if (this.analyzer && this.isCapturing) this.analyzer.setCalibration(calibration);
+    }
+
+    /**
+     * 以降の入力を解読する対応表（欧文/和文）を、すべてのトラックで切り替えます。
+     * @param {string} table - 対応表の種類 (CodeTable)。
+     */
+    setCodeTable(table) {
+        this.codeTable = table;
+        for (const decoder of this.decoders) decoder.setCodeTable(table);
+    }
+
+    /**
+     * 1本目のトラックで現在使われている対応表を返します。信号中の略符号で切り替わった結果も反映されます。
+     * @returns {string} 対応表の種類 (CodeTable)。
+     */
+    getCodeTable() {
+        return this.decoders[0] ? this.decoders[0].getCodeTable() : this.codeTable;
+    }
+
+    /**
+     * トラックのデコード結果を、暫定部分をカーソルの位置に差し込んだ1つのテキストとして返します。
+     * @param {number} [trackIndex=0] - トラックの番号。
+     * @returns {string}
+     */
+    getText(trackIndex = 0) {
+        const decoder = this.decoders[trackIndex];
+        if (!decoder) return '';
+        const { committed, provisional, cursor } = decoder.getDecodedText();
+        return committed.slice(0, cursor) + provisional + committed.slice(cursor);
+    }
+
+    /**
+     * デコード結果や分析の経過を、ファイルに保存できるテキストとして書き出します。
+     * @param {string} format - 'json'（文字ごとの時刻・確からしさ・符号付きのデコード結果）、
+     *   'csv'（フレームごとの分析結果）、'srt'・'vtt'（字幕）のいずれか。
+     * @param {{trackIndex?: number, origin?: number}} [options] - `trackIndex` は書き出すトラックの番号
+     *   （CSVは常に1本目のトラック）、`origin` は時刻の基準 (秒) です。
+     *   まだ口笛が現れていないトラックは、デコーダーを作らずに空の結果として書き出します。
+     * @returns {string}
+     */
+    exportTranscript(format, { trackIndex = 0, origin = 0 } = {}) {
+        const decoder = this.decoders[trackIndex] ?? null;
+        const spans = decoder ? decoder.getCharacterSpans() : [];
+        switch (format) {
+            case 'json':
+                return formatTranscriptJson(spans, {
+                    text: this.getText(trackIndex),
+                    codeTable: decoder ? decoder.getCodeTable() : this.codeTable,
+                    origin
+                });
+            case 'csv':
+                return formatTimelineCsv(this.timelineLog.rows, origin);
+            case 'srt':
+            case 'vtt': {
+                const cues = decoder ? createCaptionCues(spans, {
+                    wordGap: decoder.wordSpaceThreshold,
+                    editCommands: decoder.editCommands,
+                    errorDeletes: decoder.errorDeletes
+                }) : [];
+                return format === 'srt' ? formatSrt(cues, origin) : formatWebVtt(cues, origin);
+            }
+            default:
+                throw new Error(`Unsupported export format: ${format}`);
+        }
+    }
+
+    /**
+     * デコード結果を消去します。
+     * @param {number|null} [trackIndex=null] - 消去するトラックの番号。nullならすべてのトラック。
+     */
+    clearText(trackIndex = null) {
+        this.decoders.forEach((decoder, index) => {
+            if (trackIndex === null || trackIndex === index) decoder.clearText();
+        });
+        this._dispatchDecoderEvents();
+    }
+
+    /**
+     * 入力途中の符号や暫定部分も含めて、すべてのトラックのデコード結果を確定させます。
+     */
+    flush() {
+        for (const decoder of this.decoders) decoder.flush();
+        this._dispatchDecoderEvents();
+    }
+
+    /**
+     * 1フレーム分のデータを分析・デコードし、描画とイベントの通知を行います。ライブ入力とセッションの再生で共通です。
+     * @param {{timestamp: number, frequencyData: Uint8Array, toneFrames: object[]|null}} frame
+     * @param {Uint8Array} timeDomainData - 波形欄に描く時間領域のデータ。
+     * @returns {{dominantFreqIndex: number, targetVolume: number, timestamp: number}[]} 時刻順の分析結果。
+     */
+    processFrame(frame, timeDomainData) {
+        const analysisResults = frame.toneFrames
+            ? frame.toneFrames.map(toneFrame => this.analyzer.analyzeTone(toneFrame))
+            : [this.analyzer.analyze(frame.frequencyData, frame.timestamp)];
+
+        for (const result of analysisResults) {
+            this.decodeAnalysisResult(result);
+        }
+
+        if (analysisResults.length > 0) {
+            this.latestAnalysisResult = analysisResults[analysisResults.length - 1];
+        }
+        if (this.renderer && this.latestAnalysisResult) {
+            this.renderer.render(timeDomainData, frame.frequencyData, this.latestAnalysisResult);
+        }
+        this._dispatchDecoderEvents();
+        this.dispatchEvent(new CustomEvent('frame', { detail: { frame, analysisResults } }));
+        return analysisResults;
+    }
+
+    /**
+     * 1つの分析結果を、トラックごとのデコーダーへ渡します。イベントは`flush`などの後でまとめて通知されます。
+     * @param {{timestamp: number, tracks: {targetVolume: number}[]}} analysisResult
+     */
+    decodeAnalysisResult(analysisResult) {
+        analysisResult.tracks.forEach((track, index) => {
+            this._getDecoder(index).process(track.targetVolume, analysisResult.timestamp);
+        });
+        this.timelineLog.add({
+            time: analysisResult.timestamp,
+            frequency: analysisResult.frequency,
+            volume: analysisResult.targetVolume,
+            threshold: this._getDecoder(0).volumeThreshold
+        });
+    }
+
+    /**
+     * @private
+     * 音声の入力が始まった後に、フレームごとのバッファを用意してメインループを開始します。
+     * @param {boolean} isNewPipeline - 分析器・デコーダー・描画器を作り直すかどうか。
+     * @param {object|null} calibration - 作り直す場合に分析器へ適用する校正結果。
+     */
+    _beginCapture(isNewPipeline, calibration) {
+        const analyserNode = this.audioCapturer.getAnalyser();
+        if (isNewPipeline) {
+            this._createPipeline({
+                sampleRate: this.audioCapturer.getAudioContext().sampleRate,
+                fftSize: analyserNode.fftSize
+            }, calibration);
+        }
+        this.needsNewPipeline = false;
+
+        this.timeDomainData = new Uint8Array(analyserNode.fftSize);
+        this.frequencyData = new Uint8Array(analyserNode.frequencyBinCount);
+
+        this.isCapturing = true;
+        this._update();
+    }
+
+    /**
+     * @private
+     * 分析器・デコーダー・描画器を新しく作ります。
+     * @param {{sampleRate: number, fftSize: number}} audioParams
+     * @param {object|null} calibration
+     */
+    _createPipeline(audioParams, calibration) {
+        this.analyzer = new MorseAnalyzer(audioParams, this._pickParams('analyzer', this.settings));
+        if (calibration) this.analyzer.setCalibration(calibration);
+        this.decoders = [];
+        this.lastTextKeys = [];
+        this.timelineLog.clear();
+        const decoder = this._getDecoder(0);
+        if (this.renderer) this.renderer.dispose();
+        this.renderer = this.canvas ? new UIRenderer(this.canvas, audioParams, decoder) : null;
+        if (this.renderer) this.renderer.setViewDuration(this.viewDuration);
+        this.latestAnalysisResult = null;
+        this.sessionTimeOffset = 0;
+    }
+
+    /**
+     * @private
+     * 指定したトラックのデコーダーを返します。まだ無い場合は、現在の設定で作ります。
+     * @param {number} trackIndex - トラックの番号（0から）。
+     * @returns {MorseDecoder}
+     */
+    _getDecoder(trackIndex) {
+        if (!this.decoders[trackIndex]) {
+            this.decoders[trackIndex] = new MorseDecoder({
+                ...this._pickParams('decoder', this.settings),
+                volumeThreshold: 40, // 音量分布が得られるまでの初期閾値
+                mode: 'windowed',
+                windowSeconds: 6,
+                codeTable: this.codeTable
+            });
+        }
+        return this.decoders[trackIndex];
+    }
+
+    /**
+     * @private
+     * パラメータの値のうち、指定したクラスに渡すものだけを取り出します。
+     * 編集コマンドの略符号のパラメータは、デコーダーの`editCommands`（例: `{endOfMessage: '<AR>'}`）にまとめます。
+     * @param {string} target - 'analyzer' または 'decoder'。
+     * @param {Object<string, number|string>} values
+     * @returns {object}
+     */
+    _pickParams(target, values) {
+        const params = {};
+        for (const definition of SETTING_DEFINITIONS) {
+            if (definition.target !== target || !(definition.key in values)) continue;
+            const value = values[definition.key];
+            if (definition.editCommand) {
+                const prosign = value === 'off' ? null : `<${value}>`;
+                params.editCommands = { ...params.editCommands, [definition.editCommand]: prosign };
+            } else {
+                params[definition.key] = value;
+            }
+        }
+        return params;
+    }
+
+    /**
+     * @private
+     * 毎フレーム呼び出され、最新の音声データを分析・デコードします。
+     */
+    _update() {
+        const analyser = this.audioCapturer.getAnalyser();
+        if (analyser && this.analyzer) {
+            analyser.getByteTimeDomainData(this.timeDomainData);
+            analyser.getByteFrequencyData(this.frequencyData);
+            this.processFrame(this._captureFrame(), this.timeDomainData);
+        }
+        this.animationFrameId = requestAnimationFrame(this._update.bind(this));
+    }
+
+    /**
+     * @private
+     * 前回の呼び出し以降に得られた音声を、分析器へ渡す1フレーム分のデータにまとめます。
+     * AnalyserNodeの経路ではこのフレームの周波数データを、AudioWorkletの経路では
+     * その間に届いたすべてのトーンフレームも含めます。時刻にはセッションの補正を加えます。
+     * @returns {{timestamp: number, frequencyData: Uint8Array, toneFrames: object[]|null}}
+     */
+    _captureFrame() {
+        const timestamp = this.sessionTimeOffset + this.audioCapturer.getAudioContext().currentTime;
+        const toneFrames = this.audioCapturer.getEngine() === 'worklet'
+            ? this.audioCapturer.drainToneFrames().map(toneFrame => ({
+                ...toneFrame,
+                timestamp: this.sessionTimeOffset + toneFrame.timestamp
+            }))
+            : null;
+        return { timestamp, frequencyData: this.frequencyData, toneFrames };
+    }
+
+    /**
+     * @private
+     * 各トラックのデコーダーに溜まった区間・文字・単語・メッセージと、テキストの変化をイベントとして通知します。
+     */
+    _dispatchDecoderEvents() {
+        this.decoders.forEach((decoder, track) => {
+            for (const run of decoder.drainRuns()) {
+                this._dispatch('element', { track, ...run, element: this._classifyRun(decoder, run) });
+            }
+            for (const event of decoder.drainTextEvents()) {
+                if (event.type === 'character') {
+                    this._dispatch('character', { track, ...event.character, command: event.command });
+                } else {
+                    this._dispatch(event.type, { track, text: event.text });
+                }
+            }
+
+            const text = decoder.getDecodedText();
+            const key = `${text.committed}\u0000${text.provisional}\u0000${text.cursor}`;
+            if (this.lastTextKeys[track] === key) return;
+            this.lastTextKeys[track] = key;
+            this._dispatch('textchange', { track, ...text, characters: decoder.getDecodedCharacters() });
+        });
+    }
+
+    /**
+     * @private
+     * 終わった区間を、デコーダーの現在の時間の閾値で短点・長点・各スペースのいずれかに分類します。
+     * @param {MorseDecoder} decoder
+     * @param {{state: string, duration: number}} run
+     * @returns {string|null} 'dit'・'dah'・'elementGap'・'charGap'・'wordGap'。ノイズとして無視される音ありはnull。
+     */
+    _classifyRun(decoder, run) {
+        if (run.state === 'mark') {
+            if (run.duration < decoder.minMarkTime) return null;
+            return run.duration < decoder.dahThreshold ? 'dit' : 'dah';
+        }
+        if (run.duration > decoder.wordSpaceThreshold) return 'wordGap';
+        return run.duration > decoder.charSpaceThreshold ? 'charGap' : 'elementGap';
+    }
+
+    /**
+     * @private
+     * @param {string} type - イベントの種類。
+     * @param {object} detail - イベントの内容。
+     */
+    _dispatch(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+}
@@ -9,46 +9,180 @@
  * 1. 【デフォルト周波数の設定】探索の基点となる周波数を約2kHzに初期設定します。
  *    これにより、起動直後や信号が完全に途切れた後でも、即座に口笛の音域の探索を開始できます。
  * 2. 【平滑化された周波数の追跡】毎フレーム検出される「生の」ピーク周波数に対し、
- *    線形補間を用いて「平滑化された」周波数が滑らかに追従します。
- *    ただし、再捕捉の初動を速くするため、無音からの復帰時は平滑化を適用せず即座に移動します。
+ *    線形補間を用いて「平滑化された」周波数が滑らかに追従します。補間の割合は前回の分析からの
+ *    経過時間に応じて決めるため、分析の頻度が変わっても同じ速さで追従します。
+ *    ただし、再捕捉の初動を速くするため、無音からの復帰時と、追跡中の周波数の周りで見つからず全域から
+ *    見つけ直したピークへは、平滑化を適用せず即座に移動します。無音中にノイズのピークへ移っていても、
+ *    口笛の始まりを取りこぼしません。
  * 3. 【鋭さの判定】ピークが見つかると、それが口笛特有の「鋭い」ピークであるかを検証し、
  *    そうでなければノイズとして棄却します。
  * 4. 【信号ロストへの耐性】信号が一時的に途切れた場合、即座にリセットするのではなく、
  *    長めの「猶予期間」を設け、その間は最後の周波数を保持することで、追跡の安定性を高めています。
+ *    猶予期間はオーディオクロック上の秒数で管理し、分析結果には同じ時刻を付けて返します。
+ * 5. 【2つの入力経路】AnalyserNodeの周波数データ（`analyze`）と、AudioWorkletの検出器が送る
+ *    周波数・音量の組（`analyzeTone`）のどちらも受け付け、同じ追跡処理と同じ形式の結果に揃えます。
+ * 6. 【複数の追跡】異なる音高で同時に吹かれる複数の口笛を、最大`maxTracks`本の独立した
+ *    トラックで追跡します。各トラックは、他のトラック（とその2倍・3倍の倍音）に自分より近い
+ *    周波数ビンを探索対象から除き、追跡中は全域を探し直さないため、別の口笛へ飛び移りません。追跡中のトラックを先に更新し、
+ *    空いているトラックは残ったピークから新しい口笛を捕捉します。
+ *    AudioWorkletの検出器は最も強いピークしか送らないため、その経路では1本目のトラックのみを使います。
+ * 7. 【探索する音域】ピークは`minFrequency`〜`maxFrequency`（既定では口笛の典型的な音域の約500〜4000Hz）
+ *    の範囲だけで探し、低い声や電源のハム、高域のノイズを拾わないようにします。
+ * 8. 【ビン未満の精度】AnalyserNodeのバイト値はデシベル（対数振幅）に比例するため、ピークとその両隣の
+ *    3点に放物線を当てはめ、頂点の位置からビンの間の周波数を推定します。分析結果には、周波数ビンの
+ *    インデックスに加えて、推定した周波数をHzでも含めます。
+ * 9. 【倍音構造の判定】声のような音は基本周波数の整数倍に並ぶ倍音を持ち、口笛はほぼ純音です。
+ *    見つかったピークをn次倍音とみなしたとき、隣り合う(n-1)次・(n+1)次の倍音の位置にも
+ *    同程度に強い成分があれば、声などの倍音構造を持つ音として棄却します。
+ * 10. 【ノイズフロアの差し引き】`NoiseCalibrator`による校正結果が与えられた場合は、周波数データから
+ *    ビンごとのノイズフロアを差し引いた（スペクトル減算した）値で分析します。閾値や音量はすべて
+ *    その環境のノイズからの相対的な強さになります。校正で口笛の音高も測った場合は、それを探索の基点にします。
  */
 
 export class MorseAnalyzer {
     /**
      * @param {object} audioParams - オーディオ関連のパラメータ。
+     * @param {{noiseThreshold?: number, sharpnessThreshold?: number, frequencyBandwidth?: number, searchNeighborhood?: number, maxPersistTime?: number, maxTracks?: number, minFrequency?: number, maxFrequency?: number}} [params]
+     *   調整可能なパラメータ。省略したものは既定値になります。
      */
-    constructor(audioParams) {
+    constructor(audioParams, params = {}) {
         this.sampleRate = audioParams.sampleRate;
         this.fftSize = audioParams.fftSize;
         
-        this.frequencyBandwidth = 5;
-        this.noiseThreshold = 30;
-        this.sharpnessThreshold = 2.5;
+        this.frequencyBandwidth = params.frequencyBandwidth ?? 5; // 音量を平均するピーク周辺の幅 (ビン)
+        this.noiseThreshold = params.noiseThreshold ?? 30; // これより弱いピークはノイズとみなす
+        this.sharpnessThreshold = params.sharpnessThreshold ?? 2.5; // 周辺に対してピークが何倍強ければ口笛とみなすか
+        this.minFrequency = params.minFrequency ?? 500; // ピークを探す音域の下限 (Hz)
+        this.maxFrequency = params.maxFrequency ?? 4000; // ピークを探す音域の上限 (Hz)
+        this.maxHarmonicNumber = 8; // 倍音構造を調べるとき、ピークを何次の倍音まで仮定するか
+        this.harmonicMargin = 30; // ピークからこの値以内の強さの成分を倍音とみなす (バイト値、約8dB)
 
         // --- 状態を保持するためのプロパティ ---
         this.defaultFreqIndex = Math.round(2000 * this.fftSize / this.sampleRate); // 約2kHzをデフォルトの探索基点とする
-        this.persistedFreqIndex = this.defaultFreqIndex; // 信号ロスト後も記憶し続ける、最後に有効だったピーク位置
-        this.smoothedFreqIndex = -1;  // 平滑化された、外部に提供する用の周波数インデックス
-        this.smoothingFactor = 0.2;
-        this.searchNeighborhood = 20;
+        this.noiseFloor = null; // 校正で求めたビンごとのノイズフロア。校正していなければnull
+        this.relativeFrequencyData = null; // ノイズフロアを差し引いた周波数データの作業領域
+        this.smoothingTimeConstant = 0.075; // 平滑化された周波数が追従する時定数 (秒)
+        this.searchNeighborhood = params.searchNeighborhood ?? 20; // 追跡中の周波数の周りを探す幅 (ビン)
 
-        this.framesSinceLastPeak = 0; // 最後にピークを検出してからのフレーム数
-        this.maxFramesToPersist = 30; // 信号を保持する猶予フレーム数
+        this.lastAnalysisTime = null; // 前回分析したデータの時刻 (秒)
+        this.maxPersistTime = params.maxPersistTime ?? 0.5; // 信号を保持する猶予時間 (秒)
+
+        // 同時に追跡する口笛ごとの状態
+        this.maxTracks = params.maxTracks ?? 1;
+        this.tracks = [];
+        this._resizeTracks();
+
+        // AudioWorkletのトーンフレームをAnalyserNodeと同じ尺度へ換算するためのパラメータ
+        this.minDecibels = -100; // AnalyserNodeのminDecibelsの既定値
+        this.maxDecibels = -30; // AnalyserNodeのmaxDecibelsの既定値
+        this.toneLevelOffset = -13.5;
+    }
+
+    /**
+     * 調整可能なパラメータを、分析を続けたまま変更します。
+     * 指定されなかったパラメータは現在の値のまま残ります。
+     * @param {{noiseThreshold?: number, sharpnessThreshold?: number, frequencyBandwidth?: number, searchNeighborhood?: number, maxPersistTime?: number, maxTracks?: number, minFrequency?: number, maxFrequency?: number}} params
+     */
+    updateParams(params) {
+        for (const key of ['noiseThreshold', 'sharpnessThreshold', 'frequencyBandwidth', 'searchNeighborhood', 'maxPersistTime', 'minFrequency', 'maxFrequency']) {
+            if (params[key] !== undefined) this[key] = params[key];
+        }
+        if (params.maxTracks !== undefined) {
+            this.maxTracks = params.maxTracks;
+            this._resizeTracks();
+        }
+    }
+
+    /**
+     * 校正結果を適用します。ノイズフロアは測定時と同じサンプルレート・FFTサイズの場合のみ使います。
+     * @param {{sampleRate: number, fftSize: number, noiseFloor: number[], whistle: {frequency: number}|null}|null} calibration
+     *   `NoiseCalibrator`の校正結果。nullを渡すと校正を解除します。
+     */
+    setCalibration(calibration) {
+        const matches = calibration
+            && calibration.sampleRate === this.sampleRate
+            && calibration.fftSize === this.fftSize;
+        this.noiseFloor = matches ? Float64Array.from(calibration.noiseFloor) : null;
+
+        const baseFrequency = calibration && calibration.whistle ? calibration.whistle.frequency : 2000;
+        this.defaultFreqIndex = Math.round(this._frequencyToIndex(baseFrequency));
+        for (const track of this.tracks) {
+            if (track.smoothedFreqIndex === -1) track.persistedFreqIndex = this.defaultFreqIndex;
+        }
+    }
+
+    /**
+     * @private
+     * 周波数データからビンごとのノイズフロアを差し引きます。校正していない場合はそのまま返します。
+     * @param {Uint8Array} frequencyData
+     * @returns {Uint8Array}
+     */
+    _subtractNoiseFloor(frequencyData) {
+        if (!this.noiseFloor) return frequencyData;
+        if (!this.relativeFrequencyData || this.relativeFrequencyData.length !== frequencyData.length) {
+            this.relativeFrequencyData = new Uint8Array(frequencyData.length);
+        }
+        for (let i = 0; i < frequencyData.length; i++) {
+            this.relativeFrequencyData[i] = Math.max(0, frequencyData[i] - (this.noiseFloor[i] ?? 0));
+        }
+        return this.relativeFrequencyData;
+    }
+
+    /**
+     * @private
+     * 指定した周波数ビンのノイズフロアを返します。校正していない場合は0。
+     * @param {number} index - ビンの位置（ビン未満の精度でもよい）。
+     * @returns {number}
+     */
+    _noiseFloorAt(index) {
+        if (!this.noiseFloor) return 0;
+        return this.noiseFloor[Math.round(index)] ?? 0;
+    }
+
+    /**
+     * @private
+     * トラックの数を`maxTracks`に合わせます。減らす場合は後ろのトラックから捨てます。
+     */
+    _resizeTracks() {
+        const count = Math.max(1, Math.round(this.maxTracks));
+        while (this.tracks.length < count) {
+            this.tracks.push({
+                persistedFreqIndex: this.defaultFreqIndex, // 信号ロスト後も記憶し続ける、最後に有効だったピーク位置
+                smoothedFreqIndex: -1, // 平滑化された、外部に提供する用の周波数インデックス
+                lastPeakTime: null // 最後にピークを検出した時刻 (秒)
+            });
+        }
+        this.tracks.length = count;
+    }
+
+    /**
+     * @private
+     * 探索する音域を周波数ビンの範囲で返します。下限と上限が逆に設定されていても入れ替えて扱います。
+     * @param {number} binCount - 周波数データのビン数。
+     * @returns {{start: number, end: number}} `end` は範囲の末尾の次のインデックス。
+     */
+    _searchBand(binCount) {
+        const low = Math.min(this.minFrequency, this.maxFrequency);
+        const high = Math.max(this.minFrequency, this.maxFrequency);
+        return {
+            start: Math.max(0, Math.ceil(this._frequencyToIndex(low))),
+            end: Math.min(binCount, Math.floor(this._frequencyToIndex(high)) + 1)
+        };
     }
 
     /**
      * @private
      * 指定された範囲内で最も鋭いピークを探します。
+     * 見つかったピークの位置は、両隣のビンとの放物線補間によるビン未満の精度の値です。
+     * @param {function(number): boolean} [isExcluded] - 探索対象から除く周波数ビンを判定する関数。
+     * @returns {{index: number, volume: number}} 見つからなかった場合、`index` は-1。
      */
-    _findSharpestPeak(frequencyData, startIndex, endIndex) {
+    _findSharpestPeak(frequencyData, startIndex, endIndex, isExcluded = null) {
         let peakIndex = -1;
         let peakVolume = 0;
 
         for (let i = startIndex; i < endIndex; i++) {
+            if (isExcluded && isExcluded(i)) continue;
             if (frequencyData[i] > peakVolume) {
                 peakVolume = frequencyData[i];
                 peakIndex = i;
@@ -75,55 +209,124 @@ export class MorseAnalyzer {
             return { index: -1, volume: 0 };
         }
 
-        return { index: peakIndex, volume: peakVolume };
+        const interpolatedIndex = this._interpolatePeak(frequencyData, peakIndex);
+        if (this._hasHarmonicSeries(frequencyData, interpolatedIndex, peakVolume)) {
+            return { index: -1, volume: 0 };
+        }
+
+        return { index: interpolatedIndex, volume: peakVolume };
     }
 
     /**
-     * 周波数データのスナップショットを分析し、安定して口笛の信号を追跡します。
-     * @param {Uint8Array} frequencyData - AnalyserNodeから取得した周波数データ。
-     * @returns {{dominantFreqIndex: number, targetVolume: number}}
+     * @private
+     * ピークとその両隣の3点を通る放物線の頂点から、ビン未満の精度でピークの位置を推定します。
+     * バイト値はデシベルに比例するため、これは対数振幅に対する放物線補間になります。
+     * @param {Uint8Array} frequencyData
+     * @param {number} peakIndex - 最大値を持つビンのインデックス。
+     * @returns {number} 補間したピークの位置。両端や平坦な頂点では`peakIndex`のまま。
      */
-    analyze(frequencyData) {
-        let currentRawPeakIndex = -1;
-        
-        if (this.persistedFreqIndex !== -1) {
-            const start = Math.max(0, this.persistedFreqIndex - this.searchNeighborhood);
-            const end = Math.min(frequencyData.length, this.persistedFreqIndex + this.searchNeighborhood);
-            const peak = this._findSharpestPeak(frequencyData, start, end);
-            currentRawPeakIndex = peak.index;
-        }
+    _interpolatePeak(frequencyData, peakIndex) {
+        if (peakIndex <= 0 || peakIndex >= frequencyData.length - 1) return peakIndex;
 
-        if (currentRawPeakIndex === -1) {
-            const start = Math.floor(100 * this.fftSize / this.sampleRate);
-            const end = frequencyData.length;
-            const peak = this._findSharpestPeak(frequencyData, start, end);
-            currentRawPeakIndex = peak.index;
+        const left = frequencyData[peakIndex - 1];
+        const center = frequencyData[peakIndex];
+        const right = frequencyData[peakIndex + 1];
+        const curvature = left - 2 * center + right;
+        if (curvature >= 0) return peakIndex;
+
+        const offset = 0.5 * (left - right) / curvature;
+        return peakIndex + Math.max(-0.5, Math.min(0.5, offset));
+    }
+
+    /**
+     * @private
+     * ピークが倍音構造の一部かどうかを判定します。ピークをn次倍音（n = 1〜`maxHarmonicNumber`）と
+     * 仮定し、いずれかのnで隣り合う倍音（n=1の場合は2次と3次）の位置にもピークと同程度の成分があれば真を返します。
+     * @param {Uint8Array} frequencyData
+     * @param {number} peakIndex - ピークの位置（ビン未満の精度）。
+     * @param {number} peakVolume - ピークの強さ。
+     * @returns {boolean}
+     */
+    _hasHarmonicSeries(frequencyData, peakIndex, peakVolume) {
+        const partnerThreshold = peakVolume - this.harmonicMargin;
+        const isStrongAt = (index) => {
+            const center = Math.round(index);
+            if (center < 1 || center >= frequencyData.length - 1) return false;
+            return Math.max(frequencyData[center - 1], frequencyData[center], frequencyData[center + 1]) >= partnerThreshold;
+        };
+
+        for (let n = 1; n <= this.maxHarmonicNumber; n++) {
+            const fundamental = peakIndex / n;
+            // 隣の倍音と区別できないほど低い基本周波数は仮定しない
+            if (fundamental < 3) break;
+            const lower = n === 1 ? 3 : n - 1;
+            if (isStrongAt(fundamental * lower) && isStrongAt(fundamental * (n + 1))) return true;
         }
+        return false;
+    }
 
-        if (currentRawPeakIndex !== -1) {
-            this.framesSinceLastPeak = 0;
-            
-            if (this.smoothedFreqIndex === -1) {
-                this.smoothedFreqIndex = currentRawPeakIndex;
-            } else {
-                this.smoothedFreqIndex += (currentRawPeakIndex - this.smoothedFreqIndex) * this.smoothingFactor;
+    /**
+     * 周波数データのスナップショットを分析し、安定して口笛の信号を追跡します。
+     * @param {Uint8Array} rawFrequencyData - AnalyserNodeから取得した周波数データ。
+     * @param {number} timestamp - データを取得した時刻。AudioContextのcurrentTime (秒)。
+     * @returns {{dominantFreqIndex: number, frequency: number|null, targetVolume: number, timestamp: number, tracks: {dominantFreqIndex: number, frequency: number|null, targetVolume: number}[]}}
+     *   `dominantFreqIndex` はビン未満の精度の周波数ビンの位置（追跡中でなければ-1）、`frequency` はそれをHzに
+     *   換算した値（追跡中でなければnull）です。`tracks` はトラックごとの結果で、トップレベルの値は1本目のトラックの結果と同じです。
+     */
+    analyze(rawFrequencyData, timestamp) {
+        const elapsed = this._advanceClock(timestamp);
+        const frequencyData = this._subtractNoiseFloor(rawFrequencyData);
+        const band = this._searchBand(frequencyData.length);
+
+        // 追跡中のトラックを先に更新し、空いているトラックは残ったピークから捕捉する
+        const order = this.tracks
+            .map((track, index) => index)
+            .sort((a, b) => (this.tracks[a].smoothedFreqIndex === -1) - (this.tracks[b].smoothedFreqIndex === -1));
+
+        for (const index of order) {
+            const track = this.tracks[index];
+            const isExcluded = this._createExclusion(track);
+            let currentRawPeakIndex = -1;
+
+            if (track.persistedFreqIndex !== -1) {
+                const start = Math.max(band.start, Math.round(track.persistedFreqIndex - this.searchNeighborhood));
+                const end = Math.min(band.end, Math.round(track.persistedFreqIndex + this.searchNeighborhood));
+                const peak = this._findSharpestPeak(frequencyData, start, end, isExcluded);
+                currentRawPeakIndex = peak.index;
             }
-            this.persistedFreqIndex = this.smoothedFreqIndex;
-        } else {
-            this.framesSinceLastPeak++;
-            if (this.framesSinceLastPeak > this.maxFramesToPersist) {
-                this.smoothedFreqIndex = -1;
-                this.persistedFreqIndex = this.defaultFreqIndex;
+
+            // 複数のトラックがある場合、追跡中のトラックは全域を探さず、新しい口笛は空いているトラックに任せる
+            if (currentRawPeakIndex === -1 && (track.smoothedFreqIndex === -1 || this.tracks.length === 1)) {
+                const peak = this._findSharpestPeak(frequencyData, band.start, band.end, isExcluded);
+                currentRawPeakIndex = peak.index;
+                // 探索範囲の外で見つかったピークは別の音なので、平滑化せずにその周波数から追跡し直す
+                if (currentRawPeakIndex !== -1) track.smoothedFreqIndex = -1;
             }
-        }
 
-        if (this.smoothedFreqIndex === -1) {
-             return { dominantFreqIndex: -1, targetVolume: 0 };
+            this._updateTrack(track, currentRawPeakIndex, timestamp, elapsed);
         }
 
+        const tracks = this.tracks.map(track => ({
+            dominantFreqIndex: track.smoothedFreqIndex,
+            frequency: this._indexToFrequency(track.smoothedFreqIndex),
+            targetVolume: this._measureTrackVolume(frequencyData, track)
+        }));
+        return { ...tracks[0], timestamp, tracks };
+    }
+
+    /**
+     * @private
+     * 指定したトラックの周波数を中心とする帯域の平均音量を求めます。
+     * @param {Uint8Array} frequencyData
+     * @param {{smoothedFreqIndex: number}} track
+     * @returns {number} 追跡中でないトラックは0。
+     */
+    _measureTrackVolume(frequencyData, track) {
+        if (track.smoothedFreqIndex === -1) return 0;
+
         let totalVolume = 0;
         let count = 0;
-        const roundedIndex = Math.round(this.smoothedFreqIndex);
+        const roundedIndex = Math.round(track.smoothedFreqIndex);
         const startIndex = Math.max(0, roundedIndex - this.frequencyBandwidth);
         const endIndex = Math.min(frequencyData.length - 1, roundedIndex + this.frequencyBandwidth);
 
@@ -132,8 +335,150 @@ export class MorseAnalyzer {
             count++;
         }
         
-        const targetVolume = count > 0 ? totalVolume / count : 0;
+        return count > 0 ? totalVolume / count : 0;
+    }
+
+    /**
+     * @private
+     * あるトラックの探索から除く周波数ビンを判定する関数を作ります。
+     * 他の追跡中のトラックの周波数の周り（探索範囲の幅）と、その2倍・3倍の倍音の周り（音量を測る帯域幅）のうち、
+     * 自分の周波数よりもそちらに近いビンを除きます。トラックが1本だけの場合は何も除きません。
+     * @param {{smoothedFreqIndex: number}} track - 探索するトラック。
+     * @returns {function(number): boolean|null}
+     */
+    _createExclusion(track) {
+        const claimedRegions = [];
+        for (const other of this.tracks) {
+            if (other === track || other.smoothedFreqIndex === -1) continue;
+            claimedRegions.push({ center: other.smoothedFreqIndex, radius: this.searchNeighborhood });
+            for (let harmonic = 2; harmonic <= 3; harmonic++) {
+                claimedRegions.push({ center: other.smoothedFreqIndex * harmonic, radius: this.frequencyBandwidth });
+            }
+        }
+        if (claimedRegions.length === 0) return null;
+
+        return (i) => {
+            const ownDistance = track.smoothedFreqIndex === -1 ? Infinity : Math.abs(i - track.smoothedFreqIndex);
+            return claimedRegions.some(({ center, radius }) => {
+                const distance = Math.abs(i - center);
+                return distance <= radius && distance < ownDistance;
+            });
+        };
+    }
+
+    /**
+     * AudioWorkletの検出器が送ってきたトーンフレームを分析し、`analyze`と同じ形式の結果を返します。
+     * デシベル値はAnalyserNodeのバイト値と同じ尺度に換算し、ノイズフロアに対して十分に鋭い
+     * ピークだけを口笛として扱います。追跡中の周波数から大きく離れたピークと、探索する音域の外のピークは無視します。
+     * 検出器はスペクトル全体を送らないため、倍音構造の判定は行いません。
+     * @param {{timestamp: number, frequency: number, level: number, floor: number}} toneFrame
+     * @returns {{dominantFreqIndex: number, frequency: number|null, targetVolume: number, timestamp: number, tracks: {dominantFreqIndex: number, frequency: number|null, targetVolume: number}[]}}
+     */
+    analyzeTone(toneFrame) {
+        const { timestamp } = toneFrame;
+        const elapsed = this._advanceClock(timestamp);
+        const track = this.tracks[0];
+        const peakIndex = this._frequencyToIndex(toneFrame.frequency);
+        const noiseFloor = this._noiseFloorAt(peakIndex);
+        const peakVolume = Math.max(0, this._decibelsToByte(toneFrame.level) - noiseFloor);
+        const floorVolume = Math.max(0, this._decibelsToByte(toneFrame.floor) - noiseFloor);
+        const band = this._searchBand(this.fftSize / 2);
+
+        let currentRawPeakIndex = -1;
+        const isSharp = peakVolume >= this.noiseThreshold && peakVolume >= floorVolume * this.sharpnessThreshold;
+        const isNearTrack = track.smoothedFreqIndex === -1
+            || Math.abs(peakIndex - track.smoothedFreqIndex) <= this.searchNeighborhood;
+        const isInBand = peakIndex >= band.start && peakIndex < band.end;
+        if (isSharp && isNearTrack && isInBand) {
+            currentRawPeakIndex = peakIndex;
+        }
+
+        this._updateTrack(track, currentRawPeakIndex, timestamp, elapsed);
+
+        const inactive = { dominantFreqIndex: -1, frequency: null, targetVolume: 0 };
+        let primary = inactive;
+        if (track.smoothedFreqIndex !== -1) {
+            const targetVolume = currentRawPeakIndex !== -1 ? peakVolume : floorVolume;
+            primary = {
+                dominantFreqIndex: track.smoothedFreqIndex,
+                frequency: this._indexToFrequency(track.smoothedFreqIndex),
+                targetVolume
+            };
+        }
+        const tracks = this.tracks.map((_, index) => index === 0 ? primary : { ...inactive });
+        return { ...primary, timestamp, tracks };
+    }
 
-        return { dominantFreqIndex: this.smoothedFreqIndex, targetVolume };
+    /**
+     * @private
+     * 周波数 (Hz) を周波数ビンの位置に換算します。
+     * @param {number} frequency
+     * @returns {number}
+     */
+    _frequencyToIndex(frequency) {
+        return frequency * this.fftSize / this.sampleRate;
+    }
+
+    /**
+     * @private
+     * 周波数ビンの位置を周波数 (Hz) に換算します。
+     * @param {number} index - ビンの位置。-1は追跡中でないことを表します。
+     * @returns {number|null} 追跡中でない場合はnull。
+     */
+    _indexToFrequency(index) {
+        return index === -1 ? null : index * this.sampleRate / this.fftSize;
+    }
+
+    /**
+     * @private
+     * デシベル値を、AnalyserNodeの`getByteFrequencyData`と同じ0〜255の尺度に換算します。
+     * 検出器はフルスケールの正弦波を0dBとするため、AnalyserNode（ブラックマン窓、FFTサイズで正規化）
+     * の振幅の尺度に揃える補正を加えます。
+     * @param {number} decibels
+     * @returns {number}
+     */
+    _decibelsToByte(decibels) {
+        const adjusted = decibels + this.toneLevelOffset;
+        const ratio = (adjusted - this.minDecibels) / (this.maxDecibels - this.minDecibels);
+        return Math.max(0, Math.min(255, ratio * 255));
+    }
+
+    /**
+     * @private
+     * 前回の分析からの経過時間を求め、分析した時刻を更新します。
+     * @param {number} timestamp - データの時刻 (秒)。
+     * @returns {number} 経過時間 (秒)。
+     */
+    _advanceClock(timestamp) {
+        const elapsed = this.lastAnalysisTime === null ? 0 : Math.max(0, timestamp - this.lastAnalysisTime);
+        this.lastAnalysisTime = timestamp;
+        return elapsed;
+    }
+
+    /**
+     * @private
+     * 今回検出された生のピーク位置で、トラックの平滑化された周波数と猶予期間の状態を更新します。
+     * @param {{persistedFreqIndex: number, smoothedFreqIndex: number, lastPeakTime: number|null}} track
+     * @param {number} currentRawPeakIndex - 今回検出されたピークの位置。見つからなかった場合は-1。
+     * @param {number} timestamp - データの時刻 (秒)。
+     * @param {number} elapsed - 前回の分析からの経過時間 (秒)。
+     */
+    _updateTrack(track, currentRawPeakIndex, timestamp, elapsed) {
+        if (currentRawPeakIndex !== -1) {
+            track.lastPeakTime = timestamp;
+            
+            if (track.smoothedFreqIndex === -1) {
+                track.smoothedFreqIndex = currentRawPeakIndex;
+            } else {
+                const smoothingFactor = 1 - Math.exp(-elapsed / this.smoothingTimeConstant);
+                track.smoothedFreqIndex += (currentRawPeakIndex - track.smoothedFreqIndex) * smoothingFactor;
+            }
+            track.persistedFreqIndex = track.smoothedFreqIndex;
+        } else {
+            if (track.lastPeakTime === null || timestamp - track.lastPeakTime > this.maxPersistTime) {
+                track.smoothedFreqIndex = -1;
+                track.persistedFreqIndex = this.defaultFreqIndex;
+            }
+        }
     }
 }
\ No newline at end of file
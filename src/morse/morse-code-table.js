@@ -0,0 +1,146 @@
+/**
+ * @fileoverview モールス符号の対応表
+ * @description
+ * このファイルは、短点・長点の並び（符号）と文字との対応を一か所にまとめ、
+ * デコーダーなどから共通に参照できるようにする役割を担います。
+ *
+ * 現在の戦略:
+ * 1. 【欧文】英字・数字に加え、ITUの約物（. , ? / = @ など）を対応表に含めます。
+ * 2. 【略符号】AR・SK・BTなどの略符号（プロサイン）は`<AR>`の形で表示します。約物と同じ符号を持つ
+ *    略符号（AR=+、BT==、KN=(、AS=&）は、設定によってどちらで表示するかを選べます。
+ * 3. 【和文】和文モールス符号の対応表はカタカナを返します。濁点・半濁点は独立した符号として届くため、
+ *    直前のカナと合成して1文字（例: カ + ゛ → ガ）にします。
+ * 4. 【切り替え】慣例に従い、略符号DO（-..---）で和文へ、SN（...-.、和文の「ラタ」）で欧文へ切り替えます。
+ *    切り替えの符号そのものは文字として出力しません。
+ * 5. 【訂正符号】訂正符号HH（短点8つ）は、和文の対応表でも略符号`<HH>`として返します。
+ */
+
+/** 対応表の種類 */
+export const CodeTable = {
+    LATIN: 'latin',
+    WABUN: 'wabun',
+};
+
+/** 欧文の英字・数字の対応表（符号 → 文字） */
+export const MORSE_CODE_MAP = {
+    '.-': 'A', '-...': 'B', '-.-.': 'C', '-..': 'D', '.': 'E',
+    '..-.': 'F', '--.': 'G', '....': 'H', '..': 'I', '.---': 'J',
+    '-.-': 'K', '.-..': 'L', '--': 'M', '-.': 'N', '---': 'O',
+    '.--.': 'P', '--.-': 'Q', '.-.': 'R', '...': 'S', '-': 'T',
+    '..-': 'U', '...-': 'V', '.--': 'W', '-..-': 'X', '-.--': 'Y',
+    '--..': 'Z', '-----': '0', '.----': '1', '..---': '2',
+    '...--': '3', '....-': '4', '.....': '5', '-....': '6',
+    '--...': '7', '---..': '8', '----.': '9'
+};
+
+/** 欧文の約物の対応表 */
+export const PUNCTUATION_CODE_MAP = {
+    '.-.-.-': '.', '--..--': ',', '---...': ':', '..--..': '?',
+    '.----.': "'", '-....-': '-', '-..-.': '/', '-.--.': '(',
+    '-.--.-': ')', '.-..-.': '"', '-...-': '=', '.-.-.': '+',
+    '.--.-.': '@', '.-...': '&', '-.-.--': '!', '-.-.-.': ';',
+    '..--.-': '_', '...-..-': '$'
+};
+
+/** 略符号（プロサイン）の対応表 */
+export const PROSIGN_CODE_MAP = {
+    '.-.-.': '<AR>', '...-.-': '<SK>', '-...-': '<BT>', '-.--.': '<KN>',
+    '.-...': '<AS>', '-.-.-': '<KA>', '........': '<HH>', '.-.-': '<AA>',
+    '...-.': '<SN>', '-..---': '<DO>'
+};
+
+/** 和文モールス符号の対応表（符号 → カタカナ） */
+export const WABUN_CODE_MAP = {
+    '.-': 'イ', '.-.-': 'ロ', '-...': 'ハ', '-.-.': 'ニ', '-..': 'ホ',
+    '.': 'ヘ', '..-..': 'ト', '..-.': 'チ', '--.': 'リ', '....': 'ヌ',
+    '-.--.': 'ル', '.---': 'ヲ', '-.-': 'ワ', '.-..': 'カ', '--': 'ヨ',
+    '-.': 'タ', '---': 'レ', '---.': 'ソ', '.--.': 'ツ', '--.-': 'ネ',
+    '.-.': 'ナ', '...': 'ラ', '-': 'ム', '..-': 'ウ', '.-..-': 'ヰ',
+    '..--': 'ノ', '.-...': 'オ', '...-': 'ク', '.--': 'ヤ', '-..-': 'マ',
+    '-.--': 'ケ', '--..': 'フ', '----': 'コ', '-.---': 'エ', '.-.--': 'テ',
+    '--.--': 'ア', '-.-.-': 'サ', '-.-..': 'キ', '-..--': 'ユ', '-...-': 'メ',
+    '..-.-': 'ミ', '--.-.': 'シ', '.--..': 'ヱ', '--..-': 'ヒ', '-..-.': 'モ',
+    '.---.': 'セ', '---.-': 'ス', '.-.-.': 'ン', '..': '゛', '..--.': '゜',
+    '.--.-': 'ー', '.-.-.-': '、', '-.--.-': '（', '.-..-.': '）',
+    '-----': '0', '.----': '1', '..---': '2', '...--': '3', '....-': '4',
+    '.....': '5', '-....': '6', '--...': '7', '---..': '8', '----.': '9'
+};
+
+/** 和文へ切り替える略符号DOの符号 */
+export const SWITCH_TO_WABUN = '-..---';
+/** 欧文へ戻す略符号SN（和文の「ラタ」）の符号 */
+export const SWITCH_TO_LATIN = '...-.';
+/** 訂正符号HHの符号。和文でも同じ符号を使う */
+export const ERROR_SIGNAL = '........';
+
+/** 対応表ごとの、いずれかの符号の先頭部分になっている短点・長点の並び */
+const VALID_CODE_PREFIXES = {
+    [CodeTable.LATIN]: collectPrefixes([MORSE_CODE_MAP, PUNCTUATION_CODE_MAP, PROSIGN_CODE_MAP]),
+    [CodeTable.WABUN]: collectPrefixes([WABUN_CODE_MAP, { [SWITCH_TO_LATIN]: '', [ERROR_SIGNAL]: '' }]),
+};
+
+/**
+ * 対応表の符号の、すべての先頭部分を集めます。
+ * @param {Object<string, string>[]} maps
+ * @returns {Set<string>}
+ */
+function collectPrefixes(maps) {
+    const prefixes = new Set();
+    for (const map of maps) {
+        for (const code of Object.keys(map)) {
+            for (let i = 1; i <= code.length; i++) prefixes.add(code.slice(0, i));
+        }
+    }
+    return prefixes;
+}
+
+/**
+ * 符号の並びが、指定した対応表のいずれかの符号の先頭部分になっているかを返します。
+ * @param {string} sequence - 短点・長点の並び。
+ * @param {string} table - 対応表の種類 (CodeTable)。
+ * @returns {boolean}
+ */
+export function isValidCodePrefix(sequence, table) {
+    return VALID_CODE_PREFIXES[table].has(sequence);
+}
+
+/**
+ * 1文字分の符号を、指定した対応表で文字に変換します。
+ * 対応表を切り替える略符号の場合は、文字の代わりに切り替え先の対応表を返します。
+ * @param {string} sequence - 短点・長点の並び。
+ * @param {string} table - 現在の対応表の種類 (CodeTable)。
+ * @param {boolean} [preferProsigns=true] - 約物と同じ符号を持つ略符号を、略符号として表示するかどうか。
+ * @returns {{character: string, table: string}} 出力する文字（不明な符号は'?'）と、その後の対応表。
+ */
+export function lookupCode(sequence, table, preferProsigns = true) {
+    if (table === CodeTable.WABUN) {
+        if (sequence === SWITCH_TO_LATIN) return { character: '', table: CodeTable.LATIN };
+        if (sequence === ERROR_SIGNAL) return { character: PROSIGN_CODE_MAP[ERROR_SIGNAL], table };
+        return { character: WABUN_CODE_MAP[sequence] || '?', table };
+    }
+
+    if (sequence === SWITCH_TO_WABUN) return { character: '', table: CodeTable.WABUN };
+    const character = MORSE_CODE_MAP[sequence]
+        || (preferProsigns && PROSIGN_CODE_MAP[sequence])
+        || PUNCTUATION_CODE_MAP[sequence]
+        || PROSIGN_CODE_MAP[sequence]
+        || '?';
+    return { character, table };
+}
+
+/**
+ * デコード済みのテキストの後ろに、新たにデコードしたテキストを連結します。
+ * 連結するテキストが濁点・半濁点で始まり、直前のカナと合成できる場合は合成した1文字にします。
+ * @param {string} text - これまでのテキスト。
+ * @param {string} addition - 連結するテキスト。
+ * @returns {string}
+ */
+export function appendDecodedText(text, addition) {
+    const mark = addition[0];
+    if ((mark === '゛' || mark === '゜') && text.length > 0) {
+        const combiningMark = mark === '゛' ? '\u3099' : '\u309A';
+        const composed = (text.slice(-1) + combiningMark).normalize('NFC');
+        if (composed.length === 1) return text.slice(0, -1) + composed + addition.slice(1);
+    }
+    return text + addition;
+}
@@ -5,102 +5,1020 @@
  * 要素（短点, 長点, 各種スペース）に分解し、最終的にテキストに変換する役割を担います。
  *
  * 現在の戦略:
- * 1. 【状態管理】現在の入力が「音あり(Mark)」か「音なし(Space)」かを常に追跡します。
- * 2. 【持続時間計測】同じ状態が何フレーム続いたかを計測します。
- * 3. 【要素の識別】状態が変化したタイミングで、直前の状態の持続時間に基づき、
+ * 1. 【適応的な音量閾値】直近数秒間の音量履歴を保持し、その分布を「音なし」と「音あり」の
+ *    2つの集団に分ける判別分析（大津の方法）で、音あり/音なしの境界となる閾値をサンプル毎に求め直します。
+ *    マイクの感度や口笛の大きさ、環境ノイズが変化しても、閾値がそれに追従します。
+ * 2. 【ヒステリシス】閾値の上下に2つの集団の距離に比例した幅を設け、音ありへの遷移は上側、
+ *    音なしへの遷移は下側の閾値で判定することで、閾値付近の揺らぎによる細切れを防ぎます。
+ * 3. 【状態管理】現在の入力が「音あり(Mark)」か「音なし(Space)」かを常に追跡します。
+ * 4. 【持続時間計測】各音量サンプルに付いたオーディオクロックの時刻から、同じ状態が何秒続いたかを計測します。
+ *    画面のリフレッシュレートやフレーム落ちに左右されないよう、時間の判定はすべて秒単位で行います。
+ * 5. 【要素の識別】状態が変化したタイミングで、直前の状態の持続時間に基づき、
  *    それが短点(Dit)・長点(Dah)なのか、あるいは文字間・単語間のスペースなのかを識別します。
  *    この識別のための時間の閾値は、標準的なモールス信号の比率（長点=短点x3, 文字間=短点x3）
  *    に基づいています。
- * 4. 【文字への変換】文字間スペースが検出されると、それまでに蓄積された短点と長点の
- *    シーケンスを、モールス符号の対応表を使って文字に変換します。
+ * 6. 【速度の推定】直近の音あり/音なしの持続時間を、1・3・7単位のいずれかに分類（クラスタリング）し、
+ *    そこから1単位（短点）の長さを推定します。推定値へ少しずつ寄せていくことで、
+ *    送信中の速度の揺らぎにも追従し、各要素の時間の閾値を再計算します。
+ *    分析窓の長さなどのため、音ありは実際より長く、音なしは短く測られます。この偏りも1単位の長さと
+ *    同時に推定し、要素の識別とビームサーチのコストでは偏りを取り除いた長さを使います。
+ * 7. 【文字への変換】文字間スペースが検出されると、それまでに蓄積された短点と長点の
+ *    シーケンスを、モールス符号の対応表（`morse-code-table.js`）を使って文字に変換します。
+ *    欧文/和文のどちらの対応表を使うかは状態として保持し、手動の切り替えと、
+ *    信号中の略符号DO/SNによる切り替えの両方に対応します。
+ * 8. 【窓内の再デコード】'windowed' モードでは、音あり/音なしの区間（ラン）を直近数秒分保持し、
+ *    サンプル毎に窓全体をビームサーチで区切り直して、もっともらしい読みを選びます。
+ *    各ランの長さと1・3・7単位との対数距離をコストとし、対応表に存在しない符号にはペナルティを課します。
+ *    窓内の文字は暫定扱いで後から変わり得ますが、窓から外れた文字間スペースより前の部分は
+ *    確定テキストとして固定します。
+ * 9. 【区間の記録】モードによらず、終わった音あり/音なしの区間を時刻付きで記録します。練習モードでの
+ *    タイミングの評価のように、デコード結果だけでなく個々の要素の長さを知りたい場合に取り出して使います。
+ * 10. 【文字ごとの確からしさ】各区間について、選んだ種類（短点/長点、要素間/文字間/単語間）の確からしさを、
+ *    ビームサーチと同じタイミングのコストから求めます。文字の確からしさは、その文字を構成する区間と
+ *    文字の終わりのスペースのうち最も低いものです。さらに、確からしさの低い短点/長点を入れ替えた読みや、
+ *    要素間のスペースで2文字に分けた読みを、別の候補として確からしい順に添えます。
+ * 11. 【編集コマンド】確定テキストは`TextBuffer`に保持し、カーソルの位置に文字を挿入します。
+ *    確定した文字が編集コマンドの略符号（既定は訂正HH・改行AA・全消去KA）であれば、
+ *    文字として挿入する代わりにその編集を行います。メッセージの終わりは、ARが約物の'+'と同じ符号のため
+ *    既定では使わず、`editCommands`で略符号を指定した場合だけ解釈します。'windowed' モードでは、暫定部分の略符号は
+ *    読み直しで変わり得るため、確定した時点で初めて編集として実行します。
+ * 12. 【時間の範囲】文字ごとに、それを作る短点・長点の時刻の範囲を記録します。'windowed' モードでは
+ *    ランに終わりの時刻を持たせ、読みを組み立てるときに各文字の範囲をランからたどって求めます。
+ *    暫定部分の文字と入力途中の符号の範囲も`getCharacterSpans`で取り出せるため、音量履歴のグラフ上に
+ *    文字を重ねて表示できます。
  */
 
+import { CodeTable, lookupCode, isValidCodePrefix, appendDecodedText } from './morse-code-table.js';
+import { TextBuffer, SPACE_CHARACTER, pushCharacter } from './text-buffer.js';
+
 const State = {
     SPACE: 0,
     MARK: 1,
 };
 
-const MORSE_CODE_MAP = {
-    '.-': 'A', '-...': 'B', '-.-.': 'C', '-..': 'D', '.': 'E',
-    '..-.': 'F', '--.': 'G', '....': 'H', '..': 'I', '.---': 'J',
-    '-.-': 'K', '.-..': 'L', '--': 'M', '-.': 'N', '---': 'O',
-    '.--.': 'P', '--.-': 'Q', '.-.': 'R', '...': 'S', '-': 'T',
-    '..-': 'U', '...-': 'V', '.--': 'W', '-..-': 'X', '-.--': 'Y',
-    '--..': 'Z', '-----': '0', '.----': '1', '..---': '2',
-    '...--': '3', '....-': '4', '.....': '5', '-....': '6',
-    '--...': '7', '---..': '8', '----.': '9'
+/**
+ * 符号の各要素の時間の範囲から、1文字分の時間の範囲を作ります。
+ * @param {{text: string, confidence: number}|null} character - 文字。入力途中の符号ではnull。
+ * @param {string} sequence - 短点・長点の並び。
+ * @param {{symbol: string, startTime: number, endTime: number}[]} elements - 各要素の時間の範囲。
+ * @returns {{text: string|null, confidence: number|null, sequence: string, startTime: number, endTime: number, elements: object[]}}
+ */
+function createSpan(character, sequence, elements) {
+    return {
+        text: character ? character.text : null,
+        confidence: character ? character.confidence : null,
+        sequence,
+        startTime: elements[0].startTime,
+        endTime: elements[elements.length - 1].endTime,
+        elements
+    };
+}
+
+/**
+ * 既定の編集コマンドと、それを表す略符号。
+ * `error` は直前の単語（または文字）の削除、`newline` は改行、`clear` は全消去、`endOfMessage` はメッセージの終わりです。
+ * `endOfMessage` は、慣例のARを既定にすると'+'（同じ符号）を送るたびにテキストが消えるため、既定では使いません。
+ */
+export const DEFAULT_EDIT_COMMANDS = {
+    error: '<HH>',
+    newline: '<AA>',
+    clear: '<KA>',
+    endOfMessage: null,
 };
 
 export class MorseDecoder {
     /**
-     * @param {{framesPerSecond: number, volumeThreshold: number, ditTime: number}} params
+     * @param {{volumeThreshold: number, ditTime: number, mode?: string, windowSeconds?: number, codeTable?: string, preferProsigns?: boolean, minVolumeThreshold?: number, resetTimeout?: number, editCommands?: Object<string, string|null>, errorDeletes?: string}} params
+     *   `volumeThreshold` は音量分布が得られるまでの初期閾値として使われます。
+     *   `mode` は、文字を即座に確定する 'streaming' か、窓内を再デコードし続ける 'windowed' です。
+     *   `codeTable` は最初に使う対応表 (CodeTable)、`preferProsigns` は約物と同じ符号を持つ
+     *   略符号を`<AR>`のように表示するかどうかです。
+     *   `editCommands` は`DEFAULT_EDIT_COMMANDS`のうち変更するコマンドの略符号です。約物と同じ符号を持つ
+     *   略符号（`<AR>`など）をコマンドにする場合は、`preferProsigns`をtrueのままにします。`errorDeletes` は
+     *   訂正符号で直前の単語 ('word') と文字 ('character') のどちらを削除するかです。
      */
     constructor(params) {
-        this.framesPerSecond = params.framesPerSecond || 60;
+        this.mode = params.mode || 'streaming';
         this.volumeThreshold = params.volumeThreshold || 40;
-        this.ditTime = params.ditTime || 0.15; // 短点の基準時間 (秒)
-        
-        // モールス符号のルールに基づき、各要素の時間の閾値をフレーム数で計算
-        this.dahTimeFrames = (this.ditTime * 2) * this.framesPerSecond; // DitとDahの境界
-        this.charSpaceFrames = (this.ditTime * 2) * this.framesPerSecond; // 要素間と文字間の境界
-        this.wordSpaceFrames = (this.ditTime * 5) * this.framesPerSecond; // 文字間と単語間の境界
+        this.ditTime = params.ditTime || 0.15; // 短点の基準時間 (秒)。送信速度に合わせて推定し直される
+        this.markBias = 0; // 音ありが長く、音なしが短く測られる量 (秒)。分析窓による音の広がりなどから推定し直される
+        this._updateTimingThresholds();
+
+        // 速度推定のために保持する、直近の音あり/音なしの持続時間（秒）
+        this.recentMarkDurations = [];
+        this.recentSpaceDurations = [];
+        this.maxRecentDurations = 30;
+        this.minDitTime = 1.2 / 40; // 推定を許す最速 (40 WPM)
+        this.maxDitTime = 1.2 / 3; // 推定を許す最遅 (3 WPM)
+        this.speedAdaptationRate = 0.3; // 推定値へ寄せる割合
+        this.minMarkClusterRatio = 0.2; // 短点と長点の集団のそれぞれに求める、音ありの数の割合
+        this.maxMarkBiasRatio = 0.8; // 1単位の長さに対する、推定を許す偏りの大きさの上限
+
+        // 音量分布から閾値を求めるためのスライディングウィンドウ
+        this.volumeWindow = []; // {time, volume} の配列
+        this.volumeWindowSeconds = 4; // 約4秒分の音量履歴から閾値を決める
+        this.minVolumeThreshold = params.minVolumeThreshold ?? 15; // 閾値がノイズに埋もれないための下限
+        this.minVolumeContrast = 30; // 音あり/音なしの集団とみなすのに必要な平均音量の差
+        this.hysteresisRatio = 0.1; // 集団間の距離に対するヒステリシス幅の割合
+        this.upperThreshold = this.volumeThreshold;
+        this.lowerThreshold = this.volumeThreshold;
+
+        this.minMarkTime = 0.02; // これより短い音ありはノイズとして無視する (秒)
 
         this.state = State.SPACE;
-        this.currentStateDuration = 0;
+        this.stateStartTime = null; // 現在の状態が始まった時刻 (秒)
+        this.currentStateDuration = 0; // 現在の状態が続いている時間 (秒)
         this.currentSequence = [];
-        this.decodedText = "";
+        this.currentSymbolProbabilities = []; // 入力中の符号の各要素の確からしさ
+        this.currentGapProbabilities = []; // 入力中の符号の各要素の後の要素間スペースの確からしさ
+        this.buffer = new TextBuffer(); // 確定済みのテキスト。確からしさと別の候補を付けた文字の列として編集できる
+
+        // 編集コマンドとして解釈する略符号。nullにしたコマンドは使わない
+        this.editCommands = { ...DEFAULT_EDIT_COMMANDS, ...params.editCommands };
+        this.errorDeletes = params.errorDeletes || 'word'; // 訂正符号で削除する単位 ('word' or 'character')
+        this.textEvents = []; // 取り出されるまで保持する、確定した文字・単語・メッセージの記録
+        this.maxTextEvents = 1000;
+
+        // 別の候補として示す読みの確からしさの下限と、候補の最大数
+        this.alternativeMinProbability = 0.1;
+        this.maxAlternatives = 3;
+
+        // 確定済みのテキストの末尾で有効な対応表（欧文/和文）
+        this.codeTable = params.codeTable || CodeTable.LATIN;
+        this.preferProsigns = params.preferProsigns ?? true;
+
+        // 'windowed' モードで再デコードの対象となる、音あり/音なしの区間
+        this.runs = [];
+        this.windowSeconds = params.windowSeconds || 6;
+        // 窓内の終わったランだけを読んだ結果。ランや速度の推定が変わるまで、進行中の状態だけを付け足して使い回す
+        this.windowReading = null;
+        this.provisionalText = "";
+        this.provisionalCharacters = [];
+        this.provisionalCodeTable = this.codeTable; // 暫定テキストの末尾で有効な対応表
+        this.beamWidth = 24;
+        this.timingTolerance = 0.4; // 理想の長さに対する対数比の許容幅（標準偏差）
+        this.invalidCodePenalty = 4; // 対応表に無い符号を含む読みに課すコスト
         
         // 5秒間入力がなかったらリセット
-        this.lastMarkTime = Date.now();
-        this.resetTimeout = 5000;
+        this.lastMarkTime = null;
+        this.resetTimeout = params.resetTimeout ?? 5; // 秒
+
+        // 取り出されるまで保持する、終わった区間の記録
+        this.runLog = [];
+        this.maxRunLog = 1000;
+
+        // 文字ごとの時間の範囲。確定した文字の範囲は、取り出されなくても上限まで保持する
+        this.characterSpans = [];
+        this.provisionalSpans = [];
+        this.maxCharacterSpans = 1000;
+        this.currentElements = []; // 入力中の符号の各要素の時間の範囲（'windowed' 以外のモード）
+    }
+
+    /**
+     * 調整可能なパラメータを、デコードを続けたまま変更します。
+     * `ditTime` を変更した場合は、それまでの速度推定を捨てて、各要素の時間の閾値を計算し直します。
+     * `editCommands` は指定したコマンドの略符号だけを変え、以降に確定する文字から使います。
+     * @param {{ditTime?: number, minVolumeThreshold?: number, resetTimeout?: number, editCommands?: Object<string, string|null>, errorDeletes?: string}} params
+     */
+    updateParams(params) {
+        if (params.minVolumeThreshold !== undefined) this.minVolumeThreshold = params.minVolumeThreshold;
+        if (params.resetTimeout !== undefined) this.resetTimeout = params.resetTimeout;
+        if (params.editCommands !== undefined) this.editCommands = { ...this.editCommands, ...params.editCommands };
+        if (params.errorDeletes !== undefined) this.errorDeletes = params.errorDeletes;
+        if (params.ditTime !== undefined) {
+            this.ditTime = params.ditTime;
+            this.markBias = 0;
+            this.recentMarkDurations = [];
+            this.recentSpaceDurations = [];
+            this._updateTimingThresholds();
+        }
     }
 
     /**
      * 音量データを受け取り、デコード処理を進めます。
-     * @param {number} targetVolume - 現在のフレームの音量。
+     * @param {number} targetVolume - 現在のサンプルの音量。
+     * @param {number} timestamp - そのサンプルのオーディオクロック上の時刻 (秒)。
      */
-    process(targetVolume) {
-        if ((Date.now() - this.lastMarkTime) > this.resetTimeout) {
-            this._handleStateChange(State.SPACE, this.wordSpaceFrames / this.framesPerSecond);
+    process(targetVolume, timestamp) {
+        if (this.stateStartTime === null) {
+            this.stateStartTime = timestamp;
+            this.lastMarkTime = timestamp;
+        }
+
+        if ((timestamp - this.lastMarkTime) > this.resetTimeout) {
+            if (this.mode === 'windowed') {
+                this._commitAllRuns();
+            } else {
+                this._handleStateChange(State.SPACE, this.resetTimeout, timestamp);
+            }
         }
 
-        const newState = targetVolume > this.volumeThreshold ? State.MARK : State.SPACE;
+        this._updateVolumeThreshold(targetVolume, timestamp);
 
-        if (newState === this.state) {
-            this.currentStateDuration++;
-        } else {
-            this._handleStateChange(this.state, this.currentStateDuration);
+        const activeThreshold = this.state === State.MARK ? this.lowerThreshold : this.upperThreshold;
+        const newState = targetVolume > activeThreshold ? State.MARK : State.SPACE;
+
+        if (newState !== this.state) {
+            const duration = timestamp - this.stateStartTime;
+            this._recordDuration(this.state, duration);
+            this._logRun(this.state, duration, timestamp);
+            if (this.mode === 'windowed') {
+                this.runs.push({ state: this.state, duration, endTime: timestamp });
+                this.windowReading = null;
+            } else {
+                this._handleStateChange(this.state, duration, timestamp);
+            }
             this.state = newState;
-            this.currentStateDuration = 1;
+            this.stateStartTime = timestamp;
         }
+        this.currentStateDuration = timestamp - this.stateStartTime;
         
         if (newState === State.MARK) {
-            this.lastMarkTime = Date.now();
+            this.lastMarkTime = timestamp;
+        }
+
+        if (this.mode === 'windowed') {
+            this._redecodeWindow();
         }
     }
 
+    /**
+     * @private
+     * 窓から外れた部分を確定させた上で、窓内のランと進行中の状態を再デコードし、暫定テキストを更新します。
+     * ビームサーチは終わったランが増えたときなど、読みが変わり得るときだけ行い、それ以外のサンプルでは
+     * 前回の読みに進行中の状態を付け足すだけにします。
+     */
+    _redecodeWindow() {
+        let totalDuration = this.currentStateDuration;
+        for (const run of this.runs) totalDuration += run.duration;
+        const expiredDuration = totalDuration - this.windowSeconds;
+
+        if (expiredDuration > 0) {
+            // 窓の外で始まる文字間スペースのうち最も新しいものまでを確定させる
+            let freezeIndex = -1;
+            let runStart = 0;
+            for (let i = 0; i < this.runs.length && runStart < expiredDuration; i++) {
+                const run = this.runs[i];
+                if (run.state === State.SPACE && run.duration > this.charSpaceThreshold) {
+                    freezeIndex = i;
+                }
+                runStart += run.duration;
+            }
+            if (freezeIndex !== -1) {
+                const frozenRuns = this.runs.splice(0, freezeIndex + 1);
+                this.windowReading = null;
+                const reading = this._flushReading(this._searchBestReading(frozenRuns, this.buffer.getTextBeforeCursor()));
+                this._commitReading(reading);
+            }
+        }
+
+        // 確定テキストや対応表が編集で変わった場合も読み直す
+        const precedingText = this.buffer.getTextBeforeCursor();
+        if (!this.windowReading || this.windowReading.precedingText !== precedingText
+            || this.windowReading.table !== this.codeTable) {
+            this.windowReading = {
+                precedingText,
+                table: this.codeTable,
+                reading: this._searchBestReading(this.runs, precedingText)
+            };
+        }
+        const reading = this._withOngoingRun(this.windowReading.reading, precedingText, this._getOngoingRun());
+        this.provisionalText = reading.text + reading.sequence;
+        // 入力途中の符号はまだ文字になっていないため、確からしさを持たない
+        this.provisionalCharacters = reading.sequence
+            ? [...reading.characters, { text: reading.sequence, confidence: null, alternatives: [] }]
+            : reading.characters;
+        this.provisionalCodeTable = reading.table;
+        const spans = reading.sequence
+            ? [...reading.spans, createSpan(null, reading.sequence, reading.sequenceElements)]
+            : reading.spans;
+        this.provisionalSpans = spans.map(span => ({ ...span, isProvisional: true }));
+    }
+
+    /**
+     * @private
+     * 進行中の状態を、これまでの長さで終わったものとしたランを返します。
+     * @returns {{state: number, duration: number, endTime: number}}
+     */
+    _getOngoingRun() {
+        return {
+            state: this.state,
+            duration: this.currentStateDuration,
+            endTime: (this.stateStartTime ?? 0) + this.currentStateDuration
+        };
+    }
+
+    /**
+     * @private
+     * 読みの文字を確定テキストに反映し、読みの末尾の対応表を引き継ぎます。
+     * @param {{text: string, characters: object[], spans: object[], table: string}} reading - 未完の符号を持たない読み
+     */
+    _commitReading(reading) {
+        for (const character of reading.characters) this._applyCharacter(character);
+        for (const span of reading.spans) this._recordSpan(span);
+        this.codeTable = reading.table;
+    }
+
+    /**
+     * @private
+     * 確定した文字の時間の範囲を記録します。上限を超えた場合は古いものから捨てます。
+     * @param {{text: string, sequence: string, startTime: number, endTime: number, elements: object[]}} span
+     */
+    _recordSpan(span) {
+        this.characterSpans.push(span);
+        if (this.characterSpans.length > this.maxCharacterSpans) this.characterSpans.shift();
+    }
+
+    /**
+     * 確定した文字と暫定部分の文字、入力途中の符号の時間の範囲を、時刻順に返します。
+     * 対応表を切り替える略符号のように文字にならない符号は含みません。
+     * @returns {{text: string|null, confidence: number|null, sequence: string, startTime: number, endTime: number, elements: {symbol: string, startTime: number, endTime: number}[], isProvisional?: boolean}[]}
+     *   `text` は文字（解読できない符号は'?'、入力途中の符号はnull）、`confidence` はその確からしさ、`sequence` は短点・長点の並び、
+     *   `elements` は各要素の時間の範囲です。暫定部分と入力途中の符号には`isProvisional`が付きます。
+     */
+    getCharacterSpans() {
+        return [...this.characterSpans, ...this.provisionalSpans];
+    }
+
+    /**
+     * @private
+     * 確定した1文字を、編集コマンドならその編集として、そうでなければ文字としてバッファに反映し、
+     * `drainTextEvents`で取り出せるよう記録します。
+     * @param {{text: string, confidence: number, alternatives: string[]}} character
+     */
+    _applyCharacter(character) {
+        const command = Object.keys(this.editCommands).find(name => this.editCommands[name] === character.text) ?? null;
+        if (character.text !== ' ') this._logTextEvent({ type: 'character', character, command });
+        // 単語の区切りで、カーソルの直前の単語が終わったことを記録する
+        if (character.text === ' ' || command === 'newline' || command === 'endOfMessage') {
+            const word = this.buffer.getTextBeforeCursor().split(/\s/).pop();
+            if (word) this._logTextEvent({ type: 'word', text: word });
+        }
+
+        switch (command) {
+            case 'error':
+                this.buffer.deleteBackward(this.errorDeletes);
+                break;
+            case 'newline':
+                this.buffer.insertNewline();
+                break;
+            case 'clear':
+                this.buffer.clear();
+                break;
+            case 'endOfMessage': {
+                const message = this.buffer.getText().trim();
+                if (message) this._logTextEvent({ type: 'message', text: message });
+                this.buffer.clear();
+                break;
+            }
+            default:
+                this.buffer.insert(character);
+        }
+    }
+
+    /**
+     * @private
+     * 確定した文字・単語・メッセージを記録します。取り出されないまま上限を超えた場合は古いものから捨てます。
+     * @param {{type: string}} event
+     */
+    _logTextEvent(event) {
+        this.textEvents.push(event);
+        if (this.textEvents.length > this.maxTextEvents) this.textEvents.shift();
+    }
+
+    /**
+     * 入力の終わりに呼び出し、入力途中の符号や暫定テキストも含めてすべてを確定させます。
+     * 録音済みの音声ファイルを最後まで処理した後などに使います。
+     */
+    flush() {
+        if (this.stateStartTime !== null) {
+            this._logRun(this.state, this.currentStateDuration, this.stateStartTime + this.currentStateDuration);
+        }
+        if (this.mode === 'windowed') {
+            this.runs.push(this._getOngoingRun());
+            this.state = State.SPACE;
+            this.currentStateDuration = 0;
+            this._commitAllRuns();
+        } else {
+            this._handleStateChange(this.state, this.currentStateDuration, this.stateStartTime + this.currentStateDuration);
+            this._decodeSequence();
+            this.state = State.SPACE;
+            this.currentStateDuration = 0;
+        }
+        this.stateStartTime = null;
+    }
+
+    /**
+     * @private
+     * 終わった区間を記録します。取り出されないまま上限を超えた場合は古いものから捨てます。
+     * @param {number} state - 終わった状態 (State.MARK or State.SPACE)
+     * @param {number} duration - その状態が続いた時間 (秒)
+     * @param {number} endTime - その状態が終わった時刻 (秒)
+     */
+    _logRun(state, duration, endTime) {
+        this.runLog.push({ state: state === State.MARK ? 'mark' : 'space', duration, endTime });
+        if (this.runLog.length > this.maxRunLog) this.runLog.shift();
+    }
+
+    /**
+     * 前回の呼び出し以降に終わった音あり/音なしの区間をすべて取り出し、記録を空にします。
+     * @returns {{state: string, duration: number, endTime: number}[]} `state` は 'mark' または 'space'。
+     */
+    drainRuns() {
+        const runs = this.runLog;
+        this.runLog = [];
+        return runs;
+    }
+
+    /**
+     * デコード結果のテキストと入力途中の符号を消去し、新しい入力を待つ状態に戻します。
+     * 推定した送信速度や音量の閾値、対応表の選択はそのまま引き継ぎます。
+     */
+    clearText() {
+        this.buffer.clear();
+        this.provisionalText = "";
+        this.provisionalCharacters = [];
+        this.provisionalCodeTable = this.codeTable;
+        this.currentSequence = [];
+        this.currentSymbolProbabilities = [];
+        this.currentGapProbabilities = [];
+        this.currentElements = [];
+        this.runs = [];
+        this.windowReading = null;
+        this.runLog = [];
+        this.characterSpans = [];
+        this.provisionalSpans = [];
+        this.state = State.SPACE;
+        this.stateStartTime = null;
+        this.currentStateDuration = 0;
+    }
+
+    /**
+     * @private
+     * 窓内のランと進行中の状態をすべて確定テキストに移します。
+     */
+    _commitAllRuns() {
+        if (this.runs.length === 0) return;
+        const ongoingRun = this._getOngoingRun();
+        const reading = this._flushReading(this._searchBestReading(this.runs, this.buffer.getTextBeforeCursor(), ongoingRun));
+        this._commitReading(reading);
+        this.runs = [];
+        this.windowReading = null;
+        this.provisionalText = "";
+        this.provisionalCharacters = [];
+        this.provisionalSpans = [];
+        this.provisionalCodeTable = this.codeTable;
+    }
+
+    /**
+     * @private
+     * 読みの未完の符号を、その読みで有効な対応表を使って文字に変換します。
+     * 符号が対応表を切り替える略符号だった場合は、文字を追加せずに対応表だけを切り替えます。
+     * @param {{text: string, characters: object[], spans: object[], sequence: string, sequenceElements: object[], symbolProbabilities: number[], gapProbabilities: number[], table: string, cost: number}} reading
+     *   `_searchBestReading`が返す読み
+     * @param {number} [endProbability=1] - 符号の終わりのスペースが、要素間ではなく文字の区切りである確からしさ。
+     * @returns {{text: string, characters: object[], spans: object[], sequence: string, sequenceElements: object[], symbolProbabilities: number[], gapProbabilities: number[], table: string, cost: number}}
+     *   未完の符号を持たない読み
+     */
+    _flushReading(reading, endProbability = 1) {
+        if (!reading.sequence) return reading;
+        const { character, table } = this._describeCharacter(
+            reading.sequence, reading.symbolProbabilities, reading.gapProbabilities, reading.table, endProbability
+        );
+        const characters = [...reading.characters];
+        const spans = [...reading.spans];
+        if (character.text) {
+            pushCharacter(characters, character);
+            spans.push(createSpan(character, reading.sequence, reading.sequenceElements));
+        }
+        return {
+            text: appendDecodedText(reading.text, character.text),
+            characters,
+            spans,
+            sequence: "",
+            sequenceElements: [],
+            symbolProbabilities: [],
+            gapProbabilities: [],
+            table,
+            cost: reading.cost
+        };
+    }
+
+    /**
+     * @private
+     * 1文字分の符号を文字に変換し、その確からしさと別の候補を求めます。
+     * 確からしさは、符号を作る各区間の判定の確からしさのうち最も低いものとします。
+     * 別の候補には、確からしさの低い短点/長点を入れ替えた読みと、要素間のスペースで2文字に分けた読みを、
+     * その区間の判定が誤っている確からしさの高い順に並べます。
+     * @param {string} sequence - 短点・長点の並び。
+     * @param {number[]} symbolProbabilities - 各要素（短点/長点）の種類の確からしさ。
+     * @param {number[]} gapProbabilities - i番目の要素の後の要素間スペースの確からしさ（疎な配列）。
+     * @param {string} table - 現在の対応表の種類 (CodeTable)。
+     * @param {number} endProbability - 符号の終わりのスペースが文字の区切りである確からしさ。
+     * @returns {{character: {text: string, confidence: number, alternatives: string[]}, table: string}}
+     *   文字と、その後の対応表。対応表を切り替える略符号では、文字の`text`は空文字列。
+     */
+    _describeCharacter(sequence, symbolProbabilities, gapProbabilities, table, endProbability) {
+        const lookup = (code) => lookupCode(code, table, this.preferProsigns);
+        const { character, table: nextTable } = lookup(sequence);
+        const confidence = Math.min(endProbability, ...symbolProbabilities, ...gapProbabilities.filter(p => p !== undefined));
+
+        const candidates = [];
+        [...sequence].forEach((symbol, index) => {
+            const flipped = sequence.slice(0, index) + (symbol === '.' ? '-' : '.') + sequence.slice(index + 1);
+            candidates.push({ text: lookup(flipped).character, probability: 1 - symbolProbabilities[index] });
+        });
+        gapProbabilities.forEach((probability, index) => {
+            const first = lookup(sequence.slice(0, index + 1)).character;
+            const second = lookup(sequence.slice(index + 1)).character;
+            if (first && second) candidates.push({ text: first + second, probability: 1 - probability });
+        });
+
+        const alternatives = [];
+        for (const candidate of candidates.sort((a, b) => b.probability - a.probability)) {
+            if (candidate.probability < this.alternativeMinProbability) break;
+            if (!candidate.text || candidate.text.includes('?') || candidate.text === character) continue;
+            if (!alternatives.includes(candidate.text)) alternatives.push(candidate.text);
+        }
+        return {
+            character: { text: character, confidence, alternatives: alternatives.slice(0, this.maxAlternatives) },
+            table: nextTable
+        };
+    }
+
+    /**
+     * @private
+     * 音ありの区間が短点と長点のそれぞれである確からしさを、タイミングのコストから求めます。
+     * @param {number} duration - 音ありの持続時間 (秒)
+     * @returns {{'.': number, '-': number}}
+     */
+    _markProbabilities(duration) {
+        const safeDuration = this._correctDuration(State.MARK, duration);
+        const dit = 1 / (1 + Math.exp(this._timingCost(safeDuration, 1) - this._timingCost(safeDuration, 3)));
+        return { '.': dit, '-': 1 - dit };
+    }
+
+    /**
+     * @private
+     * 音なしの区間が要素間・文字間・単語間のそれぞれである確からしさを、タイミングのコストから求めます。
+     * 単語間より長い無音は、ビームサーチと同じく長すぎることを減点しません。
+     * @param {number} duration - 音なしの持続時間 (秒)
+     * @returns {{element: number, char: number, word: number}}
+     */
+    _spaceProbabilities(duration) {
+        const safeDuration = this._correctDuration(State.SPACE, duration);
+        const costs = [
+            this._timingCost(safeDuration, 1),
+            this._timingCost(safeDuration, 3),
+            safeDuration > 7 * this.ditTime ? 0 : this._timingCost(safeDuration, 7)
+        ];
+        const minCost = Math.min(...costs);
+        const weights = costs.map(cost => Math.exp(minCost - cost));
+        const total = weights[0] + weights[1] + weights[2];
+        return { element: weights[0] / total, char: weights[1] / total, word: weights[2] / total };
+    }
+
+    /**
+     * @private
+     * 要素間スペースの確からしさを、符号の最後の要素の後の位置に記録した配列を返します。
+     * ノイズとして無視した音ありを挟んで要素間スペースが続いた場合は、低い方を残します。
+     * @param {string} sequence - これまでの短点・長点の並び。
+     * @param {number[]} gapProbabilities - これまでの要素間スペースの確からしさ。
+     * @param {number} probability - 新しい要素間スペースの確からしさ。
+     * @returns {number[]}
+     */
+    _withGapProbability(sequence, gapProbabilities, probability) {
+        if (!sequence) return gapProbabilities;
+        const gaps = [...gapProbabilities];
+        const index = sequence.length - 1;
+        gaps[index] = Math.min(gaps[index] ?? 1, probability);
+        return gaps;
+    }
+
+    /**
+     * @private
+     * 測った持続時間から、音ありが長く・音なしが短く測られる偏り（`markBias`）を取り除きます。
+     * @param {number} state - 区間の状態 (State.MARK or State.SPACE)
+     * @param {number} duration - 測った持続時間 (秒)
+     * @returns {number} 補正した持続時間 (秒)。タイミングのコストで対数をとれるよう、正の値にします。
+     */
+    _correctDuration(state, duration) {
+        const corrected = state === State.MARK ? duration - this.markBias : duration + this.markBias;
+        return Math.max(corrected, 1e-3);
+    }
+
+    /**
+     * @private
+     * 理想の単位数に対して、実際の持続時間がどれだけ外れているかをコストとして返します。
+     * @param {number} duration - 実際の持続時間 (秒)
+     * @param {number} units - 仮定する単位数 (1, 3, 7)
+     * @returns {number}
+     */
+    _timingCost(duration, units) {
+        const logRatio = Math.log(duration / (units * this.ditTime));
+        return (logRatio * logRatio) / (2 * this.timingTolerance * this.timingTolerance);
+    }
+
+    /**
+     * @private
+     * ランの列に対して、各音ありを短点/長点、各音なしを要素間/文字間/単語間のいずれかと仮定した
+     * 読みの候補をビームサーチで展開し、最もコストの低い読みを返します。
+     * 進行中の状態は長さが確定していないため、探索には含めず、`_withOngoingRun`で現在の閾値でのみ分類します。
+     * 候補ごとに文字の確からしさを求めると重いため、探索中の文字は連結リストとして符号とランの範囲だけを持ち、
+     * 確からしさと別の候補は最も良い読みについてだけ、ランの列をたどって求めます。
+     * @param {{state: number, duration: number, endTime: number}[]} runs - 確定したランの列
+     * @param {string} precedingText - 直前までの確定テキスト（単語間スペースの重複を避けるため）
+     * @param {{state: number, duration: number, endTime: number}} [ongoingRun] - 進行中の状態
+     * @returns {{text: string, characters: object[], spans: object[], sequence: string, sequenceElements: object[], symbolProbabilities: number[], gapProbabilities: number[], table: string, cost: number}}
+     *   文字に変換済みの部分とその文字の列・時間の範囲、未完の符号とその要素の時間の範囲・確からしさ、読みの末尾で有効な対応表
+     */
+    _searchBestReading(runs, precedingText, ongoingRun) {
+        const needsWordSpace = (text) => {
+            const context = precedingText + text;
+            return context.length > 0 && !context.endsWith(' ') && !context.endsWith('\n');
+        };
+        // 候補は数が多いため、スプレッド構文を使わずに同じ形のオブジェクトとして作る
+        const extend = (hypothesis, sequence, cost) => ({
+            text: hypothesis.text,
+            characters: hypothesis.characters,
+            sequence,
+            sequenceStart: hypothesis.sequenceStart,
+            table: hypothesis.table,
+            cost
+        });
+        // 符号を文字に変換する。`end` は符号の後の区切りのランの位置
+        const flushHypothesis = (hypothesis, end, endProbability, cost) => {
+            if (!hypothesis.sequence) return extend(hypothesis, hypothesis.sequence, cost);
+            const { character, table } = lookupCode(hypothesis.sequence, hypothesis.table, this.preferProsigns);
+            return {
+                text: appendDecodedText(hypothesis.text, character),
+                characters: character ? {
+                    text: character, sequence: hypothesis.sequence, table: hypothesis.table,
+                    start: hypothesis.sequenceStart, end, endProbability, previous: hypothesis.characters
+                } : hypothesis.characters,
+                sequence: "",
+                sequenceStart: end + 1,
+                table,
+                cost
+            };
+        };
+        const withWordSpace = (hypothesis) => {
+            if (!needsWordSpace(hypothesis.text)) return hypothesis;
+            return {
+                text: hypothesis.text + ' ',
+                characters: { text: ' ', sequence: null, previous: hypothesis.characters },
+                sequence: hypothesis.sequence,
+                sequenceStart: hypothesis.sequenceStart,
+                table: hypothesis.table,
+                cost: hypothesis.cost
+            };
+        };
+
+        let beam = [{ text: "", characters: null, sequence: "", sequenceStart: 0, table: this.codeTable, cost: 0 }];
+
+        runs.forEach((run, index) => {
+            const candidates = new Map();
+            const addCandidate = (candidate) => {
+                const key = candidate.text + '|' + candidate.sequence + '|' + candidate.table;
+                const existing = candidates.get(key);
+                if (!existing || existing.cost > candidate.cost) candidates.set(key, candidate);
+            };
+
+            const endProbability = run.state === State.SPACE ? 1 - this._spaceProbabilities(run.duration).element : 1;
+            const duration = this._correctDuration(run.state, run.duration);
+            for (const hypothesis of beam) {
+                if (run.state === State.MARK) {
+                    if (run.duration < this.minMarkTime) { // ごく短いノイズは無視
+                        addCandidate(hypothesis);
+                        continue;
+                    }
+                    for (const [symbol, units] of [['.', 1], ['-', 3]]) {
+                        const sequence = hypothesis.sequence + symbol;
+                        let cost = hypothesis.cost + this._timingCost(duration, units);
+                        if (!isValidCodePrefix(sequence, hypothesis.table)
+                            && isValidCodePrefix(hypothesis.sequence, hypothesis.table)) {
+                            cost += this.invalidCodePenalty;
+                        }
+                        addCandidate(extend(hypothesis, sequence, cost));
+                    }
+                } else {
+                    addCandidate(extend(hypothesis, hypothesis.sequence, hypothesis.cost + this._timingCost(duration, 1)));
+                    const charSpaceCost = hypothesis.cost + this._timingCost(duration, 3);
+                    const flushed = flushHypothesis(hypothesis, index, endProbability, charSpaceCost);
+                    addCandidate(flushed);
+                    // 単語間より長い無音は、長すぎることを減点しない
+                    const wordSpaceCost = duration > 7 * this.ditTime
+                        ? 0 : this._timingCost(duration, 7);
+                    addCandidate(withWordSpace(extend(flushed, flushed.sequence, hypothesis.cost + wordSpaceCost)));
+                }
+            }
+
+            beam = [...candidates.values()]
+                .sort((a, b) => a.cost - b.cost)
+                .slice(0, this.beamWidth);
+        });
+
+        return this._withOngoingRun(this._materializeReading(beam[0], runs), precedingText, ongoingRun);
+    }
+
+    /**
+     * @private
+     * 読みの後に進行中の状態を付け足します。音ありは現在の閾値で短点/長点に分類し、
+     * 文字間・単語間より長く続いている音なしは、符号を文字に変換して単語の区切りを加えます。
+     * @param {{text: string, characters: object[], spans: object[], sequence: string, sequenceElements: object[], symbolProbabilities: number[], gapProbabilities: number[], table: string, cost: number}} reading
+     *   `_searchBestReading`が返す読み
+     * @param {string} precedingText - 直前までの確定テキスト（単語間スペースの重複を避けるため）
+     * @param {{state: number, duration: number, endTime: number}} [ongoingRun] - 進行中の状態
+     * @returns {{text: string, characters: object[], spans: object[], sequence: string, sequenceElements: object[], symbolProbabilities: number[], gapProbabilities: number[], table: string, cost: number}}
+     */
+    _withOngoingRun(reading, precedingText, ongoingRun) {
+        let best = reading;
+        if (ongoingRun && ongoingRun.duration >= this.minMarkTime) {
+            if (ongoingRun.state === State.MARK) {
+                const symbol = ongoingRun.duration < this.dahThreshold ? '.' : '-';
+                best = {
+                    ...best,
+                    sequence: best.sequence + symbol,
+                    sequenceElements: [...best.sequenceElements, {
+                        symbol, startTime: ongoingRun.endTime - ongoingRun.duration, endTime: ongoingRun.endTime
+                    }],
+                    symbolProbabilities: [...best.symbolProbabilities, this._markProbabilities(ongoingRun.duration)[symbol]]
+                };
+            } else if (ongoingRun.duration > this.charSpaceThreshold) {
+                const endProbability = 1 - this._spaceProbabilities(ongoingRun.duration).element;
+                best = this._flushReading(best, endProbability);
+                const context = precedingText + best.text;
+                const needsWordSpace = context.length > 0 && !context.endsWith(' ') && !context.endsWith('\n');
+                if (ongoingRun.duration > this.wordSpaceThreshold && needsWordSpace) {
+                    best = { ...best, text: best.text + ' ', characters: [...best.characters, SPACE_CHARACTER] };
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * @private
+     * ビームサーチの候補を、確からしさと別の候補を付けた文字の列を持つ読みに変換します。
+     * 各文字と未完の符号の要素の確からしさと時間の範囲は、その符号が読まれたランの範囲をたどって求めます。
+     * @param {{text: string, characters: object|null, sequence: string, sequenceStart: number, table: string, cost: number}} hypothesis
+     * @param {{state: number, duration: number, endTime: number}[]} runs - 探索したランの列
+     * @returns {{text: string, characters: object[], spans: object[], sequence: string, sequenceElements: object[], symbolProbabilities: number[], gapProbabilities: number[], table: string, cost: number}}
+     */
+    _materializeReading(hypothesis, runs) {
+        const collectProbabilities = (sequence, start, end) => {
+            const symbolProbabilities = [];
+            let gapProbabilities = [];
+            for (let i = start; i < end; i++) {
+                const run = runs[i];
+                if (run.state === State.MARK) {
+                    if (run.duration < this.minMarkTime) continue;
+                    const symbol = sequence[symbolProbabilities.length];
+                    symbolProbabilities.push(this._markProbabilities(run.duration)[symbol]);
+                } else {
+                    gapProbabilities = this._withGapProbability(
+                        sequence.slice(0, symbolProbabilities.length), gapProbabilities, this._spaceProbabilities(run.duration).element
+                    );
+                }
+            }
+            return { symbolProbabilities, gapProbabilities };
+        };
+        const collectElements = (sequence, start, end) => {
+            const elements = [];
+            for (let i = start; i < end; i++) {
+                const run = runs[i];
+                if (run.state !== State.MARK || run.duration < this.minMarkTime) continue;
+                elements.push({ symbol: sequence[elements.length], startTime: run.endTime - run.duration, endTime: run.endTime });
+            }
+            return elements;
+        };
+
+        const nodes = [];
+        for (let node = hypothesis.characters; node; node = node.previous) nodes.push(node);
+        const characters = [];
+        const spans = [];
+        for (const node of nodes.reverse()) {
+            if (node.sequence === null) {
+                pushCharacter(characters, SPACE_CHARACTER);
+                continue;
+            }
+            const { symbolProbabilities, gapProbabilities } = collectProbabilities(node.sequence, node.start, node.end);
+            const { character } = this._describeCharacter(
+                node.sequence, symbolProbabilities, gapProbabilities, node.table, node.endProbability
+            );
+            pushCharacter(characters, character);
+            spans.push(createSpan(character, node.sequence, collectElements(node.sequence, node.start, node.end)));
+        }
+
+        return {
+            text: hypothesis.text,
+            characters,
+            spans,
+            sequence: hypothesis.sequence,
+            sequenceElements: collectElements(hypothesis.sequence, hypothesis.sequenceStart, runs.length),
+            ...collectProbabilities(hypothesis.sequence, hypothesis.sequenceStart, runs.length),
+            table: hypothesis.table,
+            cost: hypothesis.cost
+        };
+    }
+
+    /**
+     * @private
+     * 現在の短点の長さから、各要素を識別するための時間の閾値を秒単位で計算します。
+     * モールス符号のルール（短点1・長点3・要素間1・文字間3・単語間7単位）の中間を境界とし、
+     * 音ありは長く・音なしは短く測られる偏り（`markBias`）の分だけずらします。
+     */
+    _updateTimingThresholds() {
+        this.dahThreshold = this.ditTime * 2 + this.markBias; // DitとDahの境界
+        this.charSpaceThreshold = this.ditTime * 2 - this.markBias; // 要素間と文字間の境界
+        this.wordSpaceThreshold = this.ditTime * 5 - this.markBias; // 文字間と単語間の境界
+        this.windowReading = null; // 各要素の長さの見積もりが変わったため、窓内を読み直す
+    }
+
+    /**
+     * @private
+     * 確定した音あり/音なしの持続時間を記録し、送信速度の推定を更新します。
+     * @param {number} state - 終了した状態 (State.MARK or State.SPACE)
+     * @param {number} duration - その状態が続いた時間 (秒)
+     */
+    _recordDuration(state, duration) {
+        if (state === State.MARK) {
+            if (duration < this.minMarkTime) return;
+            this.recentMarkDurations.push(duration);
+            if (this.recentMarkDurations.length > this.maxRecentDurations) this.recentMarkDurations.shift();
+        } else {
+            // 単語間より長い無音は、送信の休止であり速度の手がかりにならない
+            if (duration > this.wordSpaceThreshold) return;
+            this.recentSpaceDurations.push(duration);
+            if (this.recentSpaceDurations.length > this.maxRecentDurations) this.recentSpaceDurations.shift();
+        }
+        this._updateSpeedEstimate();
+    }
+
+    /**
+     * @private
+     * 直近の持続時間を1・3・7単位に分類し、1単位の長さを推定します。
+     * 音ありの持続時間に明確な2つの集団（短点と長点）が見える場合はその切れ目で分け、
+     * そうでない場合は現在の推定値を基準に最も近い単位数へ割り当てます。
+     * 割り当てた単位数から、「持続時間 = 単位数 x 1単位 ± 偏り」（音ありは+、音なしは-）を最小二乗法で当てはめ、
+     * 1単位の長さと、分析窓による音の広がりなどで音ありが長く・音なしが短く測られる偏りを同時に求めます。
+     * 割り当てを数回繰り返して推定値を収束させた後、現在値へ少しずつ反映します。
+     */
+    _updateSpeedEstimate() {
+        const marks = this.recentMarkDurations;
+        if (marks.length < 3) return;
+
+        // 短点と長点の切れ目を、持続時間の比が最も大きく開く位置から探す。
+        // 途切れで短く切れた1つだけの音ありを短点の集団と取り違えないよう、どちらの集団にも一定の数を求める
+        const sortedMarks = [...marks].sort((a, b) => a - b);
+        const minClusterSize = Math.max(1, Math.round(sortedMarks.length * this.minMarkClusterRatio));
+        let markBoundary = null;
+        let largestRatio = 0;
+        for (let i = minClusterSize; i <= sortedMarks.length - minClusterSize; i++) {
+            const ratio = sortedMarks[i] / sortedMarks[i - 1];
+            if (ratio > largestRatio) {
+                largestRatio = ratio;
+                markBoundary = Math.sqrt(sortedMarks[i] * sortedMarks[i - 1]);
+            }
+        }
+        if (largestRatio < 1.8) markBoundary = null;
+
+        let estimatedDitTime = this.ditTime;
+        let estimatedBias = this.markBias;
+        for (let iteration = 0; iteration < 3; iteration++) {
+            // 持続時間 = units * dit + sign * bias の正規方程式の係数
+            let sumUnits2 = 0, sumUnitsSign = 0, sumSign2 = 0, sumUnitsDuration = 0, sumSignDuration = 0;
+            const addSample = (duration, units, sign) => {
+                sumUnits2 += units * units;
+                sumUnitsSign += units * sign;
+                sumSign2 += 1;
+                sumUnitsDuration += units * duration;
+                sumSignDuration += sign * duration;
+            };
+            const dahBoundary = markBoundary ?? estimatedDitTime * 2 + estimatedBias;
+            for (const duration of marks) {
+                addSample(duration, duration < dahBoundary ? 1 : 3, 1);
+            }
+            let spaceCount = 0;
+            for (const duration of this.recentSpaceDurations) {
+                const corrected = duration + estimatedBias;
+                if (corrected > estimatedDitTime * 5) continue;
+                addSample(duration, corrected < estimatedDitTime * 2 ? 1 : 3, -1);
+                spaceCount++;
+            }
+
+            const determinant = sumUnits2 * sumSign2 - sumUnitsSign * sumUnitsSign;
+            if (spaceCount >= 3 && determinant > 1e-9) {
+                estimatedDitTime = (sumUnitsDuration * sumSign2 - sumUnitsSign * sumSignDuration) / determinant;
+                estimatedBias = (sumUnits2 * sumSignDuration - sumUnitsSign * sumUnitsDuration) / determinant;
+            } else {
+                // 音なしが少ないうちは偏りを求められないため、今の偏りのまま1単位の長さだけを求める
+                estimatedDitTime = (sumUnitsDuration - estimatedBias * sumUnitsSign) / sumUnits2;
+            }
+            estimatedDitTime = Math.max(this.minDitTime, Math.min(this.maxDitTime, estimatedDitTime));
+            // 要素間スペースが測れなくなるほどの偏りは、当てはめの誤りとみなす
+            estimatedBias = Math.max(-this.maxMarkBiasRatio * estimatedDitTime, Math.min(this.maxMarkBiasRatio * estimatedDitTime, estimatedBias));
+        }
+
+        this.ditTime += (estimatedDitTime - this.ditTime) * this.speedAdaptationRate;
+        this.markBias += (estimatedBias - this.markBias) * this.speedAdaptationRate;
+        this._updateTimingThresholds();
+    }
+
+    /**
+     * 現在推定している送信速度を、PARIS基準のWPM（1分あたりの単語数）で返します。
+     * @returns {number}
+     */
+    getEstimatedWpm() {
+        return 1.2 / this.ditTime;
+    }
+
+    /**
+     * @private
+     * 直近の音量履歴を「音なし」と「音あり」の2集団に分け、その境界を閾値として更新します。
+     * 分離度が最大になる分割点を大津の方法で探し、2集団の平均の中点を閾値とします。
+     * 履歴が単一の集団しか含まない（ずっと無音など）場合は、その集団の上側に閾値を置きます。
+     * @param {number} targetVolume - 現在のサンプルの音量。
+     * @param {number} timestamp - そのサンプルの時刻 (秒)。
+     */
+    _updateVolumeThreshold(targetVolume, timestamp) {
+        this.volumeWindow.push({ time: timestamp, volume: targetVolume });
+        while (timestamp - this.volumeWindow[0].time > this.volumeWindowSeconds) this.volumeWindow.shift();
+
+        const histogram = new Array(256).fill(0);
+        let totalSum = 0;
+        for (const { volume } of this.volumeWindow) {
+            const bin = Math.max(0, Math.min(255, Math.round(volume)));
+            histogram[bin]++;
+            totalSum += bin;
+        }
+        const total = this.volumeWindow.length;
+
+        let bestVariance = -1;
+        let lowMean = totalSum / total;
+        let highMean = lowMean;
+        let lowWeight = 0;
+        let lowSum = 0;
+        for (let t = 0; t < 256; t++) {
+            lowWeight += histogram[t];
+            lowSum += t * histogram[t];
+            const highWeight = total - lowWeight;
+            if (lowWeight === 0) continue;
+            if (highWeight === 0) break;
+
+            const meanLow = lowSum / lowWeight;
+            const meanHigh = (totalSum - lowSum) / highWeight;
+            const betweenVariance = lowWeight * highWeight * (meanHigh - meanLow) ** 2;
+            if (betweenVariance > bestVariance) {
+                bestVariance = betweenVariance;
+                lowMean = meanLow;
+                highMean = meanHigh;
+            }
+        }
+
+        const contrast = highMean - lowMean;
+        if (contrast < this.minVolumeContrast) {
+            const mean = totalSum / total;
+            this.volumeThreshold = Math.max(this.minVolumeThreshold, mean + this.minVolumeContrast / 2);
+            this.upperThreshold = this.volumeThreshold;
+            this.lowerThreshold = this.volumeThreshold;
+            return;
+        }
+
+        const hysteresis = contrast * this.hysteresisRatio;
+        this.volumeThreshold = Math.max(this.minVolumeThreshold, (lowMean + highMean) / 2);
+        this.upperThreshold = this.volumeThreshold + hysteresis;
+        this.lowerThreshold = Math.max(this.minVolumeThreshold, this.volumeThreshold - hysteresis);
+    }
+
     /**
      * @private
      * 状態が変化した時に、直前の状態とその持続時間から信号要素を判断します。
      * @param {number} lastState - 直前の状態 (State.MARK or State.SPACE)
-     * @param {number} durationFrames - その状態が続いたフレーム数
+     * @param {number} duration - その状態が続いた時間 (秒)
+     * @param {number} endTime - その状態が終わった時刻 (秒)
      */
-    _handleStateChange(lastState, durationFrames) {
+    _handleStateChange(lastState, duration, endTime) {
         if (lastState === State.MARK) {
             // 音あり状態 -> 短点か長点か
-            if (durationFrames > 1) { // 1フレームだけのノイズは無視
-                const symbol = durationFrames < this.dahTimeFrames ? '.' : '-';
+            if (duration >= this.minMarkTime) { // ごく短いノイズは無視
+                const symbol = duration < this.dahThreshold ? '.' : '-';
                 this.currentSequence.push(symbol);
+                this.currentSymbolProbabilities.push(this._markProbabilities(duration)[symbol]);
+                this.currentElements.push({ symbol, startTime: endTime - duration, endTime });
             }
         } else { // State.SPACE
             // 音なし状態 -> スペースの種類か
-            if (durationFrames > this.wordSpaceFrames) {
-                this._decodeSequence();
-                if (!this.decodedText.endsWith(' ')) {
-                    this.decodedText += ' ';
-                }
-            } else if (durationFrames > this.charSpaceFrames) {
-                this._decodeSequence();
+            const probabilities = this._spaceProbabilities(duration);
+            if (duration > this.wordSpaceThreshold) {
+                this._decodeSequence(1 - probabilities.element);
+                this._applyCharacter(SPACE_CHARACTER);
+            } else if (duration > this.charSpaceThreshold) {
+                this._decodeSequence(1 - probabilities.element);
+            } else {
+                this.currentGapProbabilities = this._withGapProbability(
+                    this.currentSequence.join(''), this.currentGapProbabilities, probabilities.element
+                );
             }
         }
     }
@@ -108,29 +1026,116 @@ export class MorseDecoder {
     /**
      * @private
      * 蓄積されたシーケンスを文字に変換します。
+     * @param {number} [endProbability=1] - シーケンスの終わりのスペースが文字の区切りである確からしさ。
      */
-    _decodeSequence() {
+    _decodeSequence(endProbability = 1) {
         if (this.currentSequence.length === 0) return;
 
         const sequenceStr = this.currentSequence.join('');
-        const character = MORSE_CODE_MAP[sequenceStr];
-        
-        if (character) {
-            this.decodedText += character;
-        } else {
-            this.decodedText += '?'; // 不明なシーケンス
+        // 不明なシーケンスは'?'、対応表を切り替える略符号は空文字になる
+        const { character, table } = this._describeCharacter(
+            sequenceStr, this.currentSymbolProbabilities, this.currentGapProbabilities, this.codeTable, endProbability
+        );
+        if (character.text) {
+            this._applyCharacter(character);
+            this._recordSpan(createSpan(character, sequenceStr, this.currentElements));
         }
+        this.codeTable = table;
         
         this.currentSequence = [];
+        this.currentSymbolProbabilities = [];
+        this.currentGapProbabilities = [];
+        this.currentElements = [];
+    }
+
+    /**
+     * 以降の入力を解読する対応表（欧文/和文）を手動で切り替えます。
+     * 'windowed' モードでは、まだ暫定の文字も新しい対応表で読み直されます。
+     * @param {string} table - 対応表の種類 (CodeTable)。
+     */
+    setCodeTable(table) {
+        this.codeTable = table;
+        this.provisionalCodeTable = table;
     }
 
     /**
-     * 現在のデコード結果テキストを返します。
-     * @returns {string}
+     * 現在の入力の解読に使われている対応表を返します。
+     * 信号中の略符号DO/SNで切り替わった場合も、その結果が反映されます。
+     * @returns {string} 対応表の種類 (CodeTable)。
+     */
+    getCodeTable() {
+        return this.mode === 'windowed' ? this.provisionalCodeTable : this.codeTable;
+    }
+
+    /**
+     * 現在のデコード結果テキストを、確定済みの部分と、再デコードで変わり得る暫定部分に分けて返します。
+     * 'streaming' モードでは、入力中のシーケンスが暫定部分としてプレビュー表示されます。
+     * 暫定部分は確定済みの部分の`cursor`の位置に入ります。暫定部分の編集コマンドは、確定するまで
+     * `<HH>`のような略符号のまま表示されます。
+     * @returns {{committed: string, provisional: string, cursor: number}} `cursor` は確定済みのテキスト上の位置。
      */
     getDecodedText() {
-        // 現在入力中のシーケンスもプレビュー表示する
+        const committed = this.buffer.getText();
+        const cursor = this.buffer.getTextBeforeCursor().length;
+        if (this.mode === 'windowed') {
+            return { committed, provisional: this.provisionalText, cursor };
+        }
         const preview = this.currentSequence.join('');
-        return this.decodedText + preview;
+        return { committed, provisional: preview, cursor };
+    }
+
+    /**
+     * 現在のデコード結果を、文字ごとの確からしさ（0〜1）と別の候補を付けて返します。
+     * 各部分の文字の`text`を連結すると、`getDecodedText`のテキストと同じになります。
+     * 入力途中の符号は、確からしさがnullの1文字として暫定部分の末尾に含めます。
+     * @returns {{committed: {text: string, confidence: number|null, alternatives: string[]}[], provisional: {text: string, confidence: number|null, alternatives: string[]}[], cursor: number, revision: number}}
+     *   `cursor` は暫定部分が入る、確定済みの文字の列上の位置。`revision` は確定部分の版で、
+     *   `replaceCharacter`に渡すと、その後に確定部分が変わった場合の置き換えを防げます。
+     */
+    getDecodedCharacters() {
+        const { characters, cursor, revision } = this.buffer;
+        if (this.mode === 'windowed') {
+            return { committed: characters, provisional: this.provisionalCharacters, cursor, revision };
+        }
+        const preview = this.currentSequence.join('');
+        return {
+            committed: characters,
+            provisional: preview ? [{ text: preview, confidence: null, alternatives: [] }] : [],
+            cursor,
+            revision
+        };
+    }
+
+    /**
+     * 確定済みの文字を、利用者が選んだ別の候補に置き換えます。
+     * 置き換えた文字は確からしさを1とし、元の読みを別の候補として残します。
+     * @param {number} index - `getDecodedCharacters`の確定部分での文字の位置。
+     * @param {string} text - 置き換える文字。
+     * @param {number} [revision] - 位置を求めたときの`getDecodedCharacters`の`revision`。
+     *   指定した場合、その後に新しい文字や編集の略符号で確定部分が変わっていれば置き換えません。
+     * @returns {boolean} 置き換えたかどうか。
+     */
+    replaceCharacter(index, text, revision) {
+        return this.buffer.replace(index, text, revision);
+    }
+
+    /**
+     * 以降の文字を挿入するカーソルを、確定済みの文字の列上の位置へ移動します。
+     * @param {number} index - `getDecodedCharacters`の確定部分での文字の位置。
+     */
+    setCursor(index) {
+        this.buffer.moveCursor(index);
+    }
+
+    /**
+     * 前回の呼び出し以降に確定した文字・単語と、終わりの略符号（`editCommands.endOfMessage`）で終わったメッセージを、
+     * 確定した順にすべて取り出します。メッセージが終わると、そのテキストは確定済みのテキストから消去されます。
+     * @returns {({type: 'character', character: {text: string, confidence: number, alternatives: string[]}, command: string|null}|{type: 'word', text: string}|{type: 'message', text: string})[]}
+     *   `command` は文字が編集コマンドだった場合のコマンド名（`DEFAULT_EDIT_COMMANDS`のキー）。
+     */
+    drainTextEvents() {
+        const events = this.textEvents;
+        this.textEvents = [];
+        return events;
     }
-}
\ No newline at end of file
+}
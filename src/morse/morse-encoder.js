@@ -0,0 +1,83 @@
+/**
+ * @fileoverview テキストからモールス信号への変換
+ * @description
+ * このファイルは、入力されたテキストをモールス信号の音あり/音なしの区間の列に変換する役割を担います。
+ * 区間の列は、`MorsePlayer`による音声の再生や、テスト用の口笛信号の合成に使います。
+ *
+ * 現在の戦略:
+ * 1. 【対応表】デコードと同じ`morse-code-table.js`の対応表を逆に引きます。`<AR>`のような略符号も書けます。
+ *    濁音・半濁音のカナは、カナと濁点・半濁点の2文字として送ります。対応表に無い文字は無視します。
+ *    和文を送るときは、受信側が対応表を切り替えられるよう、テキストに略符号`<DO>`・`<SN>`を含めます。
+ * 2. 【単位】区間の長さは、まず短点を1とした単位数（短点1・長点3・要素間1・文字間3・単語間7）で表します。
+ * 3. 【ファーンズワース方式】文字の中は指定した速度で送り、文字間・単語間のスペースだけを延ばして、
+ *    全体としてより遅い実効速度にします。延ばす長さはARRLの式で求めます。
+ */
+
+import {
+    MORSE_CODE_MAP, PUNCTUATION_CODE_MAP, PROSIGN_CODE_MAP, WABUN_CODE_MAP
+} from './morse-code-table.js';
+
+/** 文字 → 符号の対応表。和文の濁点・半濁点は結合文字からも引けるようにする */
+const TEXT_TO_CODE = Object.fromEntries(
+    [WABUN_CODE_MAP, PROSIGN_CODE_MAP, PUNCTUATION_CODE_MAP, MORSE_CODE_MAP]
+        .flatMap(map => Object.entries(map))
+        .map(([code, char]) => [char, code])
+);
+TEXT_TO_CODE['\u3099'] = TEXT_TO_CODE['゛'];
+TEXT_TO_CODE['\u309A'] = TEXT_TO_CODE['゜'];
+
+/**
+ * テキストを、音あり/音なしの区間の列に変換します。区間の長さは短点を1とした単位数です。
+ * @param {string} text - 変換するテキスト。
+ * @returns {{isMark: boolean, units: number, gap: string|null}[]}
+ *   `gap` は音なしの区間の種類（'element'・'char'・'word'）で、音ありの区間ではnull。
+ */
+export function textToElements(text) {
+    const elements = [];
+    const words = text.toUpperCase().normalize('NFD').split(/\s+/)
+        .map(word => (word.match(/<[A-Z]+>|./gu) || []).map(token => TEXT_TO_CODE[token]).filter(Boolean))
+        .filter(codes => codes.length > 0);
+
+    words.forEach((codes, wordIndex) => {
+        codes.forEach((code, charIndex) => {
+            [...code].forEach((symbol, symbolIndex) => {
+                elements.push({ isMark: true, units: symbol === '.' ? 1 : 3, gap: null });
+                if (symbolIndex < code.length - 1) elements.push({ isMark: false, units: 1, gap: 'element' });
+            });
+            if (charIndex < codes.length - 1) elements.push({ isMark: false, units: 3, gap: 'char' });
+        });
+        if (wordIndex < words.length - 1) elements.push({ isMark: false, units: 7, gap: 'word' });
+    });
+    return elements;
+}
+
+/**
+ * テキストを、秒単位の音あり区間の列に変換します。
+ * @param {string} text - 変換するテキスト。
+ * @param {{wpm?: number, farnsworthWpm?: number|null}} [options]
+ *   `wpm` は文字の中の速度（PARIS基準）。`farnsworthWpm` を`wpm`より遅く指定すると、
+ *   文字間・単語間のスペースを延ばして全体をその実効速度にします。
+ * @returns {{marks: {start: number, end: number}[], duration: number}} `duration` は最後の音ありの終わりまでの長さ (秒)。
+ */
+export function encodeText(text, options = {}) {
+    const wpm = options.wpm ?? 20;
+    const unit = 1.2 / wpm;
+    const gapDurations = { element: unit, char: 3 * unit, word: 7 * unit };
+
+    const farnsworthWpm = options.farnsworthWpm;
+    if (farnsworthWpm && farnsworthWpm < wpm) {
+        // PARISの50単位のうち、文字間・単語間の19単位に相当する時間を延ばして実効速度に合わせる
+        const totalDelay = (60 * wpm - 37.2 * farnsworthWpm) / (farnsworthWpm * wpm);
+        gapDurations.char = 3 * totalDelay / 19;
+        gapDurations.word = 7 * totalDelay / 19;
+    }
+
+    const marks = [];
+    let cursor = 0;
+    for (const element of textToElements(text)) {
+        const duration = element.isMark ? element.units * unit : gapDurations[element.gap];
+        if (element.isMark) marks.push({ start: cursor, end: cursor + duration });
+        cursor += duration;
+    }
+    return { marks, duration: cursor };
+}
@@ -0,0 +1,214 @@
+/**
+ * @fileoverview 練習モードの課題の作成と採点
+ * @description
+ * このファイルは、口笛モールスの練習用に課題（吹くべき語句）を作り、デコード結果と
+ * 各要素の長さを課題と比べて採点する役割を担います。DOMや`MorseDecoder`の内部には依存せず、
+ * デコード結果のテキストと`MorseDecoder.drainRuns`の区間の記録だけを受け取ります。
+ *
+ * 現在の戦略:
+ * 1. 【課題の出し方】単語リストからの出題、コッホ法（習得済みの文字数を1つずつ増やす練習法）の
+ *    順序で先頭から指定した数の文字をランダムに並べた出題、利用者が入力した自由なテキストの3通りです。
+ * 2. 【文字ごとの正誤】課題とデコード結果を編集距離で対応付け、課題の各文字が正しく読まれたか、
+ *    別の文字に読まれたか、読まれなかったかを判定します。余分に読まれた文字も数えます。
+ * 3. 【タイミングの評価】音あり/音なしの区間を、推定した短点の長さを基準に短点・長点・要素間・
+ *    文字間・単語間に分類し、それぞれの平均の長さを短点に対する比で求めます。理想の比（1:3、1:3:7）
+ *    からの相対的なずれの平均を、タイミングのずれとします。最初の音ありより前と、単語間の2倍を超える
+ *    無音は、送信の休止として評価から除きます。分析の窓の長さによって音ありは実際より伸び、音なしは
+ *    縮んで測られるため、呼び出し側から渡されたその長さを補正してから比を求めます。
+ * 4. 【点数】1回の試技の点数は、文字の正答率を8割、タイミングの正確さを2割の重みで合わせた0〜100点です
+ *    （タイミングを評価できない場合は正答率のみ）。
+ *    練習セッションの点数は、その中の試技の点数の平均です。
+ */
+
+/** コッホ法で文字を増やしていく順序（LCWOの順序から、略符号と表示が変わる = を除いたもの） */
+export const KOCH_ORDER = 'KMURESNAPTLWI.JZFOY,VG5/Q92H38B?47C1D60X';
+
+/** 練習用の単語リスト */
+export const WORD_LISTS = {
+    common: ['CQ', 'DE', 'TEST', 'PARIS', 'NAME', 'RIG', 'ANT', 'WX', 'HR', 'FB', 'OM', 'GM', 'GA', 'GE', 'TNX', 'PSE', 'AGN', 'UR', 'RST', '599', '73'],
+    qcodes: ['QTH', 'QRZ', 'QSL', 'QRM', 'QRN', 'QSB', 'QRS', 'QRQ', 'QSY', 'QRT', 'QRV', 'QSO'],
+    callsigns: ['JA1ABC', 'JH2XYZ', 'JR3QHS', 'JE4KLM', 'JF5RPT', 'JG6WXY', 'JI7DEF', 'JK8GHI', 'JL9NOP', 'JO0STU'],
+};
+
+/** 課題の出し方 */
+export const TrainingSource = {
+    WORDS: 'words',
+    KOCH: 'koch',
+    CUSTOM: 'custom',
+};
+
+/** 区間の種類ごとの理想の長さ（短点を1とした単位数） */
+const IDEAL_UNITS = { dit: 1, dah: 3, elementGap: 1, charGap: 3, wordGap: 7 };
+
+/** これより短い音ありはノイズとして評価から除く (秒)。MorseDecoderと同じ値 */
+const MIN_MARK_TIME = 0.02;
+
+/** 点数に占める文字の正答率の重み（残りはタイミングの正確さ） */
+const ACCURACY_WEIGHT = 0.8;
+
+/**
+ * 課題のテキストを作ります。
+ * @param {{source: string, wordList?: string, wordCount?: number, kochLevel?: number, groupCount?: number, groupSize?: number, customText?: string}} options
+ *   `source` は課題の出し方 (TrainingSource)。単語リストでは`wordList`から`wordCount`語、コッホ法では
+ *   順序の先頭`kochLevel`文字から`groupSize`文字のまとまりを`groupCount`個作ります。
+ * @param {function(): number} [random=Math.random] - 0以上1未満の乱数を返す関数。
+ * @returns {string} 課題のテキスト。作れない場合は空文字列。
+ */
+export function createTarget(options, random = Math.random) {
+    const pick = (items) => items[Math.floor(random() * items.length)];
+
+    if (options.source === TrainingSource.KOCH) {
+        const level = Math.max(2, Math.min(KOCH_ORDER.length, options.kochLevel ?? 2));
+        const characters = [...KOCH_ORDER.slice(0, level)];
+        const groups = Array.from({ length: options.groupCount ?? 3 }, () =>
+            Array.from({ length: options.groupSize ?? 5 }, () => pick(characters)).join(''));
+        return groups.join(' ');
+    }
+    if (options.source === TrainingSource.CUSTOM) {
+        return normalizeText(options.customText ?? '');
+    }
+    const words = WORD_LISTS[options.wordList] ?? WORD_LISTS.common;
+    return Array.from({ length: options.wordCount ?? 2 }, () => pick(words)).join(' ');
+}
+
+/**
+ * 1回の試技を採点します。
+ * @param {string} target - 課題のテキスト。
+ * @param {string} decoded - デコード結果のテキスト。
+ * @param {{state: string, duration: number}[]} runs - 試技の間の音あり/音なしの区間（`MorseDecoder.drainRuns`）。
+ * @param {number} ditTime - デコーダーが推定した短点の長さ (秒)。
+ * @param {number} [markLengthening=0] - 分析の窓によって音ありが伸びる（音なしが縮む）長さ (秒)。
+ * @returns {{target: string, decoded: string, characters: {expected: string, actual: string, status: string}[], extraCount: number, accuracy: number, timing: {ratios: Object<string, number|null>, deviation: number|null}, score: number}}
+ *   `characters` は課題の空白以外の文字ごとの結果で、`status` は 'correct'・'substituted'・'missed' のいずれかです。
+ *   `ratios` は区間の種類ごとの、短点に対する平均の長さの比（その種類の区間が無ければnull）です。
+ */
+export function scoreAttempt(target, decoded, runs, ditTime, markLengthening = 0) {
+    const expected = normalizeText(target);
+    const actual = normalizeText(decoded);
+    const { characters, extraCount } = alignCharacters(expected, actual);
+
+    const scored = characters.filter(character => character.expected !== ' ');
+    const correctCount = scored.filter(character => character.status === 'correct').length;
+    // 余分に読まれた文字も誤りとして分母に加える
+    const accuracy = scored.length + extraCount > 0 ? correctCount / (scored.length + extraCount) : 0;
+
+    const correctedRuns = runs.map(run => ({
+        ...run,
+        duration: Math.max(0, run.duration + (run.state === 'mark' ? -markLengthening : markLengthening))
+    }));
+    const timing = analyzeTiming(correctedRuns, ditTime);
+    // 1つの要素だけの課題などでタイミングを評価できない場合は、正答率だけで採点する
+    const score = timing.deviation === null
+        ? Math.round(100 * accuracy)
+        : Math.round(100 * (ACCURACY_WEIGHT * accuracy + (1 - ACCURACY_WEIGHT) * Math.max(0, 1 - timing.deviation)));
+
+    return { target: expected, decoded: actual, characters: scored, extraCount, accuracy, timing, score };
+}
+
+/**
+ * 練習セッション中の試技の結果をまとめます。
+ * @param {{accuracy: number, score: number}[]} attempts - 試技ごとの採点結果。
+ * @returns {{attemptCount: number, accuracy: number, score: number}} 試技が無い場合は0点。
+ */
+export function summarizeSession(attempts) {
+    if (attempts.length === 0) return { attemptCount: 0, accuracy: 0, score: 0 };
+    const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    return {
+        attemptCount: attempts.length,
+        accuracy: average(attempts.map(attempt => attempt.accuracy)),
+        score: Math.round(average(attempts.map(attempt => attempt.score)))
+    };
+}
+
+/**
+ * 比較のためにテキストを正規化します。大文字にし、連続する空白を1つにまとめます。
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+    return text.toUpperCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 編集距離の最小経路をたどり、課題の各文字に対応するデコード結果の文字を求めます。
+ * @param {string} expected
+ * @param {string} actual
+ * @returns {{characters: {expected: string, actual: string, status: string}[], extraCount: number}}
+ */
+function alignCharacters(expected, actual) {
+    const a = [...expected];
+    const b = [...actual];
+    const distance = Array.from({ length: a.length + 1 }, (_, i) => {
+        const row = new Array(b.length + 1).fill(0);
+        row[0] = i;
+        return row;
+    });
+    for (let j = 0; j <= b.length; j++) distance[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const substitution = distance[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+            distance[i][j] = Math.min(distance[i - 1][j] + 1, distance[i][j - 1] + 1, substitution);
+        }
+    }
+
+    const characters = [];
+    let extraCount = 0;
+    let i = a.length;
+    let j = b.length;
+    while (i > 0 || j > 0) {
+        if (i > 0 && j > 0 && distance[i][j] === distance[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)) {
+            const status = a[i - 1] === b[j - 1] ? 'correct' : 'substituted';
+            characters.unshift({ expected: a[i - 1], actual: b[j - 1], status });
+            i--;
+            j--;
+        } else if (i > 0 && distance[i][j] === distance[i - 1][j] + 1) {
+            characters.unshift({ expected: a[i - 1], actual: '', status: 'missed' });
+            i--;
+        } else {
+            if (b[j - 1] !== ' ') extraCount++;
+            j--;
+        }
+    }
+    return { characters, extraCount };
+}
+
+/**
+ * 区間を種類ごとに分類し、短点に対する平均の長さの比と、理想の比からのずれを求めます。
+ * @param {{state: string, duration: number}[]} runs
+ * @param {number} ditTime - 分類の基準にする短点の長さ (秒)。
+ * @returns {{ratios: Object<string, number|null>, deviation: number|null}}
+ */
+function analyzeTiming(runs, ditTime) {
+    const isMark = (run) => run.state === 'mark' && run.duration >= MIN_MARK_TIME;
+    const firstMark = runs.findIndex(isMark);
+    const lastMark = runs.findLastIndex(isMark);
+    const durations = { dit: [], dah: [], elementGap: [], charGap: [], wordGap: [] };
+    if (firstMark !== -1) {
+        for (const run of runs.slice(firstMark, lastMark + 1)) {
+            const units = run.duration / ditTime;
+            if (run.state === 'mark') {
+                if (!isMark(run)) continue;
+                durations[units < 2 ? 'dit' : 'dah'].push(run.duration);
+            } else if (units <= 2 * IDEAL_UNITS.wordGap) {
+                durations[units < 2 ? 'elementGap' : units < 5 ? 'charGap' : 'wordGap'].push(run.duration);
+            }
+        }
+    }
+
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    // 比の基準には、実際に吹かれた短点の平均を使う（短点が無ければ推定値）
+    const unit = durations.dit.length > 0 ? mean(durations.dit) : ditTime;
+
+    const ratios = {};
+    const deviations = [];
+    for (const [kind, values] of Object.entries(durations)) {
+        if (values.length === 0) {
+            ratios[kind] = null;
+            continue;
+        }
+        ratios[kind] = mean(values) / unit;
+        if (kind !== 'dit') deviations.push(Math.abs(ratios[kind] - IDEAL_UNITS[kind]) / IDEAL_UNITS[kind]);
+    }
+
+    return { ratios, deviation: deviations.length > 0 ? mean(deviations) : null };
+}
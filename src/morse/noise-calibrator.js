@@ -0,0 +1,200 @@
+/**
+ * @fileoverview 環境ノイズと口笛の校正
+ * @description
+ * このファイルは、部屋の空調やパソコンのマイクなど、環境ごとに異なるノイズの大きさと、
+ * 使う人の口笛の音高・強さを測る役割を担います。測った結果（校正結果）は`MorseAnalyzer`に渡し、
+ * 固定の閾値の代わりに、その環境のノイズフロアからの相対的な強さで分析させるために使います。
+ *
+ * 現在の戦略:
+ * 1. 【2つの段階】まず数秒間の無音を記録し（'noise'）、続けて任意で数秒間の一定の口笛を記録します（'whistle'）。
+ *    段階の切り替えはフレームの時刻（AudioContextのクロック）で判定します。
+ * 2. 【ノイズフロア】無音の間の周波数データから、ビンごとに平均と標準偏差を求め、
+ *    「平均 + 2 × 標準偏差」をそのビンのノイズフロアとします。揺らぎの大部分がフロアの下に収まるため、
+ *    差し引いた後に残る成分はノイズよりはっきり強い音だけになります。
+ * 3. 【口笛の音域と強さ】口笛の間は、各フレームでノイズフロアを差し引いた後の最も強いビンを探し、
+ *    十分に強いフレームの音高の分布（5〜95パーセンタイル）と、強さの中央値を求めます。
+ *    十分に強いフレームが少なすぎる場合は、口笛を測れなかったものとして扱います。
+ * 4. 【結果の形式】校正結果は、測ったときのサンプルレート・FFTサイズと、ビンごとのノイズフロア、
+ *    口笛の測定結果からなる、JSONとして保存できるプレーンなオブジェクトです。
+ */
+
+/** 口笛を探す周波数の下限 (Hz)。声の基本周波数や電源のハムを避ける */
+const MIN_WHISTLE_FREQUENCY = 300;
+/** 口笛とみなす、ノイズフロアを差し引いた後の強さの下限 */
+const MIN_WHISTLE_LEVEL = 30;
+/** 口笛の段階のうち、口笛が検出されたフレームがこの割合未満なら測定失敗とする */
+const MIN_WHISTLE_RATIO = 0.3;
+
+/**
+ * 周波数データを段階ごとに集計し、校正結果を作ります。
+ */
+export class NoiseCalibrator {
+    /**
+     * @param {{sampleRate: number, fftSize: number}} audioParams - オーディオ関連のパラメータ。
+     * @param {{noiseDuration?: number, whistleDuration?: number, measureWhistle?: boolean}} [options]
+     *   各段階の長さ (秒) と、口笛の段階を行うかどうか。
+     */
+    constructor(audioParams, options = {}) {
+        this.sampleRate = audioParams.sampleRate;
+        this.fftSize = audioParams.fftSize;
+        this.noiseDuration = options.noiseDuration ?? 3;
+        this.whistleDuration = options.whistleDuration ?? 3;
+        this.measureWhistle = options.measureWhistle ?? true;
+
+        /** @private {'noise'|'whistle'|'done'} */
+        this.phase = 'noise';
+        /** @private {number|null} 現在の段階が始まった時刻 (秒) */
+        this.phaseStartTime = null;
+        /** @private {number|null} 直近のフレームの時刻 (秒) */
+        this.lastTimestamp = null;
+
+        const binCount = this.fftSize / 2;
+        this.noiseSum = new Float64Array(binCount);
+        this.noiseSquareSum = new Float64Array(binCount);
+        this.noiseFrameCount = 0;
+        /** @private {Float64Array|null} ノイズの段階が終わったときに確定するノイズフロア */
+        this.noiseFloor = null;
+
+        this.whistleFrameCount = 0;
+        /** @private {{frequency: number, level: number}[]} 口笛が検出されたフレームの測定値 */
+        this.whistleSamples = [];
+    }
+
+    /**
+     * 1フレーム分の周波数データを現在の段階に加え、必要なら次の段階へ進みます。
+     * @param {Uint8Array} frequencyData - AnalyserNodeから取得した周波数データ。
+     * @param {number} timestamp - データを取得した時刻 (秒)。
+     * @returns {'noise'|'whistle'|'done'} このフレームを加えた後の段階。
+     */
+    addFrame(frequencyData, timestamp) {
+        if (this.phase === 'done') return this.phase;
+        if (this.phaseStartTime === null) this.phaseStartTime = timestamp;
+        this.lastTimestamp = timestamp;
+
+        if (this.phase === 'noise') {
+            this._addNoiseFrame(frequencyData);
+            if (timestamp - this.phaseStartTime >= this.noiseDuration) {
+                this.noiseFloor = this._computeNoiseFloor();
+                this.phase = this.measureWhistle ? 'whistle' : 'done';
+                this.phaseStartTime = timestamp;
+            }
+        } else {
+            this._addWhistleFrame(frequencyData);
+            if (timestamp - this.phaseStartTime >= this.whistleDuration) {
+                this.phase = 'done';
+            }
+        }
+        return this.phase;
+    }
+
+    /**
+     * 現在の段階を返します。
+     * @returns {'noise'|'whistle'|'done'}
+     */
+    getPhase() {
+        return this.phase;
+    }
+
+    /**
+     * 現在の段階が終わるまでの残り時間を返します。
+     * @returns {number} 残り時間 (秒)。終了後は0。
+     */
+    getRemainingTime() {
+        if (this.phase === 'done') return 0;
+        const duration = this.phase === 'noise' ? this.noiseDuration : this.whistleDuration;
+        const elapsed = this.phaseStartTime === null ? 0 : this.lastTimestamp - this.phaseStartTime;
+        return Math.max(0, duration - elapsed);
+    }
+
+    /**
+     * 校正結果を返します。すべての段階が終わった後に呼び出します。
+     * @returns {{sampleRate: number, fftSize: number, noiseFloor: number[], whistle: {minFrequency: number, maxFrequency: number, frequency: number, level: number}|null, createdAt: string}|null}
+     *   `whistle` は口笛の音高の範囲・中央値 (Hz) と、ノイズフロアを差し引いた強さの中央値です。
+     *   口笛の段階を行わなかった場合や測れなかった場合はnull。まだ終わっていない場合は全体がnull。
+     */
+    getResult() {
+        if (this.phase !== 'done') return null;
+
+        let whistle = null;
+        const detectedRatio = this.whistleFrameCount > 0 ? this.whistleSamples.length / this.whistleFrameCount : 0;
+        if (detectedRatio >= MIN_WHISTLE_RATIO) {
+            const frequencies = this.whistleSamples.map(sample => sample.frequency).sort((a, b) => a - b);
+            const levels = this.whistleSamples.map(sample => sample.level).sort((a, b) => a - b);
+            whistle = {
+                minFrequency: percentile(frequencies, 0.05),
+                maxFrequency: percentile(frequencies, 0.95),
+                frequency: percentile(frequencies, 0.5),
+                level: percentile(levels, 0.5)
+            };
+        }
+
+        return {
+            sampleRate: this.sampleRate,
+            fftSize: this.fftSize,
+            noiseFloor: Array.from(this.noiseFloor, value => Math.round(value * 10) / 10),
+            whistle,
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * @private
+     * 無音の段階のフレームを、ビンごとの合計と二乗和に加えます。
+     * @param {Uint8Array} frequencyData
+     */
+    _addNoiseFrame(frequencyData) {
+        for (let i = 0; i < this.noiseSum.length; i++) {
+            this.noiseSum[i] += frequencyData[i];
+            this.noiseSquareSum[i] += frequencyData[i] * frequencyData[i];
+        }
+        this.noiseFrameCount++;
+    }
+
+    /**
+     * @private
+     * ビンごとの「平均 + 2 × 標準偏差」をノイズフロアとして求めます。
+     * @returns {Float64Array}
+     */
+    _computeNoiseFloor() {
+        const floor = new Float64Array(this.noiseSum.length);
+        if (this.noiseFrameCount === 0) return floor;
+        for (let i = 0; i < floor.length; i++) {
+            const mean = this.noiseSum[i] / this.noiseFrameCount;
+            const variance = Math.max(0, this.noiseSquareSum[i] / this.noiseFrameCount - mean * mean);
+            floor[i] = Math.min(255, mean + 2 * Math.sqrt(variance));
+        }
+        return floor;
+    }
+
+    /**
+     * @private
+     * 口笛の段階のフレームから、ノイズフロアを差し引いた後の最も強いビンを探して記録します。
+     * @param {Uint8Array} frequencyData
+     */
+    _addWhistleFrame(frequencyData) {
+        this.whistleFrameCount++;
+        const start = Math.ceil(MIN_WHISTLE_FREQUENCY * this.fftSize / this.sampleRate);
+        let peakIndex = -1;
+        let peakLevel = 0;
+        for (let i = start; i < frequencyData.length; i++) {
+            const level = frequencyData[i] - this.noiseFloor[i];
+            if (level > peakLevel) {
+                peakLevel = level;
+                peakIndex = i;
+            }
+        }
+        if (peakLevel < MIN_WHISTLE_LEVEL) return;
+        this.whistleSamples.push({ frequency: peakIndex * this.sampleRate / this.fftSize, level: peakLevel });
+    }
+}
+
+/**
+ * 昇順に並んだ値から、指定した割合の位置の値を返します。
+ * @param {number[]} sortedValues
+ * @param {number} ratio - 0〜1。
+ * @returns {number}
+ */
+function percentile(sortedValues, ratio) {
+    const index = Math.min(sortedValues.length - 1, Math.floor(ratio * sortedValues.length));
+    return sortedValues[index];
+}
@@ -0,0 +1,173 @@
+/**
+ * @fileoverview デコード結果を編集できるテキストバッファ
+ * @description
+ * このファイルは、確定したデコード結果を、確からしさと別の候補を付けた文字の列として保持し、
+ * カーソル位置への挿入や、カーソルの前の文字・単語の削除といった編集を行う役割を担います。
+ *
+ * 現在の戦略:
+ * 1. 【文字の列】テキストを文字列ではなく文字の配列として持ちます。`<AR>`のような略符号も1文字として扱うため、
+ *    削除や候補の置き換えが表示上の1文字と対応します。
+ * 2. 【カーソル】カーソルは文字の配列上の位置で、新しい文字はカーソルの位置に挿入します。
+ * 3. 【スペースの整理】先頭や空白の直後には単語間のスペースを入れず、単語を削除した後に
+ *    スペースが重なったり、改行の後の行頭にスペースが残ったりしないようにします。
+ * 4. 【濁点・半濁点】`appendDecodedText`と同じく、カーソルの直前のカナと合成して1文字にします。
+ * 5. 【版】文字の列を変えるたびに`revision`を1つ進めます。文字の位置を覚えておいて後から置き換える側は、
+ *    版が変わっていないことを確かめてから置き換えます。
+ */
+
+import { appendDecodedText } from './morse-code-table.js';
+
+/** 単語間のスペースを表す文字。確からしさは常に1とする */
+export const SPACE_CHARACTER = { text: ' ', confidence: 1, alternatives: [] };
+
+/** 改行を表す文字 */
+const NEWLINE_CHARACTER = { text: '\n', confidence: 1, alternatives: [] };
+
+/**
+ * 文字の列の後ろに1文字を連結します。`appendDecodedText`と同じく、濁点・半濁点は直前のカナと合成します。
+ * @param {{text: string, confidence: number, alternatives: string[]}[]} characters - 連結先の文字の列。この配列を書き換えます。
+ * @param {{text: string, confidence: number, alternatives: string[]}} character - 連結する文字。
+ */
+export function pushCharacter(characters, character) {
+    const last = characters[characters.length - 1];
+    if (last) {
+        const combined = appendDecodedText(last.text, character.text);
+        if (combined.length < last.text.length + character.text.length) {
+            // 合成した文字の別の候補は、元のカナの候補とは対応しなくなるため持たない
+            characters[characters.length - 1] = {
+                text: combined, confidence: Math.min(last.confidence, character.confidence), alternatives: []
+            };
+            return;
+        }
+    }
+    characters.push(character);
+}
+
+/**
+ * 文字が空白（単語間のスペースか改行）かどうかを返します。
+ * @param {{text: string}|undefined} character
+ * @returns {boolean}
+ */
+function isWhitespace(character) {
+    return character !== undefined && (character.text === ' ' || character.text === '\n');
+}
+
+export class TextBuffer {
+    constructor() {
+        this.characters = []; // {text, confidence, alternatives} の配列
+        this.cursor = 0; // 次の文字を挿入する、文字の配列上の位置
+        this.revision = 0; // 文字の列を変えるたびに進む版
+    }
+
+    /**
+     * カーソルの位置に1文字を挿入します。先頭や空白の直後の単語間スペースは挿入しません。
+     * @param {{text: string, confidence: number, alternatives: string[]}} character
+     */
+    insert(character) {
+        const before = this.characters.slice(0, this.cursor);
+        if (character.text === ' ' && (before.length === 0 || isWhitespace(before[before.length - 1]))) return;
+        pushCharacter(before, character);
+        this.characters = [...before, ...this.characters.slice(this.cursor)];
+        this.cursor = before.length;
+        this.revision++;
+    }
+
+    /**
+     * カーソルの位置で改行します。行末に残る単語間のスペースは取り除きます。
+     */
+    insertNewline() {
+        this._deleteTrailingSpaces();
+        this.insert(NEWLINE_CHARACTER);
+    }
+
+    /**
+     * カーソルの前の1文字、または1単語を削除します。
+     * カーソルの直前が単語間のスペースの場合は、スペースを取り除いた上でその前の文字・単語を削除します。
+     * 直前が改行の場合は、改行だけを削除します。
+     * @param {string} unit - 'character' または 'word'。
+     */
+    deleteBackward(unit) {
+        this._deleteTrailingSpaces();
+        if (this.cursor === 0) return;
+        if (this.characters[this.cursor - 1].text === '\n') {
+            this._deleteBefore(this.cursor - 1);
+            return;
+        }
+        let start = this.cursor - 1;
+        if (unit === 'word') {
+            while (start > 0 && !isWhitespace(this.characters[start - 1])) start--;
+        }
+        this._deleteBefore(start);
+    }
+
+    /**
+     * すべての文字を消去します。
+     */
+    clear() {
+        this.characters = [];
+        this.cursor = 0;
+        this.revision++;
+    }
+
+    /**
+     * カーソルを移動します。範囲外の位置は先頭または末尾に収めます。
+     * @param {number} position - 文字の配列上の位置。
+     */
+    moveCursor(position) {
+        this.cursor = Math.max(0, Math.min(this.characters.length, Math.round(position)));
+    }
+
+    /**
+     * 1文字を別の文字に置き換えます。置き換えた文字は確からしさを1とし、元の文字を別の候補の先頭に残します。
+     * @param {number} index - 文字の配列上の位置。
+     * @param {string} text - 置き換える文字。
+     * @param {number} [revision] - 位置を求めたときの版。指定した場合、版が変わっていれば置き換えません。
+     * @returns {boolean} 置き換えたかどうか。
+     */
+    replace(index, text, revision) {
+        if (revision !== undefined && revision !== this.revision) return false;
+        const original = this.characters[index];
+        if (!original) return false;
+        const alternatives = [original.text, ...original.alternatives.filter(alternative => alternative !== text)];
+        this.characters = this.characters.map((character, i) =>
+            i === index ? { text, confidence: 1, alternatives } : character);
+        this.revision++;
+        return true;
+    }
+
+    /**
+     * @returns {string} バッファ全体のテキスト。
+     */
+    getText() {
+        return this.characters.map(character => character.text).join('');
+    }
+
+    /**
+     * @returns {string} カーソルより前のテキスト。
+     */
+    getTextBeforeCursor() {
+        return this.characters.slice(0, this.cursor).map(character => character.text).join('');
+    }
+
+    /**
+     * @private
+     * カーソルの直前にある単語間のスペースを削除します。
+     */
+    _deleteTrailingSpaces() {
+        let start = this.cursor;
+        while (start > 0 && this.characters[start - 1].text === ' ') start--;
+        this._deleteBefore(start);
+    }
+
+    /**
+     * @private
+     * 指定した位置からカーソルの直前までの文字を削除し、カーソルをその位置に移します。
+     * @param {number} start - 削除を始める位置。
+     */
+    _deleteBefore(start) {
+        if (start === this.cursor) return;
+        this.characters = [...this.characters.slice(0, start), ...this.characters.slice(this.cursor)];
+        this.cursor = start;
+        this.revision++;
+    }
+}
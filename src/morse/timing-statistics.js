@@ -0,0 +1,84 @@
+/**
+ * @fileoverview 送信のタイミングの統計
+ * @description
+ * このファイルは、音あり/音なしの区間の長さの列から、送信速度(WPM)、短点と長点の比、
+ * 要素間・文字間・単語間のスペースの比とそのばらつき、区間の長さのヒストグラムを求める役割を担います。
+ * どの区間が読みにくさの原因になっているかを、送信する人が数値で確認できるようにするためのものです。
+ *
+ * 現在の戦略:
+ * 1. 【分類】区間の種類は、デコーダーが実際に使っている時間の閾値（短点/長点、要素間/文字間、
+ *    文字間/単語間の境界）で決めます。デコーダーと同じ基準で分けることで、ヒストグラム上で
+ *    閾値をまたいでいる区間が、そのまま読み誤りの原因として見えるようにします。
+ * 2. 【比とばらつき】各区間の長さを短点の平均の長さで割った比を求め、種類ごとの平均と分散を出します。
+ *    分析の窓によって音ありは実際より伸び、音なしは縮んで測られるため、比と速度は呼び出し側から
+ *    渡されたその長さを補正してから求めます。ヒストグラムは閾値と比べられるよう補正しない長さで数えます。
+ * 3. 【休止の除外】単語間の境界の2倍を超える音なしは、送信の休止として統計から除きます。
+ */
+
+/**
+ * 区間の長さの列から、タイミングの統計を求めます。
+ * @param {{state: string, duration: number}[]} runs - 音あり('mark')/音なし('space')の区間。
+ * @param {{minMarkTime: number, dahThreshold: number, charSpaceThreshold: number, wordSpaceThreshold: number}} thresholds
+ *   デコーダーの時間の閾値 (秒)。
+ * @param {{markLengthening?: number, binCount?: number}} [options]
+ *   `markLengthening` は分析の窓によって音ありが伸びる（音なしが縮む）長さ (秒)、
+ *   `binCount` はヒストグラムの階級の数。
+ * @returns {{wpm: number|null, ditDahRatio: number|null, classes: Object<string, {count: number, ratio: number|null, variance: number|null}|null>, histogram: {binWidth: number, marks: number[], spaces: number[]}, thresholds: object}}
+ *   `classes` は区間の種類（dit・dah・elementGap・charGap・wordGap）ごとの数、短点に対する比の平均と分散です。
+ *   短点が1つも無い場合、`wpm`・`ditDahRatio`・各種類の比はnullになります。
+ */
+export function computeTimingStatistics(runs, thresholds, options = {}) {
+    const markLengthening = options.markLengthening ?? 0;
+    const binCount = options.binCount ?? 40;
+    const pauseThreshold = 2 * thresholds.wordSpaceThreshold;
+    const binWidth = pauseThreshold / binCount;
+
+    const durations = { dit: [], dah: [], elementGap: [], charGap: [], wordGap: [] };
+    const histogram = { binWidth, marks: new Array(binCount).fill(0), spaces: new Array(binCount).fill(0) };
+
+    for (const run of runs) {
+        if (run.state === 'mark') {
+            if (run.duration < thresholds.minMarkTime) continue;
+            const kind = run.duration < thresholds.dahThreshold ? 'dit' : 'dah';
+            durations[kind].push(Math.max(0, run.duration - markLengthening));
+        } else {
+            if (run.duration > pauseThreshold) continue;
+            const kind = run.duration > thresholds.wordSpaceThreshold ? 'wordGap'
+                : run.duration > thresholds.charSpaceThreshold ? 'charGap' : 'elementGap';
+            durations[kind].push(run.duration + markLengthening);
+        }
+        const bin = Math.min(binCount - 1, Math.floor(run.duration / binWidth));
+        histogram[run.state === 'mark' ? 'marks' : 'spaces'][bin]++;
+    }
+
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const unit = durations.dit.length > 0 ? mean(durations.dit) : null;
+
+    const classes = {};
+    for (const [kind, values] of Object.entries(durations)) {
+        if (values.length === 0) {
+            classes[kind] = null;
+            continue;
+        }
+        if (!unit) {
+            classes[kind] = { count: values.length, ratio: null, variance: null };
+            continue;
+        }
+        const ratios = values.map(value => value / unit);
+        const ratio = mean(ratios);
+        classes[kind] = {
+            count: values.length,
+            ratio,
+            variance: mean(ratios.map(value => (value - ratio) ** 2))
+        };
+    }
+
+    return {
+        // PARISの1語は50単位
+        wpm: unit ? 1.2 / unit : null,
+        ditDahRatio: classes.dah && classes.dah.ratio !== null ? classes.dah.ratio : null,
+        classes,
+        histogram,
+        thresholds: { ...thresholds }
+    };
+}
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview マイクの設定の永続化
+ * @description
+ * このファイルは、使うマイクとブラウザの音声処理の有無をブラウザに保存し、次に開いたときに
+ * 読み込む役割を担います。
+ *
+ * 現在の戦略:
+ * 1. 【保存先】マイクの設定はJSONとしてlocalStorageに保存します。調整用パラメータ（`SettingsStore`）とは
+ *    別のキーに置き、設定を既定値に戻してもマイクの選択は残るようにします。
+ * 2. 【検証】読み込んだ値のうち、型が合わない項目は無視して既定値（`DEFAULT_AUDIO_OPTIONS`）を使います。
+ */
+
+import { DEFAULT_AUDIO_OPTIONS } from '../audio/audio-capturer.js';
+
+/** マイクの設定を保存するlocalStorageのキー */
+const STORAGE_KEY = 'micmorseinput.audioInput';
+
+/**
+ * マイクの設定をlocalStorageに読み書きします。
+ */
+export class AudioInputStore {
+    /**
+     * 保存されたマイクの設定を読み込みます。
+     * @returns {{deviceId: string|null, echoCancellation: boolean, noiseSuppression: boolean, autoGainControl: boolean}}
+     *   保存されていない項目や壊れている項目は既定値になります。
+     */
+    load() {
+        const options = { ...DEFAULT_AUDIO_OPTIONS };
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            if (!saved) return options;
+            if (typeof saved.deviceId === 'string') options.deviceId = saved.deviceId;
+            for (const key of ['echoCancellation', 'noiseSuppression', 'autoGainControl']) {
+                if (typeof saved[key] === 'boolean') options[key] = saved[key];
+            }
+        } catch (error) {
+            console.warn('Failed to load audio input settings:', error);
+        }
+        return options;
+    }
+
+    /**
+     * マイクの設定を保存します。
+     * @param {{deviceId: string|null, echoCancellation: boolean, noiseSuppression: boolean, autoGainControl: boolean}} options
+     */
+    save(options) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(options));
+        } catch (error) {
+            console.warn('Failed to save audio input settings:', error);
+        }
+    }
+}
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview 校正結果の永続化
+ * @description
+ * このファイルは、`NoiseCalibrator`で求めた校正結果をブラウザに保存し、次に開いたときに
+ * 読み込む役割を担います。部屋やマイクが変わらない限り、毎回校正し直す必要がないようにするためです。
+ *
+ * 現在の戦略:
+ * 1. 【保存先】校正結果はJSONとしてlocalStorageに保存します。調整用パラメータ（`SettingsStore`）とは
+ *    別のキーに置き、設定を既定値に戻しても校正結果は残るようにします。
+ * 2. 【検証】読み込んだ値がノイズフロアの配列を持たない場合は、壊れたデータとして無視します。
+ */
+
+/** 校正結果を保存するlocalStorageのキー */
+const STORAGE_KEY = 'micmorseinput.calibration';
+
+/**
+ * 校正結果をlocalStorageに読み書きします。
+ */
+export class CalibrationStore {
+    /**
+     * 保存された校正結果を読み込みます。
+     * @returns {object|null} 校正結果。保存されていない場合や壊れている場合はnull。
+     */
+    load() {
+        try {
+            const calibration = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            if (calibration && Array.isArray(calibration.noiseFloor)) return calibration;
+        } catch (error) {
+            console.warn('Failed to load calibration:', error);
+        }
+        return null;
+    }
+
+    /**
+     * 校正結果を保存します。
+     * @param {object} calibration - `NoiseCalibrator`の校正結果。
+     */
+    save(calibration) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(calibration));
+        } catch (error) {
+            console.warn('Failed to save calibration:', error);
+        }
+    }
+
+    /**
+     * 保存された校正結果を消去します。
+     */
+    clear() {
+        try {
+            localStorage.removeItem(STORAGE_KEY);
+        } catch (error) {
+            console.warn('Failed to clear calibration:', error);
+        }
+    }
+}
@@ -0,0 +1,221 @@
+/**
+ * @fileoverview 口述入力（デコード結果を入力欄へ書き込む）
+ * @description
+ * このファイルは、確定した文字を1文字ずつ、利用者が選んだ`<input>`・`<textarea>`・contenteditableの要素へ
+ * 書き込む役割を担います。キーボードで打ったときと同じく、キャレットの位置に挿入します。
+ *
+ * 現在の戦略:
+ * 1. 【編集の計画と適用の分離】キャレットより前のテキストと確定した文字から、削除する文字数と
+ *    挿入するテキストを`planDictationEdit`で求め、それを要素の種類に応じて適用します。
+ * 2. 【単語間のスペース】`word`イベントを受け取ったら、次の文字の前にスペースを入れます。
+ *    `TextBuffer`と同じく、先頭や空白の直後には入れないため、入力欄の末尾にスペースが残りません。
+ * 3. 【編集コマンド】訂正はキャレットの前の単語（または文字）を、改行は改行の挿入として反映します。
+ *    改行できない`<input>`では単語の区切りとして扱います。全消去と終わりの略符号は、利用者の入力欄の
+ *    内容を消してしまわないよう反映しません。
+ * 4. 【濁点・半濁点】`appendDecodedText`と同じく、キャレットの直前のカナと合成して1文字にします。
+ * 5. 【inputイベント】書き込むたびに`input`イベント（`InputEvent`）を発行し、フレームワークなどが
+ *    値の変化に気付けるようにします。
+ */
+
+import { appendDecodedText } from '../morse/morse-code-table.js';
+
+/** 値とキャレットを`setRangeText`で書き換えられる`<input>`の種類 */
+const TEXT_INPUT_TYPES = ['text', 'search', 'url', 'tel'];
+
+/**
+ * 要素が口述入力の書き込み先にできるかどうかを返します。
+ * @param {Element|null} element
+ * @returns {boolean}
+ */
+export function isDictationTarget(element) {
+    if (!element || element.disabled || element.readOnly) return false;
+    if (element.tagName === 'TEXTAREA') return true;
+    if (element.tagName === 'INPUT') return TEXT_INPUT_TYPES.includes(element.type);
+    return element.isContentEditable === true;
+}
+
+/**
+ * 確定した1文字を書き込むための編集を求めます。
+ * @param {string} textBeforeCaret - 書き込み先のキャレットより前のテキスト。
+ * @param {{text: string, command: string|null}} character - `character`イベントの内容。
+ * @param {{pendingSpace: boolean, errorDeletes: string, multiline: boolean}} options
+ *   `pendingSpace` は単語が終わった後か、`errorDeletes` は訂正で削除する単位 ('word' or 'character')、
+ *   `multiline` は書き込み先が改行できるかどうかです。
+ * @returns {{deleteCount: number, text: string, inputType: string}|null}
+ *   キャレットの前から削除する文字数、挿入するテキスト、`InputEvent`の`inputType`。書き込むものが無ければnull。
+ */
+export function planDictationEdit(textBeforeCaret, character, options) {
+    switch (character.command) {
+        case 'error': {
+            // TextBufferと同じく、直前のスペースを除いた上で、改行なら改行だけを、そうでなければ単語か文字を消す
+            const rest = textBeforeCaret.replace(/ +$/, '');
+            let start = rest.length;
+            if (rest.endsWith('\n')) {
+                start--;
+            } else if (options.errorDeletes === 'character') {
+                start = Math.max(0, start - 1);
+            } else {
+                while (start > 0 && !/\s/.test(rest[start - 1])) start--;
+            }
+            const deleteCount = textBeforeCaret.length - start;
+            if (deleteCount === 0) return null;
+            const inputType = options.errorDeletes === 'character' ? 'deleteContentBackward' : 'deleteWordBackward';
+            return { deleteCount, text: '', inputType };
+        }
+        case 'newline':
+            return options.multiline ? { deleteCount: 0, text: '\n', inputType: 'insertLineBreak' } : null;
+        case 'clear':
+        case 'endOfMessage':
+            return null;
+        default:
+            break;
+    }
+
+    if (options.pendingSpace && textBeforeCaret && !/\s$/.test(textBeforeCaret)) {
+        return { deleteCount: 0, text: ` ${character.text}`, inputType: 'insertText' };
+    }
+    const previous = textBeforeCaret.slice(-1);
+    const combined = appendDecodedText(previous, character.text);
+    if (previous && combined.length < previous.length + character.text.length) {
+        return { deleteCount: 1, text: combined, inputType: 'insertText' };
+    }
+    return { deleteCount: 0, text: character.text, inputType: 'insertText' };
+}
+
+export class Dictation {
+    /**
+     * @param {{errorDeletes?: string}} [options] - `errorDeletes` は訂正で削除する単位 ('word' or 'character')。
+     */
+    constructor(options = {}) {
+        this.errorDeletes = options.errorDeletes || 'word';
+        this.target = null;
+        this.pendingSpace = false; // 次の文字の前に単語間のスペースを入れるかどうか
+        this.savedRange = null; // contenteditableの書き込み先の、最後のキャレットの位置
+
+        // contenteditableでは、フォーカスが外れた後もキャレットの位置を覚えておく
+        document.addEventListener('selectionchange', () => {
+            const selection = document.getSelection();
+            if (!this.target || this.target.tagName === 'INPUT' || this.target.tagName === 'TEXTAREA') return;
+            if (selection.rangeCount === 0 || !this.target.contains(selection.anchorNode)) return;
+            this.savedRange = selection.getRangeAt(0).cloneRange();
+        });
+    }
+
+    /**
+     * 書き込み先の要素を設定します。
+     * @param {HTMLElement|null} element
+     */
+    setTarget(element) {
+        if (element === this.target) return;
+        this.target = element;
+        this.pendingSpace = false;
+        this.savedRange = null;
+    }
+
+    /**
+     * 確定した1文字を書き込み先に反映します。
+     * @param {{text: string, command: string|null}} character - `character`イベントの内容。
+     */
+    handleCharacter(character) {
+        if (!this.target || !this.target.isConnected) return;
+        const isTextControl = this.target.tagName === 'INPUT' || this.target.tagName === 'TEXTAREA';
+        const multiline = this.target.tagName !== 'INPUT';
+
+        if (character.command === 'newline' && !multiline) {
+            this.pendingSpace = true;
+            return;
+        }
+        const edit = planDictationEdit(this._getTextBeforeCaret(isTextControl), character, {
+            pendingSpace: this.pendingSpace,
+            errorDeletes: this.errorDeletes,
+            multiline
+        });
+        if (!edit) return;
+
+        if (isTextControl) {
+            this._applyToTextControl(edit);
+        } else {
+            this._applyToEditable(edit);
+        }
+        this.pendingSpace = false;
+        this.target.dispatchEvent(new InputEvent('input', {
+            bubbles: true,
+            inputType: edit.inputType,
+            data: edit.text || null
+        }));
+    }
+
+    /**
+     * 単語が終わったことを受け取り、次の文字の前にスペースを入れるようにします。
+     */
+    handleWord() {
+        this.pendingSpace = true;
+    }
+
+    /**
+     * @private
+     * @param {boolean} isTextControl - 書き込み先が`<input>`か`<textarea>`かどうか。
+     * @returns {string} 書き込み先のキャレットより前のテキスト。
+     */
+    _getTextBeforeCaret(isTextControl) {
+        if (isTextControl) return this.target.value.slice(0, this.target.selectionStart);
+        const range = document.createRange();
+        range.selectNodeContents(this.target);
+        const caret = this._getCaretRange();
+        range.setEnd(caret.startContainer, caret.startOffset);
+        return range.toString();
+    }
+
+    /**
+     * @private
+     * `<input>`・`<textarea>`の、キャレットの前の文字を削除してからテキストを挿入します。
+     * 選択範囲がある場合は、キーボードで打ったときと同じく選択範囲を置き換えます。
+     * @param {{deleteCount: number, text: string}} edit
+     */
+    _applyToTextControl(edit) {
+        const start = this.target.selectionStart - edit.deleteCount;
+        this.target.setRangeText(edit.text, start, this.target.selectionEnd, 'end');
+    }
+
+    /**
+     * @private
+     * contenteditableの要素の、キャレットの前の文字を削除してからテキストを挿入します。
+     * 削除はキャレットのあるテキストノードの中だけで行います。改行は`<br>`として挿入します。
+     * @param {{deleteCount: number, text: string}} edit
+     */
+    _applyToEditable(edit) {
+        const range = this._getCaretRange();
+        if (edit.deleteCount > 0 && range.startContainer.nodeType === Node.TEXT_NODE) {
+            range.setStart(range.startContainer, Math.max(0, range.startOffset - edit.deleteCount));
+        }
+        range.deleteContents();
+        if (edit.text) {
+            const node = edit.text === '\n' ? document.createElement('br') : document.createTextNode(edit.text);
+            range.insertNode(node);
+            range.setStartAfter(node);
+        }
+        range.collapse(true);
+        this.savedRange = range;
+
+        if (document.activeElement === this.target) {
+            const selection = document.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range.cloneRange());
+        }
+    }
+
+    /**
+     * @private
+     * contenteditableの要素のキャレットの位置を返します。まだ分からない場合は要素の末尾とします。
+     * @returns {Range}
+     */
+    _getCaretRange() {
+        if (this.savedRange && this.target.contains(this.savedRange.startContainer)) {
+            return this.savedRange.cloneRange();
+        }
+        const range = document.createRange();
+        range.selectNodeContents(this.target);
+        range.collapse(false);
+        return range;
+    }
+}
@@ -10,9 +10,54 @@
  *    のではなく、`main.js`から渡されたコールバック関数(`onStateChange`)を呼び出します。
  *    これにより、UIの関心事とアプリケーションのロジックを分離しています（関心の分離）。
  * 4. 画像のコピー機能やデコード結果の表示のように、DOMに密接に関連する処理は、
- *    このファイル内で完結させます。
+ *    このファイル内で完結させます。デコード結果は確定部分と暫定部分を別の要素として表示します。
+ * 5. 音声ファイルの選択や、タイムラインのスクロール（スライダーとCanvas上のホイール操作）も
+ *    同様にコールバックで`main.js`へ伝えます。
+ * 6. 欧文/和文の対応表の選択も同様に伝えます。信号中の略符号で対応表が切り替わった場合は、
+ *    `main.js`から`updateCodeTable`を呼び出して選択欄の表示を合わせます。
+ * 7. 設定パネルの入力欄は、パラメータの定義から生成します。スライダーと数値欄のどちらを操作しても
+ *    もう一方に値を反映し、変更をコールバックで`main.js`へ伝えます。
+ * 8. 複数の口笛を追跡している場合、デコード結果はトラックごとの行に分け、スペクトログラム上の
+ *    軌跡と同じ色（`track-colors.js`）の印を付けて対応が分かるようにします。
+ * 9. セッションの記録ボタン、セッションファイルの選択、再生の操作（再生/一時停止・コマ送り）も
+ *    コールバックで伝えます。記録や再生の状態は`main.js`が管理し、表示だけをここで更新します。
+ * 10. 校正ボタンと校正の解除ボタンもコールバックで伝えます。校正はマイクの音を測るため、
+ *    キャプチャ中のみ開始できます。校正の進み具合や結果は`main.js`から受け取って表示します。
+ * 11. 練習パネルの出題・採点・セッション終了の操作もコールバックで伝えます。課題、文字ごとの正誤、
+ *    タイミングの比、点数、成績の履歴は`main.js`から受け取って表示します。
+ * 12. 送信パネルの再生・停止もコールバックで伝えます。ループバックの自己診断中は、マイクの開始ボタンを
+ *    押せないようにし、送ったテキストとデコード結果が一致したかを表示します。
+ * 13. タイミングの統計は`main.js`から受け取って表にします。ヒストグラムのCanvasへの描画は
+ *    `timing-histogram.js`が担当します。
+ * 14. デコード結果の確からしさの低い文字は強調して表示します。確定した文字を押すと別の候補の一覧を開き、
+ *    選ばれた候補を、一覧を開いたときの文字の位置と確定部分の版と一緒にコールバックで伝えます。
+ *    文字の置き換えはデコーダーが行います。
+ * 15. 暫定部分は、確定部分のうちデコーダーのカーソルの位置に差し込んで表示します。
+ *    終わりの略符号で終わったメッセージは、デコード結果の下の一覧に追加します。
+ * 16. 口述入力の書き込み先は、フォーカスされた入力欄から選び、その都度`main.js`へ伝えます。
+ *    終わったメッセージのクリップボードへのコピーも、画像のコピーと同じClipboard APIで行います。
+ *    終わりの略符号が設定されていない間は、メッセージが終わらないため、コピーの選択欄を無効にします。
+ * 17. 描画の固定、表示範囲の長さの選択（Ctrl+ホイールでの拡大縮小を含む）、Canvas上のカーソルの位置も
+ *    コールバックで伝えます。固定中は、タイムラインと同じスライダーとホイールで過去へスクロールできます。
+ * 18. デコード結果の書き出し（形式の選択）と、描画の動画の録画もコールバックで伝えます。
+ *    動画はマイクの音声と一緒に録画するため、セッションの記録と同じくキャプチャ中のみ開始できます。
+ * 19. マイクの選択と音声処理（エコー除去・ノイズ抑制・自動ゲイン調整）の変更もコールバックで伝えます。
+ *    マイクの一覧と、トラックに実際に適用された設定は`main.js`から受け取って表示します。
  */
 
+import { getTrackColor } from './track-colors.js';
+import { isDictationTarget } from './dictation.js';
+
+/** この確からしさより低い文字を強調して表示する */
+const LOW_CONFIDENCE = 0.7;
+
+/** 音声処理の設定のキー → チェックボックスのIDと表示名 */
+const AUDIO_PROCESSING_CONTROLS = {
+    echoCancellation: { id: 'echoCancellationCheckbox', label: 'エコー除去' },
+    noiseSuppression: { id: 'noiseSuppressionCheckbox', label: 'ノイズ抑制' },
+    autoGainControl: { id: 'autoGainControlCheckbox', label: '自動ゲイン調整' },
+};
+
 /**
  * UIの初期化を行い、ボタンのクリックイベントにコールバックを登録します。
  * @param {function(boolean): void} onStateChange - 開始/停止状態が変更されたときに呼び出されるコールバック。
@@ -21,13 +66,25 @@
 export function initialize(onStateChange, canvasId) {
     const startButton = document.getElementById('startButton');
     const copyButton = document.getElementById('copyButton');
+    const engineSelect = document.getElementById('engineSelect');
     const canvas = document.getElementById(canvasId);
 
+    const recordButton = document.getElementById('recordButton');
+    const calibrateButton = document.getElementById('calibrateButton');
+    const videoButton = document.getElementById('videoButton');
+
     let isCapturing = false;
 
     startButton.addEventListener('click', () => {
         isCapturing = !isCapturing;
         startButton.textContent = isCapturing ? 'Stop' : 'Start';
+        // 分析方式はキャプチャ開始時にのみ反映されるため、キャプチャ中は変更できないようにする
+        if (engineSelect) engineSelect.disabled = isCapturing;
+        // セッションの記録はキャプチャ中のみ行える
+        if (recordButton) recordButton.disabled = !isCapturing;
+        if (videoButton) videoButton.disabled = !isCapturing;
+        // 校正はマイクの音を測るため、キャプチャ中のみ行える
+        if (calibrateButton) calibrateButton.disabled = !isCapturing;
         onStateChange(isCapturing);
     });
 
@@ -54,13 +111,898 @@ export function initialize(onStateChange, canvasId) {
 }
 
 
+/**
+ * 音声ファイルの入力欄を初期化し、ファイルが選ばれたときにコールバックを呼び出します。
+ * @param {function(File): void} onFileSelected - 選ばれたファイルを受け取るコールバック。
+ */
+export function initializeFileInput(onFileSelected) {
+    const fileInput = document.getElementById('fileInput');
+    if (!fileInput) return;
+
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        if (file) onFileSelected(file);
+        // 同じファイルを選び直しても再度分析できるようにする
+        fileInput.value = '';
+    });
+}
+
+/**
+ * タイムラインのスクロール操作を初期化します。
+ * スライダーの操作と、Canvas上でのホイール操作の両方で、表示範囲の終端時刻を通知します。
+ * @param {function(number): void} onScroll - 表示範囲の終端の時刻 (秒) を受け取るコールバック。
+ */
+export function initializeTimelineScroll(onScroll) {
+    const slider = document.getElementById('timelineScroll');
+    const canvas = document.getElementById('visualizer');
+    if (!slider) return;
+
+    slider.addEventListener('input', () => onScroll(Number(slider.value)));
+
+    if (canvas) {
+        canvas.addEventListener('wheel', (event) => {
+            // Ctrl+ホイールは表示範囲の拡大縮小に使う
+            if (slider.hidden || event.ctrlKey || event.metaKey) return;
+            event.preventDefault();
+            const delta = (event.deltaX || event.deltaY) / 200;
+            const value = Math.max(Number(slider.min), Math.min(Number(slider.max), Number(slider.value) + delta));
+            slider.value = String(value);
+            onScroll(value);
+        }, { passive: false });
+    }
+}
+
+/**
+ * タイムラインのスクロール用スライダーを表示し、範囲を履歴の長さに合わせます。
+ * @param {number} endTime - 履歴の終端の時刻 (秒)。音声ファイルではファイル全体の長さ。
+ * @param {number} windowDuration - 一度に表示する時間の長さ (秒)。
+ * @param {number} [startTime=0] - 履歴の先頭の時刻 (秒)。
+ * @param {number|null} [value=null] - 表示範囲の終端の時刻 (秒)。nullの場合は履歴の先頭を表示する位置にします。
+ */
+export function showTimelineScroll(endTime, windowDuration, startTime = 0, value = null) {
+    const slider = document.getElementById('timelineScroll');
+    if (!slider) return;
+    slider.min = String(Math.min(endTime, startTime + windowDuration));
+    slider.max = String(endTime);
+    slider.step = '0.01';
+    slider.value = String(value ?? slider.min);
+    slider.hidden = false;
+}
+
+/**
+ * タイムラインのスクロール用スライダーを隠します。
+ */
+export function hideTimelineScroll() {
+    const slider = document.getElementById('timelineScroll');
+    if (slider) slider.hidden = true;
+}
+
+/**
+ * 描画の固定・表示範囲の長さ・カーソルの操作を初期化し、操作をコールバックへ伝えます。
+ * @param {function(): void} onFreezeToggle - 固定ボタンが押されたときに呼び出されるコールバック。
+ * @param {function(number): void} onViewDurationChange - 表示範囲の長さ (秒) を受け取るコールバック。
+ * @param {function({x: number, y: number}|null): void} onCursorMove - Canvas上のカーソルの位置（CSSピクセル）を
+ *   受け取るコールバック。カーソルがCanvasの外に出た場合はnull。
+ */
+export function initializeVisualizerControls(onFreezeToggle, onViewDurationChange, onCursorMove) {
+    const freezeButton = document.getElementById('freezeButton');
+    const durationSelect = document.getElementById('viewDurationSelect');
+    const canvas = document.getElementById('visualizer');
+
+    if (freezeButton) {
+        freezeButton.addEventListener('click', () => onFreezeToggle());
+    }
+    if (durationSelect) {
+        durationSelect.addEventListener('change', () => onViewDurationChange(Number(durationSelect.value)));
+    }
+    if (!canvas) return;
+
+    canvas.addEventListener('wheel', (event) => {
+        if (!durationSelect || !(event.ctrlKey || event.metaKey)) return;
+        event.preventDefault();
+        // 選択欄の選択肢を1段ずつ移る（上へ回すと拡大 = 短い表示範囲）
+        const index = durationSelect.selectedIndex + (event.deltaY < 0 ? -1 : 1);
+        if (index < 0 || index >= durationSelect.options.length) return;
+        durationSelect.selectedIndex = index;
+        onViewDurationChange(Number(durationSelect.value));
+    }, { passive: false });
+    canvas.addEventListener('mousemove', (event) => onCursorMove({ x: event.offsetX, y: event.offsetY }));
+    canvas.addEventListener('mouseleave', () => onCursorMove(null));
+}
+
+/**
+ * 固定ボタンの表示を、描画を固定しているかどうかに合わせます。
+ * @param {boolean} isFrozen
+ */
+export function updateFreezeState(isFrozen) {
+    const freezeButton = document.getElementById('freezeButton');
+    if (freezeButton) freezeButton.textContent = isFrozen ? 'Resume' : 'Freeze';
+}
+
+/**
+ * 選択されている音声の分析方式を返します。
+ * @returns {string} 'analyser' または 'worklet'
+ */
+export function getSelectedEngine() {
+    const engineSelect = document.getElementById('engineSelect');
+    return engineSelect ? engineSelect.value : 'analyser';
+}
+
+/**
+ * セッションの記録・再生に関する操作を初期化し、操作をコールバックへ伝えます。
+ * @param {function(): void} onRecordToggle - 記録ボタンが押されたときに呼び出されるコールバック。
+ * @param {function(File): void} onSessionSelected - 選ばれたセッションファイルを受け取るコールバック。
+ * @param {function(): void} onReplayPlayPause - 再生/一時停止ボタンが押されたときに呼び出されるコールバック。
+ * @param {function(): void} onReplayStep - コマ送りボタンが押されたときに呼び出されるコールバック。
+ */
+export function initializeSessionControls(onRecordToggle, onSessionSelected, onReplayPlayPause, onReplayStep) {
+    const recordButton = document.getElementById('recordButton');
+    const sessionInput = document.getElementById('sessionInput');
+    const replayPlayButton = document.getElementById('replayPlayButton');
+    const replayStepButton = document.getElementById('replayStepButton');
+
+    if (recordButton) {
+        recordButton.disabled = true;
+        recordButton.addEventListener('click', onRecordToggle);
+    }
+    if (sessionInput) {
+        sessionInput.addEventListener('change', () => {
+            const file = sessionInput.files[0];
+            if (file) onSessionSelected(file);
+            sessionInput.value = '';
+        });
+    }
+    if (replayPlayButton) replayPlayButton.addEventListener('click', onReplayPlayPause);
+    if (replayStepButton) replayStepButton.addEventListener('click', onReplayStep);
+}
+
+/**
+ * 記録ボタンの表示を、記録中かどうかに合わせます。
+ * @param {boolean} isRecording
+ */
+export function updateRecordingState(isRecording) {
+    const recordButton = document.getElementById('recordButton');
+    if (recordButton) recordButton.textContent = isRecording ? 'Stop Recording' : 'Record';
+}
+
+/**
+ * 記録時に生の音声も録音するよう選ばれているかを返します。
+ * @returns {boolean}
+ */
+export function isAudioRecordingRequested() {
+    const checkbox = document.getElementById('recordAudioCheckbox');
+    return checkbox ? checkbox.checked : false;
+}
+
+/**
+ * 書き出しと動画の録画の操作を初期化し、操作をコールバックへ伝えます。
+ * @param {function(string): void} onExport - 選ばれた書き出しの形式 ('json'・'csv'・'srt'・'vtt') を受け取るコールバック。
+ * @param {function(): void|null} onVideoToggle - 動画の録画ボタンが押されたときに呼び出されるコールバック。
+ *   このブラウザで録画できない場合はnullを渡し、ボタンを隠します。
+ */
+export function initializeExportControls(onExport, onVideoToggle) {
+    const formatSelect = document.getElementById('exportFormatSelect');
+    const exportButton = document.getElementById('exportButton');
+    const videoButton = document.getElementById('videoButton');
+
+    if (exportButton && formatSelect) {
+        exportButton.addEventListener('click', () => onExport(formatSelect.value));
+    }
+    if (videoButton) {
+        videoButton.disabled = true;
+        videoButton.hidden = !onVideoToggle;
+        if (onVideoToggle) videoButton.addEventListener('click', onVideoToggle);
+    }
+}
+
+/**
+ * 動画の録画ボタンの表示を、録画中かどうかに合わせます。
+ * @param {boolean} isRecording
+ */
+export function updateVideoRecordingState(isRecording) {
+    const videoButton = document.getElementById('videoButton');
+    if (videoButton) videoButton.textContent = isRecording ? 'Stop Video' : 'Record Video';
+}
+
+/**
+ * Blobをファイルとしてダウンロードさせます。
+ * @param {Blob} blob - ファイルの内容。
+ * @param {string} filename - 保存するファイル名。
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * セッションの再生操作のボタンを表示します。
+ */
+export function showReplayControls() {
+    const replayControls = document.getElementById('replayControls');
+    if (replayControls) replayControls.hidden = false;
+}
+
+/**
+ * セッションの再生操作のボタンを隠します。
+ */
+export function hideReplayControls() {
+    const replayControls = document.getElementById('replayControls');
+    if (replayControls) replayControls.hidden = true;
+}
+
+/**
+ * 再生/一時停止ボタンの表示を、再生中かどうかに合わせます。
+ * @param {boolean} isPlaying
+ */
+export function updateReplayState(isPlaying) {
+    const replayPlayButton = document.getElementById('replayPlayButton');
+    if (replayPlayButton) replayPlayButton.textContent = isPlaying ? 'Pause' : 'Play';
+}
+
+/**
+ * 校正の操作を初期化し、ボタンが押されたときにコールバックを呼び出します。
+ * @param {function(): void} onCalibrate - 校正ボタンが押されたときに呼び出されるコールバック。
+ * @param {function(): void} onClearCalibration - 校正の解除ボタンが押されたときに呼び出されるコールバック。
+ */
+export function initializeCalibrationControls(onCalibrate, onClearCalibration) {
+    const calibrateButton = document.getElementById('calibrateButton');
+    const clearCalibrationButton = document.getElementById('clearCalibrationButton');
+
+    if (calibrateButton) {
+        calibrateButton.disabled = true;
+        calibrateButton.addEventListener('click', onCalibrate);
+    }
+    if (clearCalibrationButton) clearCalibrationButton.addEventListener('click', onClearCalibration);
+}
+
+/**
+ * 校正で口笛も測るよう選ばれているかを返します。
+ * @returns {boolean}
+ */
+export function isWhistleCalibrationRequested() {
+    const checkbox = document.getElementById('calibrateWhistleCheckbox');
+    return checkbox ? checkbox.checked : true;
+}
+
+/**
+ * 校正の進み具合や結果を表示します。
+ * @param {string} text - 表示する文言。
+ */
+export function updateCalibrationStatus(text) {
+    const calibrationStatus = document.getElementById('calibrationStatus');
+    if (calibrationStatus) calibrationStatus.textContent = text;
+}
+
+/**
+ * 練習パネルを初期化し、ボタンが押されたときにコールバックを呼び出します。
+ * @param {function(): void} onNextTarget - 課題を出すボタンが押されたときに呼び出されるコールバック。
+ * @param {function(): void} onCheck - 採点ボタンが押されたときに呼び出されるコールバック。
+ * @param {function(): void} onEndSession - セッションを終えるボタンが押されたときに呼び出されるコールバック。
+ */
+export function initializeTrainingPanel(onNextTarget, onCheck, onEndSession) {
+    const nextButton = document.getElementById('trainingNextButton');
+    const checkButton = document.getElementById('trainingCheckButton');
+    const endButton = document.getElementById('trainingEndButton');
+
+    if (nextButton) nextButton.addEventListener('click', onNextTarget);
+    if (checkButton) checkButton.addEventListener('click', onCheck);
+    if (endButton) endButton.addEventListener('click', onEndSession);
+    updateTrainingState(false, false);
+}
+
+/**
+ * 練習パネルで選ばれている出題の設定を返します。
+ * @returns {{source: string, wordList: string, kochLevel: number, customText: string}}
+ */
+export function getTrainingOptions() {
+    const sourceSelect = document.getElementById('trainingSourceSelect');
+    const wordListSelect = document.getElementById('trainingWordListSelect');
+    const kochLevelInput = document.getElementById('trainingKochLevelInput');
+    const customTextInput = document.getElementById('trainingCustomTextInput');
+    return {
+        source: sourceSelect ? sourceSelect.value : 'words',
+        wordList: wordListSelect ? wordListSelect.value : 'common',
+        kochLevel: kochLevelInput ? Number(kochLevelInput.value) : 2,
+        customText: customTextInput ? customTextInput.value : ''
+    };
+}
+
+/**
+ * 練習パネルのボタンの有効/無効を、課題を出しているか、採点済みの試技があるかに合わせます。
+ * @param {boolean} hasTarget - 採点待ちの課題があるかどうか。
+ * @param {boolean} hasAttempts - 現在のセッションに採点済みの試技があるかどうか。
+ */
+export function updateTrainingState(hasTarget, hasAttempts) {
+    const checkButton = document.getElementById('trainingCheckButton');
+    const endButton = document.getElementById('trainingEndButton');
+    if (checkButton) checkButton.disabled = !hasTarget;
+    if (endButton) endButton.disabled = !hasAttempts;
+}
+
+/**
+ * 練習の課題を表示します。
+ * @param {string} text - 課題のテキスト。
+ */
+export function showTrainingTarget(text) {
+    const targetElement = document.getElementById('trainingTarget');
+    if (targetElement) targetElement.textContent = text;
+}
+
+/**
+ * 1回の試技の採点結果を表示します。文字ごとの正誤を色分けし、タイミングの比と点数を添えます。
+ * @param {{characters: {expected: string, actual: string, status: string}[], extraCount: number, accuracy: number, timing: {ratios: Object<string, number|null>, deviation: number|null}, score: number}} result
+ */
+export function showTrainingResult(result) {
+    const resultElement = document.getElementById('trainingResult');
+    if (!resultElement) return;
+
+    const charactersElement = document.createElement('div');
+    charactersElement.className = 'training-characters';
+    for (const character of result.characters) {
+        const span = document.createElement('span');
+        span.className = character.status;
+        span.textContent = character.expected;
+        if (character.status === 'substituted') span.title = `${character.actual} と読まれました`;
+        if (character.status === 'missed') span.title = '読まれませんでした';
+        charactersElement.append(span);
+    }
+
+    const format = (ratio) => ratio === null ? '-' : ratio.toFixed(1);
+    const { ratios, deviation } = result.timing;
+    const timingElement = document.createElement('div');
+    timingElement.textContent = `長点 ${format(ratios.dah)} / 要素間 ${format(ratios.elementGap)} / `
+        + `文字間 ${format(ratios.charGap)} / 単語間 ${format(ratios.wordGap)}（理想 3 / 1 / 3 / 7）`
+        + (deviation === null ? '' : `、ずれ ${Math.round(deviation * 100)}%`);
+
+    const scoreElement = document.createElement('div');
+    scoreElement.textContent = `正答率 ${Math.round(result.accuracy * 100)}%`
+        + (result.extraCount > 0 ? `（余分な文字 ${result.extraCount}）` : '')
+        + `、${result.score}点`;
+
+    resultElement.replaceChildren(charactersElement, timingElement, scoreElement);
+}
+
+/**
+ * 現在の練習セッションの成績を表示します。
+ * @param {{attemptCount: number, accuracy: number, score: number}} summary
+ */
+export function showTrainingSession(summary) {
+    const sessionElement = document.getElementById('trainingSession');
+    if (!sessionElement) return;
+    sessionElement.textContent = summary.attemptCount === 0
+        ? ''
+        : `このセッション: ${summary.attemptCount}回、正答率 ${Math.round(summary.accuracy * 100)}%、${summary.score}点`;
+}
+
+/**
+ * 保存された成績の履歴を、新しい順に表示します。
+ * @param {{date: string, source: string, attemptCount: number, accuracy: number, score: number}[]} entries
+ */
+export function showTrainingHistory(entries) {
+    const historyElement = document.getElementById('trainingHistory');
+    if (!historyElement) return;
+    const sourceLabels = { words: '単語', koch: 'コッホ法', custom: '自由入力' };
+    const items = entries.slice(-10).reverse().map((entry) => {
+        const item = document.createElement('li');
+        item.textContent = `${new Date(entry.date).toLocaleString()} ${sourceLabels[entry.source] ?? entry.source}: `
+            + `${entry.attemptCount}回、正答率 ${Math.round(entry.accuracy * 100)}%、${entry.score}点`;
+        return item;
+    });
+    historyElement.replaceChildren(...items);
+}
+
+/**
+ * 送信パネルの再生・停止ボタンに、コールバックを登録します。
+ * @param {function(): void} onPlay - 「再生」が押されたときに呼び出されるコールバック。
+ * @param {function(): void} onStop - 「停止」が押されたときに呼び出されるコールバック。
+ */
+export function initializeEncoderPanel(onPlay, onStop) {
+    const playButton = document.getElementById('encoderPlayButton');
+    const stopButton = document.getElementById('encoderStopButton');
+
+    if (playButton) playButton.addEventListener('click', onPlay);
+    if (stopButton) stopButton.addEventListener('click', onStop);
+    updateEncoderState(false, false);
+}
+
+/**
+ * 送信パネルで入力されたテキストと再生の設定を返します。
+ * @returns {{text: string, pitch: number, wpm: number, farnsworthWpm: number|null, timbre: string, loopback: boolean}}
+ *   `farnsworthWpm` は0（ファーンズワース方式を使わない）の場合null。
+ */
+export function getEncoderOptions() {
+    const textInput = document.getElementById('encoderTextInput');
+    const pitchInput = document.getElementById('encoderPitchInput');
+    const wpmInput = document.getElementById('encoderWpmInput');
+    const farnsworthInput = document.getElementById('encoderFarnsworthInput');
+    const timbreSelect = document.getElementById('encoderTimbreSelect');
+    const loopbackCheckbox = document.getElementById('encoderLoopbackCheckbox');
+    return {
+        text: textInput ? textInput.value : '',
+        pitch: pitchInput ? Number(pitchInput.value) : 1800,
+        wpm: wpmInput ? Number(wpmInput.value) : 20,
+        farnsworthWpm: farnsworthInput && Number(farnsworthInput.value) > 0 ? Number(farnsworthInput.value) : null,
+        timbre: timbreSelect ? timbreSelect.value : 'whistle',
+        loopback: loopbackCheckbox ? loopbackCheckbox.checked : false
+    };
+}
+
+/**
+ * 送信パネルのボタンの有効/無効を、再生中かどうかに合わせます。
+ * ループバック中はマイクと同じ分析の経路を使うため、開始ボタンも押せないようにします。
+ * @param {boolean} isPlaying - 再生中かどうか。
+ * @param {boolean} isLoopback - ループバックの自己診断中かどうか。
+ */
+export function updateEncoderState(isPlaying, isLoopback) {
+    const playButton = document.getElementById('encoderPlayButton');
+    const stopButton = document.getElementById('encoderStopButton');
+    const startButton = document.getElementById('startButton');
+    if (playButton) playButton.disabled = isPlaying;
+    if (stopButton) stopButton.disabled = !isPlaying;
+    if (startButton) startButton.disabled = isLoopback;
+}
+
+/**
+ * ループバックの自己診断の結果を表示します。
+ * @param {{expected: string, decoded: string, isMatch: boolean}|null} result
+ *   送ったテキスト、デコード結果、両者が同じ符号になるか。nullなら表示を消します。
+ */
+export function showLoopbackResult(result) {
+    const resultElement = document.getElementById('loopbackResult');
+    if (!resultElement) return;
+    if (!result) {
+        resultElement.textContent = '';
+        return;
+    }
+    resultElement.className = result.isMatch ? 'correct' : 'substituted';
+    resultElement.textContent = result.isMatch
+        ? `一致しました: ${result.decoded}`
+        : `一致しませんでした: ${result.decoded || '（デコード結果なし）'}（送信: ${result.expected}）`;
+}
+
+/**
+ * タイミングの統計のパネルが開かれたときに、コールバックを呼び出します。
+ * 音声ファイルの結果のように毎フレーム更新されない表示も、開いた時点の内容で表示できるようにします。
+ * @param {function(): void} onOpen - パネルが開かれたときに呼び出されるコールバック。
+ */
+export function initializeTimingPanel(onOpen) {
+    const timingPanel = document.getElementById('timingPanel');
+    if (!timingPanel) return;
+
+    timingPanel.addEventListener('toggle', () => {
+        if (timingPanel.open) onOpen();
+    });
+}
+
+/**
+ * タイミングの統計のパネルが開いているかを返します。閉じている間は統計の表示を省きます。
+ * @returns {boolean}
+ */
+export function isTimingPanelOpen() {
+    const timingPanel = document.getElementById('timingPanel');
+    return timingPanel ? timingPanel.open : false;
+}
+
+/**
+ * 送信のタイミングの統計を、速度・短点と長点の比の要約と、区間の種類ごとの表で表示します。
+ * @param {{wpm: number|null, ditDahRatio: number|null, classes: Object<string, {count: number, ratio: number|null, variance: number|null}|null>}} statistics
+ */
+export function updateTimingStatistics(statistics) {
+    const summaryElement = document.getElementById('timingSummary');
+    const tableBody = document.getElementById('timingStatisticsBody');
+    if (!summaryElement || !tableBody) return;
+
+    const format = (value, digits) => value === null || value === undefined ? '-' : value.toFixed(digits);
+    summaryElement.textContent = `${format(statistics.wpm, 1)} WPM、短点:長点 = 1:${format(statistics.ditDahRatio, 2)}`;
+
+    const rows = [
+        ['dit', '短点', 1], ['dah', '長点', 3],
+        ['elementGap', '要素間', 1], ['charGap', '文字間', 3], ['wordGap', '単語間', 7]
+    ].map(([kind, label, ideal]) => {
+        const entry = statistics.classes[kind];
+        const row = document.createElement('tr');
+        for (const text of [label, entry ? String(entry.count) : '0', format(entry?.ratio, 2), String(ideal), format(entry?.variance, 3)]) {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.append(cell);
+        }
+        return row;
+    });
+    tableBody.replaceChildren(...rows);
+}
+
+/**
+ * 欧文/和文の対応表の選択欄を初期化し、選択が変わったときにコールバックを呼び出します。
+ * @param {function(string): void} onCodeTableChange - 選ばれた対応表の種類を受け取るコールバック。
+ */
+export function initializeCodeTableSelect(onCodeTableChange) {
+    const codeTableSelect = document.getElementById('codeTableSelect');
+    if (!codeTableSelect) return;
+
+    codeTableSelect.addEventListener('change', () => onCodeTableChange(codeTableSelect.value));
+}
+
+/**
+ * 選択されている対応表の種類を返します。
+ * @returns {string} 'latin' または 'wabun'
+ */
+export function getSelectedCodeTable() {
+    const codeTableSelect = document.getElementById('codeTableSelect');
+    return codeTableSelect ? codeTableSelect.value : 'latin';
+}
+
+/**
+ * マイクの選択欄と音声処理のチェックボックスを初期化し、変更をコールバックへ伝えます。
+ * @param {{deviceId: string|null, echoCancellation: boolean, noiseSuppression: boolean, autoGainControl: boolean}} values - 初期値。
+ * @param {function({deviceId: string|null, echoCancellation: boolean, noiseSuppression: boolean, autoGainControl: boolean}): void} onChange
+ *   変更後のマイクの設定を受け取るコールバック。
+ */
+export function initializeAudioInputPanel(values, onChange) {
+    const deviceSelect = document.getElementById('audioDeviceSelect');
+    const checkboxes = Object.fromEntries(Object.entries(AUDIO_PROCESSING_CONTROLS)
+        .map(([key, control]) => [key, document.getElementById(control.id)])
+        .filter(([, checkbox]) => checkbox));
+
+    const readValues = () => {
+        const result = { ...values, deviceId: deviceSelect ? deviceSelect.value || null : values.deviceId };
+        for (const [key, checkbox] of Object.entries(checkboxes)) result[key] = checkbox.checked;
+        return result;
+    };
+    for (const [key, checkbox] of Object.entries(checkboxes)) {
+        checkbox.checked = values[key];
+        checkbox.addEventListener('change', () => onChange(readValues()));
+    }
+    if (deviceSelect) {
+        deviceSelect.addEventListener('change', () => onChange(readValues()));
+    }
+}
+
+/**
+ * マイクの選択欄の選択肢を、入力デバイスの一覧に合わせます。
+ * @param {{deviceId: string, label: string}[]} devices - 入力デバイスの一覧。
+ * @param {string|null} selectedDeviceId - 選ばれているマイク。既定のマイクならnull。
+ */
+export function updateAudioDevices(devices, selectedDeviceId) {
+    const deviceSelect = document.getElementById('audioDeviceSelect');
+    if (!deviceSelect) return;
+
+    const options = [new Option('既定のマイク', '')];
+    devices.forEach((device, index) => {
+        options.push(new Option(device.label || `マイク ${index + 1}`, device.deviceId));
+    });
+    deviceSelect.replaceChildren(...options);
+    // 選んでいたマイクが外されている間は既定のマイクを表示する（選択自体は保存されたまま）
+    deviceSelect.value = devices.some(device => device.deviceId === selectedDeviceId) ? selectedDeviceId : '';
+}
+
+/**
+ * マイクのトラックに実際に適用されている設定を表示します。
+ * @param {object|null} settings - `AudioCapturer.getTrackSettings`の結果。マイクを使っていない場合はnull。
+ */
+export function updateAudioTrackSettings(settings) {
+    const element = document.getElementById('audioTrackSettings');
+    if (!element) return;
+    if (!settings) {
+        element.textContent = '';
+        return;
+    }
+    const describe = (value, unit) => (value === null ? '不明' : `${value} ${unit}`);
+    const parts = [
+        settings.label || 'マイク',
+        `${describe(settings.sampleRate, 'Hz')}（分析 ${describe(settings.contextSampleRate, 'Hz')}）`,
+        describe(settings.channelCount, 'ch'),
+        ...Object.entries(AUDIO_PROCESSING_CONTROLS).map(([key, control]) => {
+            const value = settings[key];
+            return `${control.label} ${value === null ? '不明' : value ? 'オン' : 'オフ'}`;
+        })
+    ];
+    element.textContent = parts.join('・');
+}
+
+/**
+ * デコーダーが現在使っている対応表を、選択欄の表示に反映します。
+ * @param {string} table - 対応表の種類。
+ */
+export function updateCodeTable(table) {
+    const codeTableSelect = document.getElementById('codeTableSelect');
+    if (codeTableSelect && codeTableSelect.value !== table) {
+        codeTableSelect.value = table;
+    }
+}
+
+/**
+ * 設定パネルの入力欄をパラメータの定義から生成し、操作をコールバックへ伝えます。
+ * 数値のパラメータはスライダーと数値の入力欄、選択肢を持つパラメータは選択欄にします。
+ * @param {{key: string, label: string, min?: number, max?: number, step?: number, options?: {value: string, label: string}[]}[]} definitions
+ *   パラメータの定義。
+ * @param {Object<string, number|string>} values - 各パラメータの初期値。
+ * @param {function(string, number|string): void} onSettingChange - パラメータ名と新しい値を受け取るコールバック。
+ * @param {function(): void} onReset - 「既定値に戻す」が押されたときに呼び出されるコールバック。
+ * @param {function(): string} getShareUrl - 現在の設定を再現する共有用URLを返す関数。
+ */
+export function initializeSettingsPanel(definitions, values, onSettingChange, onReset, getShareUrl) {
+    const fieldsElement = document.getElementById('settingsFields');
+    const resetButton = document.getElementById('resetSettingsButton');
+    const shareButton = document.getElementById('shareSettingsButton');
+    if (!fieldsElement) return;
+
+    const rows = definitions.map((definition) => {
+        const row = document.createElement('label');
+        row.className = 'setting';
+        row.dataset.key = definition.key;
+
+        const name = document.createElement('span');
+        name.textContent = definition.label;
+
+        if (definition.options) {
+            const select = document.createElement('select');
+            for (const option of definition.options) select.add(new Option(option.label, option.value));
+            select.value = String(values[definition.key]);
+            select.addEventListener('change', () => onSettingChange(definition.key, select.value));
+            row.append(name, select);
+            return row;
+        }
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        const numberInput = document.createElement('input');
+        numberInput.type = 'number';
+        for (const input of [slider, numberInput]) {
+            input.min = String(definition.min);
+            input.max = String(definition.max);
+            input.step = String(definition.step);
+            input.value = String(values[definition.key]);
+        }
+
+        slider.addEventListener('input', () => {
+            numberInput.value = slider.value;
+            onSettingChange(definition.key, Number(slider.value));
+        });
+        numberInput.addEventListener('change', () => {
+            if (numberInput.value === '') return;
+            slider.value = numberInput.value;
+            onSettingChange(definition.key, Number(numberInput.value));
+        });
+
+        row.append(name, slider, numberInput);
+        return row;
+    });
+    fieldsElement.replaceChildren(...rows);
+
+    if (resetButton) resetButton.addEventListener('click', onReset);
+
+    if (shareButton) {
+        shareButton.addEventListener('click', async () => {
+            const url = getShareUrl();
+            try {
+                await navigator.clipboard.writeText(url);
+                const originalText = shareButton.textContent;
+                shareButton.textContent = 'Copied!';
+                setTimeout(() => {
+                    shareButton.textContent = originalText;
+                }, 2000);
+            } catch (err) {
+                console.error('Failed to copy settings URL:', err);
+                prompt('このURLをコピーしてください。', url);
+            }
+        });
+    }
+}
+
+/**
+ * 設定パネルの入力欄に値を反映します（既定値に戻したときなど）。
+ * @param {Object<string, number|string>} values - 各パラメータの値。
+ */
+export function updateSettingsPanel(values) {
+    const fieldsElement = document.getElementById('settingsFields');
+    if (!fieldsElement) return;
+
+    for (const row of fieldsElement.querySelectorAll('.setting')) {
+        const value = values[row.dataset.key];
+        if (value === undefined) continue;
+        for (const input of row.querySelectorAll('input, select')) input.value = String(value);
+    }
+}
+
 /**
  * デコード結果のテキストを画面に表示します。
- * @param {string} text - 表示するテキスト。
+ * 暫定部分は再デコードで変わり得ることが分かるよう、確定部分と区別して表示します。
+ * 複数の口笛を追跡している場合は、トラックごとに1行ずつ、軌跡と同じ色の印を付けて表示します。
+ * 文字ごとの確からしさが渡された場合は、確からしさの低い文字を強調し、確定部分の文字には
+ * 別の候補を選べるよう`initializeAlternativePicker`のための情報を付けます。
+ * 暫定部分は、確定部分の`cursor`の位置（省略時は末尾）に差し込んで表示します。
+ * @param {{committed: string, provisional: string, cursor?: number, characters?: {committed: object[], provisional: object[], cursor: number, revision: number}}[]} texts
+ *   トラックごとの表示するテキスト。`characters` は`MorseDecoder.getDecodedCharacters`の結果です。
  */
-export function updateOutput(text) {
+export function updateOutput(texts) {
     const outputElement = document.getElementById('output');
     if (outputElement) {
-        outputElement.textContent = text;
+        const lines = texts.map((text, index) => {
+            const lineElement = document.createElement('div');
+            lineElement.className = 'track-output';
+            if (texts.length > 1) lineElement.style.borderLeftColor = getTrackColor(index);
+
+            const provisionalElement = document.createElement('span');
+            provisionalElement.className = 'provisional';
+            if (text.characters) {
+                const { committed, provisional, cursor, revision } = text.characters;
+                const source = { trackIndex: index, revision };
+                lineElement.append(...createCharacterNodes(committed.slice(0, cursor), source, 0));
+                provisionalElement.append(...createCharacterNodes(provisional, null, 0));
+                lineElement.append(provisionalElement, ...createCharacterNodes(committed.slice(cursor), source, cursor));
+            } else {
+                const cursor = text.cursor ?? text.committed.length;
+                lineElement.append(document.createTextNode(text.committed.slice(0, cursor)));
+                provisionalElement.textContent = text.provisional;
+                lineElement.append(provisionalElement, document.createTextNode(text.committed.slice(cursor)));
+            }
+            return lineElement;
+        });
+        outputElement.replaceChildren(...lines);
+    }
+}
+
+/**
+ * 文字の列を表示用のノードに変換します。確からしさの低い文字だけを要素で囲み、
+ * それ以外の連続する文字は1つのテキストノードにまとめます。
+ * @param {{text: string, confidence: number|null, alternatives: string[]}[]} characters - 文字の列。
+ * @param {{trackIndex: number, revision: number}|null} source - 別の候補を選べるようにする場合は、
+ *   トラックの番号と確定部分の版。そうでなければnull。
+ * @param {number} offset - 先頭の文字の、デコーダーの確定部分での位置。
+ * @returns {Node[]}
+ */
+function createCharacterNodes(characters, source, offset) {
+    const nodes = [];
+    let plainText = '';
+    characters.forEach((character, index) => {
+        if (character.confidence === null || character.confidence >= LOW_CONFIDENCE) {
+            plainText += character.text;
+            return;
+        }
+        if (plainText) nodes.push(document.createTextNode(plainText));
+        plainText = '';
+
+        const span = document.createElement('span');
+        span.className = 'low-confidence';
+        span.textContent = character.text;
+        span.title = `確からしさ ${Math.round(character.confidence * 100)}%`
+            + (character.alternatives.length > 0 ? `、候補: ${character.alternatives.join(' ')}` : '');
+        if (source !== null && character.alternatives.length > 0) {
+            span.dataset.track = String(source.trackIndex);
+            span.dataset.index = String(offset + index);
+            span.dataset.revision = String(source.revision);
+            span.dataset.alternatives = JSON.stringify(character.alternatives);
+        }
+        nodes.push(span);
+    });
+    if (plainText) nodes.push(document.createTextNode(plainText));
+    return nodes;
+}
+
+/**
+ * 終わりの略符号で終わったメッセージを、一覧の末尾に追加します。
+ * @param {string[]} messages - 追加するメッセージのテキスト。
+ */
+export function appendCompletedMessages(messages) {
+    const logElement = document.getElementById('messageLog');
+    if (!logElement) return;
+    for (const message of messages) {
+        const itemElement = document.createElement('li');
+        itemElement.textContent = message;
+        logElement.append(itemElement);
+    }
+}
+
+/**
+ * 口述入力の書き込み先の選択を初期化します。最初は`dictationPad`を書き込み先とし、その後は
+ * フォーカスされた入力欄を書き込み先とします。画面の操作欄（`.controls`）の中の入力欄は除きます。
+ * @param {function(HTMLElement): void} onTargetChange - 新しい書き込み先を受け取るコールバック。
+ */
+export function initializeDictationPanel(onTargetChange) {
+    const padElement = document.getElementById('dictationPad');
+    const targetElement = document.getElementById('dictationTarget');
+
+    const selectTarget = (element) => {
+        if (targetElement) {
+            targetElement.textContent = `書き込み先: ${element.id ? `#${element.id}` : element.tagName.toLowerCase()}`;
+        }
+        onTargetChange(element);
+    };
+    if (padElement) selectTarget(padElement);
+
+    document.addEventListener('focusin', (event) => {
+        if (!isDictationTarget(event.target) || event.target.closest('.controls')) return;
+        selectTarget(event.target);
+    });
+}
+
+/**
+ * 口述入力が有効にされているかを返します。
+ * @returns {boolean}
+ */
+export function isDictationEnabled() {
+    const checkbox = document.getElementById('dictationCheckbox');
+    return checkbox ? checkbox.checked : false;
+}
+
+/**
+ * 終わったメッセージをクリップボードにコピーするよう選ばれているかを返します。
+ * @returns {boolean}
+ */
+export function isMessageCopyRequested() {
+    const checkbox = document.getElementById('dictationCopyCheckbox');
+    return checkbox ? checkbox.checked && !checkbox.disabled : false;
+}
+
+/**
+ * 終わったメッセージのコピーを選べるかどうかを、選択欄に反映します。
+ * @param {boolean} isAvailable - 終わりの略符号が設定されているかどうか。
+ */
+export function updateMessageCopyAvailability(isAvailable) {
+    const checkbox = document.getElementById('dictationCopyCheckbox');
+    if (!checkbox) return;
+    checkbox.disabled = !isAvailable;
+    checkbox.parentElement.title = isAvailable ? '' : '設定パネルで「メッセージの終わりの略符号」を選ぶと使えます。';
+}
+
+/**
+ * テキストをクリップボードにコピーします。ページにフォーカスが無いときなど、コピーできなかった場合は警告だけを出します。
+ * @param {string} text - コピーするテキスト。
+ * @returns {Promise<void>}
+ */
+export async function copyTextToClipboard(text) {
+    try {
+        await navigator.clipboard.writeText(text);
+    } catch (err) {
+        console.warn('Failed to copy message to clipboard:', err);
     }
-}
\ No newline at end of file
+}
+
+/**
+ * デコード結果の確からしさの低い文字を押すと別の候補の一覧を表示し、選ばれた候補をコールバックで伝えます。
+ * 表示は毎フレーム作り直されるため、押した時点（pointerdown）で一覧を開き、その時点の文字の位置と
+ * 確定部分の版を覚えておきます。一覧を開いている間に確定部分が変わったかどうかは、受け取る側が版で確かめます。
+ * @param {function(number, number, number, string): void} onPick - トラックの番号、文字の位置、確定部分の版、
+ *   選ばれた文字を受け取るコールバック。
+ */
+export function initializeAlternativePicker(onPick) {
+    const outputElement = document.getElementById('output');
+    const menuElement = document.getElementById('alternativeMenu');
+    if (!outputElement || !menuElement) return;
+
+    outputElement.addEventListener('pointerdown', (event) => {
+        const target = event.target.closest('[data-alternatives]');
+        if (!target) return;
+        event.preventDefault();
+
+        const trackIndex = Number(target.dataset.track);
+        const characterIndex = Number(target.dataset.index);
+        const revision = Number(target.dataset.revision);
+        const buttons = JSON.parse(target.dataset.alternatives).map((alternative) => {
+            const button = document.createElement('button');
+            button.textContent = alternative;
+            button.addEventListener('click', () => {
+                menuElement.hidden = true;
+                onPick(trackIndex, characterIndex, revision, alternative);
+            });
+            return button;
+        });
+        menuElement.replaceChildren(...buttons);
+
+        const rect = target.getBoundingClientRect();
+        menuElement.style.left = `${rect.left + window.scrollX}px`;
+        menuElement.style.top = `${rect.bottom + window.scrollY}px`;
+        menuElement.hidden = false;
+    });
+
+    // 一覧の外を押したら閉じる
+    document.addEventListener('pointerdown', (event) => {
+        if (menuElement.hidden || menuElement.contains(event.target)) return;
+        if (event.target.closest('[data-alternatives]')) return;
+        menuElement.hidden = true;
+    });
+}
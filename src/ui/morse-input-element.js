@@ -0,0 +1,144 @@
+/**
+ * @fileoverview `<morse-input>` カスタム要素
+ * @description
+ * このファイルは、`MorseInput`を自分のページに埋め込めるカスタム要素として提供する役割を担います。
+ * このモジュールを読み込むと`<morse-input>`要素が登録されます。
+ *
+ * 現在の戦略:
+ * 1. 【属性】設定の定義（`SETTING_DEFINITIONS`）の各パラメータを、キーをケバブケースにした属性
+ *    （例: `ditTime` → `dit-time`）で指定できます。ほかに`engine`（分析方式）と`code-table`（欧文/和文）を持ちます。
+ *    編集コマンドの略符号も`end-of-message-prosign="AR"`のように指定できます（`off`で使わない）。
+ *    範囲外の値は定義の範囲内に収め、選択肢にない値は無視します。属性はキャプチャ中に変更しても反映されます。
+ * 2. 【描画は任意】`visualizer`属性がある場合だけ、要素の中にCanvasを置いてスペクトログラムなどを描画します。
+ * 3. 【イベント】`MorseInput`のイベント（`element`・`character`・`word`・`message`・`textchange`）を、
+ *    同じ名前と`detail`のままこの要素から発行します。イベントはバブリングし、Shadow DOMの外へも届きます。
+ * 4. 【表示】デコード結果は要素の中に、確定部分と暫定部分を区別して表示します。`part`属性で外から装飾できます。
+ */
+
+import { MorseInput } from '../morse-input.js';
+import { SETTING_DEFINITIONS, normalizeSettingValue } from './settings-store.js';
+
+/** 要素から発行する`MorseInput`のイベント */
+const FORWARDED_EVENTS = ['element', 'character', 'word', 'message', 'textchange'];
+
+/**
+ * パラメータのキーを属性名に変換します。
+ * @param {string} key - キャメルケースのキー。
+ * @returns {string}
+ */
+function toAttributeName(key) {
+    return key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+/** 属性名 → パラメータの定義 */
+const SETTING_ATTRIBUTES = Object.fromEntries(SETTING_DEFINITIONS.map(d => [toAttributeName(d.key), d]));
+
+export class MorseInputElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['code-table', 'visualizer', ...Object.keys(SETTING_ATTRIBUTES)];
+    }
+
+    constructor() {
+        super();
+        const shadow = this.attachShadow({ mode: 'open' });
+        shadow.innerHTML = `
+            <style>
+                :host { display: block; }
+                canvas { display: block; width: 100%; aspect-ratio: 2 / 1; background-color: #111; }
+                canvas[hidden] { display: none; }
+                [part="output"] { white-space: pre-wrap; min-height: 1.2em; }
+                [part="provisional"] { opacity: 0.6; text-decoration: underline dotted; }
+            </style>
+            <canvas part="visualizer" width="800" height="400" hidden></canvas>
+            <div part="output"></div>
+        `;
+        this.canvas = shadow.querySelector('canvas');
+        this.outputElement = shadow.querySelector('[part="output"]');
+
+        // 属性の初期値は、要素の作成後に`attributeChangedCallback`で反映される
+        this.input = new MorseInput();
+        for (const type of FORWARDED_EVENTS) {
+            this.input.addEventListener(type, (event) => {
+                this.dispatchEvent(new CustomEvent(type, { detail: event.detail, bubbles: true, composed: true }));
+            });
+        }
+        this.input.addEventListener('textchange', (event) => {
+            if (event.detail.track === 0) this._renderText(event.detail);
+        });
+    }
+
+    disconnectedCallback() {
+        this.stop();
+    }
+
+    /**
+     * @param {string} name - 変更された属性名。
+     * @param {string|null} oldValue
+     * @param {string|null} newValue
+     */
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (name === 'visualizer') {
+            this.canvas.hidden = newValue === null;
+            this.input.setCanvas(newValue === null ? null : this.canvas);
+        } else if (name === 'code-table') {
+            if (newValue) this.input.setCodeTable(newValue);
+        } else {
+            const definition = SETTING_ATTRIBUTES[name];
+            const value = normalizeSettingValue(definition, newValue);
+            if (value === undefined) return;
+            this.input.updateParams({ [definition.key]: value });
+        }
+    }
+
+    /**
+     * マイクの使用許可を求め、入力を開始します。
+     * @returns {Promise<void>} マイクを取得できなかった場合はrejectされます。
+     */
+    async start() {
+        await this.input.start(this.getAttribute('engine') || 'analyser');
+    }
+
+    /**
+     * 入力を停止します。デコード結果は残ります。
+     */
+    stop() {
+        this.input.stop();
+    }
+
+    /**
+     * デコード結果を消去します。
+     */
+    clear() {
+        this.input.clearText();
+    }
+
+    /** @returns {boolean} 入力中かどうか。 */
+    get isCapturing() {
+        return this.input.isCapturing;
+    }
+
+    /** @returns {string} 1本目のトラックのデコード結果（暫定部分を含む）。 */
+    get value() {
+        return this.input.getText(0);
+    }
+
+    /**
+     * @private
+     * デコード結果を、暫定部分をカーソルの位置に差し込んで表示します。
+     * @param {{committed: string, provisional: string, cursor: number}} text
+     */
+    _renderText({ committed, provisional, cursor }) {
+        const provisionalElement = document.createElement('span');
+        provisionalElement.setAttribute('part', 'provisional');
+        provisionalElement.textContent = provisional;
+        this.outputElement.replaceChildren(
+            document.createTextNode(committed.slice(0, cursor)),
+            provisionalElement,
+            document.createTextNode(committed.slice(cursor))
+        );
+    }
+}
+
+if (!customElements.get('morse-input')) {
+    customElements.define('morse-input', MorseInputElement);
+}
@@ -0,0 +1,220 @@
+/**
+ * @fileoverview 分析・デコードの調整用パラメータの保持と永続化
+ * @description
+ * このファイルは、`MorseAnalyzer`と`MorseDecoder`の調整用パラメータの一覧（定義）と、
+ * その現在値を管理する役割を担います。値はブラウザに保存され、URLで共有することもできます。
+ *
+ * 現在の戦略:
+ * 1. 【定義の一元化】各パラメータの既定値・範囲・刻み幅・表示名と、どのクラスのパラメータかを
+ *    1つの配列にまとめます。設定パネルの入力欄も、この定義から生成します。
+ *    数値でなく選択肢から選ぶパラメータ（編集コマンドの略符号など）は、範囲の代わりに`options`を持ちます。
+ * 2. 【読み込みの優先順位】既定値 → localStorageに保存された値 → URLパラメータの順に上書きします。
+ *    共有されたURLを開いたときは、そのURLの設定が自分の保存値より優先されます。
+ * 3. 【値の検証】数値に変換できない値は無視し、範囲外の値は範囲内に収め、刻み幅の倍数に丸めます
+ *    （トラック数の2.5のような値を通さないため）。選択肢にない値も無視します。
+ *    `<morse-input>`の属性も同じ検証（`normalizeSettingValue`）を通します。
+ * 4. 【共有】現在の値のうち既定値と異なるものだけを、URLのクエリパラメータとして書き出します。
+ */
+
+import { DEFAULT_EDIT_COMMANDS } from '../morse/morse-decoder.js';
+
+/** 設定を保存するlocalStorageのキー */
+const STORAGE_KEY = 'micmorseinput.settings';
+
+/** 編集コマンドに使える略符号の選択肢。対応表を切り替えるDO・SNは文字にならないため含めない */
+const EDIT_PROSIGN_OPTIONS = [
+    { value: 'off', label: '使わない' },
+    ...['HH', 'AA', 'KA', 'AR', 'SK', 'BT', 'KN', 'AS'].map(name => ({ value: name, label: name }))
+];
+
+/**
+ * 編集コマンドの略符号を選ぶパラメータの定義を作ります。既定値はデコーダーの`DEFAULT_EDIT_COMMANDS`に合わせます。
+ * @param {string} key - パラメータ名。
+ * @param {string} command - 編集コマンドの名前（`DEFAULT_EDIT_COMMANDS`のキー）。
+ * @param {string} label - 表示名。
+ * @returns {object}
+ */
+function editProsignDefinition(key, command, label) {
+    const prosign = DEFAULT_EDIT_COMMANDS[command];
+    return {
+        key, target: 'decoder', editCommand: command, label, options: EDIT_PROSIGN_OPTIONS,
+        defaultValue: prosign ? prosign.slice(1, -1) : 'off'
+    };
+}
+
+/**
+ * 調整用パラメータの定義。
+ * `target` は値を渡す先のクラス（'analyzer' は MorseAnalyzer、'decoder' は MorseDecoder）です。
+ * `options` を持つパラメータは選択肢の`value`のどれかを値とし、`editCommand` を持つパラメータは
+ * その編集コマンドの略符号（'AR' など、'off' は使わない）です。
+ */
+export const SETTING_DEFINITIONS = [
+    { key: 'noiseThreshold', target: 'analyzer', label: 'ノイズ閾値', min: 0, max: 255, step: 1, defaultValue: 30 },
+    { key: 'sharpnessThreshold', target: 'analyzer', label: 'ピークの鋭さ (倍)', min: 1, max: 6, step: 0.1, defaultValue: 2.5 },
+    { key: 'frequencyBandwidth', target: 'analyzer', label: '音量を測る帯域幅 (ビン)', min: 1, max: 20, step: 1, defaultValue: 5 },
+    { key: 'searchNeighborhood', target: 'analyzer', label: '追跡の探索範囲 (ビン)', min: 2, max: 80, step: 1, defaultValue: 20 },
+    { key: 'minFrequency', target: 'analyzer', label: '探索する音域の下限 (Hz)', min: 100, max: 8000, step: 50, defaultValue: 500 },
+    { key: 'maxFrequency', target: 'analyzer', label: '探索する音域の上限 (Hz)', min: 100, max: 8000, step: 50, defaultValue: 4000 },
+    { key: 'maxTracks', target: 'analyzer', label: '同時に追跡する口笛の数', min: 1, max: 4, step: 1, defaultValue: 1 },
+    { key: 'maxPersistTime', target: 'analyzer', label: '信号を保持する猶予 (秒)', min: 0, max: 3, step: 0.05, defaultValue: 0.5 },
+    { key: 'minVolumeThreshold', target: 'decoder', label: '音量閾値の下限', min: 0, max: 255, step: 1, defaultValue: 15 },
+    { key: 'ditTime', target: 'decoder', label: '短点の長さ (秒)', min: 0.03, max: 0.4, step: 0.005, defaultValue: 0.12 },
+    { key: 'resetTimeout', target: 'decoder', label: '入力を確定するまでの無音 (秒)', min: 1, max: 30, step: 0.5, defaultValue: 5 },
+    editProsignDefinition('errorProsign', 'error', '訂正の略符号'),
+    editProsignDefinition('newlineProsign', 'newline', '改行の略符号'),
+    editProsignDefinition('clearProsign', 'clear', '全消去の略符号'),
+    editProsignDefinition('endOfMessageProsign', 'endOfMessage', 'メッセージの終わりの略符号'),
+    {
+        key: 'errorDeletes', target: 'decoder', label: '訂正で削除する単位',
+        options: [{ value: 'word', label: '単語' }, { value: 'character', label: '文字' }], defaultValue: 'word'
+    },
+];
+
+/**
+ * 外部から得た値を、パラメータの定義に合う値にします。数値は最小値からの刻み幅の倍数に丸めて範囲内に収め、
+ * 選択肢は一致するものだけを受け付けます。
+ * @param {object} definition - パラメータの定義。
+ * @param {*} value
+ * @returns {number|string|undefined} 定義に合う値にできない場合はundefined。
+ */
+export function normalizeSettingValue(definition, value) {
+    if (value === null || value === undefined || value === '') return undefined;
+    if (definition.options) {
+        const option = definition.options.find(o => o.value === String(value));
+        return option ? option.value : undefined;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number)) return undefined;
+    const clamped = Math.max(definition.min, Math.min(definition.max, number));
+    const steps = Math.round((clamped - definition.min) / definition.step);
+    // 0.1のような刻み幅を掛けたときの誤差（0.30000000000000004など）を、刻み幅の桁数で切り捨てる
+    const decimals = (String(definition.step).split('.')[1] || '').length;
+    const snapped = Number((definition.min + steps * definition.step).toFixed(decimals));
+    return Math.min(definition.max, snapped);
+}
+
+/**
+ * 調整用パラメータの現在値を保持し、localStorageとURLへの読み書きを行います。
+ */
+export class SettingsStore {
+    /**
+     * @param {object[]} [definitions=SETTING_DEFINITIONS] - パラメータの定義。
+     */
+    constructor(definitions = SETTING_DEFINITIONS) {
+        this.definitions = definitions;
+        this.values = this._getDefaultValues();
+    }
+
+    /**
+     * 保存された値とURLパラメータを読み込み、現在値に反映します。
+     * @returns {Object<string, number|string>} 読み込み後の現在値。
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+            this._assignValues(stored);
+        } catch (error) {
+            console.warn('Failed to load settings:', error);
+        }
+        this._assignValues(Object.fromEntries(new URLSearchParams(location.search)));
+        return this.getValues();
+    }
+
+    /**
+     * 1つのパラメータの値を変更し、保存します。
+     * @param {string} key - パラメータ名。
+     * @param {number|string} value - 新しい値。
+     * @returns {number|string|undefined} 範囲内に収めた後の値。値が不正な場合はundefined。
+     */
+    set(key, value) {
+        const definition = this.definitions.find(d => d.key === key);
+        if (!definition) return undefined;
+        const normalized = normalizeSettingValue(definition, value);
+        if (normalized === undefined) return undefined;
+        this.values[key] = normalized;
+        this._save();
+        return normalized;
+    }
+
+    /**
+     * すべてのパラメータを既定値に戻し、保存された値を消去します。
+     * @returns {Object<string, number|string>} 既定値。
+     */
+    reset() {
+        this.values = this._getDefaultValues();
+        try {
+            localStorage.removeItem(STORAGE_KEY);
+        } catch (error) {
+            console.warn('Failed to clear settings:', error);
+        }
+        return this.getValues();
+    }
+
+    /**
+     * すべてのパラメータの現在値を返します。
+     * @returns {Object<string, number|string>}
+     */
+    getValues() {
+        return { ...this.values };
+    }
+
+    /**
+     * 指定したクラスに渡すパラメータの現在値を返します。
+     * @param {string} target - 'analyzer' または 'decoder'。
+     * @returns {Object<string, number|string>}
+     */
+    getParams(target) {
+        return Object.fromEntries(
+            this.definitions.filter(d => d.target === target).map(d => [d.key, this.values[d.key]])
+        );
+    }
+
+    /**
+     * 現在の設定を再現できる共有用のURLを返します。既定値と異なる値だけをクエリパラメータに含めます。
+     * @returns {string}
+     */
+    toShareUrl() {
+        const url = new URL(location.href);
+        for (const definition of this.definitions) {
+            if (this.values[definition.key] === definition.defaultValue) {
+                url.searchParams.delete(definition.key);
+            } else {
+                url.searchParams.set(definition.key, String(this.values[definition.key]));
+            }
+        }
+        return url.toString();
+    }
+
+    /**
+     * @private
+     * @returns {Object<string, number|string>} すべてのパラメータの既定値。
+     */
+    _getDefaultValues() {
+        return Object.fromEntries(this.definitions.map(d => [d.key, d.defaultValue]));
+    }
+
+    /**
+     * @private
+     * 外部から得た値のうち、定義にあり正しく変換できるものだけを現在値に反映します。
+     * @param {Object<string, *>} source
+     */
+    _assignValues(source) {
+        for (const definition of this.definitions) {
+            if (!(definition.key in source)) continue;
+            const normalized = normalizeSettingValue(definition, source[definition.key]);
+            if (normalized !== undefined) this.values[definition.key] = normalized;
+        }
+    }
+
+    /**
+     * @private
+     * 現在値をlocalStorageに保存します。保存できない環境では警告だけを出します。
+     */
+    _save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.values));
+        } catch (error) {
+            console.warn('Failed to save settings:', error);
+        }
+    }
+}
@@ -0,0 +1,121 @@
+/**
+ * @fileoverview 区間の長さのヒストグラムの描画
+ * @description
+ * このファイルは、`timing-statistics.js`が求めた音あり/音なしの区間の長さのヒストグラムを、
+ * 専用の小さなCanvasに描画する役割を担います。
+ *
+ * 現在の戦略:
+ * 1. 【2段のグラフ】上段に音ありの、下段に音なしの区間の長さの分布を、共通の時間軸で描きます。
+ *    縦軸は段ごとに最大の度数で正規化します。
+ * 2. 【判定の境界】デコーダーの現在の時間の閾値を縦線で重ね、上段には短点/長点の境界を、
+ *    下段には要素間/文字間・文字間/単語間の境界を示します。山が境界をまたいでいれば、
+ *    その種類の区間が読み誤られやすいことが一目で分かります。
+ */
+
+export class TimingHistogram {
+    /**
+     * @param {HTMLCanvasElement} canvas - 描画対象のCanvas要素。
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.width = canvas.width;
+        this.height = canvas.height;
+        this.layout = { labelMargin: 40, axisHeight: 16, padding: 4 };
+    }
+
+    /**
+     * ヒストグラムを描画します。
+     * @param {{histogram: {binWidth: number, marks: number[], spaces: number[]}, thresholds: {dahThreshold: number, charSpaceThreshold: number, wordSpaceThreshold: number}}} statistics
+     *   `computeTimingStatistics`の結果。
+     */
+    render(statistics) {
+        this.ctx.fillStyle = '#111';
+        this.ctx.fillRect(0, 0, this.width, this.height);
+
+        const { histogram, thresholds } = statistics;
+        const rowHeight = (this.height - this.layout.axisHeight) / 2;
+        this._drawRow(histogram.marks, 0, rowHeight, 'rgba(80, 150, 255, 0.9)', '音あり');
+        this._drawRow(histogram.spaces, rowHeight, rowHeight, 'rgba(200, 200, 200, 0.7)', '音なし');
+
+        const maxDuration = histogram.binWidth * histogram.marks.length;
+        this._drawBoundary(thresholds.dahThreshold / maxDuration, 0, rowHeight);
+        this._drawBoundary(thresholds.charSpaceThreshold / maxDuration, rowHeight, rowHeight);
+        this._drawBoundary(thresholds.wordSpaceThreshold / maxDuration, rowHeight, rowHeight);
+        this._drawTimeAxis(maxDuration, rowHeight * 2);
+    }
+
+    /**
+     * @private
+     * 1段分の度数を棒で描きます。
+     * @param {number[]} counts - 階級ごとの度数。
+     * @param {number} y - 段の上端のY座標。
+     * @param {number} height - 段の高さ。
+     * @param {string} color - 棒の色。
+     * @param {string} label - 段の名前。
+     */
+    _drawRow(counts, y, height, color, label) {
+        const startX = this.layout.labelMargin;
+        const binWidth = (this.width - startX) / counts.length;
+        const maxCount = Math.max(1, ...counts);
+
+        this.ctx.fillStyle = color;
+        counts.forEach((count, index) => {
+            const barHeight = (count / maxCount) * (height - this.layout.padding);
+            this.ctx.fillRect(startX + index * binWidth + 1, y + height - barHeight, Math.max(1, binWidth - 2), barHeight);
+        });
+
+        this.ctx.fillStyle = 'white';
+        this.ctx.font = '12px sans-serif';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'top';
+        this.ctx.fillText(label, 2, y + this.layout.padding);
+    }
+
+    /**
+     * @private
+     * 判定の境界を破線で描きます。
+     * @param {number} position - 横軸上の位置（0〜1）。
+     * @param {number} y - 段の上端のY座標。
+     * @param {number} height - 段の高さ。
+     */
+    _drawBoundary(position, y, height) {
+        if (position < 0 || position > 1) return;
+        const startX = this.layout.labelMargin;
+        const x = startX + position * (this.width - startX);
+
+        this.ctx.save();
+        this.ctx.strokeStyle = 'rgba(255, 80, 80, 0.8)';
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([4, 2]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(x + 0.5, y);
+        this.ctx.lineTo(x + 0.5, y + height);
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    /**
+     * @private
+     * 下端に時間軸の目盛り (ミリ秒) を描きます。
+     * @param {number} maxDuration - 横軸の右端の長さ (秒)。
+     * @param {number} y - 軸の上端のY座標。
+     */
+    _drawTimeAxis(maxDuration, y) {
+        const startX = this.layout.labelMargin;
+        const drawableWidth = this.width - startX;
+        // 目盛りが5〜10本程度になる、切りの良い間隔を選ぶ
+        const step = [0.05, 0.1, 0.2, 0.5, 1, 2].find(candidate => maxDuration / candidate <= 10) ?? 5;
+
+        this.ctx.fillStyle = 'white';
+        this.ctx.font = '11px sans-serif';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'top';
+        for (let time = 0; time <= maxDuration; time += step) {
+            const x = startX + (time / maxDuration) * drawableWidth;
+            this.ctx.fillText(`${Math.round(time * 1000)}`, Math.min(this.width - 12, x), y + 2);
+        }
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText('ms', 2, y + 2);
+    }
+}
@@ -0,0 +1,23 @@
+/**
+ * @fileoverview 口笛のトラックごとの表示色
+ * @description
+ * 複数の口笛を同時に追跡する場合に、スペクトログラム上の軌跡とデコード結果の行を
+ * 同じ色で対応付けるための色の一覧です。`UIRenderer`と`DomController`の両方から参照します。
+ */
+
+/** トラックの番号順の表示色。トラックが色の数より多い場合は先頭から繰り返して使います。 */
+export const TRACK_COLORS = [
+    'rgba(111, 0, 255, 1)',
+    'rgba(255, 140, 0, 1)',
+    'rgba(0, 200, 200, 1)',
+    'rgba(120, 220, 0, 1)',
+];
+
+/**
+ * トラックの番号に対応する表示色を返します。
+ * @param {number} trackIndex - トラックの番号（0から）。
+ * @returns {string}
+ */
+export function getTrackColor(trackIndex) {
+    return TRACK_COLORS[trackIndex % TRACK_COLORS.length];
+}
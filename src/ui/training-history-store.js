@@ -0,0 +1,61 @@
+/**
+ * @fileoverview 練習の成績の履歴の永続化
+ * @description
+ * このファイルは、練習モードで終えたセッションの成績をブラウザに保存し、上達の経過を
+ * 後から振り返れるようにする役割を担います。
+ *
+ * 現在の戦略:
+ * 1. 【保存先】成績の一覧をJSONとしてlocalStorageに保存します。調整用パラメータや校正結果とは別のキーに置きます。
+ * 2. 【件数の上限】古い記録から捨て、保存する件数を一定に保ちます。
+ */
+
+/** 成績の履歴を保存するlocalStorageのキー */
+const STORAGE_KEY = 'micmorseinput.trainingHistory';
+
+/** 保存する成績の最大件数 */
+const MAX_ENTRIES = 200;
+
+/**
+ * 練習の成績の履歴をlocalStorageに読み書きします。
+ */
+export class TrainingHistoryStore {
+    /**
+     * 保存された成績の一覧を、古い順に返します。
+     * @returns {{date: string, source: string, attemptCount: number, accuracy: number, score: number}[]}
+     */
+    load() {
+        try {
+            const entries = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+            if (Array.isArray(entries)) return entries;
+        } catch (error) {
+            console.warn('Failed to load training history:', error);
+        }
+        return [];
+    }
+
+    /**
+     * 成績を1件追加して保存します。
+     * @param {{date: string, source: string, attemptCount: number, accuracy: number, score: number}} entry
+     * @returns {object[]} 追加後の成績の一覧。
+     */
+    add(entry) {
+        const entries = [...this.load(), entry].slice(-MAX_ENTRIES);
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+        } catch (error) {
+            console.warn('Failed to save training history:', error);
+        }
+        return entries;
+    }
+
+    /**
+     * 保存された成績をすべて消去します。
+     */
+    clear() {
+        try {
+            localStorage.removeItem(STORAGE_KEY);
+        } catch (error) {
+            console.warn('Failed to clear training history:', error);
+        }
+    }
+}
@@ -0,0 +1,237 @@
+/**
+ * @fileoverview デコード結果の書き出し
+ * @description
+ * このファイルは、デコード結果と分析の経過を、ほかのツールで扱えるテキスト形式に変換する役割を担います。
+ *
+ * 現在の戦略:
+ * 1. 【JSON】デコーダーが記録した文字ごとの時間の範囲（`getCharacterSpans`）を、確からしさと
+ *    短点・長点の並び、各要素の時間の範囲と一緒に書き出します。暫定部分の文字には`provisional`を付けます。
+ * 2. 【CSV】フレームごとの分析結果（時刻・口笛の周波数・音量・音量閾値・音あり/音なし）を`TimelineLog`に
+ *    蓄えておき、1フレーム1行で書き出します。
+ * 3. 【字幕】文字の間隔が単語間の閾値を超えたところで単語に分け、単語を1行の長さまで並べて字幕の
+ *    1つの表示（キュー）にします。長い無音、改行・全消去・終わりの略符号ではキューを改めます。
+ *    訂正の略符号は、そのキューの直前の単語（または文字）を取り消します。これをSRTとWebVTTで書き出します。
+ * 4. 【時刻の基準】どの形式も、時刻は`origin`からの秒数で書き出します。既定の0は入力の始まり
+ *    （音声ファイルの先頭、またはキャプチャの開始）です。字幕では、基準より前に終わるキューは含めません。
+ */
+
+import { appendDecodedText } from '../morse/morse-code-table.js';
+
+/** JSONで書き出すデコード結果の形式を表す識別子 */
+export const TRANSCRIPT_FORMAT = 'micmorseinput-transcript';
+/** JSONで書き出すデコード結果の形式のバージョン */
+export const TRANSCRIPT_VERSION = 1;
+
+/** 書き出せる形式と、そのファイルの種類 */
+export const EXPORT_FORMATS = {
+    json: { mimeType: 'application/json', extension: 'json' },
+    csv: { mimeType: 'text/csv', extension: 'csv' },
+    srt: { mimeType: 'application/x-subrip', extension: 'srt' },
+    vtt: { mimeType: 'text/vtt', extension: 'vtt' },
+};
+
+/**
+ * 時刻を基準からの秒数にし、ミリ秒の精度に丸めます。
+ * @param {number} time - 時刻 (秒)。
+ * @param {number} origin - 基準の時刻 (秒)。
+ * @returns {number}
+ */
+function toRelativeTime(time, origin) {
+    return Math.round((time - origin) * 1000) / 1000;
+}
+
+/**
+ * フレームごとの分析結果を、書き出し用に蓄えます。上限を超えた場合は古いものから捨てます。
+ */
+export class TimelineLog {
+    /**
+     * @param {number} [maxRows=216000] - 蓄える行の上限（既定は60fpsで約1時間分）。
+     */
+    constructor(maxRows = 216000) {
+        this.maxRows = maxRows;
+        /** @type {{time: number, frequency: number|null, volume: number, threshold: number}[]} */
+        this.rows = [];
+    }
+
+    /**
+     * 1フレーム分の分析結果を追加します。
+     * @param {{time: number, frequency: number|null, volume: number, threshold: number}} row
+     *   `frequency` は口笛の周波数 (Hz、追跡中でなければnull)、`volume` は`targetVolume`、`threshold` はデコーダーの音量閾値です。
+     */
+    add(row) {
+        this.rows.push(row);
+        // 毎フレーム配列を詰めないよう、上限を1割超えたときにまとめて捨てる
+        if (this.rows.length > this.maxRows * 1.1) this.rows.splice(0, this.rows.length - this.maxRows);
+    }
+
+    /**
+     * 蓄えた行をすべて捨てます。
+     */
+    clear() {
+        this.rows = [];
+    }
+}
+
+/**
+ * 文字ごとの時間の範囲を、JSONのデコード結果に変換します。入力途中の符号は含みません。
+ * @param {object[]} spans - `MorseDecoder.getCharacterSpans`の結果。
+ * @param {{text: string, codeTable: string, origin?: number}} info - `text` はデコード結果のテキスト、
+ *   `codeTable` は書き出し時の対応表、`origin` は時刻の基準 (秒) です。
+ * @returns {string}
+ */
+export function formatTranscriptJson(spans, { text, codeTable, origin = 0 }) {
+    const transcript = {
+        format: TRANSCRIPT_FORMAT,
+        version: TRANSCRIPT_VERSION,
+        createdAt: new Date().toISOString(),
+        codeTable,
+        text,
+        characters: spans.filter(span => span.text !== null).map(span => ({
+            text: span.text,
+            confidence: span.confidence,
+            sequence: span.sequence,
+            startTime: toRelativeTime(span.startTime, origin),
+            endTime: toRelativeTime(span.endTime, origin),
+            provisional: Boolean(span.isProvisional),
+            elements: span.elements.map(element => ({
+                symbol: element.symbol,
+                startTime: toRelativeTime(element.startTime, origin),
+                endTime: toRelativeTime(element.endTime, origin)
+            }))
+        }))
+    };
+    return JSON.stringify(transcript, null, 2);
+}
+
+/**
+ * フレームごとの分析結果を、CSVに変換します。
+ * @param {{time: number, frequency: number|null, volume: number, threshold: number}[]} rows - `TimelineLog`の行。
+ * @param {number} [origin=0] - 時刻の基準 (秒)。
+ * @returns {string}
+ */
+export function formatTimelineCsv(rows, origin = 0) {
+    const lines = ['time,frequency,volume,threshold,state'];
+    for (const row of rows) {
+        lines.push([
+            toRelativeTime(row.time, origin).toFixed(3),
+            row.frequency === null ? '' : row.frequency.toFixed(1),
+            row.volume.toFixed(1),
+            row.threshold.toFixed(1),
+            row.volume > row.threshold ? 'mark' : 'space'
+        ].join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * 文字ごとの時間の範囲を、字幕の表示（キュー）の並びにまとめます。
+ * @param {object[]} spans - `MorseDecoder.getCharacterSpans`の結果。
+ * @param {{wordGap: number, editCommands?: Object<string, string|null>, errorDeletes?: string, maxLineLength?: number, pauseDuration?: number, holdDuration?: number}} options
+ *   `wordGap` は単語間とみなす文字の間隔 (秒)、`editCommands` と `errorDeletes` はデコーダーの編集コマンドの設定、
+ *   `maxLineLength` は1つのキューの最大の文字数、`pauseDuration` はキューを改める無音の長さ (秒)、
+ *   `holdDuration` は最後の文字の後にキューを表示し続ける長さ (秒) です。
+ * @returns {{startTime: number, endTime: number, text: string}[]}
+ */
+export function createCaptionCues(spans, options) {
+    const { wordGap, editCommands = {}, errorDeletes = 'word', maxLineLength = 32, pauseDuration = 3, holdDuration = 2 } = options;
+    const commandOf = (text) => Object.keys(editCommands).find(name => editCommands[name] === text) ?? null;
+
+    const cues = [];
+    let words = []; // 表示中のキューの単語 {text, startTime, endTime}
+    let previousEndTime = -Infinity;
+    const finishCue = () => {
+        if (words.length > 0) {
+            cues.push({
+                startTime: words[0].startTime,
+                endTime: words[words.length - 1].endTime,
+                text: words.map(word => word.text).join(' ')
+            });
+        }
+        words = [];
+    };
+
+    for (const span of spans) {
+        if (span.text === null) continue;
+        const command = commandOf(span.text);
+        if (command === 'error') {
+            const lastWord = words[words.length - 1];
+            if (lastWord && errorDeletes === 'character' && lastWord.text.length > 1) {
+                lastWord.text = lastWord.text.slice(0, -1);
+            } else {
+                words.pop();
+            }
+            continue;
+        }
+        if (command) {
+            finishCue();
+            previousEndTime = span.endTime;
+            continue;
+        }
+
+        const gap = span.startTime - previousEndTime;
+        if (gap > pauseDuration) finishCue();
+        if (words.length === 0 || gap > wordGap) {
+            const lineLength = words.reduce((length, word) => length + word.text.length + 1, 0);
+            if (words.length > 0 && lineLength + span.text.length > maxLineLength) finishCue();
+            words.push({ text: span.text, startTime: span.startTime, endTime: span.endTime });
+        } else {
+            const word = words[words.length - 1];
+            word.text = appendDecodedText(word.text, span.text);
+            word.endTime = span.endTime;
+        }
+        previousEndTime = span.endTime;
+    }
+    finishCue();
+
+    // 読めるよう少し長く表示する。ただし次のキューとは重ねない
+    cues.forEach((cue, index) => {
+        const next = cues[index + 1];
+        cue.endTime = Math.min(cue.endTime + holdDuration, next ? next.startTime : Infinity);
+    });
+    return cues;
+}
+
+/**
+ * 秒数を字幕の時刻の表記 (`HH:MM:SS,mmm`) にします。
+ * @param {number} seconds
+ * @param {string} separator - 秒とミリ秒の区切り。SRTは','、WebVTTは'.'。
+ * @returns {string}
+ */
+function formatCueTime(seconds, separator) {
+    const totalMilliseconds = Math.max(0, Math.round(seconds * 1000));
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const hours = Math.floor(totalMilliseconds / 3600000);
+    const minutes = Math.floor(totalMilliseconds / 60000) % 60;
+    const secs = Math.floor(totalMilliseconds / 1000) % 60;
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMilliseconds % 1000, 3)}`;
+}
+
+/**
+ * 字幕のキューをSRTに変換します。
+ * @param {{startTime: number, endTime: number, text: string}[]} cues - `createCaptionCues`の結果。
+ * @param {number} [origin=0] - 時刻の基準 (秒)。
+ * @returns {string}
+ */
+export function formatSrt(cues, origin = 0) {
+    return cues.filter(cue => cue.endTime > origin).map((cue, index) => [
+        String(index + 1),
+        `${formatCueTime(cue.startTime - origin, ',')} --> ${formatCueTime(cue.endTime - origin, ',')}`,
+        cue.text
+    ].join('\r\n') + '\r\n').join('\r\n');
+}
+
+/**
+ * 字幕のキューをWebVTTに変換します。
+ * @param {{startTime: number, endTime: number, text: string}[]} cues - `createCaptionCues`の結果。
+ * @param {number} [origin=0] - 時刻の基準 (秒)。
+ * @returns {string}
+ */
+export function formatWebVtt(cues, origin = 0) {
+    // WebVTTでは、'<'と'&'はタグや文字参照の始まりになるため、略符号をそのまま書けない
+    const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const blocks = cues.filter(cue => cue.endTime > origin).map(cue => [
+        `${formatCueTime(cue.startTime - origin, '.')} --> ${formatCueTime(cue.endTime - origin, '.')}`,
+        escape(cue.text)
+    ].join('\n'));
+    return ['WEBVTT', ...blocks].join('\n\n') + '\n';
+}
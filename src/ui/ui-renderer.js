@@ -5,16 +5,96 @@
  * 音声データや分析結果を視覚的に表現することが目的です。
  *
  * 現在の戦略:
- * 1. 【完全再描画】毎フレームCanvas全体をクリアし、すべての要素をゼロから再描画します。
+ * 1. 【レイヤー】描画内容を変化の頻度で分けます。欄の名前や周波数の目盛りは、大きさが変わったときだけ
+ *    オフスクリーンのCanvasに描き直し、毎フレームそれを重ねます。波形・音量履歴などの線は毎フレーム描きます。
+ *    新しいフレームが来ない表示（タイムライン表示と固定中のライブ入力）では、カーソル以外を描いた画面を
+ *    もう1枚のレイヤーに写しておき、カーソルを動かしただけのときはそれを貼ってカーソルだけを描き直します。
+ *    表示範囲・大きさ・履歴が変わったときに作り直します。
  * 2. 【履歴の保持】スペクトログラム、音量、そして分析された周波数の履歴をそれぞれ配列に保持します。
- * 3. 【時間軸のスケール】約5秒間の履歴データを表示領域全体に引き伸ばして描画します。
+ * 3. 【時間軸のスケール】分析結果に付いたオーディオクロックの時刻を横軸とし、表示範囲（既定5秒）の履歴データを
+ *    表示領域全体に引き伸ばして描画します。描画の頻度が変わっても時間軸の縮尺は変わりません。
  *    これにより、モールス信号の短点・長点といった短いイベントが詳細に確認できるようになります。
- * 4. 【スペクトログラム上のハイライト】分析された周波数の履歴を、スペクトログラム上に暗い線として重ねて描画し、口笛の音の軌跡を視覚的に強調します。
- * 5. 【デコード情報の可視化】音量履歴のグラフ上に、デコードに使われる音量の閾値を線で表示します。
- *    さらに、その閾値に基づいて判定された短点・長点・スペース区間を、グラフ下部に色付きの
- *    マーカーとして描画し、デコードの過程を直感的に理解できるようにします。
+ * 4. 【タイムライン表示】音声ファイルを分析した場合は、履歴を捨てずにファイル全体分を保持し、
+ *    表示範囲の終端時刻を指定してスクロールできるようにします。このとき波形欄には
+ *    ファイル全体の振幅の概形を描き、表示中の範囲を枠で示します。概形（1ピクセルごとの最小値と最大値）は、
+ *    タイムライン表示の開始時と大きさが変わったときだけ求めます。
+ * 5. 【スペクトログラム上のハイライト】分析された周波数の履歴を、スペクトログラム上に暗い線として重ねて描画し、口笛の音の軌跡を視覚的に強調します。
+ *    複数の口笛を追跡している場合は、トラックごとの軌跡をそれぞれの色（`track-colors.js`）で描きます。
+ * 6. 【デコード情報の可視化】音量履歴のグラフ上に、デコーダーが音量分布から求めた閾値の推移を
+ *    破線で表示します。さらに、各時点の閾値に基づいて判定された短点・長点・スペース区間を、グラフ下部に色付きの
+ *    マーカーとして描画し、デコードの過程を直感的に理解できるようにします。区間は、デコーダーと同じ規則で
+ *    上下2つの閾値のヒステリシスを使って分けます。
+ *    デコーダーが推定した送信速度(WPM)も音量履歴の右上に表示します。
+ *    グラフの下には、デコーダーが記録した文字ごとの時間の範囲に合わせて、文字とその短点・長点を表示し、
+ *    秒単位の時間軸とともに流れるようにします。解読できなかった文字（'?'）は赤く強調します。
+ * 7. 【タイミングの統計】マーカーの描画で求めた区間のうち終わったものを、表示範囲より長く（約30秒）蓄え、
+ *    デコーダーの時間の閾値とともに`timing-statistics.js`へ渡して、速度や長さの比の統計を求めます。
+ *    タイムライン表示では、音声ファイル全体の区間から求めます。
+ * 8. 【スペクトログラムのリングバッファ】スペクトログラムは、1列が一定の時間に当たる`ImageData`を
+ *    リングバッファとして持ち、ライブ入力では新しく進んだ列だけを書き込みます。描画時は、最も古い列の位置で
+ *    2つに分けて画面に貼り付けます。色は音量ごとに作っておいた対応表から引きます。
+ *    表示範囲をスクロール・拡大縮小した場合や大きさが変わった場合は、履歴からすべての列を作り直します。
+ * 9. 【画面の大きさ】Canvasの表示上の大きさ（CSS）と`devicePixelRatio`に合わせて描画バッファの大きさを決め、
+ *    座標はCSSピクセルで扱います。表示上の大きさの変化は`ResizeObserver`で、`devicePixelRatio`の変化は
+ *    描画のたびに確かめます。
+ * 10. 【固定・スクロール・拡大縮小】ライブ入力の履歴は表示範囲より長く（約60秒）保持します。表示を固定すると、
+ *    キャプチャとデコードは続けたまま描画だけを止め、保持している範囲をスクロールして見返せます。
+ *    表示する時間の長さ（既定5秒）は変えられます。固定中は、見ている範囲が捨てられないよう最大5分まで履歴を残します。
+ *    保持期間を過ぎたフレームは二分探索で数を求め、一度にまとめて捨てます。
+ * 11. 【カーソルでの調査】Canvas上のカーソルの位置に縦線を引き、その時刻のフレームについて、周波数と
+ *    そのビンのレベル（スペクトログラム欄の場合）、口笛の周波数、`targetVolume`と音量閾値、
+ *    デコーダーの判定（音あり/音なしと、短点・長点・各スペースの分類）、その時刻の文字を読み出して表示します。
  */
 
+import { getTrackColor } from './track-colors.js';
+import { computeTimingStatistics } from '../morse/timing-statistics.js';
+
+const BACKGROUND_COLOR = '#111';
+
+/** この音量未満の周波数成分は描かない（透明にする） */
+const SILENT_VOLUME = 25;
+
+/**
+ * 音量を色相で表した色のRGB成分を返します。`hsl(hue, 100%, 50%)`と同じ色です。
+ * @param {number} volume - 0から255の音量。
+ * @returns {number[]} 0から255のR・G・B。
+ */
+function volumeToRgb(volume) {
+    const hue = 240 - (volume / 255.0) * 240;
+    const channel = (n) => {
+        const k = (n + hue / 30) % 12;
+        return Math.round(255 * (0.5 - 0.5 * Math.max(-1, Math.min(k - 3, 9 - k, 1))));
+    };
+    return [channel(0), channel(8), channel(4)];
+}
+
+/**
+ * スペクトログラムの`ImageData`に書き込む、音量ごとの画素の値の対応表を作ります。
+ * 画素のバイト順は環境に依存するため、`Uint8ClampedArray`に書いてから`Uint32Array`として読みます。
+ * @param {number} alpha - 不透明度 (0から1)。
+ * @returns {Uint32Array} 音量 (0から255) をインデックスとする画素の値。
+ */
+function createPixelTable(alpha) {
+    const bytes = new Uint8ClampedArray(256 * 4);
+    for (let volume = SILENT_VOLUME; volume < 256; volume++) {
+        bytes.set([...volumeToRgb(volume), Math.round(alpha * 255)], volume * 4);
+    }
+    return new Uint32Array(bytes.buffer);
+}
+
+/**
+ * オフスクリーンの描画先を作ります。
+ * @param {number} width - 幅 (画素)。
+ * @param {number} height - 高さ (画素)。
+ * @returns {HTMLCanvasElement}
+ */
+function createLayer(width, height) {
+    const layer = document.createElement('canvas');
+    layer.width = Math.max(1, width);
+    layer.height = Math.max(1, height);
+    return layer;
+}
+
 export class UIRenderer {
     /**
      * @param {HTMLCanvasElement} canvas - 描画対象のCanvas要素。
@@ -23,16 +103,19 @@ export class UIRenderer {
      */
     constructor(canvas, audioParams, decoder) {
         this.canvas = canvas;
-        this.ctx = canvas.getContext('2d', { willReadFrequently: true });
+        this.ctx = canvas.getContext('2d');
+        // 座標はCSSピクセルで扱う。大きさは最初の描画時に表示上の大きさへ合わせる
         this.width = canvas.width;
         this.height = canvas.height;
-        
+        this.pixelRatio = null;
+        this.needsResize = true;
+
         this.decoder = decoder;
 
         this.sampleRate = audioParams.sampleRate;
         this.fftSize = audioParams.fftSize;
 
-        this.layout = { labelMargin: 40, spectrumWidth: 60, padding: 15 };
+        this.layout = { labelMargin: 40, spectrumWidth: 60, padding: 15, characterLabelHeight: 28, timeAxisHeight: 14 };
 
         this.minFreq = 100;
         this.maxFreq = this.sampleRate / 2;
@@ -42,41 +125,331 @@ export class UIRenderer {
         this.volumeHistory = [];
         this.spectrogramHistory = [];
         this.frequencyHistory = [];
+        this.thresholdHistory = [];
+        // デコーダーのヒステリシスの閾値（音ありになる閾値と、音なしに戻る閾値）
+        this.upperThresholdHistory = [];
+        this.lowerThresholdHistory = [];
+        this.timeHistory = [];
         
-        // 5秒間の履歴を保持 (5 seconds * 60 fps = 300 frames)
-        this.maxHistorySize = 300; 
+        // 表示範囲の長さ。ライブ入力では、保持する長さより古い履歴は捨てる
+        this.historyDuration = 5;
+        this.retentionDuration = 60;
+        this.frozenRetentionDuration = 300;
+
+        // タイミングの統計に使う、終わった区間の記録。表示範囲より長く保持する
+        this.timingRuns = [];
+        this.statisticsDuration = 30;
+
+        // 音声ファイルのタイムライン表示の状態。ライブ入力ではnull
+        this.timeline = null;
+        // 表示範囲の終端の時刻。ライブ入力で固定していない間はnull（最新の時刻に追従する）
+        this.viewEndTime = null;
+
+        // 表示の固定とカーソルの状態
+        this.isFrozen = false;
+        this.frozenTimeDomainData = null; // 固定した時点の波形
+        this.lastTimeDomainData = null;
+        this.cursor = null; // Canvas上のカーソルの位置 {x, y}。Canvasの外ではnull
+
+        // 大きさが決まったときに作るレイヤー（`_buildLayers`）
+        this.axesLayer = null;
+        this.sceneLayer = null; // カーソル以外を描いた画面の写し
+        this.sceneRuns = null; // `sceneLayer`に描いた区間。nullなら写しは古い
+        this.spectrogram = null;
+        this.spectrumRowFreqIndices = null; // スペクトル欄の行ごとの、周波数データのインデックス
+        this.spectrogramPixelTable = createPixelTable(0.4);
+        this.spectrumColors = Array.from({ length: 256 }, (_, volume) => this._volumeToColor(volume, 0.9));
+
+        this.resizeObserver = null;
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => {
+                this.needsResize = true;
+                this.redraw();
+            });
+            this.resizeObserver.observe(canvas);
+        }
+    }
+
+    /**
+     * Canvasの大きさの監視をやめます。このインスタンスを使わなくなるときに呼び出します。
+     */
+    dispose() {
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+        this.resizeObserver = null;
     }
 
     /**
      * 描画内容を更新します。
      * @param {Uint8Array} timeDomainData - 時間領域のデータ。
      * @param {Uint8Array} frequencyData - 周波数領域のデータ。
-     * @param {{dominantFreqIndex: number, targetVolume: number}} analysisResult - 音声分析結果。
+     * @param {{dominantFreqIndex: number, targetVolume: number, timestamp: number}} analysisResult - 音声分析結果。
      */
     render(timeDomainData, frequencyData, analysisResult) {
-        this.volumeHistory.push(analysisResult.targetVolume);
-        if (this.volumeHistory.length > this.maxHistorySize) this.volumeHistory.shift();
+        this._appendHistory(frequencyData, analysisResult);
+        this.lastTimeDomainData = timeDomainData;
+        if (this.isFrozen) {
+            // 描画は止めても、タイミングの統計は最新の区間で更新し続ける
+            if (!this.decoder) return;
+            const latestTime = this.timeHistory[this.timeHistory.length - 1];
+            const { start, end } = this._indexRange(latestTime - this.historyDuration, latestTime);
+            this._recordTimingRuns(this._computeRuns(start, end));
+            return;
+        }
+        this._fitToCanvas();
+        this._updateSpectrogram();
+
+        const runs = this._drawFrame(timeDomainData, frequencyData, analysisResult.dominantFreqIndex === -1);
+        this._recordTimingRuns(runs);
+    }
+
+    /**
+     * ライブ入力の表示を固定、または固定を解除します。固定中もキャプチャとデコードは続き、
+     * 履歴は蓄え続けます。固定を解除すると、最新の時刻に追従する表示に戻ります。
+     * タイムライン表示では何もしません。
+     * @param {boolean} isFrozen
+     */
+    setFrozen(isFrozen) {
+        if (this.timeline || isFrozen === this.isFrozen || this.timeHistory.length === 0) return;
+        this.isFrozen = isFrozen;
+        if (isFrozen) {
+            this.frozenTimeDomainData = this.lastTimeDomainData ? new Uint8Array(this.lastTimeDomainData) : null;
+            this.viewEndTime = this.timeHistory[this.timeHistory.length - 1];
+        } else {
+            this.frozenTimeDomainData = null;
+            this.viewEndTime = null;
+        }
+        if (this.spectrogram) this.spectrogram.lastColumn = null;
+        this.sceneRuns = null;
+        this.redraw();
+    }
+
+    /**
+     * 表示範囲の終端を指定した時刻に移します。タイムライン表示と、固定中のライブ入力で使います。
+     * @param {number} viewEndTime - 表示範囲の終端の時刻 (秒)。
+     */
+    scrollTo(viewEndTime) {
+        if (this.timeline) {
+            this.showTimelineAt(viewEndTime);
+            return;
+        }
+        if (!this.isFrozen) return;
+        const { startTime, endTime } = this.getHistoryRange();
+        this.viewEndTime = Math.max(Math.min(endTime, startTime + this.historyDuration), Math.min(endTime, viewEndTime));
+        if (this.spectrogram) this.spectrogram.lastColumn = null;
+        this.sceneRuns = null;
+        this.redraw();
+    }
+
+    /**
+     * 表示範囲の長さを変えます（拡大縮小）。表示範囲の終端の時刻はそのままです。
+     * @param {number} duration - 表示範囲の長さ (秒)。
+     */
+    setViewDuration(duration) {
+        this.historyDuration = duration;
+        if (this.spectrogram) {
+            this.spectrogram.secondsPerColumn = duration / this.spectrogram.columnCount;
+            this.spectrogram.lastColumn = null;
+        }
+        this.sceneRuns = null;
+        this.redraw();
+    }
+
+    /**
+     * Canvas上のカーソルの位置を設定し、その時刻の値を読み出して表示します。
+     * @param {{x: number, y: number}|null} point - CSSピクセルでの位置。Canvasの外に出た場合はnull。
+     */
+    setCursor(point) {
+        this.cursor = point;
+        this.redraw();
+    }
+
+    /**
+     * @returns {{startTime: number, endTime: number}} 保持している履歴の時刻の範囲。
+     *   タイムライン表示では音声ファイル全体の範囲。
+     */
+    getHistoryRange() {
+        if (this.timeline) return { startTime: 0, endTime: this.timeline.duration };
+        return { startTime: this.timeHistory[0] ?? 0, endTime: this.timeHistory[this.timeHistory.length - 1] ?? 0 };
+    }
+
+    /**
+     * @returns {number} 表示範囲の終端の時刻 (秒)。
+     */
+    getViewEndTime() {
+        return this._getViewEndTime() ?? 0;
+    }
+
+    /**
+     * 新しいフレームが来ない表示（タイムライン表示と、固定中のライブ入力）を描き直します。
+     * ライブ入力で追従している間は、次のフレームで描かれるため何もしません。
+     */
+    redraw() {
+        if (this.timeline) {
+            if (this.viewEndTime !== null) this.showTimelineAt(this.viewEndTime);
+            return;
+        }
+        if (!this.isFrozen) return;
+        const { end } = this._visibleRange();
+        const lastIndex = Math.max(0, end - 1);
+        this._fitToCanvas();
+        if (this.spectrogram.lastColumn === null) this._rebuildSpectrogram();
+        this._drawFrame(this.frozenTimeDomainData, this.spectrogramHistory[lastIndex], this.frequencyHistory[lastIndex][0] === -1);
+    }
+
+    /**
+     * @private
+     * 現在の表示範囲で1画面分を描画します。
+     * @param {Uint8Array|null} timeDomainData - 波形欄に描く時間領域のデータ。タイムライン表示では使いません。
+     * @param {Uint8Array} frequencyData - スペクトル欄に表示する周波数データ。
+     * @param {boolean} hasNoTarget - 分析対象が見つかっていないかどうか。
+     * @returns {object[]} 音量履歴に描いた区間。
+     */
+    _drawFrame(timeDomainData, frequencyData, hasNoTarget) {
+        if (this.sceneRuns) {
+            this.ctx.drawImage(this.sceneLayer, 0, 0, this.width, this.height);
+            if (this.cursor) this._drawCursor(this.sceneRuns);
+            return this.sceneRuns;
+        }
+
+        this.clear();
+        if (this.timeline) {
+            this._drawWaveformOverview();
+        } else if (timeDomainData) {
+            this._drawWaveform(timeDomainData);
+        }
+        const runs = this._drawScene(frequencyData, hasNoTarget);
+        if (this.timeline || this.isFrozen) {
+            // 次のフレームが来ないので、カーソルを動かしたときに貼り直せるよう写しておく
+            const sceneContext = this.sceneLayer.getContext('2d');
+            sceneContext.drawImage(this.canvas, 0, 0);
+            this.sceneRuns = runs;
+        }
+        if (this.cursor) this._drawCursor(runs);
+        return runs;
+    }
+
+    /**
+     * 音声ファイルのタイムライン表示を開始します。これまでの履歴は破棄されます。
+     * @param {AudioBuffer} audioBuffer - 分析する音声。波形欄の概形表示に使います。
+     */
+    startTimeline(audioBuffer) {
+        this.timeHistory = [];
+        this.volumeHistory = [];
+        this.spectrogramHistory = [];
+        this.frequencyHistory = [];
+        this.thresholdHistory = [];
+        this.upperThresholdHistory = [];
+        this.lowerThresholdHistory = [];
+        this.timingRuns = [];
+        this.timeline = { channelData: audioBuffer.getChannelData(0), duration: audioBuffer.duration, envelope: null };
+        this._buildWaveformEnvelope();
+        this.viewEndTime = null;
+        if (this.spectrogram) this.spectrogram.lastColumn = null;
+        this.sceneRuns = null;
+    }
+
+    /**
+     * タイムラインに1フレーム分の分析結果を追加します。描画は行いません。
+     * @param {Uint8Array} frequencyData - 周波数領域のデータ。
+     * @param {{dominantFreqIndex: number, targetVolume: number, timestamp: number}} analysisResult - 音声分析結果。
+     */
+    appendTimelineFrame(frequencyData, analysisResult) {
+        this._appendHistory(frequencyData, analysisResult);
+    }
+
+    /**
+     * タイムラインのうち、指定した時刻で終わる表示範囲を描画します。
+     * @param {number} viewEndTime - 表示範囲の終端の時刻 (秒)。
+     */
+    showTimelineAt(viewEndTime) {
+        if (!this.timeline || this.timeHistory.length === 0) return;
+        const clampedEndTime = Math.max(0, Math.min(this.timeline.duration, viewEndTime));
+        const hasMoved = clampedEndTime !== this.viewEndTime;
+        this.viewEndTime = clampedEndTime;
+
+        const { end } = this._visibleRange();
+        const lastIndex = Math.max(0, end - 1);
+
+        this._fitToCanvas();
+        if (hasMoved) {
+            this.spectrogram.lastColumn = null;
+            this.sceneRuns = null;
+        }
+        if (this.spectrogram.lastColumn === null) this._rebuildSpectrogram();
+        this._drawFrame(null, this.spectrogramHistory[lastIndex], this.frequencyHistory[lastIndex][0] === -1);
+    }
 
+    /**
+     * @private
+     * 分析結果を各履歴へ追加します。ライブ入力では保持する長さより古い履歴を捨てます。
+     */
+    _appendHistory(frequencyData, analysisResult) {
+        this.timeHistory.push(analysisResult.timestamp);
+        this.volumeHistory.push(analysisResult.targetVolume);
         this.spectrogramHistory.push(new Uint8Array(frequencyData));
-        if (this.spectrogramHistory.length > this.maxHistorySize) this.spectrogramHistory.shift();
-        
-        this.frequencyHistory.push(analysisResult.dominantFreqIndex);
-        if (this.frequencyHistory.length > this.maxHistorySize) this.frequencyHistory.shift();
+        // トラックごとの周波数。1本目のトラックが先頭になる
+        this.frequencyHistory.push(analysisResult.tracks
+            ? analysisResult.tracks.map(track => track.dominantFreqIndex)
+            : [analysisResult.dominantFreqIndex]);
+        this.thresholdHistory.push(this.decoder ? this.decoder.volumeThreshold : 0);
+        this.upperThresholdHistory.push(this.decoder ? this.decoder.upperThreshold : 0);
+        this.lowerThresholdHistory.push(this.decoder ? this.decoder.lowerThreshold : 0);
+        // 固定中の表示は、新しいフレームが来ても変わらない
+        if (!this.isFrozen) this.sceneRuns = null;
 
-        this.ctx.fillStyle = '#111';
-        this.ctx.fillRect(0, 0, this.width, this.height);
+        if (this.timeline) return;
+        const oldestTime = analysisResult.timestamp - (this.isFrozen ? this.frozenRetentionDuration : this.retentionDuration);
+        // 保持期間を過ぎたフレームは、固定解除の直後でも一度にまとめて捨てる
+        const dropCount = this._lowerBound(oldestTime);
+        if (dropCount === 0) return;
+        for (const history of [this.timeHistory, this.volumeHistory, this.spectrogramHistory,
+            this.frequencyHistory, this.thresholdHistory, this.upperThresholdHistory, this.lowerThresholdHistory]) {
+            history.splice(0, dropCount);
+        }
+        this._rebaseSceneRuns(dropCount);
+    }
+
+    /**
+     * @private
+     * 履歴の先頭から捨てたフレーム数だけ、`sceneRuns`の添字をずらします。
+     * 描いた区間そのものが捨てられた場合は、写しを古いものとして扱います。
+     * @param {number} dropCount - 捨てたフレーム数。
+     */
+    _rebaseSceneRuns(dropCount) {
+        if (!this.sceneRuns) return;
+        if (this.sceneRuns.some(run => run.startIndex < dropCount)) {
+            this.sceneRuns = null;
+            return;
+        }
+        this.sceneRuns = this.sceneRuns.map(run => ({
+            ...run,
+            startIndex: run.startIndex - dropCount,
+            endIndex: run.endIndex - dropCount,
+        }));
+    }
 
-        this._drawWaveform(timeDomainData);
+    /**
+     * @private
+     * 波形欄以外の、スペクトル・スペクトログラム・音量履歴をまとめて描画します。
+     * @param {Uint8Array} frequencyData - スペクトル欄に表示する周波数データ。
+     * @param {boolean} hasNoTarget - 分析対象が見つかっていないかどうか。
+     * @returns {object[]} 音量履歴に描いた区間。
+     */
+    _drawScene(frequencyData, hasNoTarget) {
         this._drawCurrentSpectrum(frequencyData);
         this._drawFrequencyHistoryHighlight();
         this._drawSpectrogram();
         this._drawVolumeHistory();
-        this._drawVolumeHistoryDecorations();
-        this._drawAxesAndLabels();
-        
-        if (analysisResult.dominantFreqIndex === -1) {
+        const runs = this._drawVolumeHistoryDecorations();
+        this._drawCharacterLabels();
+        this._drawTimeAxis();
+        this.ctx.drawImage(this.axesLayer, 0, 0, this.width, this.height);
+        this._drawWpmLabel();
+
+        if (hasNoTarget) {
             this._drawNoTargetMessage();
         }
+        return runs;
     }
     
     _yToFreqIndex(y, sectionHeight) {
@@ -100,6 +473,124 @@ export class UIRenderer {
         return this._freqToY(freq, sectionHeight);
     }
     
+    /**
+     * @private
+     * 履歴の時刻を、履歴表示領域内のX座標に変換します。表示範囲の終端（ライブ入力では最新の時刻）が右端になります。
+     * @param {number} time - オーディオクロック上の時刻 (秒)。
+     * @returns {number}
+     */
+    _timeToX(time) {
+        const startX = this.layout.labelMargin + this.layout.spectrumWidth;
+        const drawableWidth = this.width - startX;
+        return startX + (1 - (this._getViewEndTime() - time) / this.historyDuration) * drawableWidth;
+    }
+
+    /**
+     * @private
+     * 音量履歴の欄のうち、グラフを描く領域を返します。その下に文字のラベルと時間軸の帯を設けます。
+     * @returns {{top: number, height: number}}
+     */
+    _volumeGraphArea() {
+        const top = (this.height / 3) * 2;
+        const height = this.height / 3 - this.layout.characterLabelHeight - this.layout.timeAxisHeight;
+        return { top, height };
+    }
+
+    /**
+     * @private
+     * 表示範囲の終端の時刻を返します。
+     * @returns {number}
+     */
+    _getViewEndTime() {
+        if (this.viewEndTime !== null) return this.viewEndTime;
+        return this.timeHistory[this.timeHistory.length - 1];
+    }
+
+    /**
+     * @private
+     * 表示範囲に含まれる履歴のインデックスの範囲を、二分探索で求めます。
+     * @returns {{start: number, end: number}} `start`以上`end`未満のインデックスが表示範囲に入ります。
+     */
+    _visibleRange() {
+        const viewEndTime = this._getViewEndTime();
+        return this._indexRange(viewEndTime - this.historyDuration, viewEndTime);
+    }
+
+    /**
+     * @private
+     * 指定した時刻の範囲に含まれる履歴のインデックスの範囲を、二分探索で求めます。
+     * @param {number} startTime - 範囲の先頭の時刻 (秒)。
+     * @param {number} endTime - 範囲の終端の時刻 (秒)。この時刻のフレームも含めます。
+     * @returns {{start: number, end: number}} `start`以上`end`未満のインデックスが範囲に入ります。
+     */
+    _indexRange(startTime, endTime) {
+        return { start: this._lowerBound(startTime), end: this._lowerBound(endTime + 1e-9) };
+    }
+
+    /**
+     * @private
+     * @param {number} time - 時刻 (秒)。
+     * @returns {number} 時刻が`time`以上になる最初の履歴のインデックス。
+     */
+    _lowerBound(time) {
+        let low = 0;
+        let high = this.timeHistory.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.timeHistory[mid] < time) low = mid + 1; else high = mid;
+        }
+        return low;
+    }
+
+    /**
+     * @private
+     * タイムライン表示中に、波形欄へファイル全体の振幅の概形を描き、表示中の範囲を枠で示します。
+     */
+    _drawWaveformOverview() {
+        const sectionHeight = this.height / 3;
+        const startX = this.layout.labelMargin;
+        const drawableWidth = this.width - startX;
+        const { duration, envelope } = this.timeline;
+        const centerY = sectionHeight / 2;
+
+        this.ctx.strokeStyle = 'rgb(220, 220, 220)';
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        for (let px = 0; px < envelope.min.length; px++) {
+            this.ctx.moveTo(startX + px + 0.5, centerY - envelope.max[px] * centerY);
+            this.ctx.lineTo(startX + px + 0.5, centerY - envelope.min[px] * centerY + 1);
+        }
+        this.ctx.stroke();
+
+        const viewEndTime = this._getViewEndTime();
+        const viewStartX = startX + Math.max(0, viewEndTime - this.historyDuration) / duration * drawableWidth;
+        const viewEndX = startX + viewEndTime / duration * drawableWidth;
+        this.ctx.strokeStyle = 'rgba(255, 200, 80, 0.9)';
+        this.ctx.strokeRect(viewStartX, 1, Math.max(1, viewEndX - viewStartX), sectionHeight - 2);
+    }
+
+    /**
+     * @private
+     * タイムラインの音声の、波形欄の1ピクセルごとの振幅の最小値と最大値を求めておきます。
+     * 音声全体を走査するため、タイムライン表示の開始時と波形欄の幅が変わったときだけ呼び出します。
+     */
+    _buildWaveformEnvelope() {
+        const { channelData } = this.timeline;
+        const pixelCount = Math.max(0, Math.ceil(this.width - this.layout.labelMargin));
+        const samplesPerPixel = channelData.length / (this.width - this.layout.labelMargin);
+        const min = new Float32Array(pixelCount);
+        const max = new Float32Array(pixelCount);
+        for (let px = 0; px < pixelCount; px++) {
+            const from = Math.floor(px * samplesPerPixel);
+            const to = Math.min(channelData.length, Math.floor((px + 1) * samplesPerPixel));
+            for (let i = from; i < to; i++) {
+                if (channelData[i] < min[px]) min[px] = channelData[i];
+                if (channelData[i] > max[px]) max[px] = channelData[i];
+            }
+        }
+        this.timeline.envelope = { min, max };
+    }
+
     _drawWaveform(dataArray) {
         const sectionHeight = this.height / 3;
         this.ctx.lineWidth = 1;
@@ -121,54 +612,173 @@ export class UIRenderer {
 
     _drawCurrentSpectrum(dataArray) {
         const sectionY = this.height / 3;
-        const sectionHeight = this.height / 3;
-        const startX = this.layout.labelMargin;
-        const rightEdge = startX + this.layout.spectrumWidth;
-        for (let i = 0; i < sectionHeight; i++) {
-            const freqIndex = this._yToFreqIndex(i, sectionHeight);
+        const rightEdge = this.layout.labelMargin + this.layout.spectrumWidth;
+        const rowFreqIndices = this.spectrumRowFreqIndices;
+        for (let i = 0; i < rowFreqIndices.length; i++) {
+            const freqIndex = rowFreqIndices[i];
             if (freqIndex < 0 || freqIndex >= dataArray.length) continue;
             const volume = dataArray[freqIndex];
             const barWidth = (volume / 255.0) * this.layout.spectrumWidth;
-            this.ctx.fillStyle = this._volumeToColor(volume, 0.9);
+            this.ctx.fillStyle = this.spectrumColors[volume];
             this.ctx.fillRect(rightEdge - barWidth, sectionY + i, barWidth, 1);
         }
     }
 
+    /**
+     * @private
+     * スペクトログラムのリングバッファを、最も古い列が左端に来るよう2つに分けて画面に貼り付けます。
+     */
     _drawSpectrogram() {
+        const { layer, columnCount, rowCount, lastColumn } = this.spectrogram;
+        if (lastColumn === null) return;
         const startX = this.layout.labelMargin + this.layout.spectrumWidth;
+        const columnWidth = (this.width - startX) / columnCount;
         const sectionY = this.height / 3;
         const sectionHeight = this.height / 3;
-        const drawableWidth = this.width - startX;
-        const stepX = drawableWidth / this.maxHistorySize;
-
-        for (let t = 0; t < this.spectrogramHistory.length; t++) {
-            const x = startX + t * stepX;
-            const historicalFreqData = this.spectrogramHistory[t];
-            for (let y = 0; y < sectionHeight; y++) {
-                const freqIndex = this._yToFreqIndex(y, sectionHeight);
-                if (freqIndex < 0 || freqIndex >= historicalFreqData.length) continue;
-                const volume = historicalFreqData[freqIndex];
-                this.ctx.fillStyle = this._volumeToColor(volume,0.4);
-                this.ctx.fillRect(x, sectionY + y, Math.ceil(stepX), 1);
-            }
+
+        const oldest = (lastColumn + 1) % columnCount;
+        const olderCount = columnCount - oldest;
+        this.ctx.imageSmoothingEnabled = false;
+        this.ctx.drawImage(layer, oldest, 0, olderCount, rowCount, startX, sectionY, olderCount * columnWidth, sectionHeight);
+        if (oldest > 0) {
+            this.ctx.drawImage(layer, 0, 0, oldest, rowCount,
+                startX + olderCount * columnWidth, sectionY, oldest * columnWidth, sectionHeight);
         }
     }
 
-    _drawVolumeHistory() {
-        const sectionY = (this.height / 3) * 2;
+    /**
+     * @private
+     * Canvasの描画バッファの大きさを、表示上の大きさと`devicePixelRatio`に合わせます。
+     * 変わった場合はレイヤーを作り直します。表示されていない（大きさが0の）間は、直前の大きさのままにします。
+     */
+    _fitToCanvas() {
+        const pixelRatio = window.devicePixelRatio || 1;
+        if (!this.needsResize && pixelRatio === this.pixelRatio) return;
+        this.needsResize = false;
+        this.pixelRatio = pixelRatio;
+        this.width = this.canvas.clientWidth || this.width;
+        this.height = this.canvas.clientHeight || this.height;
+        this.canvas.width = Math.round(this.width * pixelRatio);
+        this.canvas.height = Math.round(this.height * pixelRatio);
+        this.ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+        this._buildLayers();
+    }
+
+    /**
+     * @private
+     * 現在の大きさで、目盛りと画面の写しのレイヤー、スペクトログラムのリングバッファを作ります。
+     * リングバッファの中身は、次の更新時に履歴から作り直されます。
+     */
+    _buildLayers() {
+        const pixelRatio = this.pixelRatio;
         const sectionHeight = this.height / 3;
+
+        this.axesLayer = createLayer(this.canvas.width, this.canvas.height);
+        const axesContext = this.axesLayer.getContext('2d');
+        axesContext.scale(pixelRatio, pixelRatio);
+        this._drawAxesAndLabels(axesContext);
+
+        this.sceneLayer = createLayer(this.canvas.width, this.canvas.height);
+        this.sceneRuns = null;
+        if (this.timeline) this._buildWaveformEnvelope();
+
+        this.spectrumRowFreqIndices = Int32Array.from({ length: Math.floor(sectionHeight) },
+            (_, y) => this._yToFreqIndex(y, sectionHeight));
+
         const startX = this.layout.labelMargin + this.layout.spectrumWidth;
-        const drawableWidth = this.width - startX;
-        const stepX = drawableWidth / this.maxHistorySize;
+        const columnCount = Math.max(1, Math.round((this.width - startX) * pixelRatio));
+        const rowCount = Math.max(1, Math.round(sectionHeight * pixelRatio));
+        const layer = createLayer(columnCount, rowCount);
+        const context = layer.getContext('2d');
+        const image = context.createImageData(columnCount, rowCount);
+        this.spectrogram = {
+            layer,
+            context,
+            image,
+            pixels: new Uint32Array(image.data.buffer),
+            columnCount,
+            rowCount,
+            // 画素の行ごとの、周波数データのインデックス
+            rowFreqIndices: Int32Array.from({ length: rowCount },
+                (_, row) => this._yToFreqIndex((row + 0.5) / pixelRatio, sectionHeight)),
+            secondsPerColumn: this.historyDuration / columnCount,
+            lastColumn: null // 最後に書き込んだ列の通し番号（時刻 / 1列の秒数）
+        };
+    }
+
+    /**
+     * @private
+     * ライブ入力で、最新のフレームまでに進んだ列をスペクトログラムのリングバッファへ書き込みます。
+     * 各列には、その列の終わりより前の最後のフレームを描きます。
+     */
+    _updateSpectrogram() {
+        const spectrogram = this.spectrogram;
+        const lastIndex = this.timeHistory.length - 1;
+        const column = Math.floor(this.timeHistory[lastIndex] / spectrogram.secondsPerColumn);
+        if (spectrogram.lastColumn === null || column < spectrogram.lastColumn
+            || column - spectrogram.lastColumn > spectrogram.columnCount) {
+            this._rebuildSpectrogram();
+            return;
+        }
+        const previous = this.spectrogramHistory[Math.max(0, lastIndex - 1)];
+        for (let c = spectrogram.lastColumn + 1; c < column; c++) {
+            this._writeSpectrogramColumn(c, previous);
+        }
+        this._writeSpectrogramColumn(column, this.spectrogramHistory[lastIndex]);
+        spectrogram.lastColumn = column;
+    }
+
+    /**
+     * @private
+     * 表示範囲の終端までのすべての列を、履歴からスペクトログラムのリングバッファへ書き込みます。
+     */
+    _rebuildSpectrogram() {
+        const spectrogram = this.spectrogram;
+        const { columnCount, secondsPerColumn } = spectrogram;
+        const endColumn = Math.floor(this._getViewEndTime() / secondsPerColumn);
+        const firstColumn = endColumn - columnCount + 1;
+
+        // 列の終わりより前の最後のフレームを、列を進めながら探す
+        let index = -1;
+        for (let column = firstColumn; column <= endColumn; column++) {
+            const columnEndTime = (column + 1) * secondsPerColumn;
+            while (index + 1 < this.timeHistory.length && this.timeHistory[index + 1] < columnEndTime) index++;
+            this._writeSpectrogramColumn(column, index >= 0 ? this.spectrogramHistory[index] : null, false);
+        }
+        spectrogram.context.putImageData(spectrogram.image, 0, 0);
+        spectrogram.lastColumn = endColumn;
+    }
+
+    /**
+     * @private
+     * スペクトログラムのリングバッファの1列に、1フレーム分の周波数データを書き込みます。
+     * @param {number} column - 列の通し番号。
+     * @param {Uint8Array|null} frequencyData - 書き込むデータ。nullなら透明にします。
+     * @param {boolean} [flush=true] - 書き込んだ列をすぐにレイヤーへ反映するかどうか。
+     */
+    _writeSpectrogramColumn(column, frequencyData, flush = true) {
+        const { pixels, columnCount, rowCount, rowFreqIndices, context, image } = this.spectrogram;
+        const x = ((column % columnCount) + columnCount) % columnCount;
+        for (let row = 0; row < rowCount; row++) {
+            const freqIndex = rowFreqIndices[row];
+            const volume = frequencyData && freqIndex >= 0 && freqIndex < frequencyData.length ? frequencyData[freqIndex] : 0;
+            pixels[row * columnCount + x] = this.spectrogramPixelTable[volume];
+        }
+        if (flush) context.putImageData(image, 0, 0, x, 0, 1, rowCount);
+    }
+
+    _drawVolumeHistory() {
+        const { top: sectionY, height: sectionHeight } = this._volumeGraphArea();
 
         this.ctx.lineWidth = 2;
         this.ctx.strokeStyle = 'rgb(100, 150, 255)';
         this.ctx.beginPath();
-        for (let i = 0; i < this.volumeHistory.length; i++) {
-            const x = startX + i * stepX;
+        const { start, end } = this._visibleRange();
+        for (let i = start; i < end; i++) {
+            const x = this._timeToX(this.timeHistory[i]);
             const volume = this.volumeHistory[i] / 255.0;
             const y = sectionY + (sectionHeight - (volume * sectionHeight));
-            if (i === 0) this.ctx.moveTo(x, y); else this.ctx.lineTo(x, y);
+            if (i === start) this.ctx.moveTo(x, y); else this.ctx.lineTo(x, y);
         }
         this.ctx.stroke();
     }
@@ -176,38 +786,37 @@ export class UIRenderer {
     /**
      * @private
      * 音量履歴グラフ上に、デコードに関連する情報を重ねて描画します。
+     * @returns {object[]} 表示範囲の区間（`_computeRuns`の結果）。
      */
     _drawVolumeHistoryDecorations() {
-        if (!this.decoder) return;
+        if (!this.decoder) return [];
     
-        const sectionY = (this.height / 3) * 2;
-        const sectionHeight = this.height / 3;
-        const startX = this.layout.labelMargin + this.layout.spectrumWidth;
-        const drawableWidth = this.width - startX;
-        const stepX = drawableWidth / this.maxHistorySize;
+        const { top: sectionY, height: sectionHeight } = this._volumeGraphArea();
+        const { start, end } = this._visibleRange();
+        if (start >= end) return [];
     
-        // 1. 閾値の線を描画
-        const threshold = this.decoder.volumeThreshold;
-        const yThreshold = sectionY + (sectionHeight - (threshold / 255.0 * sectionHeight));
+        // 1. 閾値の推移を線で描画
+        const thresholdToY = (threshold) => sectionY + (sectionHeight - (threshold / 255.0 * sectionHeight));
         this.ctx.save();
         this.ctx.strokeStyle = 'rgba(255, 80, 80, 0.8)';
         this.ctx.lineWidth = 1;
         this.ctx.setLineDash([4, 2]);
         this.ctx.beginPath();
-        this.ctx.moveTo(startX, yThreshold);
-        this.ctx.lineTo(this.width, yThreshold);
+        for (let i = start; i < end; i++) {
+            const x = this._timeToX(this.timeHistory[i]);
+            const y = thresholdToY(this.thresholdHistory[i]);
+            if (i === start) this.ctx.moveTo(x, y); else this.ctx.lineTo(x, y);
+        }
+        this.ctx.lineTo(this.width, thresholdToY(this.thresholdHistory[end - 1]));
         this.ctx.stroke();
         this.ctx.restore();
     
         // 2. 短点・長点・スペースなどのマーカーを描画
-        const State = { SPACE: 0, MARK: 1 };
-        let currentState = this.volumeHistory.length > 0 && this.volumeHistory[0] > threshold ? State.MARK : State.SPACE;
-        let runStartIndex = 0;
-    
         const drawMarker = (startIndex, endIndex, type) => {
-            const x = startX + startIndex * stepX;
-            const w = (endIndex - startIndex) * stepX;
-            const y = sectionY + sectionHeight - 10; // セクションの下部に描画
+            const x = this._timeToX(this.timeHistory[startIndex]);
+            const endX = endIndex < this.timeHistory.length ? this._timeToX(this.timeHistory[endIndex]) : this.width;
+            const w = endX - x;
+            const y = sectionY + sectionHeight - 10; // グラフの下部に描画
             const h = 8;
     
             switch(type) {
@@ -219,65 +828,246 @@ export class UIRenderer {
             }
             this.ctx.fillRect(x, y, w, h);
         };
-    
-        for (let i = 0; i < this.volumeHistory.length; i++) {
-            const isMark = this.volumeHistory[i] > this.decoder.volumeThreshold;
-            const newState = isMark ? State.MARK : State.SPACE;
-    
-            if (newState !== currentState) {
-                const duration = i - runStartIndex;
-                if (duration > 1) { // 非常に短いノイズは無視
-                    if (currentState === State.MARK) {
-                        const type = duration < this.decoder.dahTimeFrames ? 'dit' : 'dah';
-                        drawMarker(runStartIndex, i, type);
-                    } else { // SPACE
-                        if (duration > this.decoder.wordSpaceFrames) {
-                            drawMarker(runStartIndex, i, 'word_space');
-                        } else if (duration > this.decoder.charSpaceFrames) {
-                            drawMarker(runStartIndex, i, 'char_space');
-                        }
-                    }
-                }
-                currentState = newState;
-                runStartIndex = i;
+
+        const runs = this._computeRuns(start, end);
+        for (const run of runs) {
+            drawMarker(run.startIndex, run.endIndex, run.type);
+        }
+        return runs;
+    }
+
+    /**
+     * @private
+     * 音量履歴のグラフの下に、デコーダーが記録した文字の時間の範囲ごとに、文字と各要素の短点・長点を描画します。
+     * 暫定部分の文字は薄く、解読できなかった文字（'?'）は赤く強調して表示します。
+     */
+    _drawCharacterLabels() {
+        if (!this.decoder) return;
+        const { top, height } = this._volumeGraphArea();
+        const labelTop = top + height;
+        const viewEndTime = this._getViewEndTime();
+        const viewStartTime = viewEndTime - this.historyDuration;
+
+        this.ctx.save();
+        this._clipToHistoryArea(top);
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'top';
+        this.ctx.lineWidth = 1;
+        for (const span of this.decoder.getCharacterSpans()) {
+            if (span.endTime < viewStartTime || span.startTime > viewEndTime) continue;
+            const x = this._timeToX(span.startTime);
+            const endX = this._timeToX(span.endTime);
+            const isUnknown = span.text === '?';
+            const color = isUnknown ? 'rgba(255, 110, 110, 1)'
+                : span.isProvisional ? 'rgba(255, 255, 255, 0.55)' : 'rgba(255, 255, 255, 1)';
+
+            if (isUnknown) {
+                this.ctx.fillStyle = 'rgba(255, 80, 80, 0.2)';
+                this.ctx.fillRect(x, top, endX - x, height + this.layout.characterLabelHeight);
+            }
+            // 文字の範囲を示す線
+            this.ctx.strokeStyle = color;
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, labelTop + 0.5);
+            this.ctx.lineTo(endX, labelTop + 0.5);
+            this.ctx.stroke();
+
+            this.ctx.fillStyle = color;
+            if (span.text !== null) {
+                this.ctx.font = 'bold 12px sans-serif';
+                this.ctx.fillText(span.text, (x + endX) / 2, labelTop + 2);
+            }
+            this.ctx.font = '10px monospace';
+            for (const element of span.elements) {
+                const elementX = (this._timeToX(element.startTime) + this._timeToX(element.endTime)) / 2;
+                this.ctx.fillText(element.symbol === '.' ? '·' : '−', elementX, labelTop + 16);
             }
         }
-        
-        // 最後の区間を描画
-        const duration = this.volumeHistory.length - runStartIndex;
-        if (duration > 1) {
-            if (currentState === State.MARK) {
-                const type = duration < this.decoder.dahTimeFrames ? 'dit' : 'dah';
-                drawMarker(runStartIndex, this.volumeHistory.length, type);
-            } else { // SPACE
-                 if (duration > this.decoder.wordSpaceFrames) {
-                    drawMarker(runStartIndex, this.volumeHistory.length, 'word_space');
-                } else if (duration > this.decoder.charSpaceFrames) {
-                    drawMarker(runStartIndex, this.volumeHistory.length, 'char_space');
-                }
+        this.ctx.restore();
+    }
+
+    /**
+     * @private
+     * 音量履歴の欄の下端に、秒単位の時間軸を描画します。目盛りの時刻はオーディオクロック
+     * （音声ファイルではファイルの先頭からの時刻）で、履歴とともに流れます。
+     */
+    _drawTimeAxis() {
+        const { top } = this._volumeGraphArea();
+        const axisTop = this.height - this.layout.timeAxisHeight;
+        const step = this._timeTickStep();
+        const viewEndTime = this._getViewEndTime();
+        const firstTick = Math.ceil((viewEndTime - this.historyDuration) / step);
+        const lastTick = Math.floor(viewEndTime / step);
+
+        this.ctx.save();
+        this._clipToHistoryArea(top);
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.12)';
+        this.ctx.fillStyle = '#aaa';
+        this.ctx.lineWidth = 1;
+        this.ctx.font = '10px sans-serif';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'top';
+        for (let tick = firstTick; tick <= lastTick; tick++) {
+            const time = tick * step;
+            const x = Math.round(this._timeToX(time)) + 0.5;
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, top);
+            this.ctx.lineTo(x, axisTop + 3);
+            this.ctx.stroke();
+            this.ctx.fillText(`${time.toFixed(step < 1 ? 1 : 0)}s`, x, axisTop + 3);
+        }
+        this.ctx.restore();
+    }
+
+    /**
+     * @private
+     * 表示範囲の長さに応じた、時間軸の目盛りの間隔を返します。
+     * @returns {number} 間隔 (秒)。
+     */
+    _timeTickStep() {
+        const steps = [0.1, 0.2, 0.5, 1, 2, 5, 10, 30, 60];
+        return steps.find(step => step >= this.historyDuration / 6) ?? steps[steps.length - 1];
+    }
+
+    /**
+     * @private
+     * 以降の描画を、指定した高さより下の履歴表示領域（スペクトル欄より右）に制限します。
+     * 呼び出し側で`save`/`restore`します。
+     * @param {number} top - 領域の上端のY座標。
+     */
+    _clipToHistoryArea(top) {
+        const startX = this.layout.labelMargin + this.layout.spectrumWidth;
+        this.ctx.beginPath();
+        this.ctx.rect(startX, top, this.width - startX, this.height - top);
+        this.ctx.clip();
+    }
+
+    /**
+     * @private
+     * 各時点の閾値で音量履歴を音あり/音なしの区間に分け、デコーダーの時間の閾値で種類を判定します。
+     * デコーダーと同じ区間になるよう、音なしからは上側の閾値を超えたとき、音ありからは下側の閾値以下に
+     * なったときに切り替えます（ヒステリシス）。
+     * @param {number} start - 対象とする履歴の先頭のインデックス。
+     * @param {number} end - 対象とする履歴の末尾の次のインデックス。
+     * @returns {{state: string, type: string|null, startIndex: number, endIndex: number, startTime: number, duration: number}[]}
+     *   `type` は 'dit'・'dah'・'char_space'・'word_space' のいずれかで、要素間のスペースと
+     *   非常に短いノイズはnull。最後の区間は、終わっていなくても含めます。
+     */
+    _computeRuns(start, end) {
+        const runs = [];
+        if (start >= end) return runs;
+
+        const isMarkAt = (i, wasMark) => {
+            const threshold = wasMark
+                ? this.lowerThresholdHistory[i] ?? this.decoder.lowerThreshold
+                : this.upperThresholdHistory[i] ?? this.decoder.upperThreshold;
+            return this.volumeHistory[i] > threshold;
+        };
+        const classify = (isMark, duration) => {
+            if (duration < this.decoder.minMarkTime) return null; // 非常に短いノイズは無視
+            if (isMark) return duration < this.decoder.dahThreshold ? 'dit' : 'dah';
+            if (duration > this.decoder.wordSpaceThreshold) return 'word_space';
+            if (duration > this.decoder.charSpaceThreshold) return 'char_space';
+            return null;
+        };
+        const pushRun = (isMark, startIndex, endIndex, duration) => {
+            runs.push({
+                state: isMark ? 'mark' : 'space',
+                type: classify(isMark, duration),
+                startIndex,
+                endIndex,
+                startTime: this.timeHistory[startIndex],
+                duration
+            });
+        };
+
+        // 表示範囲の先頭より前の状態は分からないので、中央の閾値で決める
+        let currentIsMark = this.volumeHistory[start] > (this.thresholdHistory[start] ?? this.decoder.volumeThreshold);
+        let runStartIndex = start;
+        for (let i = start; i < end; i++) {
+            const isMark = isMarkAt(i, currentIsMark);
+            if (isMark !== currentIsMark) {
+                pushRun(currentIsMark, runStartIndex, i, this.timeHistory[i] - this.timeHistory[runStartIndex]);
+                currentIsMark = isMark;
+                runStartIndex = i;
             }
         }
+        // 最後の区間
+        pushRun(currentIsMark, runStartIndex, end, this.timeHistory[end - 1] - this.timeHistory[runStartIndex]);
+        return runs;
+    }
+
+    /**
+     * @private
+     * 描画した区間のうち、終わったものをタイミングの統計用に蓄えます。ライブ入力で使います。
+     * 表示範囲の先頭の区間は途中から始まっている可能性があり、最後の区間はまだ終わっていないため除きます。
+     * @param {{state: string, startTime: number, duration: number}[]} runs - 描画した区間。
+     */
+    _recordTimingRuns(runs) {
+        const lastRecorded = this.timingRuns[this.timingRuns.length - 1];
+        for (const run of runs.slice(1, -1)) {
+            if (lastRecorded && run.startTime <= lastRecorded.startTime) continue;
+            this.timingRuns.push({ state: run.state, startTime: run.startTime, duration: run.duration });
+        }
+        const oldestTime = this.timeHistory[this.timeHistory.length - 1] - this.statisticsDuration;
+        while (this.timingRuns.length > 0 && this.timingRuns[0].startTime < oldestTime) {
+            this.timingRuns.shift();
+        }
+    }
+
+    /**
+     * 送信のタイミングの統計を返します。ライブ入力では直近の区間から、
+     * タイムライン表示では音声ファイル全体の区間から求めます。
+     * @param {number} [markLengthening=0] - 分析の窓によって音ありが伸びる長さ (秒)。
+     * @returns {object|null} `computeTimingStatistics`の結果。デコーダーが無い場合はnull。
+     */
+    getTimingStatistics(markLengthening = 0) {
+        if (!this.decoder) return null;
+        const runs = this.timeline
+            ? this._computeRuns(0, this.timeHistory.length).slice(0, -1)
+            : this.timingRuns;
+        return computeTimingStatistics(runs, {
+            minMarkTime: this.decoder.minMarkTime,
+            dahThreshold: this.decoder.dahThreshold,
+            charSpaceThreshold: this.decoder.charSpaceThreshold,
+            wordSpaceThreshold: this.decoder.wordSpaceThreshold
+        }, { markLengthening });
     }
     
     /**
-     * スペクトログラム上に、検出された周波数の軌跡を暗い線で描画します。
+     * スペクトログラム上に、検出された周波数の軌跡をトラックごとの色の線で描画します。
      * @private
      */
     _drawFrequencyHistoryHighlight() {
+        const { start, end } = this._visibleRange();
+        let trackCount = 0;
+        for (let i = start; i < end; i++) {
+            trackCount = Math.max(trackCount, this.frequencyHistory[i].length);
+        }
+        for (let track = 0; track < trackCount; track++) {
+            this._drawTrackHighlight(track, start, end);
+        }
+    }
+
+    /**
+     * 1本のトラックの周波数の軌跡を描画します。
+     * @private
+     * @param {number} track - トラックの番号。
+     * @param {number} start - 描画する履歴の先頭のインデックス。
+     * @param {number} end - 描画する履歴の末尾の次のインデックス。
+     */
+    _drawTrackHighlight(track, start, end) {
         const sectionY = this.height / 3;
         const sectionHeight = this.height / 3;
-        const startX = this.layout.labelMargin + this.layout.spectrumWidth;
-        const drawableWidth = this.width - startX;
-        const stepX = drawableWidth / this.maxHistorySize;
 
         this.ctx.lineWidth = 10;
-        this.ctx.strokeStyle = 'rgba(111, 0, 255, 1)';
+        this.ctx.strokeStyle = getTrackColor(track);
         this.ctx.beginPath();
         let lastValidY = -1;
-        for (let i = 0; i < this.frequencyHistory.length; i++) {
-            const freqIndex = this.frequencyHistory[i];
+        for (let i = start; i < end; i++) {
+            const freqIndex = this.frequencyHistory[i][track] ?? -1;
             
-            const x = startX + i * stepX;
+            const x = this._timeToX(this.timeHistory[i]);
             if (freqIndex === -1) {
                 lastValidY = -1; // 信号が途切れたらリセット
                 continue;
@@ -300,32 +1090,51 @@ export class UIRenderer {
         this.ctx.stroke();
     }
 
-    _drawAxesAndLabels() {
-        this.ctx.fillStyle = 'white';
-        this.ctx.font = '12px sans-serif';
-        this.ctx.textAlign = 'left';
-        this.ctx.fillText('波形', this.layout.padding, this.layout.padding);
-        this.ctx.fillText('スペクトル', this.layout.padding, this.height / 3 + this.layout.padding);
-        this.ctx.fillText('音量履歴', this.layout.padding, (this.height / 3) * 2 + this.layout.padding);
+    /**
+     * @private
+     * 欄の名前と周波数の目盛りを描画します。大きさが変わったときだけ、目盛りのレイヤーに描きます。
+     * @param {CanvasRenderingContext2D} ctx - 描画先。
+     */
+    _drawAxesAndLabels(ctx) {
+        ctx.fillStyle = 'white';
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText('波形', this.layout.padding, this.layout.padding);
+        ctx.fillText('スペクトル', this.layout.padding, this.height / 3 + this.layout.padding);
+        ctx.fillText('音量履歴', this.layout.padding, (this.height / 3) * 2 + this.layout.padding);
         const sectionY = this.height / 3;
         const sectionHeight = this.height / 3;
         const freqTicks = [250, 500, 1000, 2000, 4000, 8000, 16000];
-        this.ctx.textAlign = 'right';
-        this.ctx.strokeStyle = '#444';
-        this.ctx.lineWidth = 1;
+        ctx.textAlign = 'right';
+        ctx.strokeStyle = '#444';
+        ctx.lineWidth = 1;
         for (const freq of freqTicks) {
             const yPos = this._freqToY(freq, sectionHeight);
             if (yPos >= 0 && yPos < sectionHeight) {
                 const label = freq >= 1000 ? `${freq / 1000}k` : `${freq}`;
-                this.ctx.fillText(label, this.layout.labelMargin - 5, sectionY + yPos + 4);
-                this.ctx.beginPath();
-                this.ctx.moveTo(this.layout.labelMargin, sectionY + yPos + 0.5);
-                this.ctx.lineTo(this.width, sectionY + yPos + 0.5);
-                this.ctx.stroke();
+                ctx.fillText(label, this.layout.labelMargin - 5, sectionY + yPos + 4);
+                ctx.beginPath();
+                ctx.moveTo(this.layout.labelMargin, sectionY + yPos + 0.5);
+                ctx.lineTo(this.width, sectionY + yPos + 0.5);
+                ctx.stroke();
             }
         }
     }
 
+    /**
+     * @private
+     * デコーダーが推定した送信速度を、音量履歴の右上に表示します。
+     */
+    _drawWpmLabel() {
+        if (!this.decoder) return;
+        this.ctx.fillStyle = 'white';
+        this.ctx.font = '12px sans-serif';
+        this.ctx.textAlign = 'right';
+        this.ctx.textBaseline = 'alphabetic';
+        const wpmLabel = `${this.decoder.getEstimatedWpm().toFixed(1)} WPM`;
+        this.ctx.fillText(wpmLabel, this.width - this.layout.padding, (this.height / 3) * 2 + this.layout.padding);
+    }
+
     _drawNoTargetMessage() {
         const sectionY = this.height / 3;
         const sectionHeight = this.height / 3;
@@ -340,12 +1149,92 @@ export class UIRenderer {
     
     _volumeToColor(volume, alpha = 1.0) {
         const hue = 240 - (volume / 255.0) * 240;
-        const effectiveAlpha = volume < 25 ? 0.0 : alpha;
+        const effectiveAlpha = volume < SILENT_VOLUME ? 0.0 : alpha;
         return `hsla(${hue}, 100%, 50%, ${effectiveAlpha})`;
     }
 
+    /**
+     * @private
+     * カーソルの位置に縦線（スペクトログラム欄では横線も）を引き、その時刻のフレームの値を読み出して表示します。
+     * @param {{state: string, type: string|null, startIndex: number, endIndex: number, duration: number}[]} runs
+     *   表示範囲の区間。カーソルの時刻のデコーダーの分類に使います。
+     */
+    _drawCursor(runs) {
+        const { x, y } = this.cursor;
+        const startX = this.layout.labelMargin + this.layout.spectrumWidth;
+        if (x < startX || x > this.width) return;
+        const time = this._getViewEndTime() - (1 - (x - startX) / (this.width - startX)) * this.historyDuration;
+        const index = this._lowerBound(time + 1e-9) - 1; // その時刻までに届いた最後のフレーム
+        if (index < 0) return;
+
+        const sectionHeight = this.height / 3;
+        const isOnSpectrogram = y >= sectionHeight && y < sectionHeight * 2;
+        const lines = this._describeFrame(index, time, isOnSpectrogram ? y - sectionHeight : null, runs);
+
+        this.ctx.save();
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        this.ctx.moveTo(Math.round(x) + 0.5, 0);
+        this.ctx.lineTo(Math.round(x) + 0.5, this.height);
+        if (isOnSpectrogram) {
+            this.ctx.moveTo(startX, Math.round(y) + 0.5);
+            this.ctx.lineTo(this.width, Math.round(y) + 0.5);
+        }
+        this.ctx.stroke();
+
+        this.ctx.font = '11px sans-serif';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'top';
+        const lineHeight = 14;
+        const boxWidth = Math.max(...lines.map(line => this.ctx.measureText(line).width)) + 12;
+        const boxHeight = lines.length * lineHeight + 8;
+        // カーソルの右に置き、はみ出す場合は左に置く
+        const boxX = x + 12 + boxWidth <= this.width ? x + 12 : x - 12 - boxWidth;
+        const boxY = Math.max(0, Math.min(this.height - boxHeight, y + 12));
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        this.ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
+        this.ctx.fillStyle = 'white';
+        lines.forEach((line, i) => this.ctx.fillText(line, boxX + 6, boxY + 4 + i * lineHeight));
+        this.ctx.restore();
+    }
+
+    /**
+     * @private
+     * 1フレームの値を、カーソルの読み出しとして表示する行の列にまとめます。
+     * @param {number} index - 履歴のインデックス。
+     * @param {number} time - カーソルの時刻 (秒)。
+     * @param {number|null} spectrogramY - スペクトログラム欄の中でのY座標。欄の外ではnull。
+     * @param {object[]} runs - 表示範囲の区間。
+     * @returns {string[]}
+     */
+    _describeFrame(index, time, spectrogramY, runs) {
+        const binToHz = (freqIndex) => Math.round(freqIndex * this.sampleRate / this.fftSize);
+        const lines = [`${time.toFixed(3)} s`];
+        if (spectrogramY !== null) {
+            const freqIndex = this._yToFreqIndex(spectrogramY, this.height / 3);
+            const level = this.spectrogramHistory[index][freqIndex] ?? 0;
+            lines.push(`${binToHz(freqIndex)} Hz  レベル ${level}`);
+        }
+        const trackFreqIndex = this.frequencyHistory[index][0] ?? -1;
+        lines.push(trackFreqIndex === -1 ? '口笛: なし' : `口笛: ${binToHz(trackFreqIndex)} Hz`);
+        lines.push(`音量 ${this.volumeHistory[index].toFixed(1)}  閾値 ${this.thresholdHistory[index].toFixed(1)}`);
+
+        const run = runs.find(r => r.startIndex <= index && index < r.endIndex);
+        if (run) {
+            const typeLabels = { dit: '短点', dah: '長点', char_space: '文字間', word_space: '単語間' };
+            const typeLabel = typeLabels[run.type] ?? (run.state === 'mark' ? 'ノイズ' : '要素間');
+            lines.push(`${run.state === 'mark' ? '音あり' : '音なし'}: ${typeLabel} (${Math.round(run.duration * 1000)} ms)`);
+        }
+        if (this.decoder) {
+            const span = this.decoder.getCharacterSpans().find(s => s.startTime <= time && time <= s.endTime);
+            if (span) lines.push(`文字: ${span.text ?? '(入力中)'} ${span.sequence}`);
+        }
+        return lines;
+    }
+
     clear() {
-        this.ctx.fillStyle = '#111';
+        this.ctx.fillStyle = BACKGROUND_COLOR;
         this.ctx.fillRect(0, 0, this.width, this.height);
     }
 }
\ No newline at end of file
@@ -0,0 +1,94 @@
+/**
+ * @fileoverview 描画の動画の録画
+ * @description
+ * このファイルは、スペクトログラムなどを描画しているCanvasを、マイクの音声と一緒に1つの動画として
+ * 録画する役割を担います。デモや説明用の動画を作るために使います。
+ *
+ * 現在の戦略:
+ * 1. 【ストリームの合成】`canvas.captureStream`の映像のトラックに、マイクの`MediaStream`の音声のトラックを
+ *    加えたストリームを`MediaRecorder`で録画します。
+ * 2. 【形式】ブラウザが対応している形式を`VIDEO_MIME_TYPES`の順に探し、最初に見つかったものを使います。
+ * 3. 【マイクは止めない】録画を終えるときは、Canvasの映像のトラックだけを止めます。音声のトラックは
+ *    キャプチャと共有しているため止めません。
+ */
+
+/** 録画に使う形式の候補（優先する順） */
+const VIDEO_MIME_TYPES = [
+    'video/webm;codecs=vp9,opus',
+    'video/webm;codecs=vp8,opus',
+    'video/webm',
+    'video/mp4',
+];
+
+export class VideoRecorder {
+    constructor() {
+        /** @private {MediaRecorder|null} */
+        this.mediaRecorder = null;
+        /** @private {MediaStream|null} */
+        this.canvasStream = null;
+        /** @private {Blob[]} */
+        this.chunks = [];
+    }
+
+    /**
+     * このブラウザで録画できるかどうかを返します。
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined'
+            && typeof HTMLCanvasElement !== 'undefined'
+            && typeof HTMLCanvasElement.prototype.captureStream === 'function';
+    }
+
+    /**
+     * 録画を開始します。
+     * @param {HTMLCanvasElement} canvas - 録画するCanvas。
+     * @param {MediaStream|null} [audioStream=null] - 一緒に録音するマイクのストリーム。
+     * @param {number} [frameRate=30] - 映像のフレームレート。
+     */
+    start(canvas, audioStream = null, frameRate = 30) {
+        this.chunks = [];
+        this.canvasStream = canvas.captureStream(frameRate);
+        const stream = new MediaStream([
+            ...this.canvasStream.getVideoTracks(),
+            ...(audioStream ? audioStream.getAudioTracks() : [])
+        ]);
+        const mimeType = VIDEO_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        this.mediaRecorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+        this.mediaRecorder.addEventListener('dataavailable', (event) => {
+            if (event.data.size > 0) this.chunks.push(event.data);
+        });
+        this.mediaRecorder.start();
+    }
+
+    /**
+     * 録画中かどうかを返します。
+     * @returns {boolean}
+     */
+    isRecording() {
+        return this.mediaRecorder !== null;
+    }
+
+    /**
+     * 録画を終了し、動画を返します。
+     * @returns {Promise<Blob|null>} 録画していなかった場合はnull。
+     */
+    async stop() {
+        const recorder = this.mediaRecorder;
+        this.mediaRecorder = null;
+        if (!recorder) return null;
+
+        if (recorder.state !== 'inactive') {
+            await new Promise((resolve) => {
+                recorder.addEventListener('stop', resolve, { once: true });
+                recorder.stop();
+            });
+        }
+        for (const track of this.canvasStream.getTracks()) track.stop();
+        this.canvasStream = null;
+
+        const blob = new Blob(this.chunks, { type: recorder.mimeType });
+        this.chunks = [];
+        return blob;
+    }
+}
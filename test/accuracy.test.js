@@ -0,0 +1,174 @@
+/**
+ * @fileoverview 合成した口笛信号による、分析・デコードの精度テスト
+ * @description
+ * このファイルは、`synthetic-whistle.js`で合成したフレーム列を`MorseAnalyzer` → `MorseDecoder`に
+ * 流し、デコード結果と送信したテキストとの文字誤り率(CER)をシナリオごとに測ります。
+ * 閾値や周波数追跡を変更したときに、精度が落ちていないかを自動で確かめることが目的です。
+ *
+ * 現在の戦略:
+ * 1. 速度・ばらつき・音高の揺れ・ノイズ・途切れなど、条件を1つずつ変えたシナリオと、
+ *    それらを組み合わせた現実的なシナリオを用意します。
+ * 2. 各シナリオのデコーダーは`main.js`と同じ設定で作り、最後に`flush`で入力途中の文字も確定させます。
+ *    トーンフレームを付けたシナリオは、ライブ入力と同じくAudioWorkletの検出器の結果（`analyzeTone`）を分析します。
+ * 3. 文字誤り率は、編集距離を送信テキストの文字数で割った値とし、シナリオごとの上限と比較します。
+ *    すべてのシナリオの結果は表として出力します。
+ *
+ * 実行方法: `node --test test/*.test.js`
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MorseAnalyzer } from '../src/morse/morse-analyzer.js';
+import { createDecoder, generateWhistleFrames } from './synthetic-whistle.js';
+
+const TEXT = 'CQ CQ DE JA1ABC PARIS 599 TNX 73';
+
+/**
+ * シナリオ名、合成の設定、許容する文字誤り率の上限。
+ * `text` を省略したシナリオは`TEXT`を送信します。`expected` は、略符号DO/SNのように
+ * 文字として出力されない符号を含む場合の、期待するデコード結果です。
+ * `todo` を付けたシナリオは、まだ上限を満たせない既知の問題で、失敗してもテスト全体は失敗しません。
+ * AnalyserNodeのFFT窓（約43ms）とフレーム間隔では、20WPM前後から要素間スペースが埋もれるため、
+ * 既定の経路の25WPMは`todo`とし（測定したCERは約0.94）、同じ速度をAudioWorkletの検出器（`toneHop`）でも確かめます。
+ */
+const SCENARIOS = [
+    { name: 'clean 12 WPM', options: { wpm: 12 }, maxCer: 0 },
+    { name: 'slow 6 WPM', options: { wpm: 6 }, maxCer: 0.1 },
+    { name: 'fast 18 WPM', options: { wpm: 18 }, maxCer: 0.05 },
+    {
+        name: 'fast 25 WPM', options: { wpm: 25 }, maxCer: 0.05,
+        todo: 'AnalyserNodeの経路では要素間スペースが埋もれる（CER 0.94）',
+    },
+    { name: 'fast 25 WPM (AudioWorklet)', options: { wpm: 25, toneHop: 0.004 }, maxCer: 0.05 },
+    { name: 'timing jitter 15%', options: { wpm: 12, jitter: 0.15 }, maxCer: 0.1 },
+    { name: 'pitch drift and vibrato', options: { wpm: 12, pitchDrift: 40, vibratoDepth: 40 }, maxCer: 0.05 },
+    { name: 'soft attack and decay', options: { wpm: 12, attackTime: 0.03, decayTime: 0.04 }, maxCer: 0.05 },
+    { name: 'dropouts', options: { wpm: 12, dropoutRate: 1, dropoutDuration: 0.02 }, maxCer: 0.05 },
+    {
+        name: 'speech before whistling',
+        options: { wpm: 12, speech: { fundamental: 320, level: -45, start: 0.2, end: 0.6 } }, maxCer: 0,
+    },
+    { name: 'punctuation and prosigns', text: 'QTH TOKYO, RST 599? <BT> 73 <SK>', options: { wpm: 12 }, maxCer: 0 },
+    {
+        name: 'wabun switched by DO/SN', text: '<DO> ホンジツハ セイテン <SN> 73',
+        expected: 'ホンジツハ セイテン 73', options: { wpm: 12 }, maxCer: 0,
+    },
+    {
+        name: 'background noise', options: { wpm: 12, signalLevel: -55, noiseLevel: -100, noiseVariation: 4 }, maxCer: 0.1,
+    },
+    {
+        name: 'realistic mix',
+        options: {
+            wpm: 15, jitter: 0.1, pitchDrift: 30, vibratoDepth: 25, attackTime: 0.02, decayTime: 0.03,
+            signalLevel: -55, noiseLevel: -105, noiseVariation: 5, dropoutRate: 0.3, seed: 7,
+        },
+        maxCer: 0.15,
+    },
+];
+
+/**
+ * 2つの文字列の編集距離（レーベンシュタイン距離）を求めます。
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+            current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * 合成したフレーム列を分析し、トラックごとにデコードしたテキストを返します。
+ * トーンフレームを持つフレームは、`MorseInput.processFrame`と同じくトーンフレームごとに分析します。
+ * @param {{sampleRate: number, fftSize: number, frames: {timestamp: number, frequencyData: Uint8Array, toneFrames: object[]|null}[]}} signal
+ * @param {number} [maxTracks=1] - 同時に追跡する口笛の数。
+ * @returns {string[]} トラックごとのテキスト。
+ */
+function decodeTracks(signal, maxTracks = 1) {
+    const analyzer = new MorseAnalyzer({ sampleRate: signal.sampleRate, fftSize: signal.fftSize }, { maxTracks });
+    const decoders = Array.from({ length: maxTracks }, () => createDecoder());
+
+    for (const frame of signal.frames) {
+        const analysisResults = frame.toneFrames
+            ? frame.toneFrames.map(toneFrame => analyzer.analyzeTone(toneFrame))
+            : [analyzer.analyze(frame.frequencyData, frame.timestamp)];
+        for (const analysisResult of analysisResults) {
+            analysisResult.tracks.forEach((track, index) => {
+                decoders[index].process(track.targetVolume, analysisResult.timestamp);
+            });
+        }
+    }
+
+    return decoders.map((decoder) => {
+        decoder.flush();
+        const { committed, provisional } = decoder.getDecodedText();
+        return (committed + provisional).trim();
+    });
+}
+
+/**
+ * 合成したフレーム列を分析・デコードし、得られたテキストを返します。
+ * @param {{sampleRate: number, fftSize: number, frames: {timestamp: number, frequencyData: Uint8Array, toneFrames: object[]|null}[]}} signal
+ * @returns {string}
+ */
+function decodeSignal(signal) {
+    return decodeTracks(signal)[0];
+}
+
+const report = [];
+
+for (const scenario of SCENARIOS) {
+    test(`decodes "${scenario.name}" within CER ${scenario.maxCer}`, { todo: scenario.todo }, () => {
+        const text = scenario.text || TEXT;
+        const expected = scenario.expected || text;
+        const signal = generateWhistleFrames(text, scenario.options);
+        const decoded = decodeSignal(signal);
+        const cer = editDistance(decoded, expected) / expected.length;
+
+        report.push({ scenario: scenario.name, cer: Number(cer.toFixed(3)), decoded });
+        assert.ok(cer <= scenario.maxCer, `CER ${cer.toFixed(3)} > ${scenario.maxCer}: "${decoded}"`);
+    });
+}
+
+test('decodes two simultaneous whistlers on separate tracks', () => {
+    const texts = ['CQ CQ DE JA1ABC', 'QRZ DE JH2XYZ'];
+    const signal = generateWhistleFrames(texts[0], {
+        wpm: 12,
+        pitch: 1300,
+        otherWhistles: [{ text: texts[1], pitch: 2200, wpm: 14, startTime: 0.7 }],
+    });
+    const decoded = decodeTracks(signal, 2);
+
+    decoded.forEach((text, index) => {
+        const cer = editDistance(text, texts[index]) / texts[index].length;
+        report.push({ scenario: `two whistlers (track ${index + 1})`, cer: Number(cer.toFixed(3)), decoded: text });
+    });
+    assert.deepEqual(decoded, texts);
+});
+
+test('estimates the pitch in Hz between frequency bins', () => {
+    // 48kHz・2048点では1ビンが約23.4Hzなので、1810Hzはビンの中心から外れている
+    const signal = generateWhistleFrames('T', { wpm: 6, pitch: 1810 });
+    const analyzer = new MorseAnalyzer({ sampleRate: signal.sampleRate, fftSize: signal.fftSize });
+    const errors = [];
+    for (const frame of signal.frames) {
+        const result = analyzer.analyze(frame.frequencyData, frame.timestamp);
+        if (result.frequency !== null && result.targetVolume > 40) errors.push(Math.abs(result.frequency - 1810));
+    }
+
+    assert.ok(errors.length > 0, 'the whistle was never tracked');
+    assert.ok(Math.max(...errors) < 5, `pitch error ${Math.max(...errors).toFixed(1)} Hz`);
+});
+
+after(() => {
+    console.table(report);
+});
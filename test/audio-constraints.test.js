@@ -0,0 +1,56 @@
+/**
+ * @fileoverview マイクの制約のテスト
+ * @description
+ * 既定のマイクの設定ではブラウザの音声処理がすべて無効になり、マイクを選んだ場合はそのデバイスに
+ * 固定した制約が`getUserMedia`に渡されることを確かめます。マイクの使用許可を待つ間に停止された場合に、
+ * 開いたマイクが閉じられることも確かめます。
+ *
+ * 実行方法: `node --test test/*.test.js`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AudioCapturer, DEFAULT_AUDIO_OPTIONS, buildAudioConstraints } from '../src/audio/audio-capturer.js';
+
+test('builds explicit constraints with browser processing off by default', () => {
+    assert.deepEqual(buildAudioConstraints(DEFAULT_AUDIO_OPTIONS), {
+        echoCancellation: false,
+        noiseSuppression: false,
+        autoGainControl: false
+    });
+
+    const capturer = new AudioCapturer({ deviceId: 'usb-mic', autoGainControl: true });
+    assert.deepEqual(buildAudioConstraints(capturer.getAudioOptions()), {
+        echoCancellation: false,
+        noiseSuppression: false,
+        autoGainControl: true,
+        deviceId: { exact: 'usb-mic' }
+    });
+});
+
+test('closes a microphone that opens after capture was stopped', async () => {
+    let stoppedTracks = 0;
+    let resolveStream;
+    const originalNavigator = Object.getOwnPropertyDescriptor(globalThis, 'navigator');
+    Object.defineProperty(globalThis, 'navigator', {
+        configurable: true,
+        value: { mediaDevices: { getUserMedia: () => new Promise(resolve => { resolveStream = resolve; }) } }
+    });
+    try {
+        const capturer = new AudioCapturer();
+        const starting = capturer.start();
+        capturer.stop();
+        resolveStream({ getTracks: () => [{ stop: () => stoppedTracks++ }] });
+
+        await assert.rejects(starting, { name: 'AbortError' });
+        assert.equal(stoppedTracks, 1);
+        assert.equal(capturer.mediaStream, null);
+    } finally {
+        if (originalNavigator) {
+            Object.defineProperty(globalThis, 'navigator', originalNavigator);
+        } else {
+            delete globalThis.navigator;
+        }
+    }
+});
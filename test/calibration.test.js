@@ -0,0 +1,61 @@
+/**
+ * @fileoverview 環境ノイズの校正のテスト
+ * @description
+ * 合成した口笛信号の先頭の無音（と口笛）で`NoiseCalibrator`を校正し、ノイズフロアを差し引いた
+ * 分析で、ノイズの大きい環境でも正しくデコードできることと、口笛の音高・強さを測れることを確かめます。
+ *
+ * 実行方法: `node --test test/*.test.js`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { NoiseCalibrator } from '../src/morse/noise-calibrator.js';
+import { decodeFrames, generateWhistleFrames } from './synthetic-whistle.js';
+
+/**
+ * フレーム列を先頭から校正器に渡し、校正結果を返します。
+ * @param {{sampleRate: number, fftSize: number, frames: {timestamp: number, frequencyData: Uint8Array}[]}} signal
+ * @param {object} options - `NoiseCalibrator`のオプション。
+ * @returns {object} 校正結果。
+ */
+function calibrate(signal, options) {
+    const calibrator = new NoiseCalibrator({ sampleRate: signal.sampleRate, fftSize: signal.fftSize }, options);
+    for (const frame of signal.frames) {
+        if (calibrator.addFrame(frame.frequencyData, frame.timestamp) === 'done') break;
+    }
+    return calibrator.getResult();
+}
+
+/**
+ * `main.js`と同じ設定で分析・デコードし、得られたテキストを返します。
+ * @param {{sampleRate: number, fftSize: number, frames: {timestamp: number, frequencyData: Uint8Array}[]}} signal
+ * @param {object|null} calibration - 分析器に適用する校正結果。
+ * @returns {string}
+ */
+function decode(signal, calibration) {
+    const { committed, provisional } = decodeFrames(signal, { calibration }).getDecodedText();
+    return (committed + provisional).trim();
+}
+
+test('subtracting the calibrated noise floor decodes a whistle over a loud noise floor', () => {
+    const text = 'CQ CQ DE JA1ABC PARIS 599 TNX 73';
+    const signal = generateWhistleFrames(text, { wpm: 12, signalLevel: -50, noiseLevel: -85, noiseVariation: 3, leadTime: 2 });
+    const calibration = calibrate(signal, { noiseDuration: 1.5, measureWhistle: false });
+
+    assert.equal(calibration.whistle, null);
+    assert.equal(calibration.noiseFloor.length, signal.fftSize / 2);
+    assert.equal(decode(signal, calibration), text);
+});
+
+test('measures the pitch and level of a steady whistle', () => {
+    // 1秒間の無音の後、1.2秒間の長点を吹く
+    const signal = generateWhistleFrames('T', { wpm: 3, pitch: 1650 });
+    const calibration = calibrate(signal, { noiseDuration: 0.8, whistleDuration: 1 });
+
+    assert.ok(calibration.whistle, 'the whistle was not detected');
+    const { minFrequency, maxFrequency, frequency, level } = calibration.whistle;
+    assert.ok(Math.abs(frequency - 1650) < 25, `pitch ${frequency} Hz`);
+    assert.ok(minFrequency <= frequency && frequency <= maxFrequency);
+    assert.ok(level > 100, `level ${level}`);
+});
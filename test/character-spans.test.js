@@ -0,0 +1,27 @@
+/**
+ * @fileoverview 文字ごとの時間の範囲のテスト
+ * @description
+ * 合成した口笛信号をデコードしたとき、デコーダーが記録した文字ごとの時間の範囲が、
+ * 文字と符号の並びの順に重ならずに並び、各要素の範囲がその中に収まることを確かめます。
+ *
+ * 実行方法: `node --test test/*.test.js`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { decodeSynthetic } from './synthetic-whistle.js';
+
+test('records the time span of every character and element', () => {
+    const { decoder } = decodeSynthetic('CQ DE JA1ABC', { wpm: 12 });
+
+    const spans = decoder.getCharacterSpans();
+    assert.equal(spans.map(span => span.text).join(''), 'CQDEJA1ABC');
+    assert.equal(spans[0].sequence, '-.-.');
+    spans.forEach((span, index) => {
+        assert.equal(span.elements.map(element => element.symbol).join(''), span.sequence);
+        assert.equal(span.startTime, span.elements[0].startTime);
+        assert.equal(span.endTime, span.elements[span.elements.length - 1].endTime);
+        if (index > 0) assert.ok(span.startTime > spans[index - 1].endTime);
+    });
+});
@@ -0,0 +1,62 @@
+/**
+ * @fileoverview 文字ごとの確からしさと別の候補のテスト
+ * @description
+ * 合成した口笛信号のデコード結果で、文字の列がテキストと一致し、はっきり吹いた文字の確からしさが
+ * 高いことと、短点とも長点ともつかない長さの音では確からしさが下がり、もう一方の読みが
+ * 別の候補になることを確かめます。
+ *
+ * 実行方法: `node --test test/*.test.js`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createDecoder, decodeSynthetic } from './synthetic-whistle.js';
+
+test('gives clearly whistled characters a high confidence', () => {
+    const text = 'CQ DE JA1ABC';
+    const { decoder } = decodeSynthetic(text, { wpm: 12 });
+
+    const { committed } = decoder.getDecodedCharacters();
+    assert.equal(committed.map(character => character.text).join(''), decoder.getDecodedText().committed);
+    assert.equal(decoder.getDecodedText().committed.trim(), text);
+    for (const character of committed) {
+        assert.ok(character.confidence > 0.7, `${character.text}: ${character.confidence}`);
+    }
+});
+
+test('offers the other reading of a mark between a dit and a dah', () => {
+    const decoder = createDecoder({ ditTime: 0.1 });
+    // 無音0.5秒、短点の1.8倍の長さの音、無音1秒
+    for (let time = 0; time < 1.68; time += 0.01) {
+        decoder.process(time >= 0.5 && time < 0.68 ? 200 : 0, time);
+    }
+    decoder.flush();
+
+    const [character] = decoder.getDecodedCharacters().committed;
+    assert.ok(['E', 'T'].includes(character.text), `decoded ${character.text}`);
+    assert.ok(character.confidence < 0.7, `confidence ${character.confidence}`);
+    assert.deepEqual(character.alternatives, [character.text === 'E' ? 'T' : 'E']);
+
+    decoder.replaceCharacter(0, character.alternatives[0]);
+    assert.equal(decoder.getDecodedText().committed.trim(), character.alternatives[0]);
+});
+
+test('does not replace a character once the committed text has changed', () => {
+    const decoder = createDecoder({ ditTime: 0.1 });
+    for (let time = 0; time < 1.68; time += 0.01) {
+        decoder.process(time >= 0.5 && time < 0.68 ? 200 : 0, time);
+    }
+    decoder.flush();
+
+    const { committed, revision } = decoder.getDecodedCharacters();
+    const [character] = committed;
+    // 一覧を開いている間に、先頭に別の文字が挿入された
+    decoder.setCursor(0);
+    decoder.buffer.insert({ text: 'K', confidence: 1, alternatives: [] });
+
+    assert.equal(decoder.replaceCharacter(0, character.alternatives[0], revision), false);
+    assert.equal(decoder.getDecodedCharacters().committed[1].text, character.text);
+    assert.equal(decoder.replaceCharacter(1, character.alternatives[0], decoder.getDecodedCharacters().revision), true);
+    assert.equal(decoder.getDecodedCharacters().committed[1].text, character.alternatives[0]);
+});
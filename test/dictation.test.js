@@ -0,0 +1,47 @@
+/**
+ * @fileoverview 口述入力の編集のテスト
+ * @description
+ * 確定した文字と編集コマンドを、入力欄のキャレットより前のテキストに対する削除と挿入に変換できることを確かめます。
+ *
+ * 実行方法: `node --test test/*.test.js`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { planDictationEdit } from '../src/ui/dictation.js';
+
+/**
+ * 文字の列を順に書き込んだ結果のテキストを返します。`null`は単語の区切りを表します。
+ * @param {string} initialText - 書き込む前のテキスト（キャレットは末尾）。
+ * @param {({text: string, command: string|null}|null)[]} characters
+ * @param {boolean} multiline
+ * @returns {string}
+ */
+function typeInto(initialText, characters, multiline) {
+    let text = initialText;
+    let pendingSpace = false;
+    for (const character of characters) {
+        if (character === null) {
+            pendingSpace = true;
+            continue;
+        }
+        const edit = planDictationEdit(text, character, { pendingSpace, errorDeletes: 'word', multiline });
+        if (!edit) continue;
+        text = text.slice(0, text.length - edit.deleteCount) + edit.text;
+        pendingSpace = false;
+    }
+    return text;
+}
+
+test('types characters with word spaces, corrections and newlines', () => {
+    const plain = (text) => ({ text, command: null });
+    const characters = [
+        plain('C'), plain('Q'), null, plain('J'), plain('A'), null,
+        { text: '<HH>', command: 'error' }, plain('D'), plain('E'),
+        { text: '<AA>', command: 'newline' }, plain('7'), plain('3'), null,
+        { text: '<AR>', command: 'endOfMessage' }
+    ];
+    assert.equal(typeInto('', characters, true), 'CQ DE\n73');
+    assert.equal(typeInto('メモ: ', [plain('カ'), plain('゛')], true), 'メモ: ガ');
+});
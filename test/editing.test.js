@@ -0,0 +1,51 @@
+/**
+ * @fileoverview 編集コマンドとテキストバッファのテスト
+ * @description
+ * 合成した口笛信号に訂正・改行・メッセージの終わりの略符号を含めたとき、デコーダーがそれを
+ * 編集として実行することと、`TextBuffer`がカーソルの位置で挿入・削除を行うことを確かめます。
+ * メッセージの終わりは既定では使わないため、そのときは同じ符号の'+'を送れることも確かめます。
+ *
+ * 実行方法: `node --test test/*.test.js`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TextBuffer, SPACE_CHARACTER } from '../src/morse/text-buffer.js';
+import { decodeSynthetic } from './synthetic-whistle.js';
+
+test('applies whistled error, newline and end-of-message prosigns', () => {
+    const { decoder } = decodeSynthetic('CQ DE JA1ABD <HH> JA1ABC <AA> 73 <AR> QRZ', {
+        wpm: 12, decoder: { editCommands: { endOfMessage: '<AR>' } }
+    });
+
+    const events = decoder.drainTextEvents();
+    assert.deepEqual(events.filter(event => event.type === 'message').map(event => event.text), ['CQ DE JA1ABC\n73']);
+    assert.deepEqual(events.filter(event => event.type === 'word').map(event => event.text), ['CQ', 'DE', 'JA1ABD', 'JA1ABC', '73', 'QRZ']);
+    assert.equal(decoder.getDecodedText().committed.trim(), 'QRZ');
+});
+
+test('keeps .-.-. as text unless end-of-message is configured', () => {
+    const { decoder } = decodeSynthetic('1+1 73', { wpm: 12, decoder: { preferProsigns: false } });
+    assert.equal(decoder.getDecodedText().committed.trim(), '1+1 73');
+    assert.equal(decoder.drainTextEvents().filter(event => event.type === 'message').length, 0);
+});
+
+test('inserts and deletes at the cursor', () => {
+    const buffer = new TextBuffer();
+    const insertText = (text) => {
+        for (const character of text) {
+            buffer.insert(character === ' ' ? SPACE_CHARACTER : { text: character, confidence: 1, alternatives: [] });
+        }
+    };
+    insertText('CQ JA1ABC');
+    buffer.moveCursor(2);
+    insertText(' CQ');
+    assert.equal(buffer.getText(), 'CQ CQ JA1ABC');
+
+    buffer.deleteBackward('character');
+    assert.equal(buffer.getText(), 'CQ C JA1ABC');
+    buffer.deleteBackward('word');
+    assert.equal(buffer.getText(), 'CQ  JA1ABC');
+    assert.equal(buffer.getTextBeforeCursor(), 'CQ ');
+});
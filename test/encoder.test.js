@@ -0,0 +1,38 @@
+/**
+ * @fileoverview テキストからモールス信号への変換のテスト
+ * @description
+ * `encodeText`が、PARIS基準の速度どおりの長さの区間を作ることと、ファーンズワース方式で
+ * 文字の中の速度を保ったまま、文字間・単語間だけを延ばして実効速度に合わせることを確かめます。
+ *
+ * 実行方法: `node --test test/*.test.js`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { encodeText, textToElements } from '../src/morse/morse-encoder.js';
+
+test('encodes PARIS in 43 units without the trailing word gap', () => {
+    const { marks, duration } = encodeText('paris', { wpm: 20 });
+    const unit = 1.2 / 20;
+
+    // .--. .- .-. .. ...
+    assert.equal(marks.length, 14);
+    assert.ok(Math.abs(duration - 43 * unit) < 1e-9, `duration ${duration}`);
+    assert.ok(Math.abs(marks[1].end - marks[1].start - 3 * unit) < 1e-9);
+    assert.deepEqual(textToElements('E  <AR>').map(element => element.gap ?? (element.isMark ? 'mark' : '')),
+        ['mark', 'word', 'mark', 'element', 'mark', 'element', 'mark', 'element', 'mark', 'element', 'mark']);
+});
+
+test('stretches only the character and word gaps for Farnsworth timing', () => {
+    const wpm = 20;
+    const farnsworthWpm = 10;
+    const { marks } = encodeText('PARIS PARIS', { wpm, farnsworthWpm });
+    const unit = 1.2 / wpm;
+
+    // PARISと単語間の1語分が、実効速度での1語の長さになる
+    const wordPeriod = marks[14].start - marks[0].start;
+    assert.ok(Math.abs(wordPeriod - 60 / farnsworthWpm) < 1e-9, `word period ${wordPeriod}`);
+    // 文字の中の要素間は指定した速度のまま
+    assert.ok(Math.abs(marks[1].start - marks[0].end - unit) < 1e-9);
+});
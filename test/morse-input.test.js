@@ -0,0 +1,56 @@
+/**
+ * @fileoverview `MorseInput`のイベントのテスト
+ * @description
+ * 合成した口笛信号のフレームを`processFrame`に渡したとき、`MorseInput`が区間・文字・単語・
+ * テキストの変化をイベントとして伝えることを確かめます。Canvasは渡さず、描画なしで動かします。
+ * 設定で終わりの略符号を選んだ場合に、メッセージが`message`イベントで伝わることも確かめます。
+ *
+ * 実行方法: `node --test test/*.test.js`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MorseInput } from '../src/morse-input.js';
+import { generateWhistleFrames } from './synthetic-whistle.js';
+
+test('dispatches element, character, word and textchange events', () => {
+    const signal = generateWhistleFrames('CQ DE JA1ABC', { wpm: 12 });
+    const input = new MorseInput({ settings: { ditTime: 0.1 } });
+    input.reset({ sampleRate: signal.sampleRate, fftSize: signal.fftSize });
+
+    const received = { element: [], character: [], word: [], textchange: [] };
+    for (const type of Object.keys(received)) {
+        input.addEventListener(type, event => received[type].push(event.detail));
+    }
+    const timeDomainData = new Uint8Array(signal.fftSize);
+    for (const frame of signal.frames) {
+        input.processFrame({ ...frame, toneFrames: null }, timeDomainData);
+    }
+    input.flush();
+
+    assert.ok(received.element.some(detail => detail.element === 'dit'));
+    assert.ok(received.element.some(detail => detail.element === 'dah'));
+    assert.equal(received.character.map(detail => detail.text).join(''), 'CQDEJA1ABC');
+    assert.deepEqual(received.word.map(detail => detail.text), ['CQ', 'DE', 'JA1ABC']);
+    assert.ok(received.textchange.length > 0);
+    assert.ok(received.textchange.every(detail => detail.track === 0));
+    assert.equal(input.getText().trim(), 'CQ DE JA1ABC');
+});
+
+test('dispatches message events for a configured end-of-message prosign', () => {
+    const signal = generateWhistleFrames('CQ DE JA1ABC <AR> QRZ', { wpm: 12 });
+    const input = new MorseInput({ settings: { ditTime: 0.1, endOfMessageProsign: 'AR' } });
+    input.reset({ sampleRate: signal.sampleRate, fftSize: signal.fftSize });
+
+    const messages = [];
+    input.addEventListener('message', event => messages.push(event.detail));
+    const timeDomainData = new Uint8Array(signal.fftSize);
+    for (const frame of signal.frames) {
+        input.processFrame({ ...frame, toneFrames: null }, timeDomainData);
+    }
+    input.flush();
+
+    assert.deepEqual(messages.map(detail => detail.text), ['CQ DE JA1ABC']);
+    assert.equal(input.getText().trim(), 'QRZ');
+});
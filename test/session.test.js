@@ -0,0 +1,72 @@
+/**
+ * @fileoverview セッションの記録と再生の再現性テスト
+ * @description
+ * 合成した口笛信号を`SessionRecorder`で記録しながらデコードし、書き出したファイルを
+ * `SessionPlayer`で再生して、分析結果とデコード結果が記録時と一致することを確かめます。
+ *
+ * 実行方法: `node --test test/*.test.js`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MorseAnalyzer } from '../src/morse/morse-analyzer.js';
+import { SessionRecorder } from '../src/audio/session-recorder.js';
+import { SessionPlayer } from '../src/audio/session-player.js';
+import { createDecoder, generateWhistleFrames } from './synthetic-whistle.js';
+
+/**
+ * `main.js`と同じ設定の分析器・デコーダーを作ります。
+ * @param {{sampleRate: number, fftSize: number}} audioParams
+ */
+function createPipeline(audioParams) {
+    return {
+        analyzer: new MorseAnalyzer(audioParams),
+        decoder: createDecoder()
+    };
+}
+
+test('replaying a recorded session reproduces the analysis and the decoded text', async () => {
+    const signal = generateWhistleFrames('CQ DE JA1ABC', { wpm: 15, jitter: 0.1, seed: 3 });
+    const audioParams = { sampleRate: signal.sampleRate, fftSize: signal.fftSize };
+
+    const live = createPipeline(audioParams);
+    const recorder = new SessionRecorder();
+    recorder.start({ ...audioParams, engine: 'analyser', codeTable: 'latin', settings: {} });
+    for (const { timestamp, frequencyData } of signal.frames) {
+        const result = live.analyzer.analyze(frequencyData, timestamp);
+        live.decoder.process(result.targetVolume, result.timestamp);
+        recorder.addFrame({ timestamp, frequencyData, toneFrames: null }, [result]);
+    }
+    const blob = await recorder.stop();
+    assert.equal(recorder.isRecording(), false);
+
+    const player = await SessionPlayer.fromFile(blob);
+    assert.deepEqual(player.getAudioParams(), audioParams);
+
+    const replay = createPipeline(player.getAudioParams());
+    let mismatches = 0;
+    let frame;
+    while ((frame = player.step()) !== null) {
+        const result = replay.analyzer.analyze(frame.frequencyData, frame.timestamp);
+        replay.decoder.process(result.targetVolume, result.timestamp);
+        if (JSON.stringify([result]) !== JSON.stringify(frame.analysisResults)) mismatches++;
+    }
+
+    assert.equal(mismatches, 0);
+    assert.deepEqual(replay.decoder.getDecodedText(), live.decoder.getDecodedText());
+});
+
+test('playback returns the frames that are due at the elapsed time, and nothing while paused', () => {
+    const frames = [0, 0.1, 0.2, 0.3].map(timestamp => ({ timestamp, frequencyData: 'AA==', toneFrames: null, analysisResults: [] }));
+    const player = new SessionPlayer({ format: 'micmorseinput-session', version: 1, sampleRate: 48000, fftSize: 2048, frames });
+
+    player.play(10);
+    assert.deepEqual(player.advance(10.15).map(f => f.timestamp), [0, 0.1]);
+    player.pause();
+    assert.deepEqual(player.advance(20), []);
+    assert.equal(player.step().timestamp, 0.2);
+    player.play(30);
+    assert.deepEqual(player.advance(30).map(f => f.timestamp), [0.3]);
+    assert.equal(player.isFinished(), true);
+});
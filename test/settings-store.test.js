@@ -0,0 +1,33 @@
+/**
+ * @fileoverview 調整用パラメータの値の検証のテスト
+ * @description
+ * URLパラメータや`<morse-input>`の属性から得た値が、範囲内に収められ、刻み幅の倍数に丸められることと、
+ * 丸めた値なら`MorseInput.updateParams`でトラック数を減らせることを確かめます。
+ *
+ * 実行方法: `node --test test/*.test.js`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MorseInput } from '../src/morse-input.js';
+import { SETTING_DEFINITIONS, normalizeSettingValue } from '../src/ui/settings-store.js';
+
+const definitionOf = (key) => SETTING_DEFINITIONS.find(d => d.key === key);
+
+test('snaps values to the step of the definition', () => {
+    assert.equal(normalizeSettingValue(definitionOf('maxTracks'), '2.5'), 3);
+    assert.equal(normalizeSettingValue(definitionOf('maxTracks'), '9'), 4);
+    assert.equal(normalizeSettingValue(definitionOf('sharpnessThreshold'), '2.34'), 2.3);
+    assert.equal(normalizeSettingValue(definitionOf('ditTime'), '0.1234'), 0.125);
+    assert.equal(normalizeSettingValue(definitionOf('endOfMessageProsign'), 'AR'), 'AR');
+    assert.equal(normalizeSettingValue(definitionOf('endOfMessageProsign'), '+'), undefined);
+
+    const input = new MorseInput({ settings: { maxTracks: 4 } });
+    input.reset({ sampleRate: 48000, fftSize: 2048 });
+    const track = { targetVolume: 0 };
+    input.decodeAnalysisResult({ timestamp: 0, frequency: null, targetVolume: 0, tracks: [track, track, track, track] });
+    assert.equal(input.decoders.length, 4);
+    input.updateParams({ maxTracks: normalizeSettingValue(definitionOf('maxTracks'), '1.5') });
+    assert.equal(input.decoders.length, 2);
+});
@@ -0,0 +1,347 @@
+/**
+ * @fileoverview 口笛のモールス信号を模した周波数データの合成
+ * @description
+ * このファイルは、テキストからモールス信号を組み立て、それを口笛で吹いたときに
+ * `AnalyserNode`から得られるような周波数データ（フレーム）の列を合成する役割を担います。
+ * マイクを使わずに`MorseAnalyzer`と`MorseDecoder`を動かし、精度を再現可能な形で測ることが目的です。
+ *
+ * 現在の戦略:
+ * 1. 【タイミング】テキストを短点1・長点3・要素間1・文字間3・単語間7単位の区間の列に変換し、
+ *    各区間の長さに指定した割合のばらつき（ジッター）を加えます。
+ * 2. 【包絡線】音の立ち上がり・立ち下がりを直線的なランプで表し、ランダムな位置に
+ *    音の途切れ（ドロップアウト）を挿入します。
+ * 3. 【音高】基準の音高に、ゆっくりとした音高のずれ（ドリフト）とビブラートを重ねます。
+ * 4. 【スペクトル】各フレームでは、FFT窓の長さにわたって包絡線を平均した音量のピークを、
+ *    窓関数のメインローブを模した山として周波数ビンに配置し、ランダムなノイズフロアと足し合わせます。
+ *    AnalyserNodeと同じ時間平滑化とデシベル→バイト値の換算を行い、同じ形式の`Uint8Array`にします。
+ * 5. 【複数の口笛】異なる音高・テキストの口笛を同時に吹いた場合も、各口笛のピークを足し合わせて合成できます。
+ * 6. 【声】口笛と区別すべき音として、基本周波数の整数倍に倍音が並ぶ声のようなスペクトルを、指定した区間に重ねられます。
+ * 7. 【再現性】乱数はシード付きの擬似乱数生成器から取り出し、同じ設定からは常に同じフレーム列を得ます。
+ * 8. 【AudioWorkletの検出器】`toneHop` を指定すると、`audio-worker.js`の検出器と同じ形式のトーンフレームも
+ *    各フレームに付けます。短い分析窓にわたって包絡線を平均した音量の山を、窓の周波数分解能の半分の間隔で
+ *    並べたフィルタに配置し、最も強いフィルタの周波数・強さと、全フィルタの中央値（ノイズフロア）を求めます。
+ * 9. 【デコード】テストが共通して使う、`MorseInput`と同じ設定のデコーダー（`createDecoder`）と、
+ *    合成した信号を分析・デコードする手順（`decodeFrames`・`decodeSynthetic`）もここにまとめます。
+ */
+
+import { MorseAnalyzer } from '../src/morse/morse-analyzer.js';
+import { MorseDecoder } from '../src/morse/morse-decoder.js';
+import { textToElements } from '../src/morse/morse-encoder.js';
+
+/** `MorseInput`がトラックごとに作るデコーダーと同じ設定（`ditTime` は設定の既定値） */
+const DECODER_PARAMS = { volumeThreshold: 40, ditTime: 0.12, mode: 'windowed', windowSeconds: 6 };
+
+/**
+ * シード付きの擬似乱数生成器（mulberry32）を作ります。
+ * @param {number} seed
+ * @returns {function(): number} 0以上1未満の乱数を返す関数。
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * 標準正規分布に従う乱数を返します（Box-Muller法）。
+ * @param {function(): number} random
+ * @returns {number}
+ */
+function gaussian(random) {
+    const u = 1 - random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * テキストを、ばらつきを加えた音あり/音なしの区間の列に変換します。
+ * 区間の組み立ては`morse-encoder.js`の`textToElements`に任せます。
+ * @param {string} text - 変換するテキスト。`<AR>`のような略符号も書けます。
+ * @param {number} ditTime - 1単位の長さ (秒)。
+ * @param {number} jitter - 各区間の長さに加えるばらつきの割合（標準偏差）。
+ * @param {function(): number} random
+ * @returns {{isMark: boolean, duration: number}[]}
+ */
+function textToSegments(text, ditTime, jitter, random) {
+    return textToElements(text).map(({ isMark, units }) => {
+        const scale = Math.max(0.3, 1 + gaussian(random) * jitter);
+        return { isMark, duration: units * ditTime * scale };
+    });
+}
+
+/**
+ * テキストから、1人分の口笛の音あり区間（途切れを含む）を組み立てます。
+ * @param {string} text - 送信するテキスト。
+ * @param {{wpm: number, jitter: number, dropoutRate: number, dropoutDuration: number, startTime: number}} options
+ * @param {function(): number} random
+ * @returns {{marks: {start: number, end: number, dropouts: {start: number, end: number}[]}[], endTime: number}}
+ */
+function createMarks(text, options, random) {
+    const { wpm, jitter, dropoutRate, dropoutDuration, startTime } = options;
+    const segments = textToSegments(text, 1.2 / wpm, jitter, random);
+
+    // 音あり区間の開始・終了時刻と、その中に挿入する途切れの列を作る
+    const marks = [];
+    let cursor = startTime;
+    for (const segment of segments) {
+        if (segment.isMark) {
+            const dropouts = [];
+            const expectedDropouts = segment.duration * dropoutRate;
+            if (random() < expectedDropouts) {
+                const start = cursor + random() * Math.max(0, segment.duration - dropoutDuration);
+                dropouts.push({ start, end: start + dropoutDuration });
+            }
+            marks.push({ start: cursor, end: cursor + segment.duration, dropouts });
+        }
+        cursor += segment.duration;
+    }
+    return { marks, endTime: cursor };
+}
+
+/**
+ * フィルタごとの強さから、AudioWorkletの検出器と同じ方法で最も強い周波数とその強さ、ノイズフロアを求めます。
+ * @param {number[]} frequencies - フィルタの周波数 (Hz)。
+ * @param {number[]} levels - フィルタごとの強さ (dB)。
+ * @param {number} spacing - フィルタの間隔 (Hz)。
+ * @returns {{frequency: number, level: number, floor: number}}
+ */
+function measureTone(frequencies, levels, spacing) {
+    let peak = 0;
+    for (let k = 1; k < levels.length; k++) {
+        if (levels[k] > levels[peak]) peak = k;
+    }
+
+    let frequency = frequencies[peak];
+    let level = levels[peak];
+    if (peak > 0 && peak < levels.length - 1) {
+        const left = levels[peak - 1];
+        const right = levels[peak + 1];
+        const curvature = left - 2 * level + right;
+        if (curvature < 0) {
+            const offset = 0.5 * (left - right) / curvature;
+            frequency += offset * spacing;
+            level -= 0.25 * (left - right) * offset;
+        }
+    }
+
+    const sorted = [...levels].sort((a, b) => a - b);
+    return { frequency, level, floor: sorted[Math.floor(sorted.length / 2)] };
+}
+
+/**
+ * テキストから、口笛のモールス信号を模した周波数データのフレーム列を合成します。
+ * @param {string} text - 送信するテキスト。
+ * @param {object} [options]
+ * @param {number} [options.wpm=12] - 送信速度 (PARIS基準のWPM)。
+ * @param {number} [options.jitter=0] - 各区間の長さのばらつきの割合（標準偏差）。
+ * @param {number} [options.pitch=1800] - 基準の音高 (Hz)。
+ * @param {number} [options.pitchDrift=0] - 音高のずれの速さ（ランダムウォークの標準偏差, Hz/√秒）。
+ * @param {number} [options.vibratoDepth=0] - ビブラートの深さ (Hz)。
+ * @param {number} [options.vibratoRate=5] - ビブラートの速さ (Hz)。
+ * @param {number} [options.attackTime=0.005] - 音の立ち上がりにかかる時間 (秒)。
+ * @param {number} [options.decayTime=0.005] - 音の立ち下がりにかかる時間 (秒)。
+ * @param {number} [options.signalLevel=-45] - 口笛のピークの強さ (AnalyserNodeの尺度のdB)。
+ * @param {number} [options.noiseLevel=-110] - ノイズフロアの平均の強さ (dB)。
+ * @param {number} [options.noiseVariation=4] - ノイズフロアのばらつき（標準偏差, dB）。
+ * @param {number} [options.dropoutRate=0] - 音あり区間の途中で音が途切れる頻度 (回/秒)。
+ * @param {number} [options.dropoutDuration=0.02] - 1回の途切れの長さ (秒)。
+ * @param {{text: string, pitch: number, wpm?: number, startTime?: number}[]} [options.otherWhistles=[]]
+ *   同時に吹かれる他の口笛。`startTime` は信号の開始から吹き始めるまでの時間 (秒) で、
+ *   省略した設定は最初の口笛と同じになります。
+ * @param {{fundamental: number, level: number, start: number, end: number, harmonicCount?: number}|null} [options.speech=null]
+ *   声のような倍音構造を持つ音。`level` は基本周波数の強さ (dB) で、倍音は1オクターブごとに6dBずつ弱くなります。
+ *   `start`・`end` は鳴らす区間の時刻 (秒) で、`harmonicCount` は倍音の数（既定は15）です。
+ * @param {number} [options.frameInterval=1/60] - フレームの間隔 (秒)。
+ * @param {number} [options.leadTime=1] - 信号の前後に置く無音の長さ (秒)。
+ * @param {number} [options.sampleRate=48000]
+ * @param {number} [options.fftSize=2048]
+ * @param {number} [options.seed=1] - 乱数のシード。
+ * @param {number|null} [options.toneHop=null] - AudioWorkletの検出器の測定間隔 (秒)。nullならトーンフレームを作りません。
+ * @param {number} [options.toneWindowSize=512] - AudioWorkletの検出器の分析窓の長さ (サンプル数)。
+ * @returns {{sampleRate: number, fftSize: number, frames: {timestamp: number, frequencyData: Uint8Array, toneFrames: {timestamp: number, frequency: number, level: number, floor: number}[]|null}[]}}
+ */
+export function generateWhistleFrames(text, options = {}) {
+    const {
+        wpm = 12,
+        jitter = 0,
+        pitch = 1800,
+        pitchDrift = 0,
+        vibratoDepth = 0,
+        vibratoRate = 5,
+        attackTime = 0.005,
+        decayTime = 0.005,
+        signalLevel = -45,
+        noiseLevel = -110,
+        noiseVariation = 4,
+        dropoutRate = 0,
+        dropoutDuration = 0.02,
+        otherWhistles = [],
+        speech = null,
+        frameInterval = 1 / 60,
+        leadTime = 1,
+        sampleRate = 48000,
+        fftSize = 2048,
+        seed = 1,
+        toneHop = null,
+        toneWindowSize = 512,
+    } = options;
+
+    const random = createRandom(seed);
+    const voiceOptions = [
+        { text, pitch, wpm, startTime: 0 },
+        ...otherWhistles.map(whistle => ({ wpm, startTime: 0, ...whistle })),
+    ];
+    const voices = voiceOptions.map((voice) => {
+        const { marks, endTime } = createMarks(voice.text, {
+            wpm: voice.wpm, jitter, dropoutRate, dropoutDuration, startTime: leadTime + voice.startTime
+        }, random);
+        return { pitch: voice.pitch, marks, endTime, driftOffset: 0 };
+    });
+    const totalDuration = Math.max(...voices.map(voice => voice.endTime)) + leadTime;
+
+    /** 時刻startからendまでの包絡線のエネルギーを平均した振幅（0〜1）を返す */
+    const averageEnvelope = (marks, start, end) => {
+        let energy = 0;
+        let steps = 0;
+        for (let s = start; s <= end; s += envelopeStep) {
+            const envelope = envelopeAt(marks, s);
+            energy += envelope * envelope;
+            steps++;
+        }
+        return Math.sqrt(energy / steps);
+    };
+
+    /** 時刻tにおける包絡線（0〜1）を返す */
+    const envelopeAt = (marks, t) => {
+        for (const mark of marks) {
+            if (t < mark.start || t > mark.end + decayTime) continue;
+            if (mark.dropouts.some(d => t >= d.start && t < d.end)) return 0;
+            if (t > mark.end) return 1 - (t - mark.end) / decayTime;
+            return Math.min(1, (t - mark.start) / attackTime);
+        }
+        return 0;
+    };
+
+    const envelopeStep = 0.001;
+    const binCount = fftSize / 2;
+    const binWidth = sampleRate / fftSize;
+    const windowDuration = fftSize / sampleRate;
+    const smoothing = 0.1; // AudioCapturerと同じAnalyserNodeの時間平滑化
+    const minDecibels = -100;
+    const maxDecibels = -30;
+    const mainLobeWidth = 1.1; // 窓関数のメインローブの広がり（ビン単位の標準偏差）
+
+    // AudioWorkletの検出器のフィルタバンク（400〜5000Hz、窓の周波数分解能の半分の間隔）
+    const toneWindowDuration = toneWindowSize / sampleRate;
+    const filterSpacing = sampleRate / toneWindowSize / 2;
+    const filterFrequencies = [];
+    for (let f = 400; f <= Math.min(5000, sampleRate / 2); f += filterSpacing) filterFrequencies.push(f);
+    const toneLevelOffset = 13.5; // 検出器の尺度は、AnalyserNodeの尺度より13.5dB大きい（MorseAnalyzerの`toneLevelOffset`の逆）
+    let nextToneTime = toneHop;
+
+    const smoothedMagnitudes = new Float64Array(binCount);
+    const frames = [];
+
+    for (let t = frameInterval; t < totalDuration; t += frameInterval) {
+        const tones = voices.map((voice) => {
+            voice.driftOffset += gaussian(random) * pitchDrift * Math.sqrt(frameInterval);
+            const frequency = voice.pitch + voice.driftOffset + vibratoDepth * Math.sin(2 * Math.PI * vibratoRate * t);
+
+            // FFT窓の範囲で包絡線のエネルギーを平均する
+            const amplitude = averageEnvelope(voice.marks, t - windowDuration, t) * Math.pow(10, signalLevel / 20);
+            return { peakBin: frequency / binWidth, amplitude, marks: voice.marks };
+        });
+        if (speech && t >= speech.start && t < speech.end) {
+            for (let n = 1; n <= (speech.harmonicCount ?? 15); n++) {
+                const level = speech.level - 6 * Math.log2(n);
+                tones.push({ peakBin: speech.fundamental * n / binWidth, amplitude: Math.pow(10, level / 20), marks: null });
+            }
+        }
+
+        let toneFrames = null;
+        if (toneHop) {
+            toneFrames = [];
+            for (; nextToneTime <= t; nextToneTime += toneHop) {
+                const levels = filterFrequencies.map((filterFrequency) => {
+                    let magnitude = Math.pow(10, (noiseLevel + gaussian(random) * noiseVariation) / 20);
+                    for (const tone of tones) {
+                        // 検出器の窓は短いため、包絡線は口笛ごとに測り直す（声は一定の強さとする）
+                        const amplitude = tone.marks
+                            ? averageEnvelope(tone.marks, nextToneTime - toneWindowDuration, nextToneTime) * Math.pow(10, signalLevel / 20)
+                            : tone.amplitude;
+                        // フィルタはビンの半分の間隔で並ぶため、メインローブはフィルタ単位で2倍に広がる
+                        const distance = (filterFrequency - tone.peakBin * binWidth) / filterSpacing;
+                        magnitude += amplitude * Math.exp(-(distance * distance) / (2 * (2 * mainLobeWidth) ** 2));
+                    }
+                    return 20 * Math.log10(magnitude + 1e-12) + toneLevelOffset;
+                });
+                toneFrames.push({
+                    timestamp: nextToneTime - toneWindowDuration / 2,
+                    ...measureTone(filterFrequencies, levels, filterSpacing)
+                });
+            }
+        }
+
+        const frequencyData = new Uint8Array(binCount);
+        for (let k = 0; k < binCount; k++) {
+            let magnitude = Math.pow(10, (noiseLevel + gaussian(random) * noiseVariation) / 20);
+            for (const tone of tones) {
+                const distance = k - tone.peakBin;
+                magnitude += tone.amplitude * Math.exp(-(distance * distance) / (2 * mainLobeWidth * mainLobeWidth));
+            }
+
+            smoothedMagnitudes[k] = smoothing * smoothedMagnitudes[k] + (1 - smoothing) * magnitude;
+            const decibels = 20 * Math.log10(smoothedMagnitudes[k] + 1e-12);
+            const byteValue = 255 * (decibels - minDecibels) / (maxDecibels - minDecibels);
+            frequencyData[k] = Math.max(0, Math.min(255, Math.round(byteValue)));
+        }
+        frames.push({ timestamp: t, frequencyData, toneFrames });
+    }
+
+    return { sampleRate, fftSize, frames };
+}
+
+/**
+ * `MorseInput`と同じ設定のデコーダーを作ります。
+ * @param {object} [params] - 既定の設定から変更するデコーダーのパラメータ。
+ * @returns {MorseDecoder}
+ */
+export function createDecoder(params = {}) {
+    return new MorseDecoder({ ...DECODER_PARAMS, ...params });
+}
+
+/**
+ * 合成したフレーム列をAnalyserNodeの経路で分析・デコードし、`flush`で入力途中の文字まで確定させます。
+ * @param {{sampleRate: number, fftSize: number, frames: {timestamp: number, frequencyData: Uint8Array}[]}} signal
+ * @param {{decoder?: object, calibration?: object|null}} [options] - `decoder` はデコーダーに渡すパラメータ、
+ *   `calibration` は分析器に適用する校正結果です。
+ * @returns {MorseDecoder}
+ */
+export function decodeFrames(signal, { decoder: params = {}, calibration = null } = {}) {
+    const analyzer = new MorseAnalyzer({ sampleRate: signal.sampleRate, fftSize: signal.fftSize });
+    if (calibration) analyzer.setCalibration(calibration);
+    const decoder = createDecoder(params);
+    for (const frame of signal.frames) {
+        const result = analyzer.analyze(frame.frequencyData, frame.timestamp);
+        decoder.process(result.targetVolume, result.timestamp);
+    }
+    decoder.flush();
+    return decoder;
+}
+
+/**
+ * テキストを口笛信号に合成し、`decodeFrames`で分析・デコードします。
+ * @param {string} text - 送るテキスト。
+ * @param {object} [options] - `generateWhistleFrames`の設定。`decoder` はデコーダーに渡すパラメータです。
+ * @returns {{signal: object, decoder: MorseDecoder}}
+ */
+export function decodeSynthetic(text, options = {}) {
+    const { decoder: params, ...synthesis } = options;
+    const signal = generateWhistleFrames(text, synthesis);
+    return { signal, decoder: decodeFrames(signal, { decoder: params }) };
+}
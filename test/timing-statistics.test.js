@@ -0,0 +1,30 @@
+/**
+ * @fileoverview 送信のタイミングの統計のテスト
+ * @description
+ * 合成した口笛信号をデコードして得た区間から、`computeTimingStatistics`が送信速度と長さの比を
+ * 正しく求めることと、ヒストグラムが区間を数え漏らさないことを確かめます。
+ *
+ * 実行方法: `node --test test/*.test.js`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computeTimingStatistics } from '../src/morse/timing-statistics.js';
+import { decodeSynthetic } from './synthetic-whistle.js';
+
+test('measures the sending speed and the element ratios of a clean whistle', () => {
+    const { signal, decoder } = decodeSynthetic('CQ CQ DE JA1ABC PARIS', { wpm: 12 });
+    const runs = decoder.drainRuns();
+
+    const statistics = computeTimingStatistics(runs, decoder, {
+        markLengthening: 0.75 * signal.fftSize / signal.sampleRate
+    });
+    assert.ok(Math.abs(statistics.wpm - 12) < 1.5, `wpm ${statistics.wpm}`);
+    assert.ok(Math.abs(statistics.ditDahRatio - 3) < 0.3, `dah ratio ${statistics.ditDahRatio}`);
+    assert.ok(Math.abs(statistics.classes.charGap.ratio - 3) < 0.5, `char gap ratio ${statistics.classes.charGap.ratio}`);
+    assert.ok(statistics.classes.dah.variance < 0.1, `dah variance ${statistics.classes.dah.variance}`);
+
+    const markCount = runs.filter(run => run.state === 'mark' && run.duration >= decoder.minMarkTime).length;
+    assert.equal(statistics.histogram.marks.reduce((sum, count) => sum + count, 0), markCount);
+});
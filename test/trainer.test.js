@@ -0,0 +1,53 @@
+/**
+ * @fileoverview 練習モードの出題と採点のテスト
+ * @description
+ * 合成した口笛信号をデコードし、デコーダーが記録した区間で`scoreAttempt`が正しく採点できることと、
+ * 文字ごとの正誤の判定、コッホ法の出題を確かめます。
+ *
+ * 実行方法: `node --test test/*.test.js`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { KOCH_ORDER, TrainingSource, createTarget, scoreAttempt, summarizeSession } from '../src/morse/morse-trainer.js';
+import { decodeSynthetic } from './synthetic-whistle.js';
+
+test('scores a cleanly whistled target with ideal timing ratios', () => {
+    const target = 'CQ DE JA1ABC';
+    const { signal, decoder } = decodeSynthetic(target, { wpm: 12 });
+    const { committed, provisional } = decoder.getDecodedText();
+
+    // main.jsと同じく、AnalyserNodeの窓によって音ありが伸びる分を補正する
+    const markLengthening = 0.75 * signal.fftSize / signal.sampleRate;
+    const result = scoreAttempt(target, committed + provisional, decoder.drainRuns(), decoder.ditTime, markLengthening);
+    assert.equal(result.accuracy, 1);
+    assert.ok(result.characters.every(character => character.status === 'correct'));
+    assert.ok(Math.abs(result.timing.ratios.dah - 3) < 0.3, `dah ratio ${result.timing.ratios.dah}`);
+    assert.ok(Math.abs(result.timing.ratios.wordGap - 7) < 0.7, `word gap ratio ${result.timing.ratios.wordGap}`);
+    assert.ok(result.score >= 90, `score ${result.score}`);
+});
+
+test('marks substituted, missed and extra characters', () => {
+    const result = scoreAttempt('PARIS', 'PAEIXS', [], 0.1);
+
+    assert.deepEqual(result.characters.map(character => character.status),
+        ['correct', 'correct', 'substituted', 'correct', 'correct']);
+    assert.equal(result.characters[2].actual, 'E');
+    assert.equal(result.extraCount, 1);
+    assert.equal(result.timing.deviation, null);
+    assert.equal(result.score, Math.round(100 * 4 / 6));
+
+    const missed = scoreAttempt('CQ', 'C', [], 0.1);
+    assert.deepEqual(missed.characters.map(character => character.status), ['correct', 'missed']);
+    assert.equal(summarizeSession([result, missed]).attemptCount, 2);
+});
+
+test('draws Koch groups only from the learned characters', () => {
+    let seed = 1;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    const target = createTarget({ source: TrainingSource.KOCH, kochLevel: 4, groupCount: 3, groupSize: 5 }, random);
+
+    assert.match(target, /^[A-Z]{5} [A-Z]{5} [A-Z]{5}$/);
+    assert.ok([...target.replace(/ /g, '')].every(character => KOCH_ORDER.slice(0, 4).includes(character)));
+});
@@ -0,0 +1,48 @@
+/**
+ * @fileoverview デコード結果の書き出しのテスト
+ * @description
+ * 合成した口笛信号を`MorseInput`でデコードし、JSON・CSV・字幕の各形式に書き出したとき、
+ * 文字ごとの時刻と符号、フレームごとの分析結果、単語ごとにまとめた字幕が得られることを確かめます。
+ * まだデコーダーのないトラックは、デコーダーを作らずに空の結果になることも確かめます。
+ *
+ * 実行方法: `node --test test/*.test.js`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MorseInput } from '../src/morse-input.js';
+import { generateWhistleFrames } from './synthetic-whistle.js';
+
+test('exports the transcript as JSON, CSV, SRT and WebVTT', () => {
+    const signal = generateWhistleFrames('CQ DE JA1ABC', { wpm: 12 });
+    const input = new MorseInput({ settings: { ditTime: 0.1 } });
+    input.reset({ sampleRate: signal.sampleRate, fftSize: signal.fftSize });
+    const timeDomainData = new Uint8Array(signal.fftSize);
+    for (const frame of signal.frames) {
+        input.processFrame({ ...frame, toneFrames: null }, timeDomainData);
+    }
+    input.flush();
+
+    const transcript = JSON.parse(input.exportTranscript('json'));
+    assert.equal(transcript.characters.map(character => character.text).join(''), 'CQDEJA1ABC');
+    assert.equal(transcript.characters[0].sequence, '-.-.');
+    assert.ok(transcript.characters.every(character => character.confidence > 0 && character.startTime < character.endTime));
+
+    const csvLines = input.exportTranscript('csv').trim().split('\r\n');
+    assert.equal(csvLines[0], 'time,frequency,volume,threshold,state');
+    assert.equal(csvLines.length, signal.frames.length + 1);
+    assert.ok(csvLines.some(line => line.endsWith(',mark')));
+
+    const srt = input.exportTranscript('srt');
+    assert.match(srt, /^1\r\n\d{2}:\d{2}:\d{2},\d{3} --> \d{2}:\d{2}:\d{2},\d{3}\r\nCQ DE JA1ABC\r\n/);
+    const vtt = input.exportTranscript('vtt', { origin: 1 });
+    assert.match(vtt, /^WEBVTT\n\n\d{2}:\d{2}:\d{2}\.\d{3} --> /);
+    assert.ok(vtt.includes('CQ DE JA1ABC'));
+
+    // 口笛が現れていないトラックは、デコーダーを作らずに空の結果になる
+    const trackCount = input.decoders.length;
+    assert.deepEqual(JSON.parse(input.exportTranscript('json', { trackIndex: 5 })).characters, []);
+    assert.equal(input.exportTranscript('vtt', { trackIndex: 5 }), 'WEBVTT\n');
+    assert.equal(input.decoders.length, trackCount);
+});
@@ -0,0 +1,41 @@
+/**
+ * @fileoverview 'windowed' モードの再デコードの頻度のテスト
+ * @description
+ * AudioWorkletの検出器のように短い間隔で音量が届いても、窓内のビームサーチは音あり/音なしの区間が
+ * 終わったときだけ行い、進行中の状態は前回の読みに付け足すだけで暫定テキストを更新することを確かめます。
+ *
+ * 実行方法: `node --test test/*.test.js`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createDecoder } from './synthetic-whistle.js';
+
+test('runs the beam search only when a run ends, and still follows the ongoing mark', () => {
+    const decoder = createDecoder({ ditTime: 0.1 });
+    const searchBestReading = decoder._searchBestReading.bind(decoder);
+    let searchCount = 0;
+    decoder._searchBestReading = (...args) => {
+        searchCount++;
+        return searchBestReading(...args);
+    };
+
+    // 4msごとに音量を送る: 無音0.5秒、音あり0.1秒、無音0.1秒、音あり0.3秒（途中で暫定テキストを見る）
+    const hop = 0.004;
+    let time = 0;
+    const feed = (volume, duration) => {
+        for (const end = time + duration; time < end - 1e-9; time += hop) decoder.process(volume, time);
+    };
+    feed(0, 0.5);
+    feed(100, 0.1);
+    feed(0, 0.1);
+    feed(100, 0.05);
+    assert.equal(decoder.getDecodedText().provisional, '..');
+    feed(100, 0.25);
+    assert.equal(decoder.getDecodedText().provisional, '.-');
+
+    // 終わった区間は 無音・音あり・無音 の3つで、1.05秒分のサンプルは260を超える
+    assert.equal(decoder.drainRuns().length, 3);
+    assert.ok(searchCount <= 3 + 1, `searched ${searchCount} times`);
+});